@@ -4,9 +4,11 @@
  *
  * This is the reverse of rebuild-context.js. When a Durable Object
  * writes to current.md with direction: decompose, this script extracts
- * each section and writes it back to the corresponding source file.
+ * each section, diffs it against its source file and writes back only
+ * the sources that changed. It then writes data/.decompose/{sha}.done
+ * and rebuilds current.md so the pack is back in the build direction.
  *
- * Sections with "Managed inline" comments (Pending Review, Open Loops)
+ * Sections with "Managed inline" comments (Pending Review, Open Loops, Snoozed)
  * are preserved in current.md and not written to any source file.
  * The Identity section (combined from identity/*.md) is skipped since
  * it cannot be safely decomposed back to individual files.
@@ -14,6 +16,8 @@
 
 import { promises as fs } from 'fs';
 import path from 'path';
+import { rebuildContext } from './rebuild-context.js';
+import { CONTEXT_SECTIONS, splitSections } from '../worker/lib/context-pack.js';
 
 const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
 
@@ -60,144 +64,91 @@ export function parseVersionStamp(content) {
   };
 }
 
-/**
- * Known top-level sections in current.md.
- * Used to distinguish top-level section headers from subsections
- * within embedded content (e.g., "## 2025-02-01" in the calendar).
- */
-const TOP_LEVEL_SECTIONS = [
-  'Pending Review',
-  "Today's Stream",
-  'Open Loops',
-  "This Week's Plan",
-  'Upcoming Calendar',
-  'Project Index',
-  "This Month's Plan",
-  'Learned Context',
-  'Identity',
-];
-
-/**
- * Check if a line is a known top-level section header.
- */
-function isTopLevelSection(line) {
-  if (!line.startsWith('## ')) return false;
-  const name = line.replace(/^## /, '').trim();
-  return TOP_LEVEL_SECTIONS.includes(name);
-}
-
 /**
  * Extract the content of a named section from current.md.
- * Strips the source comment line if present.
- * Only stops at known top-level section headers, not subsections within content.
+ * Source and inline-marker comment lines are not part of the content, and
+ * embedded `## ` headings (calendar days) stay inside their section.
  * @param {string} content - Full current.md content
  * @param {string} sectionName - Section name (without ##)
  * @returns {string} Section content (trimmed), or empty string
  */
 export function extractSectionContent(content, sectionName) {
-  const lines = content.split('\n');
-  const headerPattern = new RegExp(`^## ${sectionName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*$`);
-
-  let startIndex = -1;
-  let endIndex = lines.length;
-
-  for (let i = 0; i < lines.length; i++) {
-    if (headerPattern.test(lines[i])) {
-      startIndex = i + 1;
-    } else if (startIndex !== -1 && isTopLevelSection(lines[i])) {
-      endIndex = i;
-      break;
-    }
-  }
-
-  if (startIndex === -1) return '';
-
-  const sectionLines = lines.slice(startIndex, endIndex);
-
-  // Strip source comment lines
-  const filtered = sectionLines.filter(
-    line => !line.trim().startsWith('<!-- Source:') && !line.trim().startsWith('<!-- Managed inline')
-  );
-
-  return filtered.join('\n').trim();
+  return splitSections(content).get(sectionName)?.content ?? '';
 }
 
 /**
  * Compute the decompose plan: which sections map to which source files.
+ * Paths come from each section's own Source comment, so a pack built
+ * before midnight decomposes into the files it was built from.
  * Skips inline-managed sections and the combined Identity section.
  * @param {string} content - Full current.md content
  * @returns {Array<{path: string, content: string, section: string}>}
  */
 export function computeDecomposePlan(content) {
-  const plan = [];
-  const lines = content.split('\n');
+  const sections = splitSections(content);
 
-  let currentSection = null;
-  let currentLines = [];
-  let sourceComment = null;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+  return CONTEXT_SECTIONS.flatMap(({ name, inline }) => {
+    const section = sections.get(name);
+    if (inline || !section?.source || section.source.includes('*')) return [];
+    return [{ section: name, path: `data/${section.source}`, content: section.content }];
+  });
+}
 
-    if (isTopLevelSection(line)) {
-      // Flush previous section
-      if (currentSection && sourceComment) {
-        plan.push({
-          section: currentSection,
-          path: `data/${sourceComment}`,
-          content: currentLines
-            .filter(l => !l.trim().startsWith('<!-- Source:') && !l.trim().startsWith('<!-- Managed inline'))
-            .join('\n')
-            .trim(),
-        });
-      }
+/**
+ * Sections that have a source comment but are never written back.
+ * The Project Index is filtered to active projects during rebuild, so
+ * writing it back would drop archived rows; BrainDO writes index.md directly.
+ */
+const NON_DECOMPOSABLE_SECTIONS = ['Project Index'];
 
-      currentSection = line.replace(/^## /, '').trim();
-      currentLines = [];
-      sourceComment = null;
-    } else {
-      if (currentSection) {
-        currentLines.push(line);
+/**
+ * Check if section content is a rebuild placeholder such as
+ * "*No captures yet today*" rather than real content.
+ * @param {string} content - Section content (trimmed)
+ * @returns {boolean}
+ */
+export function isPlaceholder(content) {
+  return /^\*[^*\n]+\*$/.test(content);
+}
 
-        // Detect source comment
-        const sourceMatch = line.match(/<!-- Source: (.+?) -->/);
-        if (sourceMatch) {
-          const sourcePath = sourceMatch[1].trim();
-          // Skip inline-managed sections
-          if (line.includes('Managed inline')) {
-            sourceComment = null;
-          } else if (sourcePath.includes('*')) {
-            // Skip glob patterns (Identity section)
-            sourceComment = null;
-          } else {
-            sourceComment = sourcePath;
-          }
-        }
-      }
-    }
-  }
+/**
+ * Reduce a decompose plan to the entries whose source file differs.
+ * Comparison ignores surrounding whitespace. A placeholder section over
+ * a missing or empty source is not a change.
+ * @param {Array<{path: string, content: string, section: string}>} plan - Output of computeDecomposePlan
+ * @param {Object<string, string>} sources - Current source contents by path ('' if missing)
+ * @returns {Array<{path: string, content: string, section: string}>} Entries to write
+ */
+export function diffDecomposePlan(plan, sources) {
+  return plan.filter(entry => {
+    if (NON_DECOMPOSABLE_SECTIONS.includes(entry.section)) return false;
 
-  // Flush last section
-  if (currentSection && sourceComment) {
-    plan.push({
-      section: currentSection,
-      path: `data/${sourceComment}`,
-      content: currentLines
-        .filter(l => !l.trim().startsWith('<!-- Source:') && !l.trim().startsWith('<!-- Managed inline'))
-        .join('\n')
-        .trim(),
-    });
-  }
+    const existing = (sources[entry.path] || '').trim();
+    if (!existing && (!entry.content || isPlaceholder(entry.content))) return false;
 
-  return plan;
+    return entry.content !== existing;
+  });
 }
 
 /**
- * Execute the decompose: write each planned section to its source file.
+ * Read the current source file for every plan entry.
  * @param {Array} plan - Output of computeDecomposePlan
+ * @returns {Promise<Object<string, string>>} Contents by repo path
  */
-async function executeDecompose(plan) {
+async function readSources(plan) {
+  const sources = {};
   for (const entry of plan) {
+    sources[entry.path] = await readFileOrEmpty(path.join(DATA_DIR, '..', entry.path));
+  }
+  return sources;
+}
+
+/**
+ * Execute the decompose: write each changed section to its source file.
+ * @param {Array} changes - Output of diffDecomposePlan
+ */
+async function executeDecompose(changes) {
+  for (const entry of changes) {
     const fullPath = path.join(DATA_DIR, '..', entry.path);
     const dir = path.dirname(fullPath);
     await fs.mkdir(dir, { recursive: true });
@@ -208,6 +159,8 @@ async function executeDecompose(plan) {
 
 /**
  * Write the .done marker file after successful decompose.
+ * rebuild-on-push.yml only rebuilds a decompose-direction pack once
+ * this marker exists.
  * @param {string} sha - Version stamp SHA
  */
 async function writeDoneMarker(sha) {
@@ -220,6 +173,8 @@ async function writeDoneMarker(sha) {
 
 /**
  * Main decompose entry point.
+ * Diff → write changed sources → .done marker → rebuild current.md.
+ * @returns {Promise<Object>} { status: 'skipped'|'decomposed', written: string[], sha: string|null }
  */
 async function decomposeContext() {
   const currentPath = path.join(DATA_DIR, 'current.md');
@@ -227,14 +182,14 @@ async function decomposeContext() {
 
   if (!content) {
     console.log('No current.md found. Nothing to decompose.');
-    return;
+    return { status: 'skipped', written: [], sha: null };
   }
 
   const stamp = parseVersionStamp(content);
 
   if (stamp && stamp.direction !== 'decompose') {
     console.log(`Skipping decompose: direction is "${stamp.direction}", not "decompose".`);
-    return;
+    return { status: 'skipped', written: [], sha: stamp.sha };
   }
 
   console.log('Decomposing current.md into source files...');
@@ -243,19 +198,24 @@ async function decomposeContext() {
   }
 
   const plan = computeDecomposePlan(content);
+  const changes = diffDecomposePlan(plan, await readSources(plan));
 
-  if (plan.length === 0) {
-    console.log('  No decomposable sections found.');
-    return;
+  if (changes.length === 0) {
+    console.log('  Source files already match current.md.');
   }
 
-  await executeDecompose(plan);
+  await executeDecompose(changes);
 
   if (stamp?.sha) {
     await writeDoneMarker(stamp.sha);
   }
 
-  console.log(`Decompose complete: ${plan.length} files written.`);
+  // Sources are now authoritative; rebuild so current.md carries direction: build
+  await rebuildContext();
+
+  console.log(`Decompose complete: ${changes.length} of ${plan.length} source files written.`);
+
+  return { status: 'decomposed', written: changes.map(c => c.path), sha: stamp?.sha || null };
 }
 
 // Run if called directly
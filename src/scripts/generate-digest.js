@@ -11,9 +11,16 @@
 
 import { promises as fs } from 'fs';
 import path from 'path';
+import { parseTaskLine, sortByDue, daysUntilDue, formatDue } from '../worker/lib/tasks.js';
+import { parsePendingReview, sortByAge, formatPendingAge } from '../worker/lib/pending-review.js';
 
 const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
 
+/**
+ * Tasks due within this many days (or overdue) get their own section.
+ */
+const DUE_SOON_DAYS = 7;
+
 /**
  * Read a file, returning empty string if not found.
  */
@@ -153,28 +160,49 @@ function parseProjectActions(projectIndexContent) {
 
 /**
  * Parse open loops section.
+ * Task lines are read through the task model, so `text` is the title
+ * without metadata or ID and the metadata is returned alongside; plain
+ * bullets keep their text as-is.
  */
 function parseOpenLoops(openLoopsContent) {
   const loops = [];
   const lines = openLoopsContent.split('\n');
 
   for (const line of lines) {
-    if (line.trim().startsWith('- ')) {
-      const text = line.trim().slice(2);
-      const isTask = text.startsWith('[ ]') || text.startsWith('[x]');
-      const isComplete = text.startsWith('[x]');
-
-      loops.push({
-        text: text.replace(/^\[[ x]\]\s*/, ''),
-        isTask,
-        isComplete,
-      });
+    if (!line.trim().startsWith('- ')) continue;
+
+    const task = parseTaskLine(line.trim());
+    if (!task) {
+      loops.push({ text: line.trim().slice(2), isTask: false, isComplete: false, due: null, contexts: [], estimate: null, role: null });
+      continue;
     }
+
+    loops.push({
+      text: task.title,
+      isTask: true,
+      isComplete: task.checked,
+      due: task.due,
+      contexts: task.contexts,
+      estimate: task.estimate,
+      role: task.role,
+    });
   }
 
   return loops;
 }
 
+/**
+ * Split open loops into those due this week (overdue included, earliest
+ * first) and the rest in their original order.
+ */
+function splitDueSoon(loops, today) {
+  const dueSoon = sortByDue(loops.filter(loop => {
+    const days = daysUntilDue(loop, today);
+    return days !== null && days < DUE_SOON_DAYS;
+  }));
+  return { dueSoon, rest: loops.filter(loop => !dueSoon.includes(loop)) };
+}
+
 /**
  * Generate the daily digest.
  */
@@ -202,8 +230,8 @@ async function generateDigest() {
   const todayEvents = parseTodayCalendar(calendar, today);
   const prepItems = parsePrepItems(calendar, today);
   const projectActions = parseProjectActions(projectIndex);
-  const loops = parseOpenLoops(openLoops).filter(l => !l.isComplete);
-  const pendingItems = parseOpenLoops(pendingReview).filter(l => !l.isComplete);
+  const { dueSoon, rest: loops } = splitDueSoon(parseOpenLoops(openLoops).filter(l => !l.isComplete), today);
+  const pendingItems = sortByAge(parsePendingReview(pendingReview));
 
   // Build digest
   const parts = [
@@ -229,11 +257,22 @@ async function generateDigest() {
     parts.push('');
   }
 
-  // Pending review items
+  // Open loops with a due date in the next week
+  if (dueSoon.length) {
+    parts.push('## Due This Week');
+    for (const loop of dueSoon) {
+      parts.push(`- [ ] ${loop.text} (${formatDue(loop, today)})`);
+    }
+    parts.push('');
+  }
+
+  // Pending review items, oldest first, with how long they've waited
   if (pendingItems.length) {
     parts.push('## Pending Review');
     for (const item of pendingItems) {
-      parts.push(`- ${item.text}`);
+      const age = formatPendingAge(item, today);
+      const link = item.permalink ? ` [thread](${item.permalink})` : '';
+      parts.push(`- ${item.text}${age ? ` (${age})` : ''}${link}`);
     }
     parts.push('');
   }
@@ -308,4 +347,4 @@ if (process.argv[1].endsWith('generate-digest.js')) {
     });
 }
 
-export { generateDigest, formatForSlack };
+export { generateDigest, formatForSlack, parseOpenLoops, splitDueSoon };
@@ -120,6 +120,18 @@ export async function clearRecordings() {
   await fetch(`${env.TEST_WORKER_URL}/test/recordings`, { method: 'DELETE' });
 }
 
+// --- Scheduled jobs ---
+
+export async function runScheduledJob(job, now, opts = {}) {
+  const res = await fetch(`${env.TEST_WORKER_URL}/test/scheduled`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ job, now, ...opts }),
+  });
+  if (!res.ok) throw new Error(`Scheduled job failed: ${res.status} ${await res.text()}`);
+  return res.json();
+}
+
 // --- GitHub observation ---
 
 export async function githubGet(endpoint) {
@@ -0,0 +1,57 @@
+/**
+ * Test: Daily digest (Cron Trigger)
+ *
+ * SYSTEM.md: Posts to #sb-inbox every morning at 7:30am. Same output as
+ * /what-matters. Read-only — no file writes.
+ *
+ * Strategy: Invoke the digest job through /test/scheduled with a fixed
+ * timestamp instead of waiting for the cron. The test_id rides in as
+ * additional context so the stub Claude client can find it.
+ */
+
+import {
+  registerStubs, getRecordings, clearRecordings, runScheduledJob,
+  getHeadSha, poll, env,
+} from '../helpers.js';
+
+describe('Daily digest', () => {
+  const testId = `digest_${Date.now()}`;
+
+  beforeAll(async () => {
+    await clearRecordings();
+
+    await registerStubs(testId, {
+      claude: {
+        text: `**Today's Calendar:**\n- No events\n\n**Top Priorities:**\n1. Digest priority [test:${testId}]`,
+      },
+    });
+  });
+
+  test('digest posts what-matters output to #sb-inbox with no GitHub writes', async () => {
+    const headBefore = await getHeadSha();
+
+    // 7:30am EST on Sunday, Feb 1 2026
+    const result = await runScheduledJob('daily_digest', '2026-02-01T12:30:00Z', {
+      args: `[test:${testId}]`,
+    });
+    expect(result.status).toBe('ok');
+
+    const digestRec = await poll(
+      async () => {
+        const recs = await getRecordings();
+        return recs.find(r =>
+          r.method === 'chat.postMessage' && r.args?.text?.includes(testId)
+        );
+      },
+      { description: 'digest posted', timeout: 10000 }
+    );
+    expect(digestRec.args.channel).toBe(env.INBOX_CHANNEL_ID);
+    expect(digestRec.args.text).toContain('What Matters Today');
+    expect(digestRec.args.text).toContain('Sunday, February 1, 2026');
+    expect(digestRec.args.thread_ts).toBeUndefined();
+
+    // Read-only: HEAD did not move
+    const headAfter = await getHeadSha();
+    expect(headAfter).toBe(headBefore);
+  });
+});
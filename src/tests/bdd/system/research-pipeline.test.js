@@ -29,6 +29,7 @@ describe('Research pipeline', () => {
     // 3. evaluateResults → check completeness
     // 4. synthesizeWithContext → produce synthesis
     // 5. qualityCheck → score the synthesis
+    // EXTRACT makes no Claude call here: no stub pages are registered.
     await registerStubs(testId, {
       claude: [
         // 1. Extract research query (handleResearchRequest)
@@ -77,6 +77,11 @@ describe('Project Actions', () => {
         expect(result.actions[0].type).toBe('start_research');
         expect(result.actions[0].projectSlug).toBe('test-project');
         expect(result.actions[0].query).toBe('best testing frameworks 2026');
+
+        // And the query came from a forced trigger_research tool call
+        const { tools, toolChoice } = claudeClient.toolUse.mock.calls[0][0];
+        expect(tools.map(t => t.name)).toEqual(['trigger_research']);
+        expect(toolChoice).toEqual({ type: 'tool', name: 'trigger_research' });
       });
     });
 
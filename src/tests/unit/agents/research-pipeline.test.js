@@ -1,14 +1,39 @@
 /**
- * Tests for Research Agent exported functions — evaluateResults, planResearch,
- * and qualityCheck.
+ * Tests for Research Agent exported functions — executeResearch,
+ * extractFromPages, evaluateResults, planResearch, qualityCheck and
+ * buildResearchIntents.
  *
  * Uses mock Claude client to isolate evaluation/planning logic from
  * network and search concerns.
  */
 
 import { jest } from '@jest/globals';
-import { evaluateResults, planResearch, qualityCheck } from '../../../worker/agents/research-agent.js';
-import { createMockClaudeClient, createMockLogger } from '../helpers/mock-factories.js';
+import {
+  executeResearch,
+  RESEARCH_STEPS,
+  extractFromPages,
+  createExtractBudget,
+  evaluateResults,
+  planResearch,
+  qualityCheck,
+  buildResearchIntents,
+  compactRunState,
+} from '../../../worker/agents/research-agent.js';
+import { createStubPageFetcher } from '../../../worker/lib/stub-page-fetcher.js';
+import { applyToolCall } from '../../../worker/lib/tool-applicator.js';
+import {
+  createMockClaudeClient,
+  createMockLogger,
+  createMockSlackClient,
+  createMockTavilyClient,
+} from '../helpers/mock-factories.js';
+
+/**
+ * The system prompt of a Claude call as one string (it is sent as cached blocks).
+ */
+function systemText(call) {
+  return call[0].system.map(block => block.text).join('\n\n');
+}
 
 describe('Research Pipeline', () => {
   let logger;
@@ -102,6 +127,251 @@ describe('Research Pipeline', () => {
     });
   });
 
+  describe('executeResearch', () => {
+    describe('context: request listing fields per entity', () => {
+      it('should deliver a table to Slack and the spread, with a CSV in logs/', async () => {
+        // Given a planner that declares columns and a synthesis that fills them
+        const claudeClient = createMockClaudeClient({
+          messageJson: [
+            { queries: ['asheville integrative clinics'], format: 'table', completeness_criteria: [], columns: ['Name', 'Phone', 'Accepting patients'] },
+            {
+              summary: 'Two clinics found.',
+              key_points: ['MAHEC takes new patients'],
+              recommendations: [],
+              sources_to_cite: [],
+              table: [
+                { Name: { value: 'MAHEC', source: 1 }, Phone: { value: '828-555-0100', source: 1 }, 'Accepting patients': { value: 'Yes', source: 1 } },
+                { Name: { value: 'Blue Ridge Health', source: 2 }, Phone: { value: 'unknown', source: null }, 'Accepting patients': { value: 'unknown', source: null } },
+              ],
+            },
+            { score: 0.9, issues: [] },
+          ],
+        });
+        const tavilyClient = createMockTavilyClient([
+          { url: 'https://mahec.net', title: 'MAHEC', content: 'Accepting new patients. 828-555-0100', score: 0.9 },
+          { url: 'https://blueridge.org', title: 'Blue Ridge Health', content: 'Integrative care', score: 0.8 },
+        ]);
+        const slackClient = createMockSlackClient();
+
+        // When the pipeline runs for a project
+        const result = await executeResearch(
+          { query: 'integrative clinics: name, phone, accepting patients' },
+          { projectSlug: 'find-pcp', spread: '# Find PCP\n\n## Research\n', channelId: 'C1', threadTs: '1.1', contextPack: null },
+          { claudeClient, tavilyClient, slackClient, logger }
+        );
+
+        // Then synthesis was asked for the declared columns
+        expect(systemText(claudeClient.messageJson.mock.calls[1])).toContain('exactly these keys: Name, Phone, Accepting patients');
+
+        // And the Slack result carries the table in a code block, with citations and unknowns
+        const delivered = slackClient.postMessage.mock.calls.at(-1)[0].text;
+        expect(delivered).toContain('```\nName                  | Phone            | Accepting patients\n');
+        expect(delivered).toContain('Blue Ridge Health [2] | unknown          | unknown\n```');
+        expect(delivered).toContain('```\n\n[1] https://mahec.net');
+
+        // And the CSV sits next to the log, referenced from the spread
+        const csv = result.writeIntents.find(i => i.path.endsWith('-research.csv'));
+        expect(csv.path).toMatch(/^data\/projects\/find-pcp\/logs\/\d+-research\.csv$/);
+        expect(csv.content).toContain('MAHEC,https://mahec.net,828-555-0100,https://mahec.net,Yes,https://mahec.net');
+        expect(result.spread).toContain('| MAHEC [1] | 828-555-0100 [1] | Yes [1] |');
+        expect(result.spread).toContain(`CSV: ${csv.path.replace('data/projects/find-pcp/', '')}`);
+      });
+    });
+
+    describe('context: user context pack', () => {
+      it('should cache the synthesis instructions and the stable user context', async () => {
+        const claudeClient = createMockClaudeClient({
+          messageJson: [
+            { queries: ['asheville pcp'], format: 'summary', completeness_criteria: [] },
+            { summary: 'MAHEC is accepting patients.', key_points: [], recommendations: [], sources_to_cite: [] },
+            { score: 0.9, issues: [] },
+          ],
+        });
+        const contextPack = '# Current Context\n\n## Open Loops\n- [ ] Call MAHEC ^aaaaaa\n\n## Identity\nNurse in Asheville, no car';
+
+        await executeResearch(
+          { query: 'pcp accepting patients' },
+          { projectSlug: 'find-pcp', spread: '# Find PCP\n\n## Research\n', channelId: 'C1', threadTs: '1.1', contextPack },
+          { claudeClient, tavilyClient: createMockTavilyClient(), slackClient: createMockSlackClient(), logger }
+        );
+
+        // Then the instructions and Identity are cached, the project and format are not
+        const [instructions, userContext, rest] = claudeClient.messageJson.mock.calls[1][0].system;
+        expect([instructions, userContext].map(block => block.cache_control)).toEqual([{ type: 'ephemeral' }, { type: 'ephemeral' }]);
+        expect(userContext.text).toContain('Nurse in Asheville');
+        expect(userContext.text).not.toContain('Call MAHEC');
+        expect(rest.cache_control).toBeUndefined();
+        expect(rest.text).toContain('## Project Context (find-pcp)');
+        expect(rest.text).toContain('Desired format: summary');
+      });
+    });
+
+    describe('context: checkpointed run', () => {
+      const context = { projectSlug: 'find-pcp', spread: '# Find PCP\n\n## Research\n', channelId: 'C1', threadTs: '1.1', contextPack: null };
+      const synthesis = { summary: 'MAHEC is accepting patients.', key_points: [], recommendations: [], sources_to_cite: [] };
+
+      it('should checkpoint the run after each step', async () => {
+        const claudeClient = createMockClaudeClient({
+          messageJson: [{ queries: ['asheville pcp'], format: 'summary', completeness_criteria: [] }, synthesis, { score: 0.9, issues: [] }],
+        });
+        const checkpoints = [];
+        const checkpoint = async run => { checkpoints.push(structuredClone(run)); };
+
+        await executeResearch(
+          { query: 'pcp accepting patients' },
+          context,
+          { claudeClient, tavilyClient: createMockTavilyClient(), slackClient: createMockSlackClient(), checkpoint, logger }
+        );
+
+        expect(checkpoints.map(run => run.completed.at(-1))).toEqual(RESEARCH_STEPS);
+        expect(checkpoints[1].findings[0].source).toBe('https://example.com');
+        expect(checkpoints[1].synthesis).toBeUndefined();
+      });
+
+      it('should resume after the last completed step', async () => {
+        // Given a run that stopped after synthesis
+        const resume = {
+          query: 'pcp accepting patients',
+          completed: ['plan', 'search', 'extract', 'evaluate', 'fill_gaps', 'synthesize'],
+          startedAt: Date.now(),
+          plan: { queries: ['asheville pcp'], savedSources: [], format: 'summary', completeness_criteria: [], columns: null },
+          findings: [{ source: 'https://mahec.net', title: 'MAHEC', content: 'Accepting new patients', query: 'asheville pcp' }],
+          synthesis: { summary: 'MAHEC is accepting patients.', keyPoints: ['MAHEC takes Aetna'], recommendations: [], sources: [] },
+        };
+        const claudeClient = createMockClaudeClient({ messageJson: [{ score: 0.9, issues: [] }] });
+        const tavilyClient = createMockTavilyClient();
+        const slackClient = createMockSlackClient();
+
+        // When it resumes
+        const result = await executeResearch(
+          { query: 'pcp accepting patients' },
+          { ...context, resume },
+          { claudeClient, tavilyClient, slackClient, logger }
+        );
+
+        // Then only the quality check and delivery run
+        expect(claudeClient.messageJson).toHaveBeenCalledTimes(1);
+        expect(tavilyClient.search).not.toHaveBeenCalled();
+        expect(slackClient.postMessage).toHaveBeenCalledTimes(1);
+        expect(slackClient.postMessage.mock.calls[0][0].text).toContain('MAHEC is accepting patients.');
+        expect(result.spread).toContain('MAHEC is accepting patients.');
+        expect(result.findings).toEqual(resume.findings);
+      });
+
+      it('should checkpoint compact findings that fit one storage value', () => {
+        // Given a run with 400 findings, each with a long snippet, facts and the search answer
+        const run = {
+          query: 'clinic fees',
+          completed: ['plan', 'search', 'extract'],
+          findings: Array.from({ length: 400 }, (_, i) => ({
+            source: `https://clinic-${i}.example`,
+            title: `Clinic ${i}`,
+            content: 'Snippet text. '.repeat(40),
+            score: 0.5,
+            query: 'clinic fees',
+            answer: 'Tavily answer. '.repeat(40),
+            extracted: [`Clinic ${i} fee: $${i}`, 'Another fact. '.repeat(20)],
+          })),
+        };
+
+        // When it is compacted
+        const compact = compactRunState(run);
+
+        // Then every finding is kept, without the answer and with its first fact
+        expect(compact.completed).toEqual(run.completed);
+        expect(compact.findings).toHaveLength(400);
+        expect(compact.findings[7]).toMatchObject({ source: 'https://clinic-7.example', title: 'Clinic 7', score: 0.5, query: 'clinic fees' });
+        expect(compact.findings[7].answer).toBeUndefined();
+        expect(compact.findings[7].extracted).toEqual(['Clinic 7 fee: $7']);
+
+        // And the whole state stays well under the 128 KiB value limit
+        expect(new TextEncoder().encode(JSON.stringify(run)).length).toBeGreaterThan(128 * 1024);
+        expect(new TextEncoder().encode(JSON.stringify(compact)).length).toBeLessThan(100 * 1024);
+      });
+    });
+  });
+
+  describe('extractFromPages', () => {
+    const findings = [
+      { source: 'https://low.example', title: 'Low', content: 'snippet', score: 0.2 },
+      { source: 'https://mahec.net', title: 'MAHEC', content: 'MAHEC snippet', score: 0.9 },
+      { source: 'https://blueridge.org', title: 'Blue Ridge', content: 'Blue Ridge snippet', score: 0.8 },
+      { source: 'https://saved.example', title: 'Saved', content: 'saved', fromLibrary: true, fetched: '2026-02-20', score: 1 },
+    ];
+    const pageFetcher = createStubPageFetcher({
+      stubPages: new Map([
+        ['https://mahec.net', '<title>MAHEC</title><p>Phone: 828-555-0100</p><p>Membership: $99/mo</p>'],
+        ['https://blueridge.org', `<p>${'Blue Ridge accepts Aetna. '.repeat(20)}</p>`],
+        ['https://low.example', '<p>Low page</p>'],
+      ]),
+    });
+
+    it('should read the top pages within the caps and attach the extracted facts', async () => {
+      // Given a budget of two pages and 100 characters
+      const claudeClient = createMockClaudeClient({
+        messageJson: [{ pages: [{ page: 1, facts: ['MAHEC phone: 828-555-0100', 'MAHEC membership: $99/mo'] }, { page: 2, facts: [] }] }],
+      });
+      const budget = createExtractBudget({ maxPages: 2, maxTotalChars: 100 });
+
+      // When the pages are extracted
+      const result = await extractFromPages(findings, { query: 'clinic fees', fields: ['Phone', 'Fees'] }, { claudeClient, pageFetcher, logger }, budget);
+
+      // Then the two best-scoring fetched pages were sent, cut to the character cap
+      const { system, userMessage } = claudeClient.messageJson.mock.calls[0][0];
+      expect(system).toContain('- Phone\n- Fees');
+      expect(userMessage).toContain('[Page 1] MAHEC\nURL: https://mahec.net\nPhone: 828-555-0100\nMembership: $99/mo');
+      expect(userMessage).toContain('URL: https://blueridge.org');
+      expect(userMessage).not.toContain('Low page');
+      expect(budget).toMatchObject({ pages: 0, chars: 0 });
+
+      // And only the page with facts carries them
+      expect(result[1].extracted).toEqual(['MAHEC phone: 828-555-0100', 'MAHEC membership: $99/mo']);
+      expect(result[2].extracted).toBeUndefined();
+      expect(result[3]).toBe(findings[3]);
+    });
+
+    it('should not read the same page twice in one run', async () => {
+      const claudeClient = createMockClaudeClient({
+        messageJson: [{ pages: [] }, { pages: [] }],
+      });
+      const budget = createExtractBudget();
+
+      await extractFromPages(findings, { query: 'q', fields: [] }, { claudeClient, pageFetcher, logger }, budget);
+      const again = await extractFromPages(findings, { query: 'q', fields: [] }, { claudeClient, pageFetcher, logger }, budget);
+
+      expect(claudeClient.messageJson).toHaveBeenCalledTimes(1);
+      expect(again).toBe(findings);
+    });
+
+    it('should keep the snippets when fetching or extraction fails', async () => {
+      const failingFetcher = { fetchPage: async () => { throw new Error('timeout'); } };
+      const claudeClient = createMockClaudeClient();
+
+      const result = await extractFromPages(findings, { query: 'q', fields: [] }, { claudeClient, pageFetcher: failingFetcher, logger }, createExtractBudget());
+
+      expect(result).toBe(findings);
+      expect(claudeClient.messageJson).not.toHaveBeenCalled();
+      expect(logger.warn).toHaveBeenCalledWith('Page fetch failed', expect.objectContaining({ error: 'timeout' }));
+    });
+  });
+
+  describe('evaluateResults with saved sources', () => {
+    it('should mark saved findings so they count as found', async () => {
+      const claudeClient = createMockClaudeClient({
+        messageJson: [{ complete: true, missing: [], gap_queries: [] }],
+      });
+
+      await evaluateResults([
+        { title: 'MAHEC', content: 'Accepting new patients', source: 'https://mahec.net', fromLibrary: true, fetched: '2026-02-20' },
+        { title: 'Blue Ridge', content: 'Saturday hours', source: 'https://blueridge.org' },
+      ], ['has availability'], claudeClient, logger);
+
+      const { userMessage } = claudeClient.messageJson.mock.calls[0][0];
+      expect(userMessage).toContain('[1] MAHEC (saved 2026-02-20): Accepting new patients');
+      expect(userMessage).toContain('[2] Blue Ridge: Saturday hours');
+    });
+  });
+
   describe('planResearch', () => {
     describe('context: successful planning', () => {
       it('should return queries array from Claude response', async () => {
@@ -161,8 +431,79 @@ describe('Research Pipeline', () => {
         await planResearch('doctors in asheville', projectContext, claudeClient, logger);
 
         // Then Claude was called with a system prompt mentioning the project
-        const systemArg = claudeClient.messageJson.mock.calls[0][0].system;
+        const systemArg = systemText(claudeClient.messageJson.mock.calls[0]);
         expect(systemArg).toContain('find-pcp');
+
+        // And only the instructions, not the project, are in the cached block
+        const [instructions, project] = claudeClient.messageJson.mock.calls[0][0].system;
+        expect(instructions.cache_control).toEqual({ type: 'ephemeral' });
+        expect(instructions.text).not.toContain('find-pcp');
+        expect(project.cache_control).toBeUndefined();
+        expect(project.text).toContain('Finding a primary care physician');
+      });
+    });
+
+    describe('context: fields requested', () => {
+      it('should return the declared columns, or null when none', async () => {
+        const claudeClient = createMockClaudeClient({
+          messageJson: [
+            { queries: ['q'], format: 'table', completeness_criteria: [], columns: ['Name', ' Phone '] },
+            { queries: ['q'], format: 'summary', completeness_criteria: [], columns: null },
+          ],
+        });
+
+        const withFields = await planResearch('clinics: name, phone', {}, claudeClient, logger);
+        const withoutFields = await planResearch('how do clinics bill', {}, claudeClient, logger);
+
+        expect(withFields.columns).toEqual(['Name', 'Phone']);
+        expect(withoutFields.columns).toBeNull();
+      });
+    });
+
+    describe('context: saved sources', () => {
+      const savedSources = [
+        { url: 'https://mahec.net/family', title: 'MAHEC Family Health', fetched: '2026-02-20', query: 'pcp', facts: ['Accepting new patients'] },
+        { url: 'https://blueridge.org', title: 'Blue Ridge Health', fetched: '2026-02-21', query: 'pcp', facts: ['Sliding scale fees'] },
+      ];
+
+      it('should offer the saved sources and return the ones picked', async () => {
+        // Given Claude picks the second saved source and plans one search
+        const claudeClient = createMockClaudeClient({
+          messageJson: [{ queries: ['blue ridge health saturday hours'], format: 'summary', completeness_criteria: [], saved_sources: [2, 7] }],
+        });
+
+        // When planResearch is called with the library
+        const plan = await planResearch('which clinic has saturday hours', { projectSlug: 'find-pcp', savedSources }, claudeClient, logger);
+
+        // Then the prompt listed the saved sources
+        const systemArg = systemText(claudeClient.messageJson.mock.calls[0]);
+        expect(systemArg).toContain('[1] MAHEC Family Health (https://mahec.net/family, fetched 2026-02-20)');
+
+        // And only the valid pick comes back
+        expect(plan.savedSources).toEqual([savedSources[1]]);
+        expect(plan.queries).toEqual(['blue ridge health saturday hours']);
+      });
+
+      it('should skip searching when the saved sources cover the request', async () => {
+        const claudeClient = createMockClaudeClient({
+          messageJson: [{ queries: [], format: 'summary', completeness_criteria: [], saved_sources: [1] }],
+        });
+
+        const plan = await planResearch('is mahec accepting patients', { savedSources }, claudeClient, logger);
+
+        expect(plan.queries).toEqual([]);
+        expect(plan.savedSources).toEqual([savedSources[0]]);
+      });
+
+      it('should still search when nothing was picked', async () => {
+        const claudeClient = createMockClaudeClient({
+          messageJson: [{ queries: [], format: 'summary', completeness_criteria: [] }],
+        });
+
+        const plan = await planResearch('dermatologists', { savedSources }, claudeClient, logger);
+
+        expect(plan.queries).toEqual(['dermatologists']);
+        expect(plan.savedSources).toEqual([]);
       });
     });
   });
@@ -246,4 +587,87 @@ describe('Research Pipeline', () => {
       });
     });
   });
+
+  describe('buildResearchIntents', () => {
+    const synthesis = {
+      summary: 'Three clinics are accepting new patients.',
+      keyPoints: ['MAHEC accepts Aetna', 'Wait is about 6 weeks'],
+      recommendations: ['Call MAHEC first'],
+      sources: [],
+    };
+    const threadState = { query: 'pcp accepting patients', findings: [], messages: [], startedAt: Date.now() };
+
+    describe('context: project research', () => {
+      it('should return the log, the spread with its Research entry, and a stream line', () => {
+        // Given research for a project with a loaded spread
+        const spread = '# Find PCP\n\n## Status\nActive\n\n## Research\n- Earlier notes';
+
+        // When the intents are built
+        const { intents, spread: updated } = buildResearchIntents('find-pcp', synthesis, threadState, {
+          query: 'pcp accepting patients',
+          allFindings: [],
+          spread,
+        });
+
+        // Then nothing is written directly; there is one intent per file
+        expect(intents.map(i => [i.op, i.path.replace(/\d+-research/, 'TS-research').replace(/\d{4}-\d{2}-\d{2}/, 'DATE')])).toEqual([
+          ['put', 'data/projects/find-pcp/logs/TS-research.md'],
+          ['tool', 'data/projects/find-pcp/spread.md'],
+          ['tool', 'data/stream/DATE.md'],
+        ]);
+
+        // And the synthesis is appended to ## Research, as in the returned spread
+        expect(updated).toContain('- Earlier notes\n### pcp accepting patients');
+        expect(updated).toContain('- MAHEC accepts Aetna');
+        expect(intents[1]).toMatchObject({ type: 'append_to_section', heading: '## Research' });
+        expect(intents[1].content).toMatch(/^### pcp accepting patients/);
+        expect(updated).toContain(intents[1].content);
+        expect(intents[2]).toMatchObject({ type: 'append_to_section', heading: '## Captures' });
+        expect(intents[2].content).toMatch(/\| \[research\] pcp accepting patients -> proj-find-pcp$/);
+      });
+    });
+
+    describe('context: new findings for the source library', () => {
+      it('should merge new findings into sources.md and leave saved ones alone', () => {
+        // Given a library with one source, and a run that reused it and found another
+        const sources = '# Sources\n\n## MAHEC\nURL: https://mahec.net\nFetched: 2026-02-20\n\n- Accepting new patients';
+        const allFindings = [
+          { source: 'https://mahec.net', title: 'MAHEC', content: 'Accepting new patients', fromLibrary: true, fetched: '2026-02-20' },
+          { source: 'https://blueridge.org', title: 'Blue Ridge Health', content: 'Saturday hours', query: 'saturday hours' },
+        ];
+
+        // When the intents are built
+        const { intents } = buildResearchIntents('find-pcp', synthesis, threadState, {
+          query: 'saturday hours',
+          allFindings,
+          sources,
+        });
+
+        // Then only the new source is merged in; the saved one is left as it was
+        const library = intents.find(i => i.path === 'data/projects/find-pcp/sources.md');
+        expect(library).toMatchObject({ op: 'tool', type: 'merge_sources' });
+        expect(library.content).toContain('## Blue Ridge Health\nURL: https://blueridge.org\nFetched: ');
+        expect(library.content).toContain('| Query: saturday hours\n\n- Saturday hours');
+        expect(library.content).not.toContain('MAHEC');
+
+        // And merging it keeps the library's entries
+        const merged = applyToolCall(sources, library);
+        expect(merged.content).toContain('## Blue Ridge Health');
+        expect(merged.content).toContain('## MAHEC\nURL: https://mahec.net\nFetched: 2026-02-20\n\n- Accepting new patients');
+      });
+    });
+
+    describe('context: research without a project', () => {
+      it('should return only the stream line with the key points', () => {
+        const { intents, spread } = buildResearchIntents(null, synthesis, threadState, {
+          query: 'pcp accepting patients',
+          allFindings: [],
+        });
+
+        expect(spread).toBeNull();
+        expect(intents).toHaveLength(1);
+        expect(intents[0].content).toContain('| MAHEC accepts Aetna; Wait is about 6 weeks');
+      });
+    });
+  });
 });
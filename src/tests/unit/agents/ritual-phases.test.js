@@ -375,6 +375,34 @@ describe('RitualDO /start route', () => {
     expect(ritualDO._githubReader.getContent).toHaveBeenCalledWith('data/identity/goals.md');
   });
 
+  it('should report sessions started in the requested period on /status', async () => {
+    // Given two stored weekly sessions: one this week, one last week
+    mockState._storage.set('ritual-1770555600.000100', {
+      ritualType: 'weekly',
+      phase: RITUAL_PHASES.SORT,
+      startedAt: Date.parse('2026-02-07T15:00:00Z'),
+    });
+    mockState._storage.set('ritual-1769950800.000100', {
+      ritualType: 'weekly',
+      phase: RITUAL_PHASES.PLAN,
+      status: 'committed',
+      startedAt: Date.parse('2026-01-31T15:00:00Z'),
+    });
+
+    // When BrainDO asks about 2026-W06
+    const response = await ritualDO.fetch(new Request('http://internal/status', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ritualType: 'weekly', periodId: '2026-W06' }),
+    }));
+    const result = await response.json();
+
+    // Then only this week's session is reported
+    expect(result.sessions).toEqual([
+      { threadTs: '1770555600.000100', phase: RITUAL_PHASES.SORT, status: 'active' },
+    ]);
+  });
+
   it('should return 404 for unknown routes (not /start, /message, /health)', async () => {
     const request = new Request('http://internal/unknown', {
       method: 'POST',
@@ -0,0 +1,189 @@
+/**
+ * Tests for the ICS export of calendar-current.md / calendar-past.md.
+ *
+ * Validates RFC 5545 output: local times with the America/New_York TZID,
+ * all-day events, escaping and line folding.
+ */
+
+import { buildIcs, extractEvents, parseEventTime, escapeText, foldLine } from '../../../worker/lib/ics.js';
+import { BrainDO } from '../../../worker/durable-objects/brain-do.js';
+import {
+  createMockState,
+  createMockEnv,
+  createMockLogger,
+  createMockGitHubReader,
+} from '../helpers/mock-factories.js';
+
+const CURRENT = `# Upcoming Events
+
+## 2026-02-01 (Sunday)
+
+- 08:00 Bloodwork at Mercy Urgent Care, West Asheville
+  - Fasting from midnight
+
+## 2026-02-05 (Thursday)
+
+- 09:00-10:00 Therapy with Dana Jaffe
+- Mom's birthday
+`;
+
+const PAST = `# Past Events
+
+---
+
+## 2026-01-29 (Thursday)
+
+- 17:30-19:30 Massage
+`;
+
+const NOW = new Date('2026-02-01T12:30:00Z');
+
+/**
+ * Unfold and split an ICS document into VEVENT property maps.
+ */
+function parseVevents(ics) {
+  const lines = ics.replace(/\r\n /g, '').split('\r\n');
+  const events = [];
+  let current = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+    } else if (line === 'END:VEVENT') {
+      events.push(current);
+      current = null;
+    } else if (current) {
+      const idx = line.indexOf(':');
+      current[line.slice(0, idx)] = line.slice(idx + 1);
+    }
+  }
+  return events;
+}
+
+describe('ICS Export', () => {
+  describe('parseEventTime', () => {
+    it('should default a single time to one hour', () => {
+      expect(parseEventTime('08:00')).toEqual({ start: 480, end: 540 });
+    });
+
+    it('should parse a time range', () => {
+      expect(parseEventTime('09:00-10:30')).toEqual({ start: 540, end: 630 });
+    });
+
+    it('should return null for all-day events', () => {
+      expect(parseEventTime('')).toBeNull();
+    });
+  });
+
+  describe('extractEvents', () => {
+    it('should read date, time, title and notes', () => {
+      const events = extractEvents(CURRENT);
+
+      expect(events).toHaveLength(3);
+      expect(events[0]).toEqual({
+        date: '2026-02-01',
+        time: '08:00',
+        title: 'Bloodwork at Mercy Urgent Care, West Asheville',
+        notes: ['Fasting from midnight'],
+      });
+      expect(events[2]).toEqual(expect.objectContaining({ date: '2026-02-05', time: '', title: "Mom's birthday" }));
+    });
+  });
+
+  describe('buildIcs', () => {
+    it('should produce a VCALENDAR with the New York VTIMEZONE', () => {
+      const ics = buildIcs({ current: CURRENT, past: PAST, now: NOW });
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain('BEGIN:VTIMEZONE\r\nTZID:America/New_York');
+    });
+
+    it('should emit timed events with TZID and an end time', () => {
+      const events = parseVevents(buildIcs({ current: CURRENT, now: NOW }));
+
+      const bloodwork = events[0];
+      expect(bloodwork['DTSTART;TZID=America/New_York']).toBe('20260201T080000');
+      expect(bloodwork['DTEND;TZID=America/New_York']).toBe('20260201T090000');
+      expect(bloodwork.SUMMARY).toBe('Bloodwork at Mercy Urgent Care\\, West Asheville');
+      expect(bloodwork.DESCRIPTION).toBe('Fasting from midnight');
+      expect(bloodwork.DTSTAMP).toBe('20260201T123000Z');
+
+      const therapy = events[1];
+      expect(therapy['DTSTART;TZID=America/New_York']).toBe('20260205T090000');
+      expect(therapy['DTEND;TZID=America/New_York']).toBe('20260205T100000');
+    });
+
+    it('should emit untimed lines as all-day events', () => {
+      const events = parseVevents(buildIcs({ current: CURRENT, now: NOW }));
+
+      expect(events[2]['DTSTART;VALUE=DATE']).toBe('20260205');
+      expect(events[2]['DTEND;VALUE=DATE']).toBe('20260206');
+    });
+
+    it('should roll an overnight range into the next day', () => {
+      const events = parseVevents(buildIcs({
+        current: '## 2026-02-28 (Saturday)\n\n- 22:00-01:00 Late show\n',
+        now: NOW,
+      }));
+
+      expect(events[0]['DTEND;TZID=America/New_York']).toBe('20260301T010000');
+    });
+
+    it('should include past events and keep UIDs stable between builds', () => {
+      const first = parseVevents(buildIcs({ current: CURRENT, past: PAST, now: NOW }));
+      const second = parseVevents(buildIcs({ current: CURRENT, past: PAST, now: new Date() }));
+
+      expect(first).toHaveLength(4);
+      expect(first[0].SUMMARY).toBe('Massage');
+      expect(first.map(e => e.UID)).toEqual(second.map(e => e.UID));
+      expect(new Set(first.map(e => e.UID)).size).toBe(4);
+    });
+
+    it('should return an empty calendar when there are no events', () => {
+      const ics = buildIcs({ now: NOW });
+      expect(ics).not.toContain('BEGIN:VEVENT');
+    });
+  });
+
+  describe('escapeText', () => {
+    it('should escape backslashes, separators and newlines', () => {
+      expect(escapeText('a\\b; c, d\ne')).toBe('a\\\\b\\; c\\, d\\ne');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('should fold lines longer than 75 octets', () => {
+      const line = 'SUMMARY:' + 'x'.repeat(150);
+      const folded = foldLine(line);
+
+      for (const part of folded.split('\r\n')) {
+        expect(new TextEncoder().encode(part).length).toBeLessThanOrEqual(75);
+      }
+      expect(folded.replace(/\r\n /g, '')).toBe(line);
+    });
+
+    it('should not split multi-byte characters', () => {
+      const line = 'SUMMARY:' + 'é'.repeat(60);
+      expect(foldLine(line).replace(/\r\n /g, '')).toBe(line);
+    });
+  });
+
+  describe('BrainDO /calendar.ics', () => {
+    it('should serve both calendar files as text/calendar', async () => {
+      const brain = new BrainDO(createMockState(), createMockEnv());
+      brain._logger = createMockLogger();
+      brain._githubReader = createMockGitHubReader({
+        'data/planning/calendar-current.md': CURRENT,
+        'data/planning/calendar-past.md': PAST,
+      });
+
+      const response = await brain.fetch(new Request('http://internal/calendar.ics'));
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('text/calendar; charset=utf-8');
+      const events = parseVevents(await response.text());
+      expect(events.map(e => e.SUMMARY)).toContain('Massage');
+      expect(events.map(e => e.SUMMARY)).toContain('Therapy with Dana Jaffe');
+    });
+  });
+});
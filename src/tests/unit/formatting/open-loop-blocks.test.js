@@ -0,0 +1,91 @@
+/**
+ * Tests for Open Loops Block Kit rendering and action parsing.
+ */
+
+import {
+  buildOpenLoopBlocks,
+  parseOpenLoopAction,
+  resolveOpenLoopBlock,
+  textToSections,
+  DONE_ACTION_ID,
+  MENU_ACTION_ID,
+} from '../../../worker/lib/open-loop-blocks.js';
+import { parseTaskLine } from '../../../worker/lib/tasks.js';
+
+const TASKS = [
+  '- [ ] Call PCP due:2026-03-01 @phone ^aaaaaa',
+  '- [x] Submit report ^bbbbbb',
+  '- [ ] Order raised bed soil ^cccccc',
+  '- [ ] Legacy task without an ID',
+].map(parseTaskLine);
+
+describe('Open Loop Blocks', () => {
+  describe('buildOpenLoopBlocks', () => {
+    it('should render a checkbox and menu per open task with an ID', () => {
+      const blocks = buildOpenLoopBlocks(TASKS, '2026-02-28');
+      const rows = blocks.filter(block => block.type === 'actions');
+
+      expect(rows.map(row => row.block_id)).toEqual(['open_loop:aaaaaa', 'open_loop:cccccc']);
+      expect(rows[0].elements[0]).toMatchObject({
+        type: 'checkboxes',
+        action_id: DONE_ACTION_ID,
+        options: [{ text: { text: 'Call PCP _(due tomorrow)_' }, value: 'aaaaaa' }],
+      });
+      expect(rows[0].elements[1].options.map(option => option.value))
+        .toEqual(['drop:aaaaaa', 'snooze:aaaaaa:1', 'snooze:aaaaaa:7']);
+    });
+
+    it('should render nothing without open tasks', () => {
+      expect(buildOpenLoopBlocks([TASKS[1]], '2026-02-28')).toEqual([]);
+    });
+
+    it('should cap the rows and point to /todo list for the rest', () => {
+      const many = Array.from({ length: 25 }, (_, i) => parseTaskLine(`- [ ] Task ${i} ^t${String(i).padStart(5, '0')}`));
+
+      const blocks = buildOpenLoopBlocks(many, '2026-02-28');
+
+      expect(blocks.filter(block => block.type === 'actions')).toHaveLength(20);
+      expect(blocks.at(-1).elements[0].text).toContain('and 5 more');
+    });
+  });
+
+  describe('parseOpenLoopAction', () => {
+    it('should read a checked box as done and ignore unchecking', () => {
+      expect(parseOpenLoopAction({ action_id: DONE_ACTION_ID, selected_options: [{ value: 'aaaaaa' }] }))
+        .toEqual({ op: 'done', id: 'aaaaaa' });
+      expect(parseOpenLoopAction({ action_id: DONE_ACTION_ID, selected_options: [] })).toBeNull();
+    });
+
+    it('should read drop and snooze from the menu', () => {
+      expect(parseOpenLoopAction({ action_id: MENU_ACTION_ID, selected_option: { value: 'drop:aaaaaa' } }))
+        .toEqual({ op: 'drop', id: 'aaaaaa' });
+      expect(parseOpenLoopAction({ action_id: MENU_ACTION_ID, selected_option: { value: 'snooze:aaaaaa:7' } }))
+        .toEqual({ op: 'snooze', id: 'aaaaaa', days: 7 });
+      expect(parseOpenLoopAction({ action_id: 'something_else' })).toBeNull();
+    });
+  });
+
+  describe('resolveOpenLoopBlock', () => {
+    it('should replace only the acted-on row', () => {
+      const blocks = buildOpenLoopBlocks(TASKS, '2026-02-28');
+
+      const updated = resolveOpenLoopBlock(blocks, 'aaaaaa', '~Call PCP~ — done');
+
+      expect(updated.find(block => block.block_id === 'open_loop:aaaaaa'))
+        .toEqual({ type: 'context', block_id: 'open_loop:aaaaaa', elements: [{ type: 'mrkdwn', text: '~Call PCP~ — done' }] });
+      expect(updated.find(block => block.block_id === 'open_loop:cccccc').type).toBe('actions');
+    });
+  });
+
+  describe('textToSections', () => {
+    it('should split long text on line breaks under the section limit', () => {
+      const text = Array.from({ length: 100 }, (_, i) => `${i}. ${'x'.repeat(50)}`).join('\n');
+
+      const sections = textToSections(text);
+
+      expect(sections.length).toBeGreaterThan(1);
+      expect(sections.every(section => section.text.text.length <= 3000)).toBe(true);
+      expect(sections.map(section => section.text.text).join('\n')).toBe(text);
+    });
+  });
+});
@@ -5,18 +5,23 @@
  */
 
 import { jest } from '@jest/globals';
+import { jsonToToolUses } from '../../../worker/lib/stub-claude-client.js';
 
 /**
  * Create a mock Durable Object state.
  */
 export function createMockState() {
   const storage = new Map();
+  let alarm = null;
   return {
     storage: {
       get: jest.fn(async (key) => storage.get(key)),
       put: jest.fn(async (key, value) => storage.set(key, value)),
       delete: jest.fn(async (key) => storage.delete(key)),
       list: jest.fn(async () => storage),
+      getAlarm: jest.fn(async () => alarm),
+      setAlarm: jest.fn(async (time) => { alarm = time; }),
+      deleteAlarm: jest.fn(async () => { alarm = null; }),
     },
     _storage: storage,
   };
@@ -69,6 +74,8 @@ export function createMockLogger() {
 
 /**
  * Create a mock Claude client with configurable responses.
+ * toolUse returns `responses.toolUse` ({ text, toolUses }) when given;
+ * otherwise it converts the next messageJson response into tool_use blocks.
  * @param {Object|string|Function} responses - Response(s) to return
  */
 export function createMockClaudeClient(responses = {}) {
@@ -80,6 +87,7 @@ export function createMockClaudeClient(responses = {}) {
 
   let messageCallCount = 0;
   let messageJsonCallCount = 0;
+  let toolUseCallCount = 0;
 
   const messageResponses = responses.message
     ? [].concat(responses.message)
@@ -89,6 +97,8 @@ export function createMockClaudeClient(responses = {}) {
     ? [].concat(responses.messageJson)
     : [{ intent: 'capture', confidence: 0.9, reasoning: 'mock' }];
 
+  const toolUseResponses = responses.toolUse ? [].concat(responses.toolUse) : null;
+
   return {
     message: jest.fn(async () => {
       const idx = Math.min(messageCallCount++, messageResponses.length - 1);
@@ -99,6 +109,14 @@ export function createMockClaudeClient(responses = {}) {
       return resolveResponse(messageJsonResponses[idx]);
     }),
     conversation: jest.fn(async () => 'Mock conversation response'),
+    toolUse: jest.fn(async ({ tools }) => {
+      if (toolUseResponses) {
+        const idx = Math.min(toolUseCallCount++, toolUseResponses.length - 1);
+        return { text: '', stopReason: 'tool_use', ...resolveResponse(toolUseResponses[idx]) };
+      }
+      const idx = Math.min(messageJsonCallCount++, messageJsonResponses.length - 1);
+      return { text: '', toolUses: jsonToToolUses(resolveResponse(messageJsonResponses[idx]), tools), stopReason: 'tool_use' };
+    }),
     classify: jest.fn(async () => ({ intent: 'capture', confidence: 0.9, reasoning: 'mock' })),
   };
 }
@@ -113,7 +131,9 @@ export function createMockSlackClient() {
       ts: `${Date.now() / 1000}`,
       channel: params.channel,
     })),
+    updateMessage: jest.fn(async (params) => ({ ok: true, ts: params.ts, channel: params.channel })),
     addReaction: jest.fn(async () => ({ ok: true })),
+    getPermalink: jest.fn(async ({ channel, message_ts }) => `https://mock.slack.com/archives/${channel}/p${message_ts.replace('.', '')}`),
     removeReaction: jest.fn(async () => ({ ok: true })),
     getChannelInfo: jest.fn(async () => ({
       ok: true,
@@ -140,6 +160,15 @@ export function createMockGitHubWriter() {
   };
 }
 
+/**
+ * Create an error as the GitHub writer throws it for a failed request.
+ * Defaults to a rejected branch ref update (not a fast forward).
+ */
+export function createGitHubApiError(status = 422, text = 'Update is not a fast forward', method = 'PATCH', endpoint = '/repos/owner/repo/git/refs/heads/main') {
+  const error = new Error(`GitHub API error: ${status} - ${text}`);
+  return Object.assign(error, { status, method, endpoint });
+}
+
 /**
  * Create a mock GitHub reader.
  */
@@ -147,6 +176,7 @@ export function createMockGitHubReader(files = {}) {
   return {
     getContent: jest.fn(async (path) => files[path] || null),
     getSha: jest.fn(async () => 'mock-sha-abc123'),
+    getHeadSha: jest.fn(async () => 'mock-head-sha'),
     listDirectory: jest.fn(async () => []),
   };
 }
@@ -0,0 +1,108 @@
+/**
+ * Tests for Claude tool use: the client sends tool definitions and returns
+ * typed tool_use blocks, and the stub client returns the same shape from
+ * legacy JSON stubs.
+ */
+
+import { createClaudeClient } from '../../../worker/lib/claude-client.js';
+import { createStubClaudeClient, jsonToToolUses } from '../../../worker/lib/stub-claude-client.js';
+import { buildToolDefinitions } from '../../../worker/lib/tool-validator.js';
+import nock from 'nock';
+
+const REPLY_TOOL = {
+  name: 'reply',
+  description: 'Send the Slack reply',
+  input_schema: { type: 'object', properties: { slack_reply: { type: 'string' } }, required: ['slack_reply'] },
+};
+
+const TOOLS = [...buildToolDefinitions(['append_to_section', 'update_spread']), REPLY_TOOL];
+
+describe('Claude Tool Use', () => {
+  beforeEach(() => {
+    nock.disableNetConnect();
+    nock.enableNetConnect('localhost');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe('createClaudeClient().toolUse', () => {
+    it('should send the tools and return text and tool_use blocks', async () => {
+      // Given the API answers with a text block and two tool calls
+      let sentBody;
+      nock('https://api.anthropic.com')
+        .post('/v1/messages', (body) => {
+          sentBody = body;
+          return true;
+        })
+        .reply(200, {
+          stop_reason: 'tool_use',
+          content: [
+            { type: 'text', text: 'Capturing that.' },
+            { type: 'tool_use', id: 'toolu_1', name: 'append_to_section', input: { path: 'data/current.md', heading: '## Open Loops', content: '- [ ] Buy soil' } },
+            { type: 'tool_use', id: 'toolu_2', name: 'reply', input: { slack_reply: 'Added.' } },
+          ],
+        });
+
+      // When toolUse is called
+      const client = createClaudeClient({ apiKey: 'test-key' });
+      const result = await client.toolUse({
+        system: 'You are a test assistant.',
+        messages: [{ role: 'user', content: 'Buy soil' }],
+        tools: TOOLS,
+        toolChoice: { type: 'any' },
+      });
+
+      // Then the request carried the definitions and the tool choice
+      expect(sentBody.tools).toEqual(TOOLS);
+      expect(sentBody.tool_choice).toEqual({ type: 'any' });
+
+      // And the blocks come back typed, in order
+      expect(result.text).toBe('Capturing that.');
+      expect(result.stopReason).toBe('tool_use');
+      expect(result.toolUses.map(use => [use.type, use.name])).toEqual([
+        ['tool_use', 'append_to_section'],
+        ['tool_use', 'reply'],
+      ]);
+      expect(result.toolUses[0].input.heading).toBe('## Open Loops');
+    });
+  });
+
+  describe('jsonToToolUses', () => {
+    it('should convert tool_calls, spread_updates and the reply fields', () => {
+      const uses = jsonToToolUses({
+        thinking: 'Task',
+        tool_calls: [{ tool: 'append_to_section', path: 'data/current.md', heading: '## Open Loops', content: '- [ ] Buy soil' }],
+        spread_updates: [{ section: 'Status', action: 'replace', content: 'Active' }],
+        slack_reply: 'Added.',
+        needs_clarification: null,
+      }, TOOLS);
+
+      expect(uses).toEqual([
+        { type: 'tool_use', id: 'toolu_stub_0', name: 'append_to_section', input: { path: 'data/current.md', heading: '## Open Loops', content: '- [ ] Buy soil' } },
+        { type: 'tool_use', id: 'toolu_stub_1', name: 'update_spread', input: { section: 'Status', action: 'replace', content: 'Active' } },
+        { type: 'tool_use', id: 'toolu_stub_2', name: 'reply', input: { thinking: 'Task', slack_reply: 'Added.', needs_clarification: null } },
+      ]);
+    });
+  });
+
+  describe('createStubClaudeClient().toolUse', () => {
+    it('should answer from the test_id in the last user message', async () => {
+      // Given a legacy JSON stub and a native tool_uses stub
+      const stubResponses = new Map([
+        ['legacy', { json: { tool_calls: [], slack_reply: 'Legacy reply' } }],
+        ['native', { tool_uses: [{ type: 'tool_use', id: 'toolu_9', name: 'reply', input: { slack_reply: 'Native reply' } }] }],
+      ]);
+      const client = createStubClaudeClient({ stubResponses });
+
+      // When each is requested
+      const legacy = await client.toolUse({ system: 's', messages: [{ role: 'user', content: 'hi [test:legacy]' }], tools: TOOLS });
+      const native = await client.toolUse({ system: 's', messages: [{ role: 'user', content: 'hi [test:native]' }], tools: TOOLS });
+
+      // Then both come back as tool_use blocks
+      expect(legacy.toolUses).toEqual([{ type: 'tool_use', id: 'toolu_stub_0', name: 'reply', input: { slack_reply: 'Legacy reply' } }]);
+      expect(native.toolUses[0].input.slack_reply).toBe('Native reply');
+    });
+  });
+});
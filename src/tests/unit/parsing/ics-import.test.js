@@ -0,0 +1,647 @@
+/**
+ * Tests for ICS import: VEVENT parsing, time zone conversion, RRULE
+ * expansion, merging into calendar-current.md, the calendar fetcher, and
+ * the BrainDO entry points (/calendar import and .ics file shares in
+ * #sb-inbox).
+ */
+
+import { jest } from '@jest/globals';
+import { parseIcs, parseDateValue, unescapeText, icsToCalendarEvents } from '../../../worker/lib/ics.js';
+import { mergeEvents, CALENDAR_PATH } from '../../../worker/lib/calendar.js';
+import { createCalendarFetcher } from '../../../worker/lib/calendar-fetcher.js';
+import { createStubCalendarFetcher } from '../../../worker/lib/stub-calendar-fetcher.js';
+import { BrainDO } from '../../../worker/durable-objects/brain-do.js';
+import nock from 'nock';
+import {
+  createMockState,
+  createMockEnv,
+  createMockLogger,
+  createMockSlackClient,
+  createMockGitHubReader,
+  createMockGitHubWriter,
+  createGitHubApiError,
+} from '../helpers/mock-factories.js';
+
+/**
+ * Wrap VEVENT bodies in a VCALENDAR with CRLF line endings.
+ */
+function vcalendar(...vevents) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//EN',
+    ...vevents.flatMap(body => ['BEGIN:VEVENT', ...body, 'END:VEVENT']),
+    'END:VCALENDAR',
+    '',
+  ].join('\r\n');
+}
+
+/**
+ * Parse and convert with a fixed "today".
+ */
+function importEvents(ics, today = '2026-02-01', windowDays) {
+  return icsToCalendarEvents(parseIcs(ics), { today, windowDays });
+}
+
+describe('ICS Import', () => {
+  describe('parseIcs', () => {
+    it('should read VEVENT properties, unfolding long lines', () => {
+      const ics = vcalendar([
+        'UID:abc@example.com',
+        'SUMMARY:Quarterly planning with the',
+        '  whole team',
+        'DTSTART;TZID=America/New_York:20260205T090000',
+        'DTEND;TZID=America/New_York:20260205T100000',
+      ]);
+
+      const [event] = parseIcs(ics);
+      expect(event.uid).toBe('abc@example.com');
+      expect(event.summary).toBe('Quarterly planning with the whole team');
+      expect(event.dtstart).toEqual({ value: '20260205T090000', params: { TZID: 'America/New_York' } });
+    });
+
+    it('should ignore properties of nested VALARMs', () => {
+      const ics = vcalendar([
+        'SUMMARY:Dentist',
+        'DTSTART:20260205T140000Z',
+        'BEGIN:VALARM',
+        'DESCRIPTION:Reminder',
+        'TRIGGER:-PT15M',
+        'END:VALARM',
+      ]);
+
+      const [event] = parseIcs(ics);
+      expect(event.summary).toBe('Dentist');
+    });
+
+    it('should collect EXDATE values', () => {
+      const ics = vcalendar([
+        'SUMMARY:Yoga',
+        'DTSTART:20260202T120000Z',
+        'EXDATE:20260209T120000Z,20260216T120000Z',
+      ]);
+
+      expect(parseIcs(ics)[0].exdates).toHaveLength(2);
+    });
+  });
+
+  describe('unescapeText', () => {
+    it('should reverse TEXT escaping', () => {
+      expect(unescapeText('a\\, b\\; c\\\\d\\ne')).toBe('a, b; c\\d\ne');
+    });
+  });
+
+  describe('parseDateValue', () => {
+    it('should recognise all-day, UTC, zoned and floating values', () => {
+      expect(parseDateValue({ value: '20260205', params: { VALUE: 'DATE' } }))
+        .toEqual({ date: '2026-02-05', minutes: null, zone: 'America/New_York' });
+      expect(parseDateValue({ value: '20260205T140000Z', params: {} }))
+        .toEqual({ date: '2026-02-05', minutes: 840, zone: 'UTC' });
+      expect(parseDateValue({ value: '20260205T090000', params: { TZID: 'Europe/London' } }))
+        .toEqual({ date: '2026-02-05', minutes: 540, zone: 'Europe/London' });
+      expect(parseDateValue({ value: '20260205T090000', params: {} }))
+        .toEqual({ date: '2026-02-05', minutes: 540, zone: 'America/New_York' });
+    });
+
+    it('should treat unknown TZIDs (e.g. Windows names) as local time', () => {
+      expect(parseDateValue({ value: '20260205T090000', params: { TZID: 'Eastern Standard Time' } }).zone)
+        .toBe('America/New_York');
+    });
+  });
+
+  describe('icsToCalendarEvents', () => {
+    it('should convert times to America/New_York with an end time', () => {
+      const { events } = importEvents(vcalendar([
+        'SUMMARY:Call with London office',
+        'DTSTART;TZID=Europe/London:20260205T150000',
+        'DTEND;TZID=Europe/London:20260205T160000',
+      ], [
+        'SUMMARY:Flight',
+        'DTSTART:20260309T150000Z',
+        'DURATION:PT2H',
+      ]));
+
+      expect(events).toEqual([
+        { date: '2026-02-05', time: '10:00-11:00', title: 'Call with London office' },
+        // DST started on Mar 8, 2026 — 15:00 UTC is 11:00 EDT
+        { date: '2026-03-09', time: '11:00-13:00', title: 'Flight' },
+      ]);
+    });
+
+    it('should import all-day events without a time', () => {
+      const { events } = importEvents(vcalendar([
+        'SUMMARY:Mom\'s birthday',
+        'DTSTART;VALUE=DATE:20260207',
+        'DTEND;VALUE=DATE:20260208',
+      ]));
+
+      expect(events).toEqual([{ date: '2026-02-07', time: '', title: 'Mom\'s birthday' }]);
+    });
+
+    it('should put multi-day all-day events on each day', () => {
+      const { events } = importEvents(vcalendar([
+        'SUMMARY:Company super week',
+        'DTSTART;VALUE=DATE:20260209',
+        'DTEND;VALUE=DATE:20260212',
+      ]));
+
+      expect(events.map(e => e.date)).toEqual(['2026-02-09', '2026-02-10', '2026-02-11']);
+    });
+
+    it('should keep the remaining days of a multi-day event already under way', () => {
+      // Given a conference that started yesterday and ends tomorrow
+      const { events } = importEvents(vcalendar([
+        'SUMMARY:Conference',
+        'DTSTART;VALUE=DATE:20260131',
+        'DTEND;VALUE=DATE:20260203',
+      ], [
+        'SUMMARY:Weekend retreat',
+        'DTSTART;VALUE=DATE:20260124',
+        'DTEND;VALUE=DATE:20260126',
+        'RRULE:FREQ=WEEKLY;COUNT=2',
+      ]));
+
+      // Then today and tomorrow are imported, and only the last day of the
+      // second weekend retreat (Jan 31 - Feb 1)
+      expect(events).toEqual([
+        { date: '2026-02-01', time: '', title: 'Conference' },
+        { date: '2026-02-01', time: '', title: 'Weekend retreat' },
+        { date: '2026-02-02', time: '', title: 'Conference' },
+      ]);
+    });
+
+    it('should drop past and cancelled events', () => {
+      const { events } = importEvents(vcalendar([
+        'SUMMARY:Last week',
+        'DTSTART:20260125T150000Z',
+      ], [
+        'SUMMARY:Cancelled',
+        'STATUS:CANCELLED',
+        'DTSTART:20260205T150000Z',
+      ]));
+
+      expect(events).toEqual([]);
+    });
+
+    it('should expand weekly BYDAY rules within the window', () => {
+      // Given Mon/Wed/Fri standup starting Mon Feb 2 at 9am New York time
+      const { events } = importEvents(vcalendar([
+        'SUMMARY:Standup',
+        'DTSTART;TZID=America/New_York:20260202T090000',
+        'DTEND;TZID=America/New_York:20260202T091500',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR',
+      ]), '2026-02-01', 14);
+
+      // Then two weeks of occurrences are imported
+      expect(events.map(e => e.date)).toEqual([
+        '2026-02-02', '2026-02-04', '2026-02-06',
+        '2026-02-09', '2026-02-11', '2026-02-13',
+      ]);
+      expect(events.every(e => e.time === '09:00-09:15')).toBe(true);
+    });
+
+    it('should honour COUNT, UNTIL and INTERVAL', () => {
+      const { events } = importEvents(vcalendar([
+        'SUMMARY:Physio',
+        'DTSTART:20260203T170000Z',
+        'RRULE:FREQ=DAILY;INTERVAL=2;COUNT=3',
+      ], [
+        'SUMMARY:Course',
+        'DTSTART:20260202T230000Z',
+        'RRULE:FREQ=WEEKLY;UNTIL=20260216T230000Z',
+      ]));
+
+      expect(events.filter(e => e.title === 'Physio').map(e => e.date))
+        .toEqual(['2026-02-03', '2026-02-05', '2026-02-07']);
+      expect(events.filter(e => e.title === 'Course').map(e => e.date))
+        .toEqual(['2026-02-02', '2026-02-09', '2026-02-16']);
+    });
+
+    it('should expand rules whose DTSTART is more occurrences back than the step cap', () => {
+      // Given a daily reminder since 1990 and a Tuesday/Thursday class since 1950
+      const { events } = importEvents(vcalendar([
+        'SUMMARY:Vitamins',
+        'DTSTART;TZID=America/New_York:19900101T080000',
+        'RRULE:FREQ=DAILY',
+      ], [
+        'SUMMARY:Choir',
+        'DTSTART;TZID=America/New_York:19500103T190000',
+        'RRULE:FREQ=WEEKLY;BYDAY=TU,TH',
+      ]), '2026-02-01', 7);
+
+      // Then this week's occurrences are still imported
+      expect(events.filter(e => e.title === 'Vitamins').map(e => e.date)).toEqual([
+        '2026-02-01', '2026-02-02', '2026-02-03', '2026-02-04', '2026-02-05', '2026-02-06', '2026-02-07', '2026-02-08',
+      ]);
+      expect(events.filter(e => e.title === 'Choir').map(e => e.date)).toEqual(['2026-02-03', '2026-02-05']);
+    });
+
+    it('should count occurrences before today toward COUNT', () => {
+      const { events } = importEvents(vcalendar([
+        'SUMMARY:Six sessions',
+        'DTSTART:20260120T170000Z',
+        'RRULE:FREQ=WEEKLY;COUNT=6',
+      ]));
+
+      // Jan 20, 27 are past; Feb 3, 10, 17, 24 remain
+      expect(events.map(e => e.date)).toEqual(['2026-02-03', '2026-02-10', '2026-02-17', '2026-02-24']);
+    });
+
+    it('should keep local wall time for recurrences across DST', () => {
+      const { events } = importEvents(vcalendar([
+        'SUMMARY:Therapy',
+        'DTSTART;TZID=America/New_York:20260305T090000',
+        'RRULE:FREQ=WEEKLY;COUNT=2',
+      ]), '2026-03-01');
+
+      expect(events).toEqual([
+        { date: '2026-03-05', time: '09:00', title: 'Therapy' },
+        { date: '2026-03-12', time: '09:00', title: 'Therapy' },
+      ]);
+    });
+
+    it('should skip EXDATEs and apply RECURRENCE-ID overrides', () => {
+      const { events } = importEvents(vcalendar([
+        'UID:standup',
+        'SUMMARY:Standup',
+        'DTSTART:20260202T140000Z',
+        'RRULE:FREQ=DAILY;COUNT=4',
+        'EXDATE:20260203T140000Z',
+      ], [
+        'UID:standup',
+        'RECURRENCE-ID:20260204T140000Z',
+        'SUMMARY:Standup (moved)',
+        'DTSTART:20260204T160000Z',
+      ]));
+
+      // And the override keeps the identity of the occurrence it moved
+      expect(events).toEqual([
+        { date: '2026-02-02', time: '09:00', title: 'Standup', uid: 'standup|2026-02-02 540' },
+        { date: '2026-02-04', time: '11:00', title: 'Standup (moved)', uid: 'standup|2026-02-04 540' },
+        { date: '2026-02-05', time: '09:00', title: 'Standup', uid: 'standup|2026-02-05 540' },
+      ]);
+    });
+
+    it('should import only the first date of unsupported rules and report them', () => {
+      const { events, unsupportedRecurrences } = importEvents(vcalendar([
+        'SUMMARY:Book club',
+        'DTSTART:20260210T230000Z',
+        'RRULE:FREQ=MONTHLY;BYDAY=2TU',
+      ]));
+
+      expect(events).toEqual([{ date: '2026-02-10', time: '18:00', title: 'Book club' }]);
+      expect(unsupportedRecurrences).toBe(1);
+    });
+  });
+
+  describe('mergeEvents', () => {
+    const calendar = `# Upcoming Events
+
+## 2026-02-05 (Thursday)
+
+- 09:00 Therapy with Dana Jaffe
+`;
+
+    it('should add new events under the right day, in date order', () => {
+      const { content, added } = mergeEvents(calendar, [
+        { date: '2026-02-03', time: '14:00-15:00', title: 'Dentist' },
+        { date: '2026-02-05', time: '', title: 'Mom\'s birthday' },
+      ]);
+
+      expect(added).toHaveLength(2);
+      expect(content).toBe(`# Upcoming Events
+
+## 2026-02-03 (Tuesday)
+
+- 14:00-15:00 Dentist
+
+## 2026-02-05 (Thursday)
+
+- 09:00 Therapy with Dana Jaffe
+- Mom's birthday
+`);
+    });
+
+    it('should skip events already on the calendar (same start, similar title)', () => {
+      const { content, added, duplicates } = mergeEvents(calendar, [
+        { date: '2026-02-05', time: '09:00-10:00', title: 'Therapy with Dana' },
+      ]);
+
+      expect(added).toEqual([]);
+      expect(duplicates).toHaveLength(1);
+      expect(content.match(/Therapy/g)).toHaveLength(1);
+    });
+
+    it('should update an event imported before whose title changed at the source', () => {
+      const imported = { 'dentist@x': { date: '2026-02-05', time: '09:00', title: 'Dentist' } };
+      const { content, added, updated } = mergeEvents(
+        '# Upcoming Events\n\n## 2026-02-05 (Thursday)\n\n- 09:00 Dentist\n  - Bring insurance card\n',
+        [{ date: '2026-02-05', time: '09:00', title: 'Dentist (cleaning)', uid: 'dentist@x' }],
+        { imported }
+      );
+
+      expect(added).toEqual([]);
+      expect(updated).toHaveLength(1);
+      expect(content).toBe('# Upcoming Events\n\n## 2026-02-05 (Thursday)\n\n- 09:00 Dentist (cleaning)\n  - Bring insurance card\n');
+    });
+
+    it('should move an event imported before to its new day', () => {
+      const imported = { 'dentist@x': { date: '2026-02-05', time: '09:00', title: 'Dentist' } };
+      const { content, updated } = mergeEvents(
+        calendar.replace('- 09:00 Therapy', '- 09:00 Dentist\n- 10:00 Therapy'),
+        [{ date: '2026-02-06', time: '14:00', title: 'Dentist', uid: 'dentist@x' }],
+        { imported }
+      );
+
+      expect(updated).toHaveLength(1);
+      expect(content).toContain('## 2026-02-05 (Thursday)\n\n- 10:00 Therapy with Dana Jaffe\n');
+      expect(content).toContain('## 2026-02-06 (Friday)\n\n- 14:00 Dentist\n');
+    });
+
+    it('should drop the old day heading when its only event moves away', () => {
+      const imported = { 'dentist@x': { date: '2026-02-04', time: '09:00', title: 'Dentist' } };
+      const { content, updated } = mergeEvents(
+        '# Upcoming Events\n\n## 2026-02-04 (Wednesday)\n\n- 09:00 Dentist\n  - Bring insurance card\n\n## 2026-02-05 (Thursday)\n\n- 10:00 Therapy\n',
+        [{ date: '2026-02-06', time: '14:00', title: 'Dentist', uid: 'dentist@x' }],
+        { imported }
+      );
+
+      expect(updated).toHaveLength(1);
+      expect(content).toBe('# Upcoming Events\n\n## 2026-02-05 (Thursday)\n\n- 10:00 Therapy\n\n## 2026-02-06 (Friday)\n\n- 14:00 Dentist\n');
+    });
+
+    it('should add the event when the line imported before is gone', () => {
+      const imported = { 'dentist@x': { date: '2026-02-05', time: '08:00', title: 'Dentist' } };
+      const { added, updated } = mergeEvents(calendar, [
+        { date: '2026-02-05', time: '08:00', title: 'Dentist (cleaning)', uid: 'dentist@x' },
+      ], { imported });
+
+      expect(added).toHaveLength(1);
+      expect(updated).toEqual([]);
+    });
+
+    it('should dedupe within the imported batch', () => {
+      const event = { date: '2026-02-06', time: '12:00', title: 'Lunch' };
+      const { added, duplicates } = mergeEvents(calendar, [event, { ...event }]);
+
+      expect(added).toHaveLength(1);
+      expect(duplicates).toHaveLength(1);
+    });
+
+    it('should start a calendar from the default header when none exists', () => {
+      const { content } = mergeEvents('', [{ date: '2026-02-06', time: '12:00', title: 'Lunch' }]);
+
+      expect(content).toMatch(/^# Upcoming Events\n/);
+      expect(content).toContain('## 2026-02-06 (Friday)\n\n- 12:00 Lunch');
+    });
+  });
+
+  describe('BrainDO', () => {
+    let brain;
+    let logger;
+
+    const ICS = vcalendar([
+      'SUMMARY:Dentist',
+      'DTSTART;TZID=America/New_York:20260203T140000',
+      'DTEND;TZID=America/New_York:20260203T150000',
+    ], [
+      'SUMMARY:Therapy with Dana',
+      'DTSTART;TZID=America/New_York:20260205T090000',
+    ]);
+
+    beforeEach(() => {
+      brain = new BrainDO(createMockState(), createMockEnv());
+      logger = createMockLogger();
+      brain._slackClient = createMockSlackClient();
+      brain._slackClient.downloadFile = jest.fn(async () => ICS);
+      brain._githubWriter = createMockGitHubWriter();
+      brain._githubWriter.batchWrite.mockResolvedValue({ commitSha: 'sha-import' });
+      brain._githubReader = createMockGitHubReader({
+        [CALENDAR_PATH]: '# Upcoming Events\n\n## 2026-02-05 (Thursday)\n\n- 09:00 Therapy with Dana Jaffe\n',
+      });
+      // Pin "today" to Feb 1, 2026 (Date only — timers stay real)
+      jest.useFakeTimers({
+        now: new Date('2026-02-01T15:00:00Z'),
+        doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'],
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    describe('importCalendar', () => {
+      it('should commit new events once and report duplicates', async () => {
+        const result = await brain.importCalendar(ICS, {
+          source: 'work.ics',
+          now: new Date('2026-02-01T15:00:00Z'),
+          logger,
+        });
+
+        expect(result.added).toEqual([{ date: '2026-02-03', time: '14:00-15:00', title: 'Dentist' }]);
+        expect(result.duplicates).toHaveLength(1);
+        expect(result.commitSha).toBe('sha-import');
+
+        expect(brain._githubWriter.batchWrite).toHaveBeenCalledTimes(1);
+        const [files, message] = brain._githubWriter.batchWrite.mock.calls[0];
+        expect(message).toBe('Import calendar: 1 event(s) from work.ics');
+        expect(files).toHaveLength(1);
+        expect(files[0].path).toBe(CALENDAR_PATH);
+        expect(files[0].content).toContain('## 2026-02-03 (Tuesday)\n\n- 14:00-15:00 Dentist');
+      });
+
+      it('should update events renamed at the source on re-import', async () => {
+        // Given an event imported once
+        const first = vcalendar(['UID:dentist@work', 'SUMMARY:Dentist', 'DTSTART;TZID=America/New_York:20260203T140000']);
+        await brain.importCalendar(first, { source: 'work.ics', now: new Date('2026-02-01T15:00:00Z'), logger });
+        const [[[{ content: afterFirst }]]] = brain._githubWriter.batchWrite.mock.calls;
+        brain._githubReader = createMockGitHubReader({ [CALENDAR_PATH]: afterFirst });
+
+        // When the source renames it and it is imported again
+        const renamed = first.replace('SUMMARY:Dentist', 'SUMMARY:Dentist - cleaning');
+        const result = await brain.importCalendar(renamed, { source: 'work.ics', now: new Date('2026-02-01T15:00:00Z'), logger });
+
+        // Then the old line is replaced, not duplicated
+        expect(result.added).toEqual([]);
+        expect(result.updated).toHaveLength(1);
+        const [files, message] = brain._githubWriter.batchWrite.mock.calls[1];
+        expect(message).toBe('Import calendar: 0 event(s), 1 update(s) from work.ics');
+        expect(files[0].content).toContain('- 14:00 Dentist - cleaning');
+        expect(files[0].content).not.toContain('- 14:00 Dentist\n');
+      });
+
+      it('should merge again on top of a calendar edit that lands first', async () => {
+        // Given someone adds an event while the import commits
+        const before = '# Upcoming Events\n\n## 2026-02-05 (Thursday)\n\n- 09:00 Therapy with Dana Jaffe\n';
+        const after = before.replace('## 2026-02-05', '## 2026-02-04 (Wednesday)\n\n- 12:00 Lunch with Sam\n\n## 2026-02-05');
+        let head = 'sha-old';
+        brain._githubReader.getHeadSha.mockImplementation(async () => head);
+        brain._githubReader.getContent.mockImplementation(async (path, ref) => (ref === 'sha-old' ? before : after));
+        brain._githubWriter.batchWrite
+          .mockImplementationOnce(async () => {
+            head = 'sha-new';
+            throw createGitHubApiError();
+          })
+          .mockResolvedValueOnce({ commitSha: 'sha-import' });
+
+        const result = await brain.importCalendar(ICS, { source: 'work.ics', now: new Date('2026-02-01T15:00:00Z'), logger });
+
+        // Then the stale put is rejected and the import re-applied at sha-new, keeping both
+        expect(result.commitSha).toBe('sha-import');
+        expect(brain._githubWriter.batchWrite).toHaveBeenCalledTimes(2);
+        const [files, , { baseSha }] = brain._githubWriter.batchWrite.mock.calls[1];
+        expect(baseSha).toBe('sha-new');
+        expect(files[0].content).toContain('- 12:00 Lunch with Sam');
+        expect(files[0].content).toContain('- 14:00-15:00 Dentist');
+        expect(brain._slackClient.postMessage).not.toHaveBeenCalled();
+      });
+
+      it('should not commit when everything is already on the calendar', async () => {
+        const ics = vcalendar([
+          'SUMMARY:Therapy with Dana',
+          'DTSTART;TZID=America/New_York:20260205T090000',
+        ]);
+
+        const result = await brain.importCalendar(ics, {
+          source: 'dup.ics',
+          now: new Date('2026-02-01T15:00:00Z'),
+          logger,
+        });
+
+        expect(result.added).toEqual([]);
+        expect(brain._githubWriter.batchWrite).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('/calendar import', () => {
+      beforeEach(() => {
+        brain._calendarFetcher = createStubCalendarFetcher({
+          stubCalendars: new Map([
+            ['https://example.com/work.ics', ICS],
+            ['https://example.com/feed.ics', vcalendar()],
+          ]),
+        });
+        jest.spyOn(brain._calendarFetcher, 'fetchCalendar');
+      });
+
+      it('should fetch the URL and summarize the import', async () => {
+        jest.spyOn(brain, 'importCalendar');
+
+        const reply = await brain.handleCalendarCommand('import <https://example.com/work.ics>', logger);
+
+        expect(brain._calendarFetcher.fetchCalendar).toHaveBeenCalledWith('https://example.com/work.ics');
+        expect(brain.importCalendar).toHaveBeenCalledWith(ICS, expect.objectContaining({
+          source: 'https://example.com/work.ics',
+        }));
+        expect(reply).toMatch(/Imported \d+ event/);
+      });
+
+      it('should accept webcal:// links', async () => {
+        const reply = await brain.handleCalendarCommand('import webcal://example.com/feed.ics', logger);
+
+        expect(brain._calendarFetcher.fetchCalendar).toHaveBeenCalledWith('https://example.com/feed.ics');
+        expect(reply).toContain('No upcoming events found');
+      });
+
+      it('should report fetch failures', async () => {
+        const reply = await brain.handleCalendarCommand('import https://example.com/missing.ics', logger);
+
+        expect(reply).toBe("Couldn't fetch https://example.com/missing.ics (HTTP 404).");
+        expect(brain._githubWriter.batchWrite).not.toHaveBeenCalled();
+      });
+
+      it('should reply instead of throwing when the host is unreachable', async () => {
+        brain._calendarFetcher.fetchCalendar.mockRejectedValueOnce(new Error('fetch failed'));
+
+        const reply = await brain.handleCalendarCommand('import https://calendar.invalid/x.ics', logger);
+
+        expect(reply).toBe("Couldn't fetch https://calendar.invalid/x.ics (fetch failed).");
+      });
+
+      it('should use the stub fetcher in stub mode', () => {
+        const stubBrain = new BrainDO(createMockState(), createMockEnv({ SEARCH_MODE: 'stub' }));
+
+        return expect(stubBrain.getCalendarFetcher().fetchCalendar('https://example.com/work.ics'))
+          .rejects.toThrow('HTTP 404');
+      });
+
+      it('should show usage without a URL', async () => {
+        expect(await brain.handleCalendarCommand('', logger)).toContain('Usage');
+        expect(await brain.handleCalendarCommand('import', logger)).toContain('Usage');
+      });
+    });
+
+    describe('.ics file share in #sb-inbox', () => {
+      const payload = {
+        channel_id: 'C_INBOX',
+        channel_name: 'sb-inbox',
+        text: '',
+        message_ts: '1770000000.000100',
+        files: [{
+          id: 'F1',
+          name: 'work.ics',
+          filetype: 'ics',
+          mimetype: 'text/calendar',
+          url_private_download: 'https://files.slack.com/work.ics',
+        }],
+      };
+
+      beforeEach(() => {
+        brain.contextPack = '# Current Context\n';
+        brain.contextVersion = 'sha';
+      });
+
+      it('should import the file and reply in thread instead of running the agent', async () => {
+        const agent = jest.spyOn(brain, 'handleInboxMessage');
+
+        await brain.handleMessage(payload, logger);
+
+        expect(agent).not.toHaveBeenCalled();
+        expect(brain._slackClient.downloadFile).toHaveBeenCalledWith('https://files.slack.com/work.ics');
+        expect(brain._slackClient.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+          channel: 'C_INBOX',
+          thread_ts: '1770000000.000100',
+          text: expect.stringContaining('from work.ics'),
+        }));
+      });
+
+      it('should reply with the error when the import fails', async () => {
+        brain._slackClient.downloadFile.mockRejectedValue(new Error('Slack file download failed: 403'));
+
+        await brain.handleMessage(payload, logger);
+
+        expect(brain._slackClient.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+          text: expect.stringContaining("couldn't import work.ics"),
+        }));
+      });
+    });
+  });
+
+  describe('createCalendarFetcher', () => {
+    beforeEach(() => {
+      nock.disableNetConnect();
+    });
+
+    afterEach(() => {
+      nock.cleanAll();
+      nock.enableNetConnect();
+    });
+
+    it('should return the file content', async () => {
+      nock('https://example.com').get('/work.ics').reply(200, vcalendar(), { 'Content-Type': 'text/calendar' });
+
+      await expect(createCalendarFetcher().fetchCalendar('https://example.com/work.ics')).resolves.toContain('BEGIN:VCALENDAR');
+    });
+
+    it('should throw a short reason on HTTP and network errors', async () => {
+      nock('https://example.com')
+        .get('/missing.ics').reply(404, 'Not found')
+        .get('/down.ics').replyWithError('getaddrinfo ENOTFOUND example.com');
+
+      const fetcher = createCalendarFetcher();
+
+      await expect(fetcher.fetchCalendar('https://example.com/missing.ics')).rejects.toThrow('HTTP 404');
+      await expect(fetcher.fetchCalendar('https://example.com/down.ics')).rejects.toThrow();
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for prompt caching: cached system blocks, the stable/volatile split
+ * of the context pack, and cache usage recorded through metrics.
+ */
+
+import { createClaudeClient, cachedSystem } from '../../../worker/lib/claude-client.js';
+import { createMetrics, recordClaudeUsage } from '../../../worker/lib/metrics.js';
+import { splitByStability } from '../../../worker/lib/context-pack.js';
+import { createMockState } from '../helpers/mock-factories.js';
+import nock from 'nock';
+
+describe('Prompt Caching', () => {
+  beforeEach(() => {
+    nock.disableNetConnect();
+    nock.enableNetConnect('localhost');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe('cachedSystem', () => {
+    it('should mark each stable part as a cache breakpoint and leave the volatile part last', () => {
+      expect(cachedSystem(['Prompt', '', 'Identity'], 'History')).toEqual([
+        { type: 'text', text: 'Prompt', cache_control: { type: 'ephemeral' } },
+        { type: 'text', text: 'Identity', cache_control: { type: 'ephemeral' } },
+        { type: 'text', text: 'History' },
+      ]);
+      expect(cachedSystem(['Prompt'])).toHaveLength(1);
+      expect(() => cachedSystem(['a', 'b', 'c', 'd', 'e'])).toThrow('At most 4');
+    });
+  });
+
+  describe('splitByStability', () => {
+    it('should keep the header and volatile sections apart from the stable ones', () => {
+      const { stable, volatile } = splitByStability(`# Current Context
+<!-- context_pack_version: abc -->
+
+## Pending Review
+- Which Eric?
+
+## Project Index
+| find-pcp | active |
+
+## Learned Context
+- Dana — therapist
+
+## Identity
+Colin`);
+
+      expect(volatile).toBe('# Current Context\n<!-- context_pack_version: abc -->\n\n## Pending Review\n- Which Eric?');
+      expect(stable).toBe('## Project Index\n| find-pcp | active |\n\n## Learned Context\n- Dana — therapist\n\n## Identity\nColin');
+    });
+  });
+
+  describe('usage metrics', () => {
+    it('should record cache reads and writes from each response', async () => {
+      // Given a client that records usage into metrics
+      const metrics = createMetrics({ storage: createMockState().storage });
+      const client = createClaudeClient({
+        apiKey: 'test-key',
+        onUsage: (usage, { model }) => recordClaudeUsage(metrics, usage, { do: 'brain', model }),
+      });
+
+      // And a first response that writes the cache, then one that reads it
+      let sentSystem;
+      nock('https://api.anthropic.com')
+        .post('/v1/messages', (body) => {
+          sentSystem = body.system;
+          return true;
+        })
+        .reply(200, {
+          content: [{ type: 'text', text: 'one' }],
+          usage: { input_tokens: 40, output_tokens: 5, cache_creation_input_tokens: 3000, cache_read_input_tokens: 0 },
+        })
+        .post('/v1/messages')
+        .reply(200, {
+          content: [{ type: 'text', text: 'two' }],
+          usage: { input_tokens: 50, output_tokens: 7, cache_creation_input_tokens: 0, cache_read_input_tokens: 3000 },
+        });
+
+      // When two requests share the cached prompt
+      const system = cachedSystem(['Stable prompt'], 'Volatile');
+      await client.message({ system, userMessage: 'first' });
+      await client.message({ system, userMessage: 'second' });
+
+      // Then the blocks were sent as-is
+      expect(sentSystem).toEqual(system);
+
+      // And the counters show one miss and one hit
+      const { counters } = await metrics.getAll();
+      const key = name => `${name}{do=brain,model=claude-sonnet-4-20250514}`;
+      expect(counters[key('claude.requests')]).toBe(2);
+      expect(counters[key('claude.cache_write_tokens')]).toBe(3000);
+      expect(counters[key('claude.cache_read_tokens')]).toBe(3000);
+      expect(counters[key('claude.cache_hits')]).toBe(1);
+      expect(counters[key('claude.cache_misses')]).toBe(1);
+      expect(counters[key('claude.input_tokens')]).toBe(90);
+    });
+
+    it('should not fail the request when recording usage fails', async () => {
+      const client = createClaudeClient({
+        apiKey: 'test-key',
+        onUsage: async () => { throw new Error('storage unavailable'); },
+      });
+      nock('https://api.anthropic.com')
+        .post('/v1/messages')
+        .reply(200, { content: [{ type: 'text', text: 'ok' }], usage: { input_tokens: 1, output_tokens: 1 } });
+
+      await expect(client.message({ system: 'x', userMessage: 'y' })).resolves.toBe('ok');
+    });
+  });
+});
@@ -53,7 +53,7 @@ describe('Command Dispatch', () => {
   describe('/what-matters', () => {
     it('should route to handleWhatMatters', async () => {
       // Given the /what-matters command
-      const spy = jest.spyOn(brain, 'handleWhatMatters').mockResolvedValue('Today: focus on tests');
+      const spy = jest.spyOn(brain, 'handleWhatMatters').mockResolvedValue({ text: 'Today: focus on tests' });
 
       // When handleCommand is called
       const response = await brain.handleCommand(
@@ -142,10 +142,11 @@ describe('Command Dispatch', () => {
     it('should early-return with research_started for /project research with a query', async () => {
       // Given the /project research command with a query
       const startResearchSpy = jest.spyOn(brain, 'startResearch').mockResolvedValue({});
+      logger.child = jest.fn(() => logger);
 
       // When handleCommand is called
       const response = await brain.handleCommand(
-        makePayload({ command: '/project', args: 'research concierge doctors in asheville' }),
+        makePayload({ command: '/project', args: 'research concierge doctors in asheville', trace_id: 'trace-research' }),
         logger
       );
 
@@ -168,7 +169,8 @@ describe('Command Dispatch', () => {
         'concierge doctors in asheville',
         'C_INBOX',
         'sb-inbox',
-        logger
+        logger,
+        'trace-research'
       );
     });
 
@@ -194,6 +196,25 @@ describe('Command Dispatch', () => {
     });
   });
 
+  describe('/todo', () => {
+    it('should route to handleTodoCommand with args and channel', async () => {
+      // Given the /todo command
+      const spy = jest.spyOn(brain, 'handleTodoCommand').mockResolvedValue('✅ Done: "Call PCP"');
+
+      // When handleCommand is called
+      const response = await brain.handleCommand(
+        makePayload({ command: '/todo', args: 'done 1' }),
+        logger
+      );
+
+      // Then handleTodoCommand is invoked with args and channel_id
+      expect(spy).toHaveBeenCalledWith('done 1', 'C_INBOX', logger);
+
+      const body = await response.json();
+      expect(body.status).toBe('ok');
+    });
+  });
+
   describe('unknown command', () => {
     it('should respond with an error message via response_url', async () => {
       // Given an unrecognized command
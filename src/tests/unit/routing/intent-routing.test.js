@@ -1,12 +1,14 @@
 /**
- * Tests for Main Agent single-call inbox processing.
+ * Tests for Main Agent inbox processing.
  *
- * Verifies that mainAgent makes a single LLM call and correctly
- * translates tool_calls from the LLM response into write intents.
+ * Verifies that mainAgent makes a single LLM call when it replies in one
+ * turn, sends tool results back until it does, and correctly translates
+ * tool_use blocks from the LLM response into write intents.
  */
 
 import { jest } from '@jest/globals';
 import { mainAgent } from '../../../worker/agents/main-agent.js';
+import { createStubClaudeClient } from '../../../worker/lib/stub-claude-client.js';
 import { createMockClaudeClient, createMockLogger } from '../helpers/mock-factories.js';
 
 describe('Main Agent', () => {
@@ -25,8 +27,56 @@ describe('Main Agent', () => {
     logger = createMockLogger();
   });
 
+  describe('tool_result round trip', () => {
+    const append = (id, content) => ({
+      type: 'tool_use',
+      id,
+      name: 'append_to_section',
+      input: { path: 'data/stream/2026-01-31.md', heading: '## Captures', content },
+    });
+
+    function stubClient(turns) {
+      const client = createStubClaudeClient({ stubResponses: new Map([['loop', turns]]) });
+      jest.spyOn(client, 'toolUse');
+      return client;
+    }
+
+    it('should send tool results back until reply is called', async () => {
+      // Given Claude spreads its tool calls over three turns
+      const claudeClient = stubClient([
+        { tool_uses: [append('toolu_1', '- 10:00 | Dentist Tuesday')] },
+        { text: 'Also the pharmacy.', tool_uses: [append('toolu_2', '- 10:00 | Pick up prescription')] },
+        { tool_uses: [{ type: 'tool_use', id: 'toolu_3', name: 'reply', input: { slack_reply: 'Captured both.' } }] },
+      ]);
+
+      const result = await mainAgent('Dentist Tuesday, and the pharmacy [test:loop]', baseContext, { claudeClient, logger });
+
+      // Then each turn's tool calls are answered with tool_result blocks
+      expect(claudeClient.toolUse).toHaveBeenCalledTimes(3);
+      const { messages } = claudeClient.toolUse.mock.calls[2][0];
+      expect(messages.map(m => m.role)).toEqual(['user', 'assistant', 'user', 'assistant', 'user']);
+      expect(messages[3].content).toEqual([{ type: 'text', text: 'Also the pharmacy.' }, append('toolu_2', '- 10:00 | Pick up prescription')]);
+      expect(messages[4].content).toEqual([expect.objectContaining({ type: 'tool_result', tool_use_id: 'toolu_2' })]);
+
+      // And every turn's writes and the final reply are kept
+      expect(result.writeIntents.map(i => i.content)).toEqual(['- 10:00 | Dentist Tuesday', '- 10:00 | Pick up prescription']);
+      expect(result.slackReply).toBe('Captured both.');
+    });
+
+    it('should force reply on the last turn', async () => {
+      // Given Claude never calls reply on its own
+      const claudeClient = stubClient([{ tool_uses: [append('toolu_1', '- 10:00 | Note')] }]);
+
+      await mainAgent('Note this [test:loop]', baseContext, { claudeClient, logger });
+
+      // Then the turns are capped and the last one requires reply
+      expect(claudeClient.toolUse).toHaveBeenCalledTimes(4);
+      expect(claudeClient.toolUse.mock.calls[3][0].toolChoice).toEqual({ type: 'tool', name: 'reply' });
+    });
+  });
+
   describe('single-call LLM interaction', () => {
-    it('should make exactly one messageJson call', async () => {
+    it('should make exactly one toolUse call with the write tools and reply', async () => {
       const claudeClient = createMockClaudeClient({
         messageJson: {
           thinking: 'Simple task capture',
@@ -37,7 +87,11 @@ describe('Main Agent', () => {
 
       await mainAgent('test message', baseContext, { claudeClient, logger });
 
-      expect(claudeClient.messageJson).toHaveBeenCalledTimes(1);
+      expect(claudeClient.toolUse).toHaveBeenCalledTimes(1);
+      const { tools, toolChoice } = claudeClient.toolUse.mock.calls[0][0];
+      expect(tools.map(t => t.name)).toEqual(expect.arrayContaining(['append_to_section', 'snooze_item', 'create_project', 'write_file', 'reply']));
+      expect(tools.find(t => t.name === 'mark_complete').input_schema.required).toEqual(['path', 'item']);
+      expect(toolChoice).toEqual({ type: 'any' });
     });
 
     it('should pass context and message to LLM', async () => {
@@ -51,10 +105,10 @@ describe('Main Agent', () => {
 
       await mainAgent('Buy groceries', baseContext, { claudeClient, logger });
 
-      const call = claudeClient.messageJson.mock.calls[0][0];
+      const call = claudeClient.toolUse.mock.calls[0][0];
       expect(call.system).toBeDefined();
-      expect(call.userMessage).toContain('Buy groceries');
-      expect(call.userMessage).toContain('mock context for testing');
+      expect(call.messages[0].content).toContain('Buy groceries');
+      expect(call.messages[0].content).toContain('mock context for testing');
     });
 
     it('should include thread context when provided', async () => {
@@ -73,9 +127,55 @@ describe('Main Agent', () => {
 
       await mainAgent('Follow up', contextWithThread, { claudeClient, logger });
 
-      const call = claudeClient.messageJson.mock.calls[0][0];
-      expect(call.userMessage).toContain('Thread History');
-      expect(call.userMessage).toContain('User: Hello');
+      const call = claudeClient.toolUse.mock.calls[0][0];
+      expect(call.messages[0].content).toContain('Thread History');
+      expect(call.messages[0].content).toContain('User: Hello');
+    });
+
+    it('should send the prompt and stable sections as cached system blocks', async () => {
+      const claudeClient = createMockClaudeClient({
+        messageJson: { thinking: 'Task', tool_calls: [], slack_reply: 'OK.' },
+      });
+
+      await mainAgent('Buy soil', {
+        ...baseContext,
+        time: '16:47',
+        currentMd: `# Current Context
+<!-- context_pack_version: abc -->
+
+## Open Loops
+- [ ] Order raised bed soil ^cccccc
+
+## Project Index
+| find-pcp | active |
+
+## Identity
+Colin, Asheville`,
+      }, { claudeClient, logger });
+
+      const { system, messages } = claudeClient.toolUse.mock.calls[0][0];
+      expect(system.map(block => block.cache_control)).toEqual([{ type: 'ephemeral' }, { type: 'ephemeral' }]);
+      expect(system[0].text).toContain('# Second Brain Inbox Prompt');
+      expect(system[0].text).not.toContain('16:47');
+      expect(system[1].text).toBe('## Context Pack (stable sections)\n## Project Index\n| find-pcp | active |\n\n## Identity\nColin, Asheville');
+      expect(messages[0].content).toContain('## Open Loops\n- [ ] Order raised bed soil ^cccccc');
+      expect(messages[0].content).not.toContain('## Identity');
+      expect(messages[0].content).toContain('TIME: 16:47');
+    });
+
+    it('should list Pending Review items from the thread when provided', async () => {
+      const claudeClient = createMockClaudeClient({
+        messageJson: { thinking: 'Answer', tool_calls: [], slack_reply: 'OK.' },
+      });
+
+      await mainAgent('yes, Dana is my therapist', {
+        ...baseContext,
+        threadPendingReview: ['- Is "Dana" the therapist? — added 2026-01-30'],
+      }, { claudeClient, logger });
+
+      const call = claudeClient.toolUse.mock.calls[0][0];
+      expect(call.messages[0].content).toContain('## Pending Review From This Thread\n- Is "Dana" the therapist? — added 2026-01-30');
+      expect(call.system[0].text).toContain('### Resolving Pending Review');
     });
   });
 
@@ -271,5 +371,34 @@ describe('Main Agent', () => {
 
       expect(result.writeIntents).toHaveLength(0);
     });
+
+    it('should read typed tool_use blocks and take the reply from the reply tool', async () => {
+      const claudeClient = createMockClaudeClient({
+        toolUse: {
+          toolUses: [
+            { type: 'tool_use', id: 'toolu_1', name: 'snooze_item', input: { path: 'data/current.md', item: '^aaaaaa', until: '2026-03-02' } },
+            { type: 'tool_use', id: 'toolu_2', name: 'reply', input: { thinking: 'Deferring', slack_reply: 'Snoozed until March 2.' } },
+          ],
+        },
+      });
+
+      const result = await mainAgent('not until March', baseContext, { claudeClient, logger });
+
+      expect(result.writeIntents).toEqual([
+        { op: 'tool', path: 'data/current.md', type: 'snooze_item', item: '^aaaaaa', until: '2026-03-02' },
+      ]);
+      expect(result.slackReply).toBe('Snoozed until March 2.');
+      expect(result.metadata.thinking).toBe('Deferring');
+    });
+
+    it('should fall back to text when no reply tool is called', async () => {
+      const claudeClient = createMockClaudeClient({
+        toolUse: { text: 'Here is the answer.', toolUses: [] },
+      });
+
+      const result = await mainAgent('what is on today?', baseContext, { claudeClient, logger });
+
+      expect(result.slackReply).toBe('Here is the answer.');
+    });
   });
 });
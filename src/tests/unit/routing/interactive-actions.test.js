@@ -0,0 +1,142 @@
+/**
+ * Tests for Block Kit interactions on Open Loops.
+ *
+ * The Worker forwards `block_actions` to BrainDO.handleInteractive, which
+ * commits the change to current.md and updates the message in place.
+ */
+
+import { jest } from '@jest/globals';
+import { BrainDO } from '../../../worker/durable-objects/brain-do.js';
+import { buildOpenLoopBlocks, DONE_ACTION_ID, MENU_ACTION_ID } from '../../../worker/lib/open-loop-blocks.js';
+import { parseTaskLine } from '../../../worker/lib/tasks.js';
+import {
+  createMockState,
+  createMockEnv,
+  createMockLogger,
+  createMockGitHubReader,
+  createMockGitHubWriter,
+  createMockSlackClient,
+  createMockClaudeClient,
+} from '../helpers/mock-factories.js';
+
+const CURRENT = `# Current Context
+
+## Open Loops
+<!-- Managed inline - preserved during rebuild -->
+- [ ] Call PCP @phone ^aaaaaa
+- [ ] Order raised bed soil ^cccccc
+
+## Pending Review
+<!-- Managed inline - preserved during rebuild -->
+`;
+
+describe('Open Loops interactions', () => {
+  let brain;
+  let logger;
+  let message;
+
+  beforeEach(() => {
+    brain = new BrainDO(createMockState(), createMockEnv());
+    brain.contextPack = CURRENT;
+    brain.contextVersion = 'mock-sha';
+    brain._githubReader = createMockGitHubReader({ 'data/current.md': CURRENT });
+    brain._githubWriter = createMockGitHubWriter();
+    brain._githubWriter.batchWrite.mockResolvedValue({ commitSha: 'sha-action' });
+    brain._slackClient = createMockSlackClient();
+    logger = createMockLogger();
+
+    const tasks = CURRENT.split('\n').map(parseTaskLine).filter(Boolean);
+    message = {
+      ts: '1700000000.000100',
+      text: '*What Matters Today*',
+      blocks: buildOpenLoopBlocks(tasks, '2026-02-28'),
+    };
+  });
+
+  function interact(action) {
+    return brain.handleInteractive({
+      type: 'block_actions',
+      channel: { id: 'C_INBOX' },
+      message,
+      actions: [action],
+    }, logger);
+  }
+
+  function openLoops() {
+    const [files] = brain._githubWriter.batchWrite.mock.calls[0];
+    return files.find(f => f.path === 'data/current.md').content.match(/## Open Loops\n([\s\S]*?)\n## /)[1];
+  }
+
+  function updatedRow(id) {
+    const { blocks } = brain._slackClient.updateMessage.mock.calls[0][0];
+    return blocks.find(block => block.block_id === `open_loop:${id}`);
+  }
+
+  it('should mark a checked task complete and strike it through in place', async () => {
+    // When the box next to "Call PCP" is checked
+    const response = await interact({ action_id: DONE_ACTION_ID, selected_options: [{ value: 'aaaaaa' }] });
+
+    // Then the task is completed in one commit and the row is replaced
+    expect(response.status).toBe(200);
+    expect(openLoops()).toContain('- [x] Call PCP @phone ^aaaaaa');
+    expect(brain._slackClient.updateMessage).toHaveBeenCalledWith(expect.objectContaining({
+      channel: 'C_INBOX',
+      ts: '1700000000.000100',
+      text: '*What Matters Today*',
+    }));
+    expect(updatedRow('aaaaaa').elements[0].text).toBe('~Call PCP~ — done');
+    expect(updatedRow('cccccc').type).toBe('actions');
+  });
+
+  it('should drop a task from the overflow menu', async () => {
+    await interact({ action_id: MENU_ACTION_ID, selected_option: { value: 'drop:cccccc' } });
+
+    expect(openLoops()).not.toContain('Order raised bed soil');
+    expect(updatedRow('cccccc').elements[0].text).toBe('~Order raised bed soil~ — dropped');
+  });
+
+  it('should snooze a task into the Snoozed section', async () => {
+    jest.useFakeTimers({ now: new Date('2026-02-28T15:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      await interact({ action_id: MENU_ACTION_ID, selected_option: { value: 'snooze:aaaaaa:7' } });
+    } finally {
+      jest.useRealTimers();
+    }
+
+    const [files] = brain._githubWriter.batchWrite.mock.calls[0];
+    const pack = files.find(f => f.path === 'data/current.md').content;
+    expect(openLoops()).not.toContain('Call PCP');
+    expect(pack).toContain('- [ ] Call PCP @phone ^aaaaaa — snoozed until 2026-03-07');
+    expect(updatedRow('aaaaaa').elements[0].text).toBe('Call PCP — snoozed until 2026-03-07');
+  });
+
+  it('should not commit when the task was already completed elsewhere', async () => {
+    // Given the task was completed from another message
+    brain.contextPack = CURRENT.replace('- [ ] Call PCP', '- [x] Call PCP');
+
+    await interact({ action_id: DONE_ACTION_ID, selected_options: [{ value: 'aaaaaa' }] });
+
+    // Then nothing is written and the row says so
+    expect(brain._githubWriter.batchWrite).not.toHaveBeenCalled();
+    expect(updatedRow('aaaaaa').elements[0].text).toBe('_Already done or removed._');
+  });
+
+  it('should ignore unchecking a box', async () => {
+    await interact({ action_id: DONE_ACTION_ID, selected_options: [] });
+
+    expect(brain._githubWriter.batchWrite).not.toHaveBeenCalled();
+    expect(brain._slackClient.updateMessage).not.toHaveBeenCalled();
+  });
+
+  it('should attach Open Loops blocks to the daily digest', async () => {
+    brain._claudeClient = createMockClaudeClient({ message: '**Top Priorities:**\n1. Call PCP' });
+
+    await brain.runDailyDigest({ now: new Date('2026-02-28T12:30:00Z'), logger });
+
+    const { text, blocks } = brain._slackClient.postMessage.mock.calls[0][0];
+    expect(text).toContain('*What Matters Today*');
+    expect(blocks[0].text.text).toBe(text);
+    expect(blocks.filter(block => block.type === 'actions').map(block => block.block_id))
+      .toEqual(['open_loop:aaaaaa', 'open_loop:cccccc']);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for the Pending Review lifecycle in BrainDO: items are stamped
+ * with their capture thread, a reply in that thread can resolve them,
+ * and the digest lists them with their age.
+ */
+
+import { jest } from '@jest/globals';
+import { BrainDO } from '../../../worker/durable-objects/brain-do.js';
+import {
+  createMockState,
+  createMockEnv,
+  createMockLogger,
+  createMockGitHubReader,
+  createMockGitHubWriter,
+  createMockSlackClient,
+  createMockClaudeClient,
+} from '../helpers/mock-factories.js';
+
+const THREAD_LINK = 'https://mock.slack.com/archives/C_INBOX/p1772290000000100';
+
+const CURRENT = `# Current Context
+
+## Pending Review
+<!-- Managed inline - preserved during rebuild -->
+- Is "Dana" the therapist? — added 2026-02-25 [thread](${THREAD_LINK})
+- Which Eric? — added 2026-02-27 [thread](https://mock.slack.com/archives/C_INBOX/p1772299999000100)
+
+## Open Loops
+<!-- Managed inline - preserved during rebuild -->
+- [ ] Order raised bed soil ^cccccc
+`;
+
+describe('Pending Review lifecycle', () => {
+  let brain;
+  let logger;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-02-28T15:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    brain = new BrainDO(createMockState(), createMockEnv());
+    brain.contextPack = CURRENT;
+    brain.contextVersion = 'mock-sha';
+    brain._githubReader = createMockGitHubReader({ 'data/current.md': CURRENT });
+    brain._githubWriter = createMockGitHubWriter();
+    brain._githubWriter.batchWrite.mockResolvedValue({ commitSha: 'sha-inbox' });
+    brain._slackClient = createMockSlackClient();
+    logger = createMockLogger();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  function committedSection(heading) {
+    const [files] = brain._githubWriter.batchWrite.mock.calls[0];
+    const pack = files.find(f => f.path === 'data/current.md').content;
+    return pack.match(new RegExp(`## ${heading}\\n([\\s\\S]*?)(?=\\n## |$)`))[1];
+  }
+
+  it('should stamp a new item with the date and its capture thread', async () => {
+    // Given the agent parks an unclear capture in Pending Review
+    brain._claudeClient = createMockClaudeClient({
+      messageJson: {
+        tool_calls: [{ tool: 'append_to_section', path: 'data/current.md', heading: '## Pending Review', content: '- Lunch with Sam — which Sam?' }],
+        slack_reply: 'Which Sam?',
+      },
+    });
+
+    // When the message is handled
+    await brain.handleInboxMessage({ channel_id: 'C_INBOX', message_ts: '1772290500.000200', text: 'Lunch with Sam' }, logger);
+
+    // Then the line links back to the message that started the thread
+    expect(brain._slackClient.getPermalink).toHaveBeenCalledWith({ channel: 'C_INBOX', message_ts: '1772290500.000200' });
+    expect(committedSection('Pending Review')).toContain(
+      '- Lunch with Sam — which Sam? — added 2026-02-28 [thread](https://mock.slack.com/archives/C_INBOX/p1772290500000200)'
+    );
+  });
+
+  it('should resolve an item from a reply in its thread in the same commit', async () => {
+    // Given the agent answers the Dana question from the thread reply
+    brain._claudeClient = createMockClaudeClient({
+      messageJson: {
+        tool_calls: [
+          { tool: 'append_to_section', path: 'data/system/learned.md', heading: '## People', content: '- Dana — therapist' },
+          { tool: 'remove_item', path: 'data/current.md', heading: '## Pending Review', item: `- Is "Dana" the therapist? — added 2026-02-25 [thread](${THREAD_LINK})` },
+        ],
+        slack_reply: 'Noted: Dana is your therapist.',
+      },
+    });
+
+    // When the user replies in the capture thread
+    await brain.handleInboxMessage({
+      channel_id: 'C_INBOX',
+      message_ts: '1772300000.000300',
+      thread_ts: '1772290000.000100',
+      text: 'yes, Dana is my therapist',
+    }, logger);
+
+    // Then the agent saw which item the thread was about
+    const userMessage = brain._claudeClient.toolUse.mock.calls[0][0].messages[0].content;
+    expect(userMessage).toContain(`## Pending Review From This Thread\n- Is "Dana" the therapist? — added 2026-02-25 [thread](${THREAD_LINK})\n`);
+    expect(userMessage).not.toMatch(/From This Thread[\s\S]*Which Eric[\s\S]*## Context Pack/);
+
+    // And the answer and the removal land in one commit
+    expect(brain._githubWriter.batchWrite).toHaveBeenCalledTimes(1);
+    const [files] = brain._githubWriter.batchWrite.mock.calls[0];
+    expect(files.map(f => f.path)).toEqual(expect.arrayContaining(['data/system/learned.md', 'data/current.md']));
+    expect(committedSection('Pending Review')).not.toContain('Dana');
+    expect(committedSection('Pending Review')).toContain('Which Eric?');
+  });
+
+  it('should list waiting items with their age in the digest', async () => {
+    brain._claudeClient = createMockClaudeClient({ message: '**Top Priorities:**\n1. Soil' });
+
+    const { text } = await brain.runDailyDigest({ now: new Date('2026-02-28T12:30:00Z'), logger });
+
+    expect(text).toContain(`*Pending Review*
+• Is "Dana" the therapist? _(waiting 3 days)_ <${THREAD_LINK}|thread>
+• Which Eric? _(waiting 1 day)_`);
+    const { userMessage } = brain._claudeClient.message.mock.calls[0][0];
+    expect(userMessage).toContain('- Is "Dana" the therapist? (waiting 3 days)');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for `/project research` started from a slash command: BrainDO
+ * hands the run to ProjectDO (the project's instance, or the research
+ * instance without a project), so it is checkpointed and resumed by
+ * ProjectDO's alarm like research asked for in a project channel.
+ */
+
+import { jest } from '@jest/globals';
+import { BrainDO } from '../../../worker/durable-objects/brain-do.js';
+import { ProjectDO, RESEARCH_DO_NAME } from '../../../worker/durable-objects/project-do.js';
+import { createStubPageFetcher } from '../../../worker/lib/stub-page-fetcher.js';
+import {
+  createMockState,
+  createMockEnv,
+  createMockLogger,
+  createMockClaudeClient,
+  createMockGitHubReader,
+  createMockSlackClient,
+  createMockTavilyClient,
+} from '../helpers/mock-factories.js';
+
+const SPREAD = '# Find PCP\n\n## Status\nActive\n\n## Research\n';
+const THREAD_TS = '1772290000.000100';
+const RUN_KEY = `research-run:${THREAD_TS}`;
+
+const PLAN = { queries: ['asheville pcp accepting patients'], format: 'summary', completeness_criteria: [] };
+const SYNTHESIS = { summary: 'MAHEC is accepting patients.', key_points: ['MAHEC takes Aetna'], recommendations: [], sources_to_cite: [] };
+const QUALITY = { score: 0.9, issues: [] };
+
+/**
+ * A ProjectDO on the given storage with mocked clients, as a fresh
+ * instance would be after eviction.
+ */
+function createProject(state, env) {
+  const project = new ProjectDO(state, env);
+  project._githubReader = createMockGitHubReader({ 'data/projects/find-pcp/spread.md': SPREAD });
+  project._slackClient = createMockSlackClient();
+  project._slackClient.postMessage.mockResolvedValue({ ok: true, ts: THREAD_TS });
+  project._claudeClient = createMockClaudeClient({ messageJson: [PLAN, SYNTHESIS, QUALITY] });
+  project._tavilyClient = createMockTavilyClient([
+    { url: 'https://mahec.net', title: 'MAHEC', content: 'Accepting new patients', score: 0.9 },
+  ]);
+  project._pageFetcher = createStubPageFetcher();
+  return project;
+}
+
+describe('Research from /project research', () => {
+  let brain;
+  let brainState;
+  let projectState;
+  let projectEnv;
+  let project;
+  let logger;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-02-28T15:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    logger = createMockLogger();
+
+    // ProjectDO hands its write intents to the real BrainDO
+    projectState = createMockState();
+    projectEnv = createMockEnv({
+      BRAIN_DO: { idFromName: jest.fn(() => 'brain-id'), get: jest.fn(() => ({ fetch: request => brain.fetch(request) })) },
+    });
+
+    brainState = createMockState();
+    brain = new BrainDO(brainState, createMockEnv({
+      PROJECT_DO: {
+        idFromName: jest.fn(name => name),
+        get: jest.fn(() => ({ fetch: request => project.fetch(request) })),
+      },
+    }));
+    brain.contextPack = '# Current Context\n\n## Active Projects\n- find-pcp';
+    brain.contextVersion = 'mock-sha';
+    brain._slackClient = createMockSlackClient();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should run research in a project channel on that project\'s DO', async () => {
+    // Given /project research in #proj-find-pcp
+    project = createProject(projectState, projectEnv);
+    brain._claudeClient = createMockClaudeClient();
+
+    // When the research runs
+    const result = await brain.startResearch('pcp accepting patients', 'C_PROJ', 'proj-find-pcp', logger, 'trace-cmd');
+
+    // Then it ran on the project's ProjectDO, without asking Claude for the project
+    expect(brain.env.PROJECT_DO.idFromName).toHaveBeenCalledWith('project-find-pcp');
+    expect(brain._claudeClient.messageJson).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ status: 'ok', action: 'research_completed', threadTs: THREAD_TS });
+
+    // And the kickoff names the project and the write intents are queued in BrainDO
+    expect(project._slackClient.postMessage.mock.calls[0][0].text).toContain('_Associated with proj-find-pcp_');
+    const [queued] = await brainState.storage.get('spread-updates:pending');
+    expect(queued).toMatchObject({ slug: 'find-pcp', traceId: 'trace-cmd', notify: { channel: 'C_PROJ', thread_ts: THREAD_TS } });
+    expect(queued.intents.map(i => i.path)).toContain('data/projects/find-pcp/spread.md');
+    expect(await projectState.storage.get(RUN_KEY)).toBeUndefined();
+  });
+
+  it('should resume an interrupted run without a project from the research DO', async () => {
+    // Given a query Claude can't tie to a project, and Slack fails when the results are posted
+    brain._claudeClient = createMockClaudeClient({ messageJson: [{ project_slug: null, confidence: 0.2 }] });
+    project = createProject(projectState, projectEnv);
+    project._slackClient.postMessage
+      .mockResolvedValueOnce({ ok: true, ts: THREAD_TS })
+      .mockResolvedValueOnce({ ok: true, ts: THREAD_TS })
+      .mockRejectedValueOnce(new Error('Slack unavailable'));
+
+    // When /project research is run from #sb-inbox
+    await expect(brain.startResearch('pcp accepting patients', 'C_INBOX', 'sb-inbox', logger, 'trace-cmd'))
+      .rejects.toThrow('Slack unavailable');
+
+    // Then it ran on the research DO, and the run is kept with its completed steps
+    expect(brain.env.PROJECT_DO.idFromName).toHaveBeenCalledWith(RESEARCH_DO_NAME);
+    expect(project._slackClient.postMessage.mock.calls[0][0].text).not.toContain('Associated with');
+    const record = await projectState.storage.get(RUN_KEY);
+    expect(record).toMatchObject({ projectSlug: null, channelId: 'C_INBOX', traceId: 'trace-cmd', attempts: 1 });
+    expect(record.state.completed.at(-1)).toBe('quality_check');
+
+    // When a fresh instance (after eviction) gets the alarm
+    jest.setSystemTime(Date.now() + 30 * 1000);
+    project = createProject(projectState, projectEnv);
+    await project.alarm();
+
+    // Then it resumes in the thread without planning or searching again
+    const posts = project._slackClient.postMessage.mock.calls.map(([params]) => params);
+    expect(posts[0]).toEqual({ channel: 'C_INBOX', thread_ts: THREAD_TS, text: '_Research resumed after interruption_' });
+    expect(posts.at(-1).text).toContain('MAHEC is accepting patients.');
+    expect(project._tavilyClient.search).not.toHaveBeenCalled();
+    expect(await projectState.storage.get(RUN_KEY)).toBeUndefined();
+
+    // And BrainDO queues its write intents without a project
+    const [queued] = await brainState.storage.get('spread-updates:pending');
+    expect(queued).toMatchObject({ slug: null, traceId: 'trace-cmd', notify: { channel: 'C_INBOX', thread_ts: THREAD_TS } });
+    expect(queued.intents.some(i => i.path.startsWith('data/projects/'))).toBe(false);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Tests for resumable research: ProjectDO checkpoints the pipeline after
+ * each step and its alarm resumes an interrupted run from the last
+ * completed step. The stored run stays within one storage value; the
+ * context pack is read from the repo on resume instead of stored.
+ */
+
+import { jest } from '@jest/globals';
+import { ProjectDO } from '../../../worker/durable-objects/project-do.js';
+import { createStubPageFetcher } from '../../../worker/lib/stub-page-fetcher.js';
+import {
+  createMockState,
+  createMockEnv,
+  createMockLogger,
+  createMockClaudeClient,
+  createMockGitHubReader,
+  createMockSlackClient,
+  createMockTavilyClient,
+} from '../helpers/mock-factories.js';
+
+const SPREAD = '# Find PCP\n\n## Status\nActive\n\n## Research\n';
+const THREAD_TS = '1772290000.000100';
+const RUN_KEY = `research-run:${THREAD_TS}`;
+
+const PLAN = { queries: ['asheville pcp accepting patients'], format: 'summary', completeness_criteria: [] };
+const SYNTHESIS = { summary: 'MAHEC is accepting patients.', key_points: ['MAHEC takes Aetna'], recommendations: [], sources_to_cite: [] };
+const QUALITY = { score: 0.9, issues: [] };
+
+/**
+ * A ProjectDO on the given storage with mocked clients, as a fresh
+ * instance would be after eviction.
+ */
+function createProject(state, env) {
+  const project = new ProjectDO(state, env);
+  project._githubReader = createMockGitHubReader({ 'data/projects/find-pcp/spread.md': SPREAD });
+  project._slackClient = createMockSlackClient();
+  project._slackClient.postMessage.mockResolvedValue({ ok: true, ts: THREAD_TS });
+  project._claudeClient = createMockClaudeClient({ messageJson: [PLAN, SYNTHESIS, QUALITY] });
+  project._tavilyClient = createMockTavilyClient([
+    { url: 'https://mahec.net', title: 'MAHEC', content: 'Accepting new patients', score: 0.9 },
+  ]);
+  project._pageFetcher = createStubPageFetcher();
+  return project;
+}
+
+describe('Resumable research', () => {
+  let state;
+  let env;
+  let brainFetch;
+  let logger;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-02-28T15:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    state = createMockState();
+    brainFetch = jest.fn(async () => new Response(JSON.stringify({ status: 'spread_update_queued' }), { status: 202 }));
+    env = createMockEnv({ BRAIN_DO: { idFromName: jest.fn(() => 'brain-id'), get: jest.fn(() => ({ fetch: brainFetch })) } });
+    logger = createMockLogger();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  async function startInterruptedRun() {
+    // Given Slack fails when the results are posted
+    const project = createProject(state, env);
+    project._slackClient.postMessage
+      .mockResolvedValueOnce({ ok: true, ts: THREAD_TS })
+      .mockResolvedValueOnce({ ok: true, ts: THREAD_TS })
+      .mockRejectedValueOnce(new Error('Slack unavailable'));
+    project.projectSlug = 'find-pcp';
+    project.spread = SPREAD;
+    project.spreadVersion = 'mock-sha-abc123';
+    await state.storage.put('spread', SPREAD);
+    await state.storage.put('spreadVersion', 'mock-sha-abc123');
+
+    const response = await project.startResearchSession(
+      { channel_id: 'C_PROJ', message_ts: THREAD_TS, trace_id: 'trace-1', contextPack: null },
+      { query: 'pcp accepting patients' },
+      logger
+    );
+    return { project, response };
+  }
+
+  it('should keep the run with its completed steps and schedule a retry', async () => {
+    const { project, response } = await startInterruptedRun();
+
+    // Then the run is stored up to the last completed step
+    expect(response.status).toBe(500);
+    const record = await state.storage.get(RUN_KEY);
+    expect(record.attempts).toBe(1);
+    expect(record.state.completed).toEqual(['plan', 'search', 'extract', 'evaluate', 'fill_gaps', 'synthesize', 'quality_check']);
+    expect(record.state.findings[0].source).toBe('https://mahec.net');
+    expect(record.state.synthesis.summary).toBe('MAHEC is accepting patients.');
+
+    // And a retry is scheduled, with a note in the thread
+    expect(await state.storage.getAlarm()).toBe(Date.now() + 30 * 1000);
+    const lastPost = project._slackClient.postMessage.mock.calls.at(-1)[0];
+    expect(lastPost).toMatchObject({ thread_ts: THREAD_TS, text: '_Research interrupted: Slack unavailable. Retrying shortly._' });
+    expect(brainFetch).not.toHaveBeenCalled();
+  });
+
+  it('should resume from the last completed step when the alarm fires', async () => {
+    await startInterruptedRun();
+
+    // When a fresh instance (after eviction) gets the alarm
+    jest.setSystemTime(Date.now() + 30 * 1000);
+    const resumed = createProject(state, env);
+    await resumed.alarm();
+
+    // Then it says so in the thread and doesn't plan, search or synthesize again
+    const posts = resumed._slackClient.postMessage.mock.calls.map(([params]) => params);
+    expect(posts[0]).toEqual({ channel: 'C_PROJ', thread_ts: THREAD_TS, text: '_Research resumed after interruption_' });
+    expect(resumed._tavilyClient.search).not.toHaveBeenCalled();
+    expect(resumed._claudeClient.messageJson).not.toHaveBeenCalled();
+
+    // And the result is delivered and handed to BrainDO
+    expect(posts.at(-1).text).toContain('MAHEC is accepting patients.');
+    const body = JSON.parse(await brainFetch.mock.calls[0][0].text());
+    expect(body).toMatchObject({ slug: 'find-pcp', trace_id: 'trace-1', notify: { channel: 'C_PROJ', thread_ts: THREAD_TS } });
+    expect(body.intents.map(i => i.path)).toContain('data/projects/find-pcp/spread.md');
+
+    // And the run record is gone
+    expect(await state.storage.get(RUN_KEY)).toBeUndefined();
+  });
+
+  it('should store a run that fits one storage value, without the context pack', async () => {
+    // Given a large context pack and searches that return many long results
+    const project = createProject(state, env);
+    project._claudeClient = createMockClaudeClient({
+      messageJson: [{ ...PLAN, queries: Array.from({ length: 8 }, (_, i) => `query ${i}`) }, SYNTHESIS, QUALITY],
+    });
+    project._slackClient.postMessage
+      .mockResolvedValueOnce({ ok: true, ts: THREAD_TS })
+      .mockResolvedValueOnce({ ok: true, ts: THREAD_TS })
+      .mockRejectedValueOnce(new Error('Slack unavailable'));
+    project._tavilyClient = createMockTavilyClient(Array.from({ length: 50 }, (_, i) => ({
+      url: `https://clinic-${i}.example`, title: `Clinic ${i}`, content: 'Accepting patients. '.repeat(30), score: 0.5,
+    })));
+    project.projectSlug = 'find-pcp';
+    project.spread = SPREAD;
+
+    // When Slack fails as the results are posted
+    await project.startResearchSession(
+      { channel_id: 'C_PROJ', message_ts: THREAD_TS, trace_id: 'trace-1', contextPack: `# Current Context\n\n${'- [ ] Open loop\n'.repeat(20000)}` },
+      { query: 'pcp accepting patients' },
+      logger
+    );
+
+    // Then the stored run keeps the 400 findings but stays under the 128 KiB value limit
+    const record = await state.storage.get(RUN_KEY);
+    expect(record.state.completed.at(-1)).toBe('quality_check');
+    expect(record.state.findings).toHaveLength(400);
+    expect(record.contextPack).toBeUndefined();
+    expect(new TextEncoder().encode(JSON.stringify(record)).length).toBeLessThan(128 * 1024);
+  });
+
+  it('should read the context pack from the repo when it resumes', async () => {
+    // Given a run interrupted as it posts its plan
+    const project = createProject(state, env);
+    project._slackClient.postMessage
+      .mockResolvedValueOnce({ ok: true, ts: THREAD_TS })
+      .mockRejectedValueOnce(new Error('Slack unavailable'));
+    project.projectSlug = 'find-pcp';
+    project.spread = SPREAD;
+    await project.startResearchSession(
+      { channel_id: 'C_PROJ', message_ts: THREAD_TS, trace_id: 'trace-1', contextPack: null },
+      { query: 'pcp accepting patients' },
+      logger
+    );
+
+    // When a fresh instance resumes it
+    jest.setSystemTime(Date.now() + 30 * 1000);
+    const resumed = createProject(state, env);
+    resumed._githubReader = createMockGitHubReader({
+      'data/projects/find-pcp/spread.md': SPREAD,
+      'data/current.md': '# Current Context\n\n## Identity\nNurse in Asheville, no car',
+    });
+    await resumed.alarm();
+
+    // Then synthesis sees the user's context from current.md
+    const [, userContext] = resumed._claudeClient.messageJson.mock.calls[1][0].system;
+    expect(userContext.text).toContain('Nurse in Asheville');
+    expect(await state.storage.get(RUN_KEY)).toBeUndefined();
+  });
+
+  it('should give up after the last attempt', async () => {
+    await startInterruptedRun();
+    const record = await state.storage.get(RUN_KEY);
+    await state.storage.put(RUN_KEY, { ...record, attempts: 2 });
+
+    jest.setSystemTime(Date.now() + 30 * 1000);
+    const resumed = createProject(state, env);
+    resumed._slackClient.postMessage
+      .mockResolvedValueOnce({ ok: true, ts: THREAD_TS })
+      .mockRejectedValueOnce(new Error('Slack unavailable'));
+    await resumed.alarm();
+
+    expect(resumed._slackClient.postMessage.mock.calls.at(-1)[0].text).toBe('_Research failed: Slack unavailable_');
+    expect(await state.storage.get(RUN_KEY)).toBeUndefined();
+  });
+
+  it('should leave runs that are not due yet', async () => {
+    await startInterruptedRun();
+
+    const early = createProject(state, env);
+    await early.alarm();
+
+    expect(early._slackClient.postMessage).not.toHaveBeenCalled();
+    expect(await state.storage.getAlarm()).toBe((await state.storage.get(RUN_KEY)).dueAt);
+  });
+});
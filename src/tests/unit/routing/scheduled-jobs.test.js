@@ -0,0 +1,663 @@
+/**
+ * Tests for scheduled jobs: cron slot matching, housekeeping, ritual
+ * reminders, nightly reconciliation and the BrainDO daily digest.
+ *
+ * Cron Triggers fire in UTC; jobs are defined in America/New_York local
+ * time. These tests pin `now` to fixed timestamps on both sides of DST.
+ */
+
+import { jest } from '@jest/globals';
+import { getDueJobs, getReminderRitualType, SCHEDULED_JOBS } from '../../../worker/lib/scheduler.js';
+import { BrainDO } from '../../../worker/durable-objects/brain-do.js';
+import {
+  createMockState,
+  createMockEnv,
+  createMockLogger,
+  createMockClaudeClient,
+  createMockSlackClient,
+  createMockGitHubReader,
+  createMockGitHubWriter,
+} from '../helpers/mock-factories.js';
+
+describe('Scheduled Jobs', () => {
+  describe('getDueJobs', () => {
+    it('should run the daily digest at 7:30am EST (12:30 UTC in winter)', () => {
+      // Given a firing at 12:30 UTC on Feb 2, 2026 (EST, UTC-5)
+      const jobs = getDueJobs(new Date('2026-02-02T12:30:00Z'));
+
+      // Then the digest is due
+      expect(jobs).toContain(SCHEDULED_JOBS.DAILY_DIGEST);
+    });
+
+    it('should run the daily digest at 7:30am EDT (11:30 UTC in summer)', () => {
+      // Given a firing at 11:30 UTC on Jul 1, 2026 (EDT, UTC-4)
+      const jobs = getDueJobs(new Date('2026-07-01T11:30:00Z'));
+
+      // Then the digest is due
+      expect(jobs).toContain(SCHEDULED_JOBS.DAILY_DIGEST);
+    });
+
+    it('should not run the digest in the other DST offset slot', () => {
+      // Given a firing at 12:30 UTC in summer (8:30am EDT)
+      const jobs = getDueJobs(new Date('2026-07-01T12:30:00Z'));
+
+      // Then the digest is not due
+      expect(jobs).not.toContain(SCHEDULED_JOBS.DAILY_DIGEST);
+    });
+
+    it('should match a firing that lands a few minutes late in the slot', () => {
+      const jobs = getDueJobs(new Date('2026-02-02T12:31:45Z'));
+      expect(jobs).toContain(SCHEDULED_JOBS.DAILY_DIGEST);
+    });
+
+    it('should respect day-of-week restrictions in the job table', () => {
+      // Given a Sunday-only job at 9:00 local
+      const schedule = [{ job: 'sunday_job', hour: 9, minute: 0, days: ['Sunday'] }];
+
+      // When it fires at 9:00 EST on a Sunday and on a Monday
+      const sunday = getDueJobs(new Date('2026-02-01T14:00:00Z'), schedule);
+      const monday = getDueJobs(new Date('2026-02-02T14:00:00Z'), schedule);
+
+      // Then only the Sunday firing runs it
+      expect(sunday).toEqual(['sunday_job']);
+      expect(monday).toEqual([]);
+    });
+  });
+
+  describe('getReminderRitualType', () => {
+    it('should pick monthly on the first Sunday of the month', () => {
+      // Given Sunday, Feb 1, 2026 at 9am EST
+      expect(getReminderRitualType(new Date('2026-02-01T14:00:00Z'))).toBe('monthly');
+    });
+
+    it('should pick weekly on later Sundays', () => {
+      // Given Sunday, Feb 8, 2026 at 9am EST
+      expect(getReminderRitualType(new Date('2026-02-08T14:00:00Z'))).toBe('weekly');
+    });
+
+    it('should use the local date, not UTC', () => {
+      // Given Sunday, Mar 8, 2026 at 11pm EDT — already Monday in UTC
+      expect(getReminderRitualType(new Date('2026-03-09T03:00:00Z'))).toBe('weekly');
+    });
+
+    it('should return null on non-Sundays', () => {
+      expect(getReminderRitualType(new Date('2026-02-02T14:00:00Z'))).toBeNull();
+    });
+
+    it('should be scheduled for Sunday 9am local', () => {
+      expect(getDueJobs(new Date('2026-02-08T14:00:00Z'))).toContain(SCHEDULED_JOBS.RITUAL_REMINDER);
+      expect(getDueJobs(new Date('2026-02-09T14:00:00Z'))).not.toContain(SCHEDULED_JOBS.RITUAL_REMINDER);
+    });
+  });
+
+  describe('BrainDO.runRitualReminder', () => {
+    let brain;
+    let state;
+    let logger;
+    let ritualFetch;
+
+    function ritualStatus(sessions) {
+      ritualFetch.mockImplementation(async () => new Response(
+        JSON.stringify({ status: 'ok', sessions }),
+        { headers: { 'Content-Type': 'application/json' } }
+      ));
+    }
+
+    beforeEach(() => {
+      state = createMockState();
+      ritualFetch = jest.fn();
+      const env = createMockEnv({
+        RITUAL_DO: {
+          idFromName: jest.fn(name => name),
+          get: jest.fn(() => ({ fetch: ritualFetch })),
+        },
+      });
+      brain = new BrainDO(state, env);
+      brain._slackClient = createMockSlackClient();
+      logger = createMockLogger();
+      ritualStatus([]);
+    });
+
+    it('should nudge #sb-weekly on a regular Sunday', async () => {
+      // Given Sunday, Feb 8, 2026 at 9am EST with no ritual session
+      const result = await brain.runRitualReminder({ now: new Date('2026-02-08T14:00:00Z'), logger });
+
+      // Then the weekly channel gets a conversational reminder
+      expect(brain._slackClient.postMessage).toHaveBeenCalledWith({
+        channel: 'C_WEEKLY',
+        text: expect.stringContaining('weekly review'),
+      });
+      expect(result).toEqual(expect.objectContaining({ ritualType: 'weekly', periodId: '2026-W06' }));
+
+      // And RitualDO was asked about this period
+      expect(brain.env.RITUAL_DO.idFromName).toHaveBeenCalledWith('ritual-weekly');
+      const statusRequest = ritualFetch.mock.calls[0][0];
+      expect(new URL(statusRequest.url).pathname).toBe('/status');
+      expect(await statusRequest.json()).toEqual({ ritualType: 'weekly', periodId: '2026-W06' });
+    });
+
+    it('should nudge #sb-monthly (and not #sb-weekly) on the first Sunday', async () => {
+      // Given Sunday, Feb 1, 2026 at 9am EST
+      const result = await brain.runRitualReminder({ now: new Date('2026-02-01T14:00:00Z'), logger });
+
+      // Then only the monthly channel is nudged
+      expect(brain._slackClient.postMessage).toHaveBeenCalledTimes(1);
+      expect(brain._slackClient.postMessage).toHaveBeenCalledWith({
+        channel: 'C_MONTHLY',
+        text: expect.stringContaining('monthly review'),
+      });
+      expect(result).toEqual(expect.objectContaining({ ritualType: 'monthly', periodId: '2026-02' }));
+    });
+
+    it('should skip when RitualDO already has a session for the period', async () => {
+      // Given the user already started this week's review
+      ritualStatus([{ threadTs: '1770555600.000100', phase: 'reflect', status: 'active' }]);
+
+      // When the reminder runs
+      const result = await brain.runRitualReminder({ now: new Date('2026-02-08T14:00:00Z'), logger });
+
+      // Then nothing is posted
+      expect(result.skipped).toBe('session_exists');
+      expect(brain._slackClient.postMessage).not.toHaveBeenCalled();
+    });
+
+    it('should record the firing so a duplicate cron invocation does not double-post', async () => {
+      const now = new Date('2026-02-08T14:00:00Z');
+
+      // When the reminder runs twice for the same Sunday
+      await brain.runRitualReminder({ now, logger });
+      const second = await brain.runRitualReminder({ now, logger });
+
+      // Then it posts once and records the firing in storage
+      expect(brain._slackClient.postMessage).toHaveBeenCalledTimes(1);
+      expect(second.skipped).toBe('already_sent');
+      expect(state._storage.get('reminder:weekly:2026-W06')).toEqual(
+        expect.objectContaining({ channel: 'C_WEEKLY' })
+      );
+    });
+
+    it('should post once when two invocations overlap', async () => {
+      const now = new Date('2026-02-08T14:00:00Z');
+
+      // When a second invocation starts while the first awaits RitualDO
+      let second;
+      ritualFetch.mockImplementationOnce(async () => {
+        second = await brain.runRitualReminder({ now, logger });
+        return new Response(JSON.stringify({ status: 'ok', sessions: [] }));
+      });
+      const first = await brain.runRitualReminder({ now, logger });
+
+      // Then only the first posts
+      expect(brain._slackClient.postMessage).toHaveBeenCalledTimes(1);
+      expect(first.ts).toBeDefined();
+      expect(second.skipped).toBe('already_sent');
+    });
+
+    it('should not record the firing when the post fails', async () => {
+      brain._slackClient.postMessage.mockRejectedValueOnce(new Error('Slack down'));
+
+      await expect(
+        brain.runRitualReminder({ now: new Date('2026-02-08T14:00:00Z'), logger })
+      ).rejects.toThrow('Slack down');
+      expect(state._storage.has('reminder:weekly:2026-W06')).toBe(false);
+    });
+  });
+
+  describe('BrainDO.runHousekeeping', () => {
+    let brain;
+    let state;
+    let logger;
+
+    const calendar = `# Upcoming Events
+
+## 2026-01-29 (Thursday)
+
+- 09:00-10:00 Therapy with Dana
+
+## 2026-02-01 (Sunday)
+
+- 08:00 Bloodwork
+
+## 2026-02-09 (Monday)
+
+- 18:00 Fly to DC
+`;
+
+    beforeEach(() => {
+      state = createMockState();
+      brain = new BrainDO(state, createMockEnv());
+      logger = createMockLogger();
+      brain._githubWriter = createMockGitHubWriter();
+      brain._githubWriter.batchWrite.mockResolvedValue({ commitSha: 'sha-housekeeping' });
+      brain._githubReader = createMockGitHubReader({
+        'data/planning/calendar-current.md': calendar,
+        'data/planning/calendar-past.md': '# Past Events\n\n---\n\n*No past events archived yet.*\n',
+      });
+    });
+
+    it('should be scheduled at 7:00am local, before the digest', () => {
+      expect(getDueJobs(new Date('2026-02-01T12:00:00Z'))).toEqual([SCHEDULED_JOBS.HOUSEKEEPING]);
+      expect(getDueJobs(new Date('2026-07-01T11:00:00Z'))).toEqual([SCHEDULED_JOBS.HOUSEKEEPING]);
+    });
+
+    it('should move past days to calendar-past.md in one [housekeeping] commit', async () => {
+      // Given 7am EST on Feb 1, 2026
+      const result = await brain.runHousekeeping({ now: new Date('2026-02-01T12:00:00Z'), logger });
+
+      // Then one atomic commit touches both calendar files
+      expect(brain._githubWriter.batchWrite).toHaveBeenCalledTimes(1);
+      const [files, message] = brain._githubWriter.batchWrite.mock.calls[0];
+      expect(message).toMatch(/^\[housekeeping\]/);
+
+      const current = files.find(f => f.path === 'data/planning/calendar-current.md').content;
+      const past = files.find(f => f.path === 'data/planning/calendar-past.md').content;
+      expect(current).not.toContain('2026-01-29');
+      expect(current).toContain('## 2026-02-01 (Sunday)');
+      expect(current).toContain('## 2026-02-09 (Monday)');
+      expect(past).toContain('## 2026-01-29 (Thursday)\n\n- 09:00-10:00 Therapy with Dana');
+      expect(past).not.toContain('No past events archived yet');
+
+      expect(result).toEqual({ moved: ['2026-01-29'], commitSha: 'sha-housekeeping' });
+    });
+
+    it('should not commit when nothing is in the past', async () => {
+      const result = await brain.runHousekeeping({ now: new Date('2026-01-29T12:00:00Z'), logger });
+
+      expect(result.moved).toEqual([]);
+      expect(brain._githubWriter.batchWrite).not.toHaveBeenCalled();
+    });
+
+    it('should wake snoozed items into Open Loops with a stream note in the same commit', async () => {
+      // Given a task snoozed until Feb 1
+      brain._githubReader = createMockGitHubReader({
+        'data/planning/calendar-current.md': calendar,
+        'data/current.md': '## Open Loops\n- [ ] Order soil ^cccccc\n\n## Snoozed\n- [ ] Call PCP ^aaaaaa — snoozed until 2026-02-01\n- [ ] Renew passport ^dddddd — snoozed until 2026-03-01\n',
+      });
+
+      // When housekeeping runs that morning
+      const result = await brain.runHousekeeping({ now: new Date('2026-02-01T12:00:00Z'), logger });
+
+      // Then the calendar rotation and the wake-up share one commit
+      expect(brain._githubWriter.batchWrite).toHaveBeenCalledTimes(1);
+      const [files, message] = brain._githubWriter.batchWrite.mock.calls[0];
+      expect(message).toBe('[housekeeping] Archive 1 past calendar day(s); Wake 1 snoozed item(s)');
+
+      const pack = files.find(f => f.path === 'data/current.md').content;
+      expect(pack).toMatch(/## Open Loops\n[\s\S]*- \[ \] Call PCP \^aaaaaa\n[\s\S]*## Snoozed/);
+      expect(pack).toContain('- [ ] Renew passport ^dddddd — snoozed until 2026-03-01');
+      expect(files.find(f => f.path === 'data/stream/2026-02-01.md').content)
+        .toContain('| [housekeeping] Back from snooze: Call PCP');
+      expect(result.woken).toEqual(['- [ ] Call PCP ^aaaaaa']);
+    });
+
+    it('should materialize recurring events and tasks once, however often it runs', async () => {
+      // Given a weekly therapy slot (already typed in for Jan 29) and a Monday chore
+      brain._githubReader = createMockGitHubReader({
+        'data/planning/calendar-current.md': calendar,
+        'data/current.md': '## Open Loops\n- [ ] Order soil ^cccccc\n',
+        'data/planning/recurring.md': '# Recurring\n\n## Recurring\n- every Thu 09:00-10:00 Therapy with Dana\n- every Mon task: PCP calls @phone\n',
+      });
+
+      // When housekeeping runs on Monday Feb 2
+      const result = await brain.runHousekeeping({ now: new Date('2026-02-02T12:00:00Z'), logger });
+
+      // Then the coming Thursday gets the session and today's task is due today
+      const [files, message] = brain._githubWriter.batchWrite.mock.calls[0];
+      expect(message).toBe('[housekeeping] Archive 2 past calendar day(s); Add 1 recurring event(s); Add 1 recurring task(s)');
+      const current = files.find(f => f.path === 'data/planning/calendar-current.md').content;
+      expect(current).toContain('## 2026-02-05 (Thursday)\n\n- 09:00-10:00 Therapy with Dana');
+      expect(files.find(f => f.path === 'data/current.md').content)
+        .toMatch(/## Open Loops\n[\s\S]*?- \[ \] Order soil \^cccccc\n- \[ \] PCP calls @phone due:2026-02-02 \^[a-z0-9]{6}\n/);
+      expect(result.recurring).toEqual({
+        events: [{ date: '2026-02-05', time: '09:00-10:00', title: 'Therapy with Dana' }],
+        tasks: ['- [ ] PCP calls @phone due:2026-02-02'],
+      });
+
+      // When it runs again the same day, after the user deleted Thursday's session
+      brain._githubReader = createMockGitHubReader({
+        'data/planning/calendar-current.md': current.replace('- 09:00-10:00 Therapy with Dana', ''),
+        'data/current.md': '## Open Loops\n- [x] PCP calls due:2026-02-02 ^pcpcal\n',
+        'data/planning/recurring.md': '- every Thu 09:00-10:00 Therapy with Dana\n- every Mon task: PCP calls @phone\n',
+      });
+      const rerun = await brain.runHousekeeping({ now: new Date('2026-02-02T12:30:00Z'), logger });
+
+      // Then nothing is added back
+      expect(brain._githubWriter.batchWrite).toHaveBeenCalledTimes(1);
+      expect(rerun).toEqual({ moved: [] });
+      expect(await state.storage.get('recurring:through')).toEqual({
+        'every Thu 09:00-10:00 Therapy with Dana': '2026-02-08',
+        'every Mon task: PCP calls @phone': '2026-02-02',
+      });
+    });
+
+    it('should record a failure and clear it after the next success', async () => {
+      // Given GitHub rejects the commit
+      brain._githubWriter.batchWrite.mockRejectedValueOnce(new Error('GitHub API error: 500 - boom'));
+      const now = new Date('2026-02-01T12:00:00Z');
+
+      // When housekeeping runs
+      await expect(brain.runHousekeeping({ now, logger })).rejects.toThrow('500');
+
+      // Then the failure is stored for the digest
+      expect(state._storage.get('housekeeping:failure')).toEqual(expect.objectContaining({
+        date: '2026-02-01',
+        error: 'GitHub API error: 500 - boom',
+      }));
+
+      // And a later successful run clears it
+      await brain.runHousekeeping({ now, logger });
+      expect(state._storage.has('housekeeping:failure')).toBe(false);
+    });
+  });
+
+  describe('BrainDO.runReconciliation', () => {
+    let brain;
+    let state;
+    let logger;
+
+    const pack = `# Current Context
+<!-- context_pack_version: abc123 source_ref: def456 direction: build -->
+Last rebuilt: 2026-02-01 08:00
+
+## Pending Review
+<!-- Managed inline - preserved during rebuild -->
+*No items pending review*
+
+## Today's Stream
+<!-- Source: stream/2026-01-31.md -->
+## Captures
+- 21:00 | Late note
+
+## Open Loops
+<!-- Managed inline - preserved during rebuild -->
+- [ ] Call PCP
+
+## This Week's Plan
+<!-- Source: planning/weekly/2026-W05.md -->
+*No weekly plan yet*
+
+## Upcoming Calendar
+<!-- Source: planning/calendar-current.md -->
+## 2026-02-01 (Sunday)
+- 08:00 Bloodwork
+
+## Project Index
+<!-- Source: projects/index.md -->
+*No projects*
+
+## This Month's Plan
+<!-- Source: planning/monthly/2026-02.md -->
+*No monthly plan yet*
+
+## Learned Context
+<!-- Source: system/learned.md -->
+- Prefers mornings
+
+## Identity
+<!-- Source: identity/*.md (combined) -->
+*Identity not yet defined*
+`;
+
+    beforeEach(() => {
+      state = createMockState();
+      brain = new BrainDO(state, createMockEnv());
+      logger = createMockLogger();
+      brain._githubReader = createMockGitHubReader({
+        'data/current.md': pack,
+        'data/stream/2026-01-31.md': '## Captures\n- 21:00 | Late note\n',
+        'data/planning/calendar-current.md': '## 2026-02-01 (Sunday)\n- 08:00 Bloodwork\n- 12:00 Lunch\n',
+        'data/system/learned.md': '- Prefers evenings\n',
+      });
+    });
+
+    it('should be scheduled nightly at 3:00am local', () => {
+      expect(getDueJobs(new Date('2026-02-01T08:00:00Z'))).toEqual([SCHEDULED_JOBS.RECONCILIATION]);
+      expect(getDueJobs(new Date('2026-07-01T07:00:00Z'))).toEqual([SCHEDULED_JOBS.RECONCILIATION]);
+    });
+
+    it('should store a per-section drift report', async () => {
+      // Given calendar and learned context changed on GitHub without a rebuild
+      const report = await brain.runReconciliation({ now: new Date('2026-02-01T08:00:00Z'), logger });
+
+      // Then both sections are reported, with the differing lines
+      expect(report.drifted.map(d => d.section)).toEqual(['Upcoming Calendar', 'Learned Context']);
+      expect(report.drifted[0]).toEqual(expect.objectContaining({
+        source: 'planning/calendar-current.md',
+        onlyInPack: [],
+        onlyInSources: ['- 12:00 Lunch'],
+      }));
+      expect(report.drifted[1]).toEqual(expect.objectContaining({
+        onlyInPack: ['- Prefers mornings'],
+        onlyInSources: ['- Prefers evenings'],
+      }));
+      expect(state._storage.get('reconciliation:last')).toEqual(report);
+      expect(logger.warn).toHaveBeenCalledWith('Context drift detected', expect.objectContaining({
+        sections: ['Upcoming Calendar', 'Learned Context'],
+      }));
+    });
+
+    it('should check the stream file the pack was built from', async () => {
+      // Given it is already Feb 1 but the pack still shows Jan 31's stream
+      const report = await brain.runReconciliation({ now: new Date('2026-02-01T08:00:00Z'), logger });
+
+      // Then the stream is compared against Jan 31, not flagged as drift
+      expect(brain._githubReader.getContent).toHaveBeenCalledWith('data/stream/2026-01-31.md', 'mock-head-sha');
+      expect(report.drifted.map(d => d.section)).not.toContain("Today's Stream");
+    });
+
+    it('should read every file at the same commit', async () => {
+      // Given the branch moves on after the first read
+      brain._githubReader.getHeadSha
+        .mockResolvedValueOnce('sha-before')
+        .mockResolvedValue('sha-after');
+
+      const report = await brain.runReconciliation({ now: new Date('2026-02-01T08:00:00Z'), logger });
+
+      // Then current.md and its sources all come from the commit resolved first
+      const refs = brain._githubReader.getContent.mock.calls.map(([, ref]) => ref);
+      expect(refs.length).toBeGreaterThan(1);
+      expect(new Set(refs)).toEqual(new Set(['sha-before']));
+      expect(report.ref).toBe('sha-before');
+    });
+
+    it('should never write to GitHub', async () => {
+      brain._githubWriter = createMockGitHubWriter();
+
+      await brain.runReconciliation({ now: new Date('2026-02-01T08:00:00Z'), logger });
+
+      expect(brain._githubWriter.batchWrite).not.toHaveBeenCalled();
+    });
+
+    it('should skip when current.md does not exist', async () => {
+      brain._githubReader = createMockGitHubReader({});
+
+      const result = await brain.runReconciliation({ now: new Date('2026-02-01T08:00:00Z'), logger });
+
+      expect(result).toEqual({ skipped: 'no_context' });
+      expect(state._storage.has('reconciliation:last')).toBe(false);
+    });
+  });
+
+  describe('BrainDO.runDailyDigest', () => {
+    let brain;
+    let logger;
+
+    beforeEach(() => {
+      brain = new BrainDO(createMockState(), createMockEnv());
+      brain.contextPack = '# Current Context\n\n## Pending Review\n- Is "Dana" the therapist?\n\n## Open Loops\n- [ ] Call PCP\n';
+      brain.contextVersion = 'mock-sha';
+
+      logger = createMockLogger();
+      brain._claudeClient = createMockClaudeClient({ message: '**Top Priorities:**\n1. Bloodwork' });
+      brain._slackClient = createMockSlackClient();
+      brain._githubReader = createMockGitHubReader({
+        'data/planning/calendar-current.md': '## 2026-02-01 (Sunday)\n- 08:00 Bloodwork\n',
+        'data/stream/2026-02-01.md': '## Captures\n- 07:05 | Woke up early\n',
+        'data/planning/weekly/2026-W05.md': '# Week 5\n- Focus on health\n',
+      });
+    });
+
+    it('should post the what-matters output to the inbox channel', async () => {
+      // Given a fixed timestamp of Feb 1, 2026 7:30am EST
+      const now = new Date('2026-02-01T12:30:00Z');
+
+      // When the digest runs
+      const result = await brain.runDailyDigest({ now, logger });
+
+      // Then it posts to SLACK_INBOX_CHANNEL_ID with the dated header
+      expect(brain._slackClient.postMessage).toHaveBeenCalledWith({
+        channel: 'C_INBOX',
+        text: expect.stringContaining('*What Matters Today* (Sunday, February 1, 2026)'),
+      });
+      expect(result.channel).toBe('C_INBOX');
+      expect(result.text).toContain('Bloodwork');
+    });
+
+    it('should read calendar, stream and weekly plan for the local date', async () => {
+      // Given 11pm EST on Feb 1 (already Feb 2 in UTC)
+      const now = new Date('2026-02-02T04:00:00Z');
+
+      // When the digest runs
+      await brain.runDailyDigest({ now, logger });
+
+      // Then today's stream is resolved in America/New_York
+      expect(brain._githubReader.getContent).toHaveBeenCalledWith('data/stream/2026-02-01.md');
+      expect(brain._githubReader.getContent).toHaveBeenCalledWith('data/planning/calendar-current.md');
+      expect(brain._githubReader.getContent).toHaveBeenCalledWith('data/planning/weekly/2026-W05.md');
+    });
+
+    it('should include Pending Review and fresh data in the Claude prompt', async () => {
+      await brain.runDailyDigest({ now: new Date('2026-02-01T12:30:00Z'), logger });
+
+      const { system, userMessage } = brain._claudeClient.message.mock.calls[0][0];
+      expect(system).toContain('TODAY: Sunday, February 1, 2026');
+      expect(system).toContain('2026-02-01');
+      expect(system).toContain('2026-02-02');
+      expect(userMessage).toContain('08:00 Bloodwork');
+      expect(userMessage).toContain('Woke up early');
+      expect(userMessage).toContain('Is "Dana" the therapist?');
+    });
+
+    it('should add a system health note when housekeeping failed', async () => {
+      // Given this morning's housekeeping failed
+      await brain.state.storage.put('housekeeping:failure', { date: '2026-02-01', error: 'timeout' });
+
+      // When the digest runs
+      const result = await brain.runDailyDigest({ now: new Date('2026-02-01T12:30:00Z'), logger });
+
+      // Then it still posts, with the note appended
+      expect(result.text).toContain('Bloodwork');
+      expect(result.text).toContain("calendar cleanup didn't run this morning");
+    });
+
+    it('should name drifted sections from the last reconciliation', async () => {
+      // Given last night's reconciliation found drift
+      await brain.state.storage.put('reconciliation:last', {
+        checkedAt: '2026-02-01T08:00:00.000Z',
+        drifted: [{ section: 'Upcoming Calendar' }, { section: 'Learned Context' }],
+      });
+
+      // When the digest runs
+      const result = await brain.runDailyDigest({ now: new Date('2026-02-01T12:30:00Z'), logger });
+
+      // Then the drifted sections are listed
+      expect(result.text).toContain('context drift detected in: Upcoming Calendar, Learned Context');
+    });
+
+    it('should not mention drift after a clean reconciliation', async () => {
+      await brain.state.storage.put('reconciliation:last', { checkedAt: '2026-02-01T08:00:00.000Z', drifted: [] });
+
+      const result = await brain.runDailyDigest({ now: new Date('2026-02-01T12:30:00Z'), logger });
+
+      expect(result.text).not.toContain('drift');
+    });
+
+    it('should not add the note when housekeeping succeeded', async () => {
+      const result = await brain.runDailyDigest({ now: new Date('2026-02-01T12:30:00Z'), logger });
+      expect(result.text).not.toContain('calendar cleanup');
+    });
+
+    it('should throw when no inbox channel is configured', async () => {
+      brain.env.SLACK_INBOX_CHANNEL_ID = undefined;
+
+      await expect(
+        brain.runDailyDigest({ now: new Date('2026-02-01T12:30:00Z'), logger })
+      ).rejects.toThrow('SLACK_INBOX_CHANNEL_ID');
+      expect(brain._slackClient.postMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('BrainDO.handleScheduled', () => {
+    let brain;
+    let logger;
+
+    beforeEach(() => {
+      brain = new BrainDO(createMockState(), createMockEnv());
+      logger = createMockLogger();
+    });
+
+    it('should run the digest when the firing lands in its slot', async () => {
+      // Given a stubbed digest
+      const spy = jest.spyOn(brain, 'runDailyDigest').mockResolvedValue({});
+
+      // When a cron firing at 7:30am EST arrives
+      const response = await brain.handleScheduled(
+        { cron: '*/30 * * * *', scheduled_time: Date.parse('2026-02-01T12:30:00Z') },
+        logger
+      );
+
+      // Then the digest runs with the scheduled time
+      expect(spy).toHaveBeenCalledWith(expect.objectContaining({
+        now: new Date('2026-02-01T12:30:00Z'),
+      }));
+      const body = await response.json();
+      expect(body.jobs[SCHEDULED_JOBS.DAILY_DIGEST]).toBe('ok');
+    });
+
+    it('should do nothing outside any job slot', async () => {
+      const spy = jest.spyOn(brain, 'runDailyDigest').mockResolvedValue({});
+
+      const response = await brain.handleScheduled(
+        { cron: '*/30 * * * *', scheduled_time: Date.parse('2026-02-01T18:00:00Z') },
+        logger
+      );
+
+      expect(spy).not.toHaveBeenCalled();
+      const body = await response.json();
+      expect(body.jobs).toEqual({});
+    });
+
+    it('should retry failed housekeeping on the next firing', async () => {
+      // Given a stored housekeeping failure
+      await brain.state.storage.put('housekeeping:failure', { date: '2026-02-01', error: 'timeout' });
+      const housekeeping = jest.spyOn(brain, 'runHousekeeping').mockResolvedValue({ moved: [] });
+      const digest = jest.spyOn(brain, 'runDailyDigest').mockResolvedValue({});
+
+      // When the 7:30am firing arrives
+      const response = await brain.handleScheduled(
+        { cron: '*/30 * * * *', scheduled_time: Date.parse('2026-02-01T12:30:00Z') },
+        logger
+      );
+
+      // Then housekeeping is retried before the digest runs
+      const body = await response.json();
+      expect(Object.keys(body.jobs)).toEqual([SCHEDULED_JOBS.HOUSEKEEPING, SCHEDULED_JOBS.DAILY_DIGEST]);
+      expect(housekeeping.mock.invocationCallOrder[0]).toBeLessThan(digest.mock.invocationCallOrder[0]);
+    });
+
+    it('should report a failing job without throwing', async () => {
+      jest.spyOn(brain, 'runDailyDigest').mockRejectedValue(new Error('Slack down'));
+
+      const response = await brain.handleScheduled(
+        { cron: '*/30 * * * *', scheduled_time: Date.parse('2026-02-01T12:30:00Z') },
+        logger
+      );
+
+      const body = await response.json();
+      expect(body.jobs[SCHEDULED_JOBS.DAILY_DIGEST]).toBe('error');
+      expect(logger.error).toHaveBeenCalledWith('Scheduled job failed', expect.objectContaining({
+        job: SCHEDULED_JOBS.DAILY_DIGEST,
+      }));
+    });
+  });
+});
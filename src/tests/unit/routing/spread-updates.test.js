@@ -0,0 +1,200 @@
+/**
+ * Tests for notify_spread_updated: ProjectDO hands research write intents
+ * to BrainDO, which coalesces them for 5 seconds and commits them in one
+ * commit together with the rebuilt project index.
+ */
+
+import { jest } from '@jest/globals';
+import { BrainDO } from '../../../worker/durable-objects/brain-do.js';
+import { putIntent, toolIntent } from '../../../worker/lib/write-intent.js';
+import { buildResearchIntents } from '../../../worker/agents/research-agent.js';
+import {
+  createMockState,
+  createMockEnv,
+  createMockLogger,
+  createMockGitHubReader,
+  createMockGitHubWriter,
+  createMockSlackClient,
+} from '../helpers/mock-factories.js';
+
+const FIND_PCP_SPREAD = `# Find PCP
+
+## Status
+Active
+
+## Research
+- 2026-02-28: Three clinics accepting patients`;
+
+const GARDEN_SPREAD = `# Garden
+
+## Status
+Active
+
+## Research
+- 2026-02-28: Raised bed soil suppliers`;
+
+function notify(brain, body) {
+  return brain.fetch(new Request('http://internal/notify_spread_updated', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }));
+}
+
+function researchIntents(slug, spread) {
+  return [
+    putIntent(`data/projects/${slug}/logs/1772290000000-research.md`, `# Research log for ${slug}`),
+    putIntent(`data/projects/${slug}/spread.md`, spread),
+    toolIntent('data/stream/2026-02-28.md', 'append_to_section', { heading: '## Captures', content: `- 10:00 | [research] ${slug} -> proj-${slug}` }),
+  ];
+}
+
+describe('Spread update coalescing', () => {
+  let brain;
+  let state;
+  let logger;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-02-28T15:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    state = createMockState();
+    brain = new BrainDO(state, createMockEnv());
+    brain._githubReader = createMockGitHubReader({
+      'data/current.md': '# Current Context\n\n## Open Loops\n<!-- Managed inline - preserved during rebuild -->\n- [ ] Order soil ^cccccc\n',
+    });
+    brain._githubReader.listDirectory.mockResolvedValue([
+      { name: 'find-pcp', type: 'dir' },
+      { name: 'garden', type: 'dir' },
+    ]);
+    brain._githubWriter = createMockGitHubWriter();
+    brain._githubWriter.batchWrite.mockResolvedValue({ commitSha: 'sha-research' });
+    brain._slackClient = createMockSlackClient();
+    logger = createMockLogger();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should commit updates from two projects once, with the rebuilt index', async () => {
+    // Given two ProjectDOs finish research within the window
+    const first = await notify(brain, { slug: 'find-pcp', intents: researchIntents('find-pcp', FIND_PCP_SPREAD), message: 'Research: pcp (find-pcp)' });
+    await notify(brain, { slug: 'garden', intents: researchIntents('garden', GARDEN_SPREAD), message: 'Research: soil (garden)' });
+
+    // Then nothing is committed yet, and one alarm covers both
+    expect(first.status).toBe(202);
+    expect(brain._githubWriter.batchWrite).not.toHaveBeenCalled();
+    expect(state.storage.setAlarm).toHaveBeenCalledTimes(1);
+    expect(state.storage.setAlarm).toHaveBeenCalledWith(Date.now() + 5000);
+
+    // When the alarm fires
+    await brain.alarm();
+
+    // Then logs, spreads, the stream line and the index land in one commit
+    expect(brain._githubWriter.batchWrite).toHaveBeenCalledTimes(1);
+    const [files, message] = brain._githubWriter.batchWrite.mock.calls[0];
+    const byPath = Object.fromEntries(files.map(f => [f.path, f.content]));
+    expect(Object.keys(byPath)).toEqual(expect.arrayContaining([
+      'data/projects/find-pcp/logs/1772290000000-research.md',
+      'data/projects/find-pcp/spread.md',
+      'data/projects/garden/spread.md',
+      'data/projects/index.md',
+      'data/stream/2026-02-28.md',
+    ]));
+    expect(byPath['data/projects/index.md']).toContain('find-pcp');
+    expect(byPath['data/projects/index.md']).toContain('garden');
+    expect(byPath['data/stream/2026-02-28.md']).toContain('[research] find-pcp');
+    expect(byPath['data/stream/2026-02-28.md']).toContain('[research] garden');
+    expect(message).toBe('Update find-pcp, garden (2 updates)');
+
+    // And the queue is empty
+    expect(await state.storage.get('spread-updates:pending')).toBeUndefined();
+  });
+
+  it('should keep both entries when two runs on one project overlap', async () => {
+    // Given two runs that both started from the same spread and sources
+    const sources = '# Sources\n\n## MAHEC\nURL: https://mahec.net\nFetched: 2026-02-20\n\n- Accepting new patients';
+    brain._githubReader = createMockGitHubReader({
+      'data/current.md': '# Current Context\n',
+      'data/projects/find-pcp/spread.md': FIND_PCP_SPREAD,
+      'data/projects/find-pcp/sources.md': sources,
+    });
+    brain._githubReader.listDirectory.mockResolvedValue([{ name: 'find-pcp', type: 'dir' }]);
+    const run = (query, finding) => buildResearchIntents('find-pcp', { summary: `${query} found`, keyPoints: [], recommendations: [], sources: [] },
+      { query, findings: [], messages: [], startedAt: Date.now() },
+      { query, allFindings: [finding], spread: FIND_PCP_SPREAD, sources }).intents;
+    const first = run('saturday hours', { source: 'https://blueridge.org', title: 'Blue Ridge Health', content: 'Saturday hours', query: 'saturday hours' });
+    const second = run('telehealth', { source: 'https://telehealth.example', title: 'Telehealth PCP', content: 'Video visits', query: 'telehealth' });
+
+    // When both are queued in one window and the alarm fires
+    await notify(brain, { slug: 'find-pcp', intents: first, message: 'Research: saturday hours (find-pcp)' });
+    await notify(brain, { slug: 'find-pcp', intents: second, message: 'Research: telehealth (find-pcp)' });
+    await brain.alarm();
+
+    // Then the spread has both Research entries, after the existing one
+    const [files] = brain._githubWriter.batchWrite.mock.calls[0];
+    const byPath = Object.fromEntries(files.map(f => [f.path, f.content]));
+    const spread = byPath['data/projects/find-pcp/spread.md'];
+    expect(spread).toContain('- 2026-02-28: Three clinics accepting patients');
+    expect(spread.indexOf('### saturday hours')).toBeGreaterThan(-1);
+    expect(spread.indexOf('### telehealth')).toBeGreaterThan(spread.indexOf('### saturday hours'));
+
+    // And the library has both new sources as well as the saved one
+    const library = byPath['data/projects/find-pcp/sources.md'];
+    expect(library).toContain('URL: https://mahec.net');
+    expect(library).toContain('URL: https://blueridge.org');
+    expect(library).toContain('URL: https://telehealth.example');
+  });
+
+  it('should commit the other runs when one run has an intent that fails', async () => {
+    // Given two runs queued in one window, the second with a tool call that can't apply
+    const failing = [
+      ...researchIntents('garden', GARDEN_SPREAD),
+      toolIntent('data/current.md', 'mark_complete', { item: '^zzzzzz' }),
+    ];
+    await notify(brain, {
+      slug: 'find-pcp', intents: researchIntents('find-pcp', FIND_PCP_SPREAD), message: 'Research: pcp (find-pcp)',
+      notify: { channel: 'C_PCP', thread_ts: '1772290000.000100' },
+    });
+    await notify(brain, {
+      slug: 'garden', intents: failing, message: 'Research: soil (garden)',
+      notify: { channel: 'C_GARDEN', thread_ts: '1772290000.000200' },
+    });
+
+    // When the alarm fires
+    await brain.alarm();
+
+    // Then the first run is committed on its own, with the index
+    expect(brain._githubWriter.batchWrite).toHaveBeenCalledTimes(1);
+    const [files, message] = brain._githubWriter.batchWrite.mock.calls[0];
+    const paths = files.map(f => f.path);
+    expect(paths).toEqual(expect.arrayContaining(['data/projects/find-pcp/spread.md', 'data/projects/index.md']));
+    expect(paths).not.toContain('data/projects/garden/spread.md');
+    expect(message).toBe('Research: pcp (find-pcp)');
+
+    // And only the failing run's thread hears that it wasn't saved
+    const posts = brain._slackClient.postMessage.mock.calls.map(([params]) => params);
+    expect(posts).toHaveLength(1);
+    expect(posts[0]).toMatchObject({ channel: 'C_GARDEN', thread_ts: '1772290000.000200' });
+    expect(posts[0].text).toContain("couldn't save that: mark_complete");
+    expect(await state.storage.get('spread-updates:pending')).toBeUndefined();
+  });
+
+  it('should keep the updates queued when the commit fails', async () => {
+    await notify(brain, { slug: 'find-pcp', intents: researchIntents('find-pcp', FIND_PCP_SPREAD), message: 'Research: pcp (find-pcp)' });
+    brain._githubWriter.batchWrite.mockRejectedValue(new Error('GitHub unavailable'));
+
+    // When the alarm's commit fails, the alarm throws so the runtime retries it
+    await expect(brain.alarm()).rejects.toThrow('GitHub unavailable');
+
+    const pending = await state.storage.get('spread-updates:pending');
+    expect(pending).toHaveLength(1);
+    expect(pending[0].slug).toBe('find-pcp');
+  });
+
+  it('should reject a notification without intents', async () => {
+    const response = await notify(brain, { slug: 'find-pcp', intents: [] });
+
+    expect(response.status).toBe(400);
+    expect(state.storage.setAlarm).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for the /todo command.
+ *
+ * /todo edits Open Loops through write intents and commitWriteSet, with
+ * no Claude call, and logs each change to the day's stream.
+ */
+
+import { jest } from '@jest/globals';
+import { BrainDO } from '../../../worker/durable-objects/brain-do.js';
+import {
+  createMockState,
+  createMockEnv,
+  createMockLogger,
+  createMockGitHubReader,
+  createMockGitHubWriter,
+  createMockSlackClient,
+  createMockClaudeClient,
+} from '../helpers/mock-factories.js';
+
+const CURRENT = `# Current Context
+
+## Open Loops
+<!-- Managed inline - preserved during rebuild -->
+- [ ] Call PCP due:2026-03-01 @phone ^aaaaaa
+- [x] Submit report ^bbbbbb
+- [ ] Order raised bed soil ^cccccc
+- [x] Renew passport ^dddddd
+
+## Pending Review
+<!-- Managed inline - preserved during rebuild -->
+`;
+
+const SPREAD = 'data/projects/garden/spread.md';
+
+describe('/todo', () => {
+  let brain;
+  let logger;
+
+  beforeEach(() => {
+    brain = new BrainDO(createMockState(), createMockEnv());
+    brain.contextPack = CURRENT;
+    brain.contextVersion = 'mock-sha';
+    brain._githubReader = createMockGitHubReader({
+      'data/current.md': CURRENT,
+      [SPREAD]: '# Garden\n\n## Next Actions\n- [ ] Define project scope\n\n## Context\n',
+    });
+    brain._githubWriter = createMockGitHubWriter();
+    brain._githubWriter.batchWrite.mockResolvedValue({ commitSha: 'sha-todo' });
+    brain._slackClient = createMockSlackClient();
+    brain._claudeClient = createMockClaudeClient();
+    logger = createMockLogger();
+  });
+
+  function committedFiles() {
+    const [files, message] = brain._githubWriter.batchWrite.mock.calls[0];
+    return { message, ...Object.fromEntries(files.map(f => [f.path, f.content])) };
+  }
+
+  function openLoops(files) {
+    return files['data/current.md'].match(/## Open Loops\n([\s\S]*?)\n## /)[1];
+  }
+
+  function streamEntry(files) {
+    const stream = Object.keys(files).find(path => path.startsWith('data/stream/'));
+    return files[stream];
+  }
+
+  it('should list open tasks numbered, with due dates and IDs', async () => {
+    const reply = await brain.handleTodoCommand('', 'C_INBOX', logger);
+
+    expect(reply).toContain('1. Call PCP (');
+    expect(reply).toContain('`^aaaaaa`');
+    expect(reply).toContain('2. Order raised bed soil `^cccccc`');
+    expect(reply).not.toContain('Submit report');
+    expect(brain._githubWriter.batchWrite).not.toHaveBeenCalled();
+  });
+
+  it('should add a task and log it to the stream', async () => {
+    const reply = await brain.handleTodoCommand('add Book vet appointment ~15m', 'C_INBOX', logger);
+
+    const files = committedFiles();
+    expect(reply).toBe('Added to Open Loops: "Book vet appointment ~15m"');
+    expect(files['data/current.md']).toMatch(/- \[ \] Book vet appointment ~15m \^[a-z0-9]{6}/);
+    expect(streamEntry(files)).toMatch(/\| \[todo\] added: Book vet appointment ~15m/);
+    expect(brain._claudeClient.messageJson).not.toHaveBeenCalled();
+  });
+
+  it('should complete a task by its list number', async () => {
+    const reply = await brain.handleTodoCommand('done 2', 'C_INBOX', logger);
+
+    const files = committedFiles();
+    expect(reply).toBe('✅ Done: "Order raised bed soil"');
+    expect(files['data/current.md']).toContain('- [x] Order raised bed soil ^cccccc');
+    expect(streamEntry(files)).toContain('[todo] done: Order raised bed soil');
+  });
+
+  it('should drop a task by ID', async () => {
+    const reply = await brain.handleTodoCommand('drop ^aaaaaa', 'C_INBOX', logger);
+
+    expect(reply).toBe('Dropped: "Call PCP"');
+    expect(openLoops(committedFiles())).not.toContain('Call PCP');
+  });
+
+  it('should reply without committing when the reference matches nothing', async () => {
+    const reply = await brain.handleTodoCommand('done 7', 'C_INBOX', logger);
+
+    expect(reply).toContain("There's no open loop #7");
+    expect(brain._githubWriter.batchWrite).not.toHaveBeenCalled();
+  });
+
+  it('should snooze a task until a date', async () => {
+    const reply = await brain.handleTodoCommand('snooze 2 until 2026-03-15', 'C_INBOX', logger);
+
+    const files = committedFiles();
+    expect(reply).toBe('💤 Snoozed "Order raised bed soil" until 2026-03-15.');
+    expect(openLoops(files)).not.toContain('Order raised bed soil');
+    expect(files['data/current.md']).toContain('- [ ] Order raised bed soil ^cccccc — snoozed until 2026-03-15');
+    expect(streamEntry(files)).toContain('[todo] snoozed until 2026-03-15: Order raised bed soil');
+  });
+
+  it('should explain how to snooze when the date is unreadable', async () => {
+    expect(await brain.handleTodoCommand('snooze 2 someday', 'C_INBOX', logger)).toContain('Usage');
+    expect(brain._githubWriter.batchWrite).not.toHaveBeenCalled();
+  });
+
+  it('should clear completed tasks', async () => {
+    const reply = await brain.handleTodoCommand('clear', 'C_INBOX', logger);
+
+    const current = openLoops(committedFiles());
+    expect(reply).toBe('Cleared 2 completed items.');
+    expect(current).not.toContain('Submit report');
+    expect(current).not.toContain('Renew passport');
+    expect(current).toContain('- [ ] Order raised bed soil ^cccccc');
+  });
+
+  it('should move a task to a project\'s next actions in one commit', async () => {
+    const reply = await brain.handleTodoCommand('move 1 to garden', 'C_INBOX', logger);
+
+    const files = committedFiles();
+    expect(reply).toBe('Moved "Call PCP" to *garden* next actions.');
+    expect(openLoops(files)).not.toContain('Call PCP');
+    expect(files[SPREAD]).toContain('- [ ] Define project scope\n- [ ] Call PCP due:2026-03-01 @phone\n');
+    expect(streamEntry(files)).toContain('[todo] moved to garden: Call PCP');
+  });
+
+  it('should not move a task to a project that does not exist', async () => {
+    const reply = await brain.handleTodoCommand('move 1 to kitchen', 'C_INBOX', logger);
+
+    expect(reply).toBe('Project "kitchen" not found.');
+    expect(brain._githubWriter.batchWrite).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Unit Tests: Calendar Normalizer
+ *
+ * Tests day sorting, missing-heading insertion and fuzzy duplicate
+ * merging, plus the commitWriteSet hook that applies them to every
+ * calendar write.
+ */
+
+import {
+  normalizeCalendar,
+  ensureDayHeading,
+  isSimilarTitle,
+  isSameTitle,
+  isSameEvent,
+  parseEventLine,
+  getDayName,
+  CALENDAR_PATH,
+} from '../../../worker/lib/calendar.js';
+import { toolIntent, putIntent } from '../../../worker/lib/write-intent.js';
+import { BrainDO } from '../../../worker/durable-objects/brain-do.js';
+import {
+  createMockState,
+  createMockEnv,
+  createMockLogger,
+  createMockGitHubReader,
+  createMockGitHubWriter,
+} from '../helpers/mock-factories.js';
+
+const HEADER = `# Upcoming Events
+
+Events for the next 2-3 weeks. Past events are archived to \`calendar-past.md\`.`;
+
+const MESSY_CALENDAR = `${HEADER}
+
+## 2026-02-01 (Sunday)
+
+- 08:00 Bloodwork - Mercy Urgent Care West Asheville
+- 08:00 Bloodwork at Mercy Urgent Care, West Asheville
+- 08:00 Bloodwork - Mercy Urgent Care, West Asheville
+
+## 2026-02-12 (Thursday)
+
+- 15:00 Return flight from DC
+
+## 2026-02-05 (Thursday)
+
+- 09:00-10:00 Therapy with Dana Jaffe
+`;
+
+describe('Calendar Normalizer', () => {
+  describe('parseEventLine', () => {
+    it('should split time and title', () => {
+      expect(parseEventLine('- 08:00 Bloodwork')).toEqual({ time: '08:00', title: 'Bloodwork' });
+    });
+
+    it('should handle time ranges and untimed events', () => {
+      expect(parseEventLine('- 09:00 - 10:00 Therapy')).toEqual({ time: '09:00-10:00', title: 'Therapy' });
+      expect(parseEventLine('- Mom\'s birthday')).toEqual({ time: '', title: 'Mom\'s birthday' });
+    });
+
+    it('should return null for non-bullet lines', () => {
+      expect(parseEventLine('Some note')).toBeNull();
+    });
+  });
+
+  describe('isSimilarTitle', () => {
+    it('should ignore punctuation and filler words', () => {
+      expect(isSimilarTitle(
+        'Bloodwork - Mercy Urgent Care West Asheville',
+        'Bloodwork at Mercy Urgent Care, West Asheville'
+      )).toBe(true);
+    });
+
+    it('should treat a shorter title contained in a longer one as the same event', () => {
+      expect(isSimilarTitle('Therapy', 'Therapy with Dana')).toBe(true);
+    });
+
+    it('should keep unrelated titles apart', () => {
+      expect(isSimilarTitle('Dentist', 'Team standup')).toBe(false);
+      expect(isSimilarTitle('Fly to DC', 'Return flight from DC')).toBe(false);
+    });
+  });
+
+  describe('isSameEvent', () => {
+    it('should match the same title regardless of punctuation and filler words', () => {
+      expect(isSameTitle('Bloodwork - Mercy Urgent Care', 'Bloodwork at Mercy Urgent Care')).toBe(true);
+      expect(isSameEvent({ time: '', title: "Mom's birthday" }, { time: '', title: "Mom's Birthday!" })).toBe(true);
+    });
+
+    it('should not merge a one-word title into a longer one', () => {
+      expect(isSameEvent({ time: '09:00', title: 'Call' }, { time: '09:00', title: 'Call Jane' })).toBe(false);
+    });
+
+    it('should not merge overlapping titles that differ', () => {
+      expect(isSameEvent({ time: '09:00', title: 'Call Bob re taxes' }, { time: '09:00', title: 'Call Bob re rent' })).toBe(false);
+    });
+
+    it('should not merge untimed events by a shared subset', () => {
+      expect(isSameEvent({ time: '', title: 'Pay rent' }, { time: '', title: 'Pay rent for storage unit' })).toBe(false);
+    });
+  });
+
+  describe('getDayName', () => {
+    it('should name the weekday of a date', () => {
+      expect(getDayName('2026-02-05')).toBe('Thursday');
+      expect(getDayName('2026-03-08')).toBe('Sunday');
+    });
+  });
+
+  describe('normalizeCalendar', () => {
+    it('should sort days and merge duplicate events', () => {
+      expect(normalizeCalendar(MESSY_CALENDAR)).toBe(`${HEADER}
+
+## 2026-02-01 (Sunday)
+
+- 08:00 Bloodwork at Mercy Urgent Care, West Asheville
+
+## 2026-02-05 (Thursday)
+
+- 09:00-10:00 Therapy with Dana Jaffe
+
+## 2026-02-12 (Thursday)
+
+- 15:00 Return flight from DC
+`);
+    });
+
+    it('should be idempotent', () => {
+      const once = normalizeCalendar(MESSY_CALENDAR);
+      expect(normalizeCalendar(once)).toBe(once);
+    });
+
+    it('should compare start times, so a range matches its bare start', () => {
+      const content = '## 2026-02-05 (Thursday)\n\n- 9:00 Therapy with Dana\n- 09:00-10:00 Therapy with Dana Jaffe\n';
+
+      expect(normalizeCalendar(content)).toBe('## 2026-02-05 (Thursday)\n\n- 09:00-10:00 Therapy with Dana Jaffe\n');
+    });
+
+    it('should not merge similar titles at different times', () => {
+      const content = '## 2026-02-05 (Thursday)\n\n- 09:00 Therapy\n- 16:00 Therapy\n';
+      expect(normalizeCalendar(content)).toBe(content);
+    });
+
+    it('should keep distinct events that share a time or words', () => {
+      const content = [
+        '## 2026-02-05 (Thursday)',
+        '',
+        '- 09:00 Call',
+        '- 09:00 Call Jane',
+        '- 09:00 Call Bob re taxes',
+        '- 09:00 Call Bob re rent',
+        '- Pay rent',
+        '- Pay rent for storage unit',
+        '',
+      ].join('\n');
+
+      expect(normalizeCalendar(content)).toBe(content);
+    });
+
+    it('should merge sections for the same date under one canonical heading', () => {
+      const content = '## 2026-02-05\n- 09:00 Therapy\n\n## 2026-02-05 (Thursday)\n- 12:00 Lunch\n';
+
+      expect(normalizeCalendar(content)).toBe('## 2026-02-05 (Thursday)\n\n- 09:00 Therapy\n- 12:00 Lunch\n');
+    });
+
+    it('should keep sub-bullets with their event and merge them on duplicates', () => {
+      const content = [
+        '## 2026-02-05 (Thursday)',
+        '',
+        '- 09:00 Therapy with Dana Jaffe',
+        '  - Bring journal',
+        '- 09:00 Therapy with Dana',
+        '  - Pay copay',
+        '',
+      ].join('\n');
+
+      expect(normalizeCalendar(content)).toBe([
+        '## 2026-02-05 (Thursday)',
+        '',
+        '- 09:00 Therapy with Dana Jaffe',
+        '  - Bring journal',
+        '  - Pay copay',
+        '',
+      ].join('\n'));
+    });
+
+    it('should leave content without day sections untouched', () => {
+      expect(normalizeCalendar('# Upcoming Events\n')).toBe('# Upcoming Events\n');
+    });
+  });
+
+  describe('ensureDayHeading', () => {
+    it('should insert a missing day heading in date order', () => {
+      const content = `${HEADER}
+
+## 2026-02-01 (Sunday)
+
+- 08:00 Bloodwork
+
+## 2026-02-09 (Monday)
+
+- 18:00 Fly to DC
+`;
+      const result = ensureDayHeading(content, '## 2026-02-05 (Thursday)');
+
+      const order = [...result.matchAll(/^## (\S+)/gm)].map(m => m[1]);
+      expect(order).toEqual(['2026-02-01', '2026-02-05', '2026-02-09']);
+      expect(result.startsWith(HEADER)).toBe(true);
+    });
+
+    it('should leave content alone when the heading exists or is not a day', () => {
+      const content = '## 2026-02-01 (Sunday)\n\n- 08:00 Bloodwork\n';
+      expect(ensureDayHeading(content, '## 2026-02-01 (Sunday)')).toBe(content);
+      expect(ensureDayHeading(content, '## Notes')).toBe(content);
+      expect(ensureDayHeading(content, undefined)).toBe(content);
+    });
+  });
+
+  describe('BrainDO.commitWriteSet', () => {
+    let brain;
+    let logger;
+
+    beforeEach(() => {
+      brain = new BrainDO(createMockState(), createMockEnv());
+      logger = createMockLogger();
+      brain._githubWriter = createMockGitHubWriter();
+      brain._githubWriter.batchWrite.mockResolvedValue({ commitSha: 'sha-1' });
+      brain._githubReader = createMockGitHubReader({ [CALENDAR_PATH]: MESSY_CALENDAR });
+    });
+
+    function committedCalendar() {
+      const [files] = brain._githubWriter.batchWrite.mock.calls[0];
+      return files.find(f => f.path === CALENDAR_PATH).content;
+    }
+
+    it('should normalize the calendar after tool intents are applied', async () => {
+      // Given the agent adds another copy of the bloodwork appointment
+      await brain.commitWriteSet([
+        toolIntent(CALENDAR_PATH, 'append_to_section', {
+          heading: '## 2026-02-01 (Sunday)',
+          content: '- 08:00 Bloodwork (Mercy Urgent Care)',
+        }),
+      ], 'Capture event', logger);
+
+      // Then the committed calendar has one bloodwork line and sorted days
+      const calendar = committedCalendar();
+      expect(calendar.match(/Bloodwork/g)).toHaveLength(1);
+      expect(calendar.indexOf('2026-02-05')).toBeLessThan(calendar.indexOf('2026-02-12'));
+    });
+
+    it('should place events for a new day in date order', async () => {
+      // Given a replace_section on a day that has no heading yet
+      await brain.commitWriteSet([
+        toolIntent(CALENDAR_PATH, 'replace_section', {
+          heading: '## 2026-02-03 (Tuesday)',
+          content: '- 14:00 Dentist',
+        }),
+      ], 'Capture event', logger);
+
+      // Then it is committed between Feb 1 and Feb 5 instead of failing
+      const calendar = committedCalendar();
+      expect(calendar).toContain('## 2026-02-03 (Tuesday)\n\n- 14:00 Dentist');
+      expect(calendar.indexOf('2026-02-01')).toBeLessThan(calendar.indexOf('2026-02-03'));
+      expect(calendar.indexOf('2026-02-03')).toBeLessThan(calendar.indexOf('2026-02-05'));
+    });
+
+    it('should normalize whole-file calendar writes too', async () => {
+      await brain.commitWriteSet([putIntent(CALENDAR_PATH, MESSY_CALENDAR)], 'Replace calendar', logger);
+
+      expect(committedCalendar()).toBe(normalizeCalendar(MESSY_CALENDAR));
+    });
+
+    it('should not touch other files', async () => {
+      const content = '## 2026-02-12\n- b\n\n## 2026-02-01\n- a\n';
+      await brain.commitWriteSet([putIntent('data/planning/calendar-past.md', content)], 'Archive', logger);
+
+      const [files] = brain._githubWriter.batchWrite.mock.calls[0];
+      expect(files[0].content).toBe(content);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Unit Tests: Conflict-aware commits
+ *
+ * BrainDO.commitWriteSet builds each commit on the HEAD its files were
+ * read at. When HEAD moves first, the write set is re-resolved once
+ * against the new HEAD; intents that no longer apply, or the whole set
+ * if the retry conflicts again, are reported to Slack.
+ */
+
+import { jest } from '@jest/globals';
+import { toolIntent, putIntent } from '../../../worker/lib/write-intent.js';
+import { BrainDO } from '../../../worker/durable-objects/brain-do.js';
+import {
+  createMockState,
+  createMockEnv,
+  createMockLogger,
+  createMockGitHubReader,
+  createMockGitHubWriter,
+  createMockSlackClient,
+  createGitHubApiError,
+} from '../helpers/mock-factories.js';
+
+const SPREAD = 'data/projects/garden/spread.md';
+const NOTES = 'data/projects/garden/notes.md';
+
+/**
+ * Repo contents by commit. sha-new is sha-old plus a push from Actions.
+ */
+const COMMITS = {
+  'sha-old': {
+    [SPREAD]: '# Garden\n\n## Log\n- Planted tomatoes\n\n## Ideas\n- Raised beds\n',
+    [NOTES]: '# Notes\n',
+  },
+  'sha-new': {
+    [SPREAD]: '# Garden\n\n## Log\n- Planted tomatoes\n- Watered\n',
+    [NOTES]: '# Notes\n- Edited elsewhere\n',
+  },
+};
+
+const CONFLICT = createGitHubApiError();
+const NOTIFY = { channel: 'C_PROJECT', thread_ts: '1700000000.000100' };
+
+describe('BrainDO.commitWriteSet conflict handling', () => {
+  let brain;
+  let logger;
+  let head;
+
+  beforeEach(() => {
+    brain = new BrainDO(createMockState(), createMockEnv());
+    logger = createMockLogger();
+    head = 'sha-old';
+    brain._githubReader = createMockGitHubReader();
+    brain._githubReader.getHeadSha.mockImplementation(async () => head);
+    brain._githubReader.getContent.mockImplementation(async (path, ref) => COMMITS[ref]?.[path] ?? null);
+    brain._githubWriter = createMockGitHubWriter();
+    brain._slackClient = createMockSlackClient();
+  });
+
+  /**
+   * Reject the first batchWrite as a non-fast-forward, as if Actions pushed sha-new.
+   */
+  function conflictOnce() {
+    brain._githubWriter.batchWrite
+      .mockImplementationOnce(async () => {
+        head = 'sha-new';
+        throw CONFLICT;
+      })
+      .mockResolvedValueOnce({ commitSha: 'sha-mine' });
+  }
+
+  function committedFiles(call) {
+    const [files] = brain._githubWriter.batchWrite.mock.calls[call];
+    return Object.fromEntries(files.map(f => [f.path, f.content]));
+  }
+
+  it('should build the commit on the HEAD its files were read at', async () => {
+    brain._githubWriter.batchWrite.mockResolvedValue({ commitSha: 'sha-mine' });
+
+    await brain.commitWriteSet([
+      toolIntent(SPREAD, 'append_to_section', { heading: '## Log', content: '- Mulched' }),
+    ], 'Update garden', logger);
+
+    expect(brain._githubReader.getContent).toHaveBeenCalledWith(SPREAD, 'sha-old');
+    expect(brain._githubWriter.batchWrite).toHaveBeenCalledWith(
+      expect.any(Array), 'Update garden', { baseSha: 'sha-old' }
+    );
+  });
+
+  it('should re-resolve tool intents against the new HEAD after a conflict', async () => {
+    // Given Actions pushed between our read and our commit
+    conflictOnce();
+
+    // When a log entry is appended
+    const result = await brain.commitWriteSet([
+      toolIntent(SPREAD, 'append_to_section', { heading: '## Log', content: '- Mulched' }),
+    ], 'Update garden', logger, { notify: NOTIFY });
+
+    // Then the retry keeps the pushed change and adds ours on top of sha-new
+    expect(result).toEqual({ commitSha: 'sha-mine' });
+    expect(committedFiles(1)[SPREAD]).toContain('- Watered\n- Mulched');
+    expect(brain._githubWriter.batchWrite.mock.calls[1][2]).toEqual({ baseSha: 'sha-new' });
+    expect(brain._slackClient.postMessage).not.toHaveBeenCalled();
+  });
+
+  it('should drop intents whose section is gone and report them in the thread', async () => {
+    conflictOnce();
+
+    await brain.commitWriteSet([
+      toolIntent(SPREAD, 'append_to_section', { heading: '## Log', content: '- Mulched' }),
+      toolIntent(SPREAD, 'replace_section', { heading: '## Ideas', content: '- Drip irrigation' }),
+    ], 'Update garden', logger, { notify: NOTIFY });
+
+    // Then the log entry persists and the idea is reported
+    const spread = committedFiles(1)[SPREAD];
+    expect(spread).toContain('- Mulched');
+    expect(spread).not.toContain('Drip irrigation');
+    expect(brain._slackClient.postMessage).toHaveBeenCalledWith({
+      channel: 'C_PROJECT',
+      thread_ts: '1700000000.000100',
+      text: expect.stringContaining(`replace_section ## Ideas in ${SPREAD}`),
+    });
+  });
+
+  it('should abort and name every intent when the retry conflicts too', async () => {
+    brain._githubWriter.batchWrite.mockRejectedValue(CONFLICT);
+
+    const result = await brain.commitWriteSet([
+      toolIntent(SPREAD, 'append_to_section', { heading: '## Log', content: '- Mulched' }),
+      putIntent(NOTES, '# Notes\n- Mine\n'),
+    ], 'Update garden', logger);
+
+    // Then exactly one restart happened and the user hears what was lost
+    expect(result).toBeNull();
+    expect(brain._githubWriter.batchWrite).toHaveBeenCalledTimes(2);
+    const [{ channel, text }] = brain._slackClient.postMessage.mock.calls[0];
+    expect(channel).toBe('C_INBOX');
+    expect(text).toContain(`append_to_section ## Log in ${SPREAD}`);
+    expect(text).toContain(`write ${NOTES}`);
+  });
+
+  it('should rethrow errors other than ref conflicts', async () => {
+    brain._githubWriter.batchWrite.mockRejectedValue(new Error('GitHub API error: 500 - Server error'));
+
+    await expect(brain.commitWriteSet([putIntent(NOTES, '# Notes\n')], 'Notes', logger))
+      .rejects.toThrow('500');
+    expect(brain._githubWriter.batchWrite).toHaveBeenCalledTimes(1);
+  });
+
+  it('should rethrow a 422 that is not from the branch ref update', async () => {
+    // Given tree creation rejects the content, with 409 in the message text
+    brain._githubWriter.batchWrite.mockRejectedValue(
+      createGitHubApiError(422, 'Invalid tree info (mode 100409)', 'POST', '/repos/owner/repo/git/trees')
+    );
+
+    // Then it is not retried as a conflict
+    await expect(brain.commitWriteSet([putIntent(NOTES, '# Notes\n')], 'Notes', logger))
+      .rejects.toThrow('Invalid tree info');
+    expect(brain._githubWriter.batchWrite).toHaveBeenCalledTimes(1);
+    expect(brain._slackClient.postMessage).not.toHaveBeenCalled();
+  });
+
+  it('should treat a 409 as a ref conflict', async () => {
+    brain._githubWriter.batchWrite
+      .mockImplementationOnce(async () => {
+        head = 'sha-new';
+        throw createGitHubApiError(409, 'Conflict');
+      })
+      .mockResolvedValueOnce({ commitSha: 'sha-mine' });
+
+    const result = await brain.commitWriteSet([putIntent('data/projects/garden/todo.md', '- Mulch\n')], 'Todo', logger);
+
+    expect(result.commitSha).toBe('sha-mine');
+    expect(brain._githubWriter.batchWrite).toHaveBeenCalledTimes(2);
+  });
+
+  it('should drop puts whose file changed since their base_ref_sha', async () => {
+    // Given intents prepared at sha-old while HEAD is already sha-new
+    head = 'sha-new';
+    brain._githubWriter.batchWrite.mockResolvedValue({ commitSha: 'sha-mine' });
+
+    await brain.commitWriteSet([
+      putIntent(NOTES, '# Notes\n- Mine\n', 'sha-old'),
+      toolIntent(SPREAD, 'append_to_section', { heading: '## Log', content: '- Mulched' }, 'sha-old'),
+    ], 'Update garden', logger, { notify: NOTIFY });
+
+    // Then the notes overwrite is skipped and the tool call lands on sha-new
+    const files = committedFiles(0);
+    expect(files[NOTES]).toBeUndefined();
+    expect(files[SPREAD]).toContain('- Watered\n- Mulched');
+    expect(brain._slackClient.postMessage.mock.calls[0][0].text).toContain(`write ${NOTES} — changed since sha-old`);
+  });
+
+  it('should write nothing in atomic mode when one of the puts is stale', async () => {
+    // Given two puts read at sha-old, one of whose files changed in sha-new
+    conflictOnce();
+
+    const result = await brain.commitWriteSet([
+      putIntent(NOTES, '# Notes\n- Mine\n', 'sha-old'),
+      putIntent('data/projects/garden/todo.md', '# To do\n', 'sha-old'),
+    ], 'Update garden', logger, { notify: NOTIFY, atomic: true });
+
+    // Then neither lands and the caller, not Slack, hears about it
+    expect(result).toBeNull();
+    expect(brain._githubWriter.batchWrite).toHaveBeenCalledTimes(1);
+    expect(brain._slackClient.postMessage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Unit Tests: In-Worker context pack rebuild
+ *
+ * rebuildContextPack() turns a map of source contents into current.md.
+ * BrainDO.commitWriteSet uses it to put a fresh current.md in the same
+ * atomic commit as the source files it writes.
+ */
+
+import { jest } from '@jest/globals';
+import {
+  rebuildContextPack,
+  hasSourcedEdits,
+  splitSections,
+  getSourcePaths,
+  CONTEXT_SECTIONS,
+  INLINE_COMMENT,
+} from '../../../worker/lib/context-pack.js';
+import { parseVersionStamp } from '../../../scripts/decompose-context.js';
+import { toolIntent, putIntent } from '../../../worker/lib/write-intent.js';
+import { BrainDO } from '../../../worker/durable-objects/brain-do.js';
+import {
+  createMockState,
+  createMockEnv,
+  createMockLogger,
+  createMockGitHubReader,
+  createMockGitHubWriter,
+} from '../helpers/mock-factories.js';
+
+const DATES = { today: '2026-02-01', weekId: '2026-W05', monthId: '2026-02' };
+
+const FILES = {
+  'data/stream/2026-02-01.md': '## Captures\n- 07:05 | Woke up early\n',
+  'data/planning/calendar-current.md': '# Upcoming Events\n\n## 2026-02-01 (Sunday)\n\n- 08:00 Bloodwork\n',
+  'data/system/learned.md': '- Prefers mornings\n',
+};
+
+const OPTIONS = { ...DATES, timestamp: '2026-02-01 15:00', hash: () => 'f00dfeed', sourceRef: 'abc123' };
+
+const PACK = rebuildContextPack(FILES, {
+  ...OPTIONS,
+  existing: '## Open Loops\n<!-- Managed inline - preserved during rebuild -->\n- [ ] Call PCP\n',
+});
+
+describe('Context Pack Rebuild', () => {
+  describe('rebuildContextPack', () => {
+    it('should stamp the pack as a build at the source ref', () => {
+      expect(parseVersionStamp(PACK)).toEqual({ sha: 'f00dfeed', sourceRef: 'abc123', direction: 'build' });
+      expect(PACK).toContain('Last rebuilt: 2026-02-01 15:00');
+    });
+
+    it('should fill sourced sections from the file map', () => {
+      const sections = splitSections(PACK);
+
+      expect(sections.get("Today's Stream").content).toBe('## Captures\n- 07:05 | Woke up early');
+      expect(sections.get('Upcoming Calendar').content).toContain('08:00 Bloodwork');
+      expect(sections.get("This Week's Plan").content).toBe('*No weekly plan yet*');
+    });
+
+    it('should carry inline sections over with a single marker', () => {
+      const rebuilt = rebuildContextPack(FILES, { ...OPTIONS, existing: PACK });
+
+      expect(splitSections(rebuilt).get('Open Loops').content).toBe('- [ ] Call PCP');
+      expect(rebuilt.match(/Managed inline/g)).toHaveLength(3);
+    });
+
+    it('should return the same pack when rebuilt from its own output', () => {
+      expect(rebuildContextPack(FILES, { ...OPTIONS, existing: PACK })).toBe(PACK);
+    });
+  });
+
+  describe('rebuild(rebuild(x)) == rebuild(x)', () => {
+    /**
+     * Small seeded PRNG (mulberry32) so failures reproduce.
+     */
+    function random(seed) {
+      let state = seed;
+      return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }
+
+    const STAMP = '<!-- context_pack_version: 0ld5tamp source_ref: do direction: decompose -->';
+    const BODY_LINES = [
+      '- [ ] Call PCP ^k3f9a2',
+      '- [x] Submit report',
+      '- 09:15 | Morning walk',
+      '## 2026-02-03 (Tuesday)',
+      '### Captures',
+      '*No open loops*',
+      '',
+      '   ',
+      INLINE_COMMENT,
+      '<!-- Source: stream/2026-01-31.md -->',
+      STAMP,
+      'Last rebuilt: 2026-01-31 08:00',
+    ];
+
+    /**
+     * Generate a damaged pack: shuffled, repeated or missing sections,
+     * stacked markers, stray stamps and Source comments in any section.
+     */
+    function messyPack(next) {
+      const pick = list => list[Math.floor(next() * list.length)];
+      const lines = ['# Current Context'];
+      for (let i = Math.floor(next() * 3); i > 0; i--) lines.push(STAMP);
+      for (let s = Math.floor(next() * 12); s > 0; s--) {
+        lines.push(`## ${pick(CONTEXT_SECTIONS).name}`);
+        for (let l = Math.floor(next() * 8); l > 0; l--) lines.push(pick(BODY_LINES));
+      }
+      return lines.join('\n') + (next() < 0.5 ? '\n' : '');
+    }
+
+    function messyFiles(next) {
+      const files = {};
+      for (const path of getSourcePaths(DATES)) {
+        if (next() < 0.6) files[path] = `# ${path}\n\n- entry ${Math.floor(next() * 100)}\n`;
+      }
+      return files;
+    }
+
+    it('should be a fixed point after one rebuild for any existing pack', () => {
+      for (let seed = 1; seed <= 300; seed++) {
+        const next = random(seed);
+        const files = messyFiles(next);
+        const once = rebuildContextPack(files, { ...OPTIONS, existing: messyPack(next) });
+        const twice = rebuildContextPack(files, { ...OPTIONS, existing: once });
+
+        expect({ seed, pack: twice }).toEqual({ seed, pack: once });
+      }
+    });
+
+    it('should emit each marker, stamp and Source comment exactly once', () => {
+      for (let seed = 1; seed <= 300; seed++) {
+        const next = random(seed);
+        const pack = rebuildContextPack(messyFiles(next), { ...OPTIONS, existing: messyPack(next) });
+
+        expect({ seed, count: pack.match(/context_pack_version/g).length }).toEqual({ seed, count: 1 });
+        expect({ seed, count: pack.split(INLINE_COMMENT).length - 1 }).toEqual({ seed, count: 3 });
+        expect({ seed, count: pack.match(/<!-- Source:/g).length }).toEqual({ seed, count: 7 });
+      }
+    });
+  });
+
+  describe('hasSourcedEdits', () => {
+    it('should ignore inline section changes', () => {
+      const edited = PACK.replace('- [ ] Call PCP', '- [x] Call PCP');
+      expect(hasSourcedEdits(PACK, edited)).toBe(false);
+    });
+
+    it('should detect edits to sourced sections', () => {
+      const edited = PACK.replace('- Prefers mornings', '- Prefers evenings');
+      expect(hasSourcedEdits(PACK, edited)).toBe(true);
+    });
+  });
+
+  describe('BrainDO.commitWriteSet', () => {
+    let brain;
+    let logger;
+
+    beforeEach(() => {
+      jest.useFakeTimers({
+        now: new Date('2026-02-01T15:00:00Z'),
+        doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'],
+      });
+      brain = new BrainDO(createMockState(), createMockEnv());
+      logger = createMockLogger();
+      brain.contextPack = PACK;
+      brain.contextVersion = 'sha-0';
+      brain._githubWriter = createMockGitHubWriter();
+      brain._githubWriter.batchWrite.mockResolvedValue({ commitSha: 'sha-1' });
+      brain._githubReader = createMockGitHubReader(FILES);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    function committedFiles() {
+      const [files] = brain._githubWriter.batchWrite.mock.calls[0];
+      return Object.fromEntries(files.map(f => [f.path, f.content]));
+    }
+
+    it('should commit a rebuilt current.md with the source files it changes', async () => {
+      // Given a capture appended to today's stream
+      await brain.commitWriteSet([
+        toolIntent('data/stream/2026-02-01.md', 'append_to_section', {
+          heading: '## Captures',
+          content: '- 15:00 | Coffee with Sam',
+        }),
+      ], 'Capture', logger);
+
+      // Then current.md is in the same commit, built from the new stream
+      const files = committedFiles();
+      const pack = files['data/current.md'];
+      expect(parseVersionStamp(pack).direction).toBe('build');
+      expect(splitSections(pack).get("Today's Stream").content).toContain('Coffee with Sam');
+      expect(splitSections(pack).get('Open Loops').content).toBe('- [ ] Call PCP');
+      expect(brain.contextPack).toBe(pack);
+    });
+
+    it('should read unchanged sources at the base ref', async () => {
+      brain._githubReader.getHeadSha.mockResolvedValue('0123456789abcdef');
+
+      await brain.commitWriteSet([putIntent('data/system/learned.md', '- Prefers evenings\n')], 'Learn', logger);
+
+      expect(brain._githubReader.getContent).toHaveBeenCalledWith('data/planning/calendar-current.md', '0123456789abcdef');
+      expect(brain._githubReader.getContent).not.toHaveBeenCalledWith('data/system/learned.md', '0123456789abcdef');
+      const pack = committedFiles()['data/current.md'];
+      expect(splitSections(pack).get('Upcoming Calendar').content).toContain('08:00 Bloodwork');
+      expect(pack).toContain('source_ref: 0123456789ab ');
+    });
+
+    it('should rebuild after inline-only edits to current.md', async () => {
+      await brain.commitWriteSet([
+        toolIntent('data/current.md', 'mark_complete', { item: 'Call PCP' }),
+      ], 'Complete', logger);
+
+      const pack = committedFiles()['data/current.md'];
+      expect(parseVersionStamp(pack).direction).toBe('build');
+      expect(pack).toContain('- [x] Call PCP');
+    });
+
+    it('should leave sourced-section edits to decompose', async () => {
+      await brain.commitWriteSet([
+        toolIntent('data/current.md', 'append_to_section', {
+          heading: '## Learned Context',
+          content: '- Dislikes phone calls',
+        }),
+      ], 'Learn', logger);
+
+      const pack = committedFiles()['data/current.md'];
+      expect(parseVersionStamp(pack).direction).toBe('decompose');
+      expect(pack).toContain('- Dislikes phone calls');
+    });
+
+    it('should not add current.md for files outside the pack', async () => {
+      await brain.commitWriteSet([putIntent('data/planning/calendar-past.md', '# Past Events\n')], 'Archive', logger);
+
+      expect(committedFiles()['data/current.md']).toBeUndefined();
+      expect(brain._githubReader.getHeadSha).not.toHaveBeenCalled();
+    });
+
+    it('should still commit the sources when the rebuild fails', async () => {
+      brain._githubReader.getHeadSha.mockRejectedValue(new Error('GitHub API error: 502'));
+
+      await brain.commitWriteSet([putIntent('data/system/learned.md', '- Prefers evenings\n')], 'Learn', logger);
+
+      expect(committedFiles()).toEqual({ 'data/system/learned.md': '- Prefers evenings\n' });
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('rebuild failed'), expect.any(Object));
+    });
+  });
+});
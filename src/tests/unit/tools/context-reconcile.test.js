@@ -0,0 +1,136 @@
+/**
+ * Unit Tests: Context pack assembly and drift reconciliation
+ *
+ * The reconciliation job rebuilds current.md's sourced sections in memory
+ * and compares them with the committed pack, section by section.
+ */
+
+import {
+  assembleSections,
+  renderSections,
+  splitSections,
+  getSourcePaths,
+} from '../../../worker/lib/context-pack.js';
+import { getPackDates, reconcileContext, formatDriftNote } from '../../../worker/lib/reconcile.js';
+
+const DATES = { today: '2026-02-01', weekId: '2026-W05', monthId: '2026-02' };
+
+const FILES = {
+  'data/stream/2026-02-01.md': '## Captures\n- 07:05 | Woke up early\n',
+  'data/planning/calendar-current.md': '# Upcoming Events\n\n## 2026-02-01 (Sunday)\n\n- 08:00 Bloodwork\n',
+  'data/projects/index.md': '| Project | Status | Description |\n|---------|--------|-------------|\n| alpha | active | Live |\n| beta | archived | Old |\n',
+  'data/system/learned.md': '- Prefers mornings\n',
+  'data/identity/bio.md': '# Bio\nEngineer.\n',
+  'data/identity/values.md': '# Values\nHonesty.\n',
+};
+
+/**
+ * Build a pack the way rebuild-context.js does.
+ */
+function buildPack(files, inline = {}) {
+  return `# Current Context\nLast rebuilt: 2026-02-01 08:00\n\n${renderSections(assembleSections(files, { ...DATES, inline }))}`;
+}
+
+describe('Context Pack', () => {
+  describe('getSourcePaths', () => {
+    it('should list dated sources and every identity file', () => {
+      const paths = getSourcePaths(DATES);
+
+      expect(paths).toContain('data/stream/2026-02-01.md');
+      expect(paths).toContain('data/planning/weekly/2026-W05.md');
+      expect(paths).toContain('data/planning/monthly/2026-02.md');
+      expect(paths).toContain('data/identity/goals.md');
+      expect(paths).not.toContain('data/identity/*.md (combined)');
+    });
+  });
+
+  describe('assembleSections', () => {
+    it('should filter the project index and combine identity files', () => {
+      const sections = assembleSections(FILES, DATES);
+      const byName = Object.fromEntries(sections.map(s => [s.name, s]));
+
+      expect(byName['Project Index'].content).toContain('alpha');
+      expect(byName['Project Index'].content).not.toContain('beta');
+      expect(byName.Identity.content).toBe('# Bio\nEngineer.\n\n\n---\n\n# Values\nHonesty.\n');
+      expect(byName["This Week's Plan"].content).toBe('*No weekly plan yet*');
+      expect(byName["Today's Stream"].comment).toBe('<!-- Source: stream/2026-02-01.md -->');
+    });
+
+    it('should keep inline sections as given', () => {
+      const sections = assembleSections(FILES, { ...DATES, inline: { 'Open Loops': '- [ ] Call PCP' } });
+
+      expect(sections.find(s => s.name === 'Open Loops').content).toBe('- [ ] Call PCP');
+      expect(sections.find(s => s.name === 'Pending Review').content).toBe('*No items pending review*');
+    });
+  });
+
+  describe('splitSections', () => {
+    it('should keep embedded ## headings inside their section', () => {
+      const sections = splitSections(buildPack(FILES));
+
+      expect(sections.get('Upcoming Calendar').content).toContain('## 2026-02-01 (Sunday)');
+      expect(sections.get('Upcoming Calendar').comment).toBe('<!-- Source: planning/calendar-current.md -->');
+      expect(sections.get("Today's Stream").content).toBe('## Captures\n- 07:05 | Woke up early');
+    });
+  });
+});
+
+describe('Reconciliation', () => {
+  describe('reconcileContext', () => {
+    it('should report no drift for a freshly rebuilt pack', () => {
+      const report = reconcileContext(buildPack(FILES), FILES, DATES);
+
+      expect(report.drifted).toEqual([]);
+      expect(report.checked).not.toContain('Open Loops');
+      expect(report.checked).toContain('Identity');
+    });
+
+    it('should ignore inline section edits and whitespace', () => {
+      const pack = buildPack(FILES, { 'Open Loops': '- [ ] Something new' })
+        .replace('- Prefers mornings', '- Prefers mornings   \n\n');
+
+      expect(reconcileContext(pack, FILES, DATES).drifted).toEqual([]);
+    });
+
+    it('should report differing lines per drifted section', () => {
+      const changed = { ...FILES, 'data/system/learned.md': '- Prefers mornings\n- Hates phone calls\n' };
+
+      const report = reconcileContext(buildPack(FILES), changed, DATES);
+
+      expect(report.drifted).toEqual([{
+        section: 'Learned Context',
+        source: 'system/learned.md',
+        onlyInPack: [],
+        onlyInSources: ['- Hates phone calls'],
+      }]);
+    });
+
+    it('should flag a sourced section missing from the pack', () => {
+      const pack = buildPack(FILES).replace(/## Learned Context[\s\S]*?(?=## Identity)/, '');
+
+      const report = reconcileContext(pack, FILES, DATES);
+
+      expect(report.drifted.map(d => d.section)).toEqual(['Learned Context']);
+    });
+  });
+
+  describe('getPackDates', () => {
+    it('should read dates from source comments and fall back for missing ones', () => {
+      const pack = '## Today\'s Stream\n<!-- Source: stream/2026-01-31.md -->\n';
+
+      expect(getPackDates(pack, DATES)).toEqual({ today: '2026-01-31', weekId: '2026-W05', monthId: '2026-02' });
+    });
+  });
+
+  describe('formatDriftNote', () => {
+    it('should list drifted sections', () => {
+      expect(formatDriftNote({ drifted: [{ section: 'Upcoming Calendar' }, { section: 'Learned Context' }] }))
+        .toBe('_Note: context drift detected in: Upcoming Calendar, Learned Context_');
+    });
+
+    it('should return null without drift or a report', () => {
+      expect(formatDriftNote({ drifted: [] })).toBeNull();
+      expect(formatDriftNote(undefined)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for the research page fetcher: HTML stripping, the real fetcher
+ * against a mocked site, and the stub used by system tests.
+ */
+
+import { htmlToText, createPageFetcher } from '../../../worker/lib/page-fetcher.js';
+import { createStubPageFetcher } from '../../../worker/lib/stub-page-fetcher.js';
+import nock from 'nock';
+
+const CLINIC_PAGE = `<!doctype html>
+<html>
+<head><title>MAHEC Family Health &amp; Wellness</title><style>body { color: red; }</style></head>
+<body>
+  <nav><a href="/">Home</a></nav>
+  <script>window.tracking = "ignore me";</script>
+  <h1>MAHEC   Family Health</h1>
+  <p>Phone: <b>828-555-0100</b><br>121 Hendersonville Rd, Asheville</p>
+  <!-- hidden comment -->
+  <ul><li>Membership: $99/mo</li><li>Accepting new patients &#8212; yes</li></ul>
+</body>
+</html>`;
+
+describe('Page Fetcher', () => {
+  beforeEach(() => {
+    nock.disableNetConnect();
+    nock.enableNetConnect('localhost');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe('htmlToText', () => {
+    it('should keep the title and one line per block, without scripts, styles or markup', () => {
+      const { title, text } = htmlToText(CLINIC_PAGE);
+
+      expect(title).toBe('MAHEC Family Health & Wellness');
+      expect(text).toBe([
+        'Home',
+        'MAHEC Family Health',
+        'Phone: 828-555-0100',
+        '121 Hendersonville Rd, Asheville',
+        'Membership: $99/mo',
+        'Accepting new patients — yes',
+      ].join('\n'));
+    });
+  });
+
+  describe('createPageFetcher', () => {
+    it('should fetch an HTML page as readable text', async () => {
+      nock('https://mahec.net')
+        .get('/family')
+        .reply(200, CLINIC_PAGE, { 'Content-Type': 'text/html; charset=utf-8' });
+
+      const page = await createPageFetcher().fetchPage('https://mahec.net/family');
+
+      expect(page.url).toBe('https://mahec.net/family');
+      expect(page.title).toBe('MAHEC Family Health & Wellness');
+      expect(page.text).toContain('Phone: 828-555-0100');
+    });
+
+    it('should skip non-text pages and throw on HTTP errors', async () => {
+      nock('https://mahec.net')
+        .get('/brochure.pdf')
+        .reply(200, '%PDF-1.4', { 'Content-Type': 'application/pdf' })
+        .get('/missing')
+        .reply(404, 'Not found', { 'Content-Type': 'text/html' });
+
+      const fetcher = createPageFetcher();
+
+      await expect(fetcher.fetchPage('https://mahec.net/brochure.pdf')).resolves.toBeNull();
+      await expect(fetcher.fetchPage('https://mahec.net/missing')).rejects.toThrow('Page fetch failed: 404');
+      await expect(fetcher.fetchPage('ftp://mahec.net/file')).rejects.toThrow('Unsupported URL');
+    });
+  });
+
+  describe('createStubPageFetcher', () => {
+    it('should return registered pages and null for the rest', async () => {
+      const fetcher = createStubPageFetcher({ stubPages: new Map([['https://mahec.net/family', CLINIC_PAGE]]) });
+
+      expect((await fetcher.fetchPage('https://mahec.net/family')).text).toContain('Membership: $99/mo');
+      expect(await fetcher.fetchPage('https://example.com')).toBeNull();
+    });
+  });
+});
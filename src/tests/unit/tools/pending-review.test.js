@@ -0,0 +1,74 @@
+/**
+ * Tests for Pending Review line stamps, thread matching and ages.
+ */
+
+import {
+  parsePendingReview,
+  parsePermalink,
+  stampPendingReview,
+  findThreadItems,
+  formatPendingAge,
+  formatPendingReviewForSlack,
+} from '../../../worker/lib/pending-review.js';
+
+const PERMALINK = 'https://team.slack.com/archives/C_INBOX/p1772290000000100';
+
+describe('Pending Review', () => {
+  describe('stampPendingReview', () => {
+    it('should add the date and thread link to new bullets only', () => {
+      const stamped = stampPendingReview(
+        `- Is "Dana" the therapist?\n  - asked in reply\n- Which Eric? — added 2026-02-01`,
+        { created: '2026-02-28', permalink: PERMALINK }
+      );
+
+      expect(stamped).toBe(`- Is "Dana" the therapist? — added 2026-02-28 [thread](${PERMALINK})
+  - asked in reply
+- Which Eric? — added 2026-02-01`);
+    });
+  });
+
+  describe('parsePendingReview', () => {
+    it('should read text, date and permalink, and skip placeholders and resolved items', () => {
+      const items = parsePendingReview(`<!-- Managed inline - preserved during rebuild -->
+- Is "Dana" the therapist? — added 2026-02-28 [thread](${PERMALINK})
+- Older question
+- [x] Answered already
+*No items pending review*`);
+
+      expect(items).toEqual([
+        { line: `- Is "Dana" the therapist? — added 2026-02-28 [thread](${PERMALINK})`, text: 'Is "Dana" the therapist?', created: '2026-02-28', permalink: PERMALINK },
+        { line: '- Older question', text: 'Older question', created: null, permalink: null },
+      ]);
+    });
+  });
+
+  describe('findThreadItems', () => {
+    it('should match items by the channel and thread in their permalink', () => {
+      const items = parsePendingReview(`- Is "Dana" the therapist? — added 2026-02-28 [thread](${PERMALINK})
+- Which Eric? — added 2026-02-28 [thread](https://team.slack.com/archives/C_INBOX/p1772290999000200)`);
+
+      expect(parsePermalink(PERMALINK)).toEqual({ channel: 'C_INBOX', ts: '1772290000.000100' });
+      expect(findThreadItems(items, 'C_INBOX', '1772290000.000100').map(item => item.text)).toEqual(['Is "Dana" the therapist?']);
+      expect(findThreadItems(items, 'C_OTHER', '1772290000.000100')).toEqual([]);
+    });
+  });
+
+  describe('ages', () => {
+    it('should label how long an item has waited', () => {
+      expect(formatPendingAge({ created: '2026-02-28' }, '2026-02-28')).toBe('added today');
+      expect(formatPendingAge({ created: '2026-02-27' }, '2026-02-28')).toBe('waiting 1 day');
+      expect(formatPendingAge({ created: '2026-02-20' }, '2026-02-28')).toBe('waiting 8 days');
+      expect(formatPendingAge({ created: null }, '2026-02-28')).toBeNull();
+    });
+
+    it('should list items for Slack oldest first with thread links', () => {
+      const items = parsePendingReview(`- Is "Dana" the therapist? — added 2026-02-27 [thread](${PERMALINK})
+- Which Eric? — added 2026-02-20`);
+
+      expect(formatPendingReviewForSlack(items, '2026-02-28')).toBe(`*Pending Review*
+• Which Eric? _(waiting 8 days)_
+• Is "Dana" the therapist? _(waiting 1 day)_ <${PERMALINK}|thread>`);
+      expect(formatPendingReviewForSlack([], '2026-02-28')).toBe('');
+    });
+  });
+});
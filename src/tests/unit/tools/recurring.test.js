@@ -0,0 +1,80 @@
+/**
+ * Tests for recurring.md parsing and materialization.
+ */
+
+import { parseRecurring, occurrences, materializeRecurring } from '../../../worker/lib/recurring.js';
+
+describe('Recurring', () => {
+  describe('parseRecurring', () => {
+    it('should read events, tasks and day specs, and flag unreadable entries', () => {
+      const { entries, invalid } = parseRecurring(`# Recurring
+
+Notes are ignored.
+
+## Recurring
+- every Thu 09:00-10:00 Therapy with Dana
+- every Mon task: PCP calls @phone ~1h
+- every weekday 08:30 Walk Audie
+- every Mon, Wed Gym
+- every fortnight Haircut`);
+
+      expect(entries).toEqual([
+        { key: 'every Thu 09:00-10:00 Therapy with Dana', days: [4], kind: 'event', time: '09:00-10:00', title: 'Therapy with Dana' },
+        { key: 'every Mon task: PCP calls @phone ~1h', days: [1], kind: 'task', time: '', title: 'PCP calls @phone ~1h' },
+        { key: 'every weekday 08:30 Walk Audie', days: [1, 2, 3, 4, 5], kind: 'event', time: '08:30', title: 'Walk Audie' },
+        { key: 'every Mon, Wed Gym', days: [1, 3], kind: 'event', time: '', title: 'Gym' },
+      ]);
+      expect(invalid).toEqual(['- every fortnight Haircut']);
+    });
+  });
+
+  describe('occurrences', () => {
+    it('should list the matching dates in a range', () => {
+      const [entry] = parseRecurring('- every Mon,Thu Gym').entries;
+
+      expect(occurrences(entry, '2026-02-01', '2026-02-14')).toEqual(['2026-02-02', '2026-02-05', '2026-02-09', '2026-02-12']);
+    });
+  });
+
+  describe('materializeRecurring', () => {
+    const { entries } = parseRecurring(`- every Thu 09:00-10:00 Therapy with Dana
+- every Mon task: PCP calls`);
+
+    it('should add the coming week of events and tasks due today', () => {
+      // Given a first run on Monday Feb 2
+      const result = materializeRecurring(entries, { today: '2026-02-02' });
+
+      expect(result.events).toEqual([{ date: '2026-02-05', time: '09:00-10:00', title: 'Therapy with Dana' }]);
+      expect(result.tasks).toEqual(['- [ ] PCP calls due:2026-02-02']);
+      expect(result.through).toEqual({
+        'every Thu 09:00-10:00 Therapy with Dana': '2026-02-08',
+        'every Mon task: PCP calls': '2026-02-02',
+      });
+    });
+
+    it('should add nothing twice', () => {
+      const first = materializeRecurring(entries, { today: '2026-02-02' });
+
+      // When it runs again that day, and the next day
+      const again = materializeRecurring(entries, { today: '2026-02-02', through: first.through });
+      const tomorrow = materializeRecurring(entries, { today: '2026-02-03', through: again.through });
+
+      expect(again.events).toEqual([]);
+      expect(again.tasks).toEqual([]);
+      expect(tomorrow.events).toEqual([]);
+      expect(tomorrow.tasks).toEqual([]);
+      expect(tomorrow.through['every Thu 09:00-10:00 Therapy with Dana']).toBe('2026-02-09');
+    });
+
+    it('should catch up on a missed task day with one task, and drop removed entries', () => {
+      // Given the last run was two Mondays ago
+      const result = materializeRecurring(entries.slice(1), {
+        today: '2026-02-17',
+        through: { 'every Mon task: PCP calls': '2026-02-02', 'every Sun Old entry': '2026-02-01' },
+      });
+
+      expect(result.tasks).toEqual(['- [ ] PCP calls due:2026-02-16']);
+      expect(result.through).toEqual({ 'every Mon task: PCP calls': '2026-02-17' });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for row-per-entity research tables: building rows from Claude's
+ * cells, and rendering them as markdown, for Slack and as CSV.
+ */
+
+import {
+  normalizeColumns,
+  buildTable,
+  countUnknown,
+  formatTableMarkdown,
+  formatTableSlack,
+  formatTableCsv,
+  UNKNOWN,
+} from '../../../worker/lib/research-table.js';
+
+const FINDINGS = [
+  { source: 'https://mahec.net', title: 'MAHEC' },
+  { source: 'https://blueridge.org', title: 'Blue Ridge Health' },
+];
+
+const COLUMNS = ['Name', 'Phone', 'Accepting patients'];
+
+describe('Research Table', () => {
+  describe('normalizeColumns', () => {
+    it('should trim and dedupe names, and return null without any', () => {
+      expect(normalizeColumns([' Name ', 'Phone', 'Name', ''])).toEqual(['Name', 'Phone']);
+      expect(normalizeColumns([])).toBeNull();
+      expect(normalizeColumns(null)).toBeNull();
+    });
+  });
+
+  describe('buildTable', () => {
+    it('should resolve source numbers to URLs and mark missing cells unknown', () => {
+      // Given rows as Claude returns them
+      const rows = [
+        { Name: { value: 'MAHEC', source: 1 }, Phone: { value: '828-555-0100', source: 1 }, 'Accepting patients': { value: 'unknown', source: null } },
+        { Name: { value: 'Blue Ridge Health', source: 'https://blueridge.org' }, Phone: 'call main line' },
+        { Name: { value: '' }, Phone: { value: 'Unknown' } },
+      ];
+
+      // When the table is built
+      const table = buildTable(rows, COLUMNS, FINDINGS);
+
+      // Then each cell has a value and a source, and the empty row is dropped
+      expect(table.columns).toEqual(COLUMNS);
+      expect(table.rows).toEqual([
+        [
+          { value: 'MAHEC', source: 'https://mahec.net' },
+          { value: '828-555-0100', source: 'https://mahec.net' },
+          { value: UNKNOWN, source: null },
+        ],
+        [
+          { value: 'Blue Ridge Health', source: 'https://blueridge.org' },
+          { value: 'call main line', source: null },
+          { value: UNKNOWN, source: null },
+        ],
+      ]);
+      expect(countUnknown(table)).toBe(2);
+    });
+
+    it('should return null without columns or rows', () => {
+      expect(buildTable([{ Name: 'MAHEC' }], null, FINDINGS)).toBeNull();
+      expect(buildTable(undefined, COLUMNS, FINDINGS)).toBeNull();
+      expect(buildTable([{ Name: 'unknown' }], COLUMNS, FINDINGS)).toBeNull();
+    });
+  });
+
+  describe('formatTableMarkdown / formatTableSlack / formatTableCsv', () => {
+    const table = {
+      columns: ['Name', 'Fees'],
+      rows: [
+        [{ value: 'MAHEC', source: 'https://mahec.net' }, { value: '$99/mo | $999/yr', source: 'https://mahec.net/fees' }],
+        [{ value: 'Blue Ridge Health', source: 'https://blueridge.org' }, { value: UNKNOWN, source: null }],
+      ],
+    };
+
+    it('should render a markdown table with numbered citations', () => {
+      expect(formatTableMarkdown(table)).toBe(`| Name | Fees |
+| --- | --- |
+| MAHEC [1] | $99/mo \\| $999/yr [2] |
+| Blue Ridge Health [3] | unknown |
+
+[1] https://mahec.net
+[2] https://mahec.net/fees
+[3] https://blueridge.org`);
+    });
+
+    it('should render a Slack table as aligned columns in a code block', () => {
+      // Slack mrkdwn has no tables, so pipes would show as raw text
+      expect(formatTableSlack(table)).toBe(`\`\`\`
+Name                  | Fees
+----------------------+---------------------
+MAHEC [1]             | $99/mo | $999/yr [2]
+Blue Ridge Health [3] | unknown
+\`\`\`
+
+[1] https://mahec.net
+[2] https://mahec.net/fees
+[3] https://blueridge.org`);
+    });
+
+    it('should prefix CSV fields that start like a formula', () => {
+      // Given cells a web page could have planted a formula in
+      const formulas = {
+        columns: ['Name', '=Fees'],
+        rows: [
+          [{ value: '=HYPERLINK("http://evil.example","click")', source: null }, { value: '+1 828-555-0100', source: null }],
+          [{ value: '-2+3', source: null }, { value: '@SUM(A1:A2)', source: 'https://mahec.net' }],
+        ],
+      };
+
+      // Then each one starts with ' so spreadsheets show it as text
+      expect(formatTableCsv(formulas)).toBe(
+        "Name,Name source,'=Fees,'=Fees source\n"
+        + '"\'=HYPERLINK(""http://evil.example"",""click"")",,\'+1 828-555-0100,\n'
+        + "'-2+3,,'@SUM(A1:A2),https://mahec.net\n"
+      );
+    });
+
+    it('should render CSV with a source column per field', () => {
+      const withComma = {
+        columns: ['Name', 'Address'],
+        rows: [[{ value: 'MAHEC', source: null }, { value: '123 Hendersonville Rd, Asheville "South"', source: 'https://mahec.net' }]],
+      };
+
+      expect(formatTableCsv(withComma)).toBe(
+        'Name,Name source,Address,Address source\n'
+        + 'MAHEC,,"123 Hendersonville Rd, Asheville ""South""",https://mahec.net\n'
+      );
+    });
+  });
+});
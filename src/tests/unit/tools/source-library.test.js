@@ -0,0 +1,112 @@
+/**
+ * Tests for the per-project source library (sources.md).
+ */
+
+import {
+  parseSources,
+  formatSources,
+  mergeSources,
+  freshSources,
+  sourcesToFindings,
+  MAX_FACTS_PER_SOURCE,
+} from '../../../worker/lib/source-library.js';
+
+const SOURCES_MD = `# Sources
+
+## MAHEC Family Health
+URL: https://mahec.net/family
+Fetched: 2026-02-20 | Query: asheville pcp accepting patients
+
+- Accepting new patients; takes Aetna
+- Wait is about 6 weeks
+
+## Old directory
+URL: https://example.com/directory
+Fetched: 2025-12-01`;
+
+describe('Source Library', () => {
+  describe('parseSources / formatSources', () => {
+    it('should read entries and write them back unchanged', () => {
+      const entries = parseSources(SOURCES_MD);
+
+      expect(entries).toEqual([
+        {
+          url: 'https://mahec.net/family',
+          title: 'MAHEC Family Health',
+          fetched: '2026-02-20',
+          query: 'asheville pcp accepting patients',
+          facts: ['Accepting new patients; takes Aetna', 'Wait is about 6 weeks'],
+        },
+        { url: 'https://example.com/directory', title: 'Old directory', fetched: '2025-12-01', query: '', facts: [] },
+      ]);
+      expect(formatSources(entries)).toBe(`${SOURCES_MD}\n`);
+      expect(parseSources(null)).toEqual([]);
+    });
+  });
+
+  describe('mergeSources', () => {
+    it('should add new URLs, refresh known ones, and skip saved findings', () => {
+      // Given the library and a run that found one known and one new URL
+      const findings = [
+        { source: 'https://mahec.net/family', title: 'MAHEC Family Health', content: 'Now offers  Saturday hours.', query: 'pcp saturday hours' },
+        { source: 'https://blueridge.org', title: 'Blue Ridge Health', content: 'Sliding scale fees', query: 'pcp saturday hours' },
+        { source: 'https://example.com/directory', title: 'Old directory', content: 'stale', fromLibrary: true },
+      ];
+
+      // When merged on Feb 28
+      const { entries, added, updated } = mergeSources(parseSources(SOURCES_MD), findings, '2026-02-28');
+
+      // Then the known URL is refreshed with the new fact first
+      expect(added).toBe(1);
+      expect(updated).toBe(1);
+      expect(entries[0]).toMatchObject({
+        url: 'https://mahec.net/family',
+        fetched: '2026-02-28',
+        query: 'pcp saturday hours',
+        facts: ['Now offers Saturday hours.', 'Accepting new patients; takes Aetna', 'Wait is about 6 weeks'],
+      });
+      expect(entries[1]).toMatchObject({ url: 'https://blueridge.org', facts: ['Sliding scale fees'] });
+
+      // And the saved finding didn't touch its entry
+      expect(entries[2]).toMatchObject({ url: 'https://example.com/directory', fetched: '2025-12-01', facts: [] });
+    });
+
+    it('should store facts extracted from the page instead of the snippet', () => {
+      const { entries } = mergeSources([], [{
+        source: 'https://blueridge.org',
+        title: 'Blue Ridge Health',
+        content: 'Blue Ridge Health offers integrative...',
+        extracted: ['Phone: 828-555-0199', 'Membership: $120/mo'],
+      }], '2026-02-28');
+
+      expect(entries[0].facts).toEqual(['Phone: 828-555-0199', 'Membership: $120/mo']);
+    });
+
+    it('should keep a bounded number of facts per source', () => {
+      const findings = Array.from({ length: MAX_FACTS_PER_SOURCE + 2 }, (_, i) => ({
+        source: 'https://mahec.net/family', title: 'MAHEC', content: `Fact ${i}`,
+      }));
+
+      const { entries } = mergeSources([], findings, '2026-02-28');
+
+      expect(entries[0].facts).toHaveLength(MAX_FACTS_PER_SOURCE);
+      expect(entries[0].facts[0]).toBe(`Fact ${MAX_FACTS_PER_SOURCE + 1}`);
+    });
+  });
+
+  describe('freshSources / sourcesToFindings', () => {
+    it('should offer only recent entries, as saved findings', () => {
+      const fresh = freshSources(parseSources(SOURCES_MD), '2026-02-28');
+
+      expect(fresh.map(e => e.url)).toEqual(['https://mahec.net/family']);
+      expect(sourcesToFindings(fresh)).toEqual([{
+        source: 'https://mahec.net/family',
+        title: 'MAHEC Family Health',
+        content: 'Accepting new patients; takes Aetna Wait is about 6 weeks',
+        query: 'asheville pcp accepting patients',
+        fetched: '2026-02-20',
+        fromLibrary: true,
+      }]);
+    });
+  });
+});
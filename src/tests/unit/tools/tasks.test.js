@@ -0,0 +1,216 @@
+/**
+ * Unit Tests: Task model
+ *
+ * Tests `^id` and metadata parsing, ID assignment, near-duplicate
+ * merging, matching tasks by ID or loose description, and due dates.
+ */
+
+import {
+  parseTaskLine,
+  formatTaskLine,
+  parseTaskText,
+  formatTaskText,
+  formatEstimate,
+  sortByDue,
+  daysUntilDue,
+  formatDue,
+  createTaskId,
+  mergeTaskLines,
+  findTasksById,
+  findSimilarTasks,
+} from '../../../worker/lib/tasks.js';
+
+describe('Tasks', () => {
+  describe('parseTaskLine', () => {
+    it('should split the trailing ID from the text', () => {
+      expect(parseTaskLine('- [ ] Call PCP ^k3f9a2')).toMatchObject({
+        indent: '', checked: false, text: 'Call PCP', id: 'k3f9a2', title: 'Call PCP',
+      });
+    });
+
+    it('should parse completed tasks without an ID', () => {
+      expect(parseTaskLine('- [x] Submit report')).toMatchObject({
+        indent: '', checked: true, text: 'Submit report', id: null, due: null,
+      });
+    });
+
+    it('should return null for lines that are not tasks', () => {
+      expect(parseTaskLine('- 09:00 | Morning coffee')).toBeNull();
+      expect(parseTaskLine('<!-- Managed inline - preserved during rebuild -->')).toBeNull();
+    });
+
+    it('should round-trip through formatTaskLine', () => {
+      const line = '- [ ] Call PCP ^k3f9a2';
+      expect(formatTaskLine(parseTaskLine(line))).toBe(line);
+    });
+
+    it('should parse metadata between the title and the ID', () => {
+      expect(parseTaskLine('- [ ] Call PCP due:2026-03-01 @phone ~30m role:health ^k3f9a2')).toMatchObject({
+        text: 'Call PCP due:2026-03-01 @phone ~30m role:health',
+        title: 'Call PCP',
+        due: '2026-03-01',
+        contexts: ['phone'],
+        estimate: 30,
+        role: 'health',
+        id: 'k3f9a2',
+      });
+    });
+  });
+
+  describe('parseTaskText', () => {
+    it('should accept metadata anywhere and repeated contexts', () => {
+      expect(parseTaskText('@home Fix the sink ~1h30m @weekend')).toEqual({
+        title: 'Fix the sink', due: null, contexts: ['home', 'weekend'], estimate: 90, role: null,
+      });
+    });
+
+    it('should keep malformed tokens in the title', () => {
+      const task = parseTaskText('Pay rent due:friday due:2026-02-30 ~soon');
+
+      expect(task.title).toBe('Pay rent due:friday due:2026-02-30 ~soon');
+      expect(task.due).toBeNull();
+      expect(task.estimate).toBeNull();
+    });
+
+    it('should round-trip through formatTaskText in canonical order', () => {
+      const text = 'Call PCP due:2026-03-01 @phone ~2h role:health';
+
+      expect(formatTaskText(parseTaskText('role:health ~120m @phone Call PCP due:2026-03-01'))).toBe(text);
+      expect(formatEstimate(45)).toBe('45m');
+      expect(formatEstimate(60)).toBe('1h');
+    });
+  });
+
+  describe('due dates', () => {
+    const tasks = [
+      { title: 'Someday', due: null },
+      { title: 'Taxes', due: '2026-04-15' },
+      { title: 'Reviews', due: '2026-03-01' },
+      { title: 'Call back', due: '2026-02-27' },
+    ];
+
+    it('should sort earliest due first with undated tasks last', () => {
+      expect(sortByDue(tasks).map(t => t.title)).toEqual(['Call back', 'Reviews', 'Taxes', 'Someday']);
+    });
+
+    it('should count days until due and describe them', () => {
+      expect(daysUntilDue(tasks[2], '2026-02-28')).toBe(1);
+      expect(daysUntilDue(tasks[0], '2026-02-28')).toBeNull();
+      expect(formatDue(tasks[3], '2026-02-28')).toBe('overdue since 2026-02-27');
+      expect(formatDue(tasks[2], '2026-03-01')).toBe('due today');
+      expect(formatDue(tasks[2], '2026-02-28')).toBe('due tomorrow');
+      expect(formatDue(tasks[1], '2026-02-28')).toBe('due 2026-04-15');
+    });
+  });
+
+  describe('createTaskId', () => {
+    it('should derive the same ID from the same text', () => {
+      expect(createTaskId('Call PCP')).toBe(createTaskId('  call   pcp '));
+      expect(createTaskId('Call PCP')).toMatch(/^[a-z0-9]{6}$/);
+    });
+
+    it('should avoid IDs already taken', () => {
+      const first = createTaskId('Call PCP');
+      expect(createTaskId('Call PCP', new Set([first]))).not.toBe(first);
+    });
+  });
+
+  describe('mergeTaskLines', () => {
+    it('should fold repeated open tasks into the first occurrence', () => {
+      // Given the same three loops captured three times
+      const lines = [
+        '- [ ] Schedule dentist appointment for Saturday',
+        '- [ ] Groceries: eggs, bread, coffee',
+        '- [ ] Schedule dentist appointment for Saturday',
+        '- [ ] Groceries: eggs, bread, coffee',
+      ];
+
+      const result = mergeTaskLines(lines);
+
+      // Then each task appears once, with an ID
+      expect(result.merged).toBe(2);
+      expect(result.lines).toHaveLength(2);
+      expect(result.lines[0]).toMatch(/^- \[ \] Schedule dentist appointment for Saturday \^[a-z0-9]{6}$/);
+    });
+
+    it('should keep the existing ID for the same title written differently', () => {
+      const result = mergeTaskLines(['- [ ] Call the dentist ^aaaaaa'], ['- [ ] call dentist.']);
+
+      expect(result.lines).toEqual(['- [ ] Call the dentist ^aaaaaa']);
+    });
+
+    it('should take the later text of a task with the same ID', () => {
+      const result = mergeTaskLines(['- [ ] Groceries ^aaaaaa'], ['- [ ] Groceries: eggs, bread, coffee ^aaaaaa']);
+
+      expect(result.lines).toEqual(['- [ ] Groceries: eggs, bread, coffee ^aaaaaa']);
+    });
+
+    it('should keep similar but different tasks apart', () => {
+      // Given tasks that share most words but not their meaning
+      const result = mergeTaskLines(
+        ['- [ ] Call Bob re taxes ^aaaaaa', '- [ ] Email Dana ^bbbbbb'],
+        ['- [ ] Call Bob re rent', '- [ ] Email Dana about the March invoice']
+      );
+
+      // Then none are folded together
+      expect(result.merged).toBe(0);
+      expect(result.lines).toHaveLength(4);
+    });
+
+    it('should ignore metadata when matching and take the newer metadata', () => {
+      const result = mergeTaskLines(
+        ['- [ ] Write performance reviews @work ^aaaaaa'],
+        ['- [ ] Write performance reviews due:2026-03-01 ~2h']
+      );
+
+      expect(result.lines).toEqual(['- [ ] Write performance reviews due:2026-03-01 @work ~2h ^aaaaaa']);
+    });
+
+    it('should not merge a new task into a completed one', () => {
+      const result = mergeTaskLines(['- [x] Groceries ^aaaaaa'], ['- [ ] Groceries']);
+
+      expect(result.merged).toBe(0);
+      expect(result.lines).toHaveLength(2);
+    });
+
+    it('should pass non-task lines through', () => {
+      const comment = '<!-- Managed inline - preserved during rebuild -->';
+      expect(mergeTaskLines([comment, '- [ ] Call PCP ^k3f9a2']).lines).toEqual([comment, '- [ ] Call PCP ^k3f9a2']);
+    });
+  });
+
+  describe('findTasksById', () => {
+    it('should accept IDs with or without the caret', () => {
+      const lines = ['- [ ] Call PCP ^k3f9a2', '- [ ] Walk Audie ^b7c8d9'];
+
+      expect(findTasksById(lines, '^b7c8d9')).toEqual([1]);
+      expect(findTasksById(lines, 'k3f9a2')).toEqual([0]);
+      expect(findTasksById(lines, 'Call PCP')).toEqual([]);
+    });
+  });
+
+  describe('findSimilarTasks', () => {
+    const lines = [
+      '- [ ] Schedule dentist appointment for Saturday ^aaaaaa',
+      '- [ ] Call dentist about the bill ^bbbbbb',
+      '- [x] Debug auth middleware issue ^cccccc',
+    ];
+
+    it('should match a single task by a loose description', () => {
+      expect(findSimilarTasks(lines, 'schedule the dentist appointment')).toEqual({ indices: [0], error: null });
+    });
+
+    it('should report ambiguity with the candidate IDs', () => {
+      const { indices, error } = findSimilarTasks(lines, 'dentist');
+
+      expect(indices).toEqual([]);
+      expect(error).toContain('Ambiguous item "dentist"');
+      expect(error).toContain('^aaaaaa');
+      expect(error).toContain('^bbbbbb');
+    });
+
+    it('should skip completed tasks when asked', () => {
+      expect(findSimilarTasks(lines, 'debug auth middleware', { openOnly: true }).indices).toEqual([]);
+    });
+  });
+});
@@ -1,7 +1,8 @@
 /**
  * Unit Tests: Tool Applicator
  *
- * Tests all 5 tool call types and section matching edge cases.
+ * Tests all section tool call types, section matching edge cases,
+ * Open Loops task identity, and snoozing.
  */
 
 import {
@@ -12,6 +13,9 @@ import {
   markComplete,
   removeItem,
   applyToolCall,
+  normalizeOpenLoops,
+  snoozeItem,
+  wakeSnoozed,
 } from '../../../worker/lib/tool-applicator.js';
 
 const SAMPLE_CONTENT = `# Current Context
@@ -197,4 +201,155 @@ describe('Tool Applicator', () => {
       expect(result.error).toContain('Unknown tool call type');
     });
   });
+
+  describe('Open Loops', () => {
+    const LOOPS = `## Open Loops
+<!-- Managed inline - preserved during rebuild -->
+- [ ] Schedule dentist appointment for Saturday ^aaaaaa
+- [ ] Call dentist about the bill ^bbbbbb
+- [ ] Groceries: eggs, bread, coffee ^cccccc
+
+## This Week's Plan
+Focus.
+`;
+
+    it('should merge an appended duplicate into the existing task', () => {
+      const result = applyToolCall(LOOPS, {
+        type: 'append_to_section',
+        heading: '## Open Loops',
+        content: '- [ ] groceries: eggs, bread and coffee\n- [ ] Renew passport',
+      });
+
+      expect(result.error).toBeNull();
+      expect(result.content.match(/Groceries/g)).toHaveLength(1);
+      expect(result.content).toMatch(/- \[ \] Renew passport \^[a-z0-9]{6}\n\n## This Week's Plan/);
+    });
+
+    it('should give replaced tasks IDs', () => {
+      const result = applyToolCall(LOOPS, {
+        type: 'replace_section',
+        heading: '## Open Loops',
+        content: '- [ ] Only task',
+      });
+
+      expect(result.content).toMatch(/- \[ \] Only task \^[a-z0-9]{6}/);
+    });
+
+    it('should mark complete by ID', () => {
+      const result = markComplete(LOOPS, '^bbbbbb');
+
+      expect(result.error).toBeNull();
+      expect(result.content).toContain('- [x] Call dentist about the bill ^bbbbbb');
+      expect(result.content).toContain('- [ ] Schedule dentist appointment');
+    });
+
+    it('should mark complete by exact text despite the ID suffix', () => {
+      expect(markComplete(LOOPS, 'Groceries: eggs, bread, coffee').content)
+        .toContain('- [x] Groceries: eggs, bread, coffee ^cccccc');
+    });
+
+    it('should mark every exact duplicate complete', () => {
+      const dupes = '- [ ] Debug auth middleware\n- [ ] Debug auth middleware\n';
+
+      expect(markComplete(dupes, 'Debug auth middleware').content)
+        .toBe('- [x] Debug auth middleware\n- [x] Debug auth middleware\n');
+    });
+
+    it('should mark complete by a fuzzy match to one task', () => {
+      expect(markComplete(LOOPS, 'groceries').content).toContain('- [x] Groceries: eggs, bread, coffee');
+    });
+
+    it('should report an ambiguous fuzzy match', () => {
+      const result = markComplete(LOOPS, 'dentist');
+
+      expect(result.content).toBe(LOOPS);
+      expect(result.error).toContain('Ambiguous item "dentist"');
+      expect(result.error).toContain('^aaaaaa "Schedule dentist appointment for Saturday"');
+    });
+
+    it('should remove an item by ID within a section', () => {
+      const result = applyToolCall(LOOPS, { type: 'remove_item', item: '^aaaaaa', heading: '## Open Loops' });
+
+      expect(result.error).toBeNull();
+      expect(result.content).not.toContain('Schedule dentist');
+      expect(result.content).toContain("## This Week's Plan\nFocus.");
+    });
+
+    it('should normalize duplicates already in the section', () => {
+      const messy = LOOPS.replace('## This Week', '- [ ] Groceries: eggs, bread, coffee\n- [ ] Walk Audie\n\n## This Week')
+        .replace('\n\n- [ ] Groceries', '\n- [ ] Groceries');
+
+      const normalized = normalizeOpenLoops(messy);
+
+      expect(normalized.match(/Groceries/g)).toHaveLength(1);
+      expect(normalized).toMatch(/- \[ \] Walk Audie \^[a-z0-9]{6}\n\n## This Week's Plan/);
+      expect(normalizeOpenLoops(normalized)).toBe(normalized);
+    });
+  });
+
+  describe('Snoozed', () => {
+    const PACK = `## Pending Review
+<!-- Managed inline - preserved during rebuild -->
+- Is "Dana" the therapist?
+
+## Open Loops
+<!-- Managed inline - preserved during rebuild -->
+- [ ] Call PCP @phone ^aaaaaa
+- [ ] Order raised bed soil ^cccccc
+
+## Snoozed
+<!-- Managed inline - preserved during rebuild -->
+*Nothing snoozed*
+
+## This Week's Plan
+Focus.
+`;
+
+    it('should move an Open Loops task to Snoozed with its wake date', () => {
+      const result = applyToolCall(PACK, { type: 'snooze_item', item: '^aaaaaa', until: '2026-03-07' });
+
+      expect(result.error).toBeNull();
+      expect(result.content).not.toMatch(/## Open Loops[\s\S]*Call PCP[\s\S]*## Snoozed/);
+      expect(result.content).toContain(
+        '## Snoozed\n<!-- Managed inline - preserved during rebuild -->\n- [ ] Call PCP @phone ^aaaaaa — snoozed until 2026-03-07\n\n## This Week\'s Plan'
+      );
+      expect(result.content).not.toContain('*Nothing snoozed*');
+    });
+
+    it('should snooze a Pending Review item by its text', () => {
+      const result = snoozeItem(PACK, 'Is "Dana" the therapist?', '2026-03-01');
+
+      expect(result.error).toBeNull();
+      expect(result.content).toContain('- Is "Dana" the therapist? — snoozed until 2026-03-01');
+      expect(result.content.match(/Dana/g)).toHaveLength(1);
+    });
+
+    it('should reject unknown items and bad dates', () => {
+      expect(snoozeItem(PACK, 'Walk Audie', '2026-03-01').error).toContain('Item not found');
+      expect(snoozeItem(PACK, '^aaaaaa', 'next week').error).toContain('Invalid snooze date');
+    });
+
+    it('should wake due items back into Open Loops and keep the rest', () => {
+      // Given one item due today and one next month
+      const snoozed = snoozeItem(snoozeItem(PACK, '^aaaaaa', '2026-03-07').content, 'Is "Dana" the therapist?', '2026-04-01').content;
+
+      // When housekeeping wakes items on 2026-03-07
+      const { content, woken } = wakeSnoozed(snoozed, '2026-03-07');
+
+      // Then the task is back in Open Loops with its ID, and the later item stays
+      expect(woken).toEqual(['- [ ] Call PCP @phone ^aaaaaa']);
+      expect(content).toContain('- [ ] Order raised bed soil ^cccccc\n- [ ] Call PCP @phone ^aaaaaa\n\n## Snoozed');
+      expect(content).toContain('## Snoozed\n<!-- Managed inline - preserved during rebuild -->\n- Is "Dana" the therapist? — snoozed until 2026-04-01\n\n## This Week');
+      expect(wakeSnoozed(content, '2026-03-07').woken).toEqual([]);
+    });
+
+    it('should wake a snoozed Pending Review item as a task', () => {
+      const snoozed = snoozeItem(PACK, 'Is "Dana" the therapist?', '2026-03-01').content;
+
+      const { content, woken } = wakeSnoozed(snoozed, '2026-03-02');
+
+      expect(woken).toEqual(['- [ ] Is "Dana" the therapist?']);
+      expect(content).toMatch(/- \[ \] Is "Dana" the therapist\? \^[a-z0-9]{6}\n\n## Snoozed\n<!-- Managed inline - preserved during rebuild -->\n\n## This Week/);
+    });
+  });
 });
@@ -9,6 +9,8 @@ import {
   validatePath,
   validateWriteIntent,
   truncateContent,
+  buildToolDefinitions,
+  ALL_ALLOWED_TYPES,
   MAX_CONTENT_SIZE,
 } from '../../../worker/lib/tool-validator.js';
 
@@ -86,6 +88,13 @@ describe('Tool Validator', () => {
       expect(result.error).toContain('requires an item');
     });
 
+    it('should require an until date for snooze_item and wake_snoozed', () => {
+      expect(validateToolCall({ type: 'snooze_item', item: '^aaaaaa', until: '2026-03-07' }).valid).toBe(true);
+      expect(validateToolCall({ type: 'wake_snoozed', until: '2026-03-07' }).valid).toBe(true);
+      expect(validateToolCall({ type: 'snooze_item', item: '^aaaaaa', until: 'next week' }).error).toContain('until date');
+      expect(validateToolCall({ type: 'snooze_item', until: '2026-03-07' }).error).toContain('requires an item');
+    });
+
     it('should flag truncation for oversized content', () => {
       const result = validateToolCall({
         type: 'append_to_section',
@@ -152,4 +161,26 @@ describe('Tool Validator', () => {
       expect(truncateContent(content).length).toBe(MAX_CONTENT_SIZE);
     });
   });
+
+  describe('buildToolDefinitions', () => {
+    it('should define every allowed type with its required fields', () => {
+      const tools = buildToolDefinitions([...ALL_ALLOWED_TYPES]);
+
+      expect(tools.map(t => t.name)).toEqual([...ALL_ALLOWED_TYPES]);
+      const byName = Object.fromEntries(tools.map(t => [t.name, t]));
+      expect(byName.append_to_section.input_schema.required).toEqual(['path', 'heading', 'content']);
+      expect(byName.snooze_item.input_schema.required).toEqual(['path', 'item', 'until']);
+      expect(byName.create_project.input_schema.required).toEqual(['name', 'description', 'first_action']);
+      expect(byName.update_spread.input_schema.properties.action.enum).toEqual(['append', 'prepend', 'replace']);
+      tools.forEach((tool) => {
+        expect(tool.description).toBeTruthy();
+        expect(tool.input_schema.type).toBe('object');
+        tool.input_schema.required.forEach(field => expect(tool.input_schema.properties[field]).toBeDefined());
+      });
+    });
+
+    it('should reject unknown types', () => {
+      expect(() => buildToolDefinitions(['delete_everything'])).toThrow('Unknown tool call type: delete_everything');
+    });
+  });
 });
@@ -0,0 +1,165 @@
+/**
+ * Tests for the decompose pipeline end to end against an in-memory repo.
+ *
+ * Round trip: rebuild current.md from sources → DO-style edits with
+ * direction: decompose → decompose writes only the changed sources,
+ * the .done marker, and rebuilds current.md.
+ */
+
+import { jest } from '@jest/globals';
+import { vol, fs as memfs } from 'memfs';
+
+jest.unstable_mockModule('fs', () => ({ default: memfs, promises: memfs.promises }));
+jest.unstable_mockModule('child_process', () => ({ execSync: () => 'abcdef1234567890\n' }));
+
+const DATA_DIR = '/repo/data';
+const originalDataDir = process.env.DATA_DIR;
+process.env.DATA_DIR = DATA_DIR;
+
+const { decomposeContext, parseVersionStamp, extractSectionContent, diffDecomposePlan, isPlaceholder } =
+  await import('../../../scripts/decompose-context.js');
+const { rebuildContext, getTodayDate, getCurrentWeek, getCurrentMonth } =
+  await import('../../../scripts/rebuild-context.js');
+
+const today = getTodayDate();
+const week = getCurrentWeek();
+const month = getCurrentMonth();
+
+const SOURCES = {
+  [`stream/${today}.md`]: '## Captures\n\n- 09:15 | Morning walk\n',
+  [`planning/weekly/${week}.md`]: '# Weekly Plan\n\n## Focus Areas\n- Health\n',
+  'planning/calendar-current.md': '# Upcoming Events\n\n## 2099-01-05 (Monday)\n\n- 09:00 Dentist\n',
+  'projects/index.md': '| Project | Status | Description |\n|---------|--------|-------------|\n| alpha | active | Live |\n| beta | archived | Old |\n',
+  [`planning/monthly/${month}.md`]: '# Monthly Plan\n\n- Ship the garden\n',
+  'system/learned.md': '- Prefers mornings\n',
+  'identity/bio.md': '# Bio\nEngineer.\n',
+};
+
+/**
+ * Read a repo file from the in-memory volume.
+ */
+function read(relativePath) {
+  return vol.readFileSync(`${DATA_DIR}/${relativePath}`, 'utf-8');
+}
+
+/**
+ * Edit current.md the way a DO does: apply a change and restamp as decompose.
+ */
+function pushFromDO(sha, edit) {
+  const content = edit(read('current.md'))
+    .replace(/<!-- context_pack_version: .* -->/, `<!-- context_pack_version: ${sha} source_ref: do direction: decompose -->`);
+  vol.writeFileSync(`${DATA_DIR}/current.md`, content);
+}
+
+describe('Decompose round trip', () => {
+  let logSpy;
+
+  beforeEach(async () => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    vol.reset();
+    vol.fromJSON(Object.fromEntries(
+      Object.entries(SOURCES).map(([p, content]) => [`${DATA_DIR}/${p}`, content])
+    ));
+    await rebuildContext();
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  afterAll(() => {
+    process.env.DATA_DIR = originalDataDir;
+  });
+
+  it('should write only the sources whose sections changed', async () => {
+    // Given the DO appended a capture and a learned pattern
+    pushFromDO('a1b2c3d4', content => content
+      .replace('- 09:15 | Morning walk', '- 09:15 | Morning walk\n- 12:30 | Lunch with Sam')
+      .replace('- Prefers mornings', '- Prefers mornings\n- Dislikes phone calls'));
+    const calendarBefore = read('planning/calendar-current.md');
+
+    // When decompose runs
+    const result = await decomposeContext();
+
+    // Then exactly the stream and learned files were rewritten
+    expect(result.status).toBe('decomposed');
+    expect(result.written.sort()).toEqual([`data/stream/${today}.md`, 'data/system/learned.md']);
+    expect(read(`stream/${today}.md`)).toContain('12:30 | Lunch with Sam');
+    expect(read('system/learned.md')).toBe('- Prefers mornings\n- Dislikes phone calls\n');
+    expect(read('planning/calendar-current.md')).toBe(calendarBefore);
+  });
+
+  it('should write the .done marker and rebuild current.md', async () => {
+    pushFromDO('a1b2c3d4', content => content.replace('- 09:00 Dentist', '- 09:00 Dentist\n- 15:00 Haircut'));
+
+    await decomposeContext();
+
+    // Then the marker exists and current.md is back in the build direction
+    expect(vol.existsSync(`${DATA_DIR}/.decompose/a1b2c3d4.done`)).toBe(true);
+    const current = read('current.md');
+    expect(parseVersionStamp(current).direction).toBe('build');
+    expect(extractSectionContent(current, 'Upcoming Calendar')).toContain('15:00 Haircut');
+    expect(read('planning/calendar-current.md')).toContain('15:00 Haircut');
+  });
+
+  it('should keep inline sections through the rebuild', async () => {
+    pushFromDO('a1b2c3d4', content => content.replace('*No open loops*', '- [ ] Call the dentist'));
+
+    const result = await decomposeContext();
+
+    expect(result.written).toEqual([]);
+    expect(extractSectionContent(read('current.md'), 'Open Loops')).toContain('- [ ] Call the dentist');
+  });
+
+  it('should not write back the active-only Project Index', async () => {
+    // Given the rebuilt pack shows only active projects
+    pushFromDO('a1b2c3d4', content => content.replace('| alpha | active | Live |', '| alpha | active | Live again |'));
+
+    const result = await decomposeContext();
+
+    // Then index.md still has the archived row
+    expect(result.written).toEqual([]);
+    expect(read('projects/index.md')).toContain('| beta | archived | Old |');
+  });
+
+  it('should skip a pack that is already in the build direction', async () => {
+    const before = read('current.md');
+
+    const result = await decomposeContext();
+
+    expect(result.status).toBe('skipped');
+    expect(read('current.md')).toBe(before);
+    expect(vol.existsSync(`${DATA_DIR}/.decompose`)).toBe(false);
+  });
+
+  it('should not turn placeholders into source files', async () => {
+    // Given no learned context exists yet
+    vol.unlinkSync(`${DATA_DIR}/system/learned.md`);
+    await rebuildContext();
+    pushFromDO('a1b2c3d4', content => content);
+
+    await decomposeContext();
+
+    expect(vol.existsSync(`${DATA_DIR}/system/learned.md`)).toBe(false);
+  });
+});
+
+describe('diffDecomposePlan', () => {
+  const plan = [
+    { section: 'Learned Context', path: 'data/system/learned.md', content: '- A' },
+    { section: "Today's Stream", path: 'data/stream/2026-02-01.md', content: '*No captures yet today*' },
+  ];
+
+  it('should ignore surrounding whitespace when comparing', () => {
+    expect(diffDecomposePlan(plan, { 'data/system/learned.md': '- A\n\n' })).toEqual([]);
+  });
+
+  it('should return entries whose source differs', () => {
+    expect(diffDecomposePlan(plan, { 'data/system/learned.md': '- B\n' })).toEqual([plan[0]]);
+  });
+
+  it('should recognize rebuild placeholders', () => {
+    expect(isPlaceholder('*No upcoming events*')).toBe(true);
+    expect(isPlaceholder('- *bold* item')).toBe(false);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Tests for the daily digest's Open Loops parsing.
+ * Validates task metadata extraction and the "Due This Week" split.
+ */
+
+import { parseOpenLoops, splitDueSoon } from '../../../scripts/generate-digest.js';
+
+describe('Digest', () => {
+  describe('parseOpenLoops', () => {
+    it('should read task titles and metadata without the ID', () => {
+      const loops = parseOpenLoops(`<!-- Managed inline - preserved during rebuild -->
+- [ ] Write performance reviews due:2026-03-01 @work ~2h role:manager ^aaaaaa
+- [x] Submit report ^bbbbbb
+- Ask @sam about the offsite`);
+
+      expect(loops).toEqual([
+        { text: 'Write performance reviews', isTask: true, isComplete: false, due: '2026-03-01', contexts: ['work'], estimate: 120, role: 'manager' },
+        { text: 'Submit report', isTask: true, isComplete: true, due: null, contexts: [], estimate: null, role: null },
+        { text: 'Ask @sam about the offsite', isTask: false, isComplete: false, due: null, contexts: [], estimate: null, role: null },
+      ]);
+    });
+  });
+
+  describe('splitDueSoon', () => {
+    it('should pull overdue and this week\'s tasks out, earliest first', () => {
+      // Given loops with due dates before, within and after the coming week
+      const loops = parseOpenLoops(`- [ ] Taxes due:2026-04-15
+- [ ] Reviews due:2026-03-01
+- [ ] Groceries
+- [ ] Call back due:2026-02-20`);
+
+      // When split on 2026-02-25
+      const { dueSoon, rest } = splitDueSoon(loops, '2026-02-25');
+
+      // Then only the overdue and in-week tasks are due soon
+      expect(dueSoon.map(loop => loop.text)).toEqual(['Call back', 'Reviews']);
+      expect(rest.map(loop => loop.text)).toEqual(['Taxes', 'Groceries']);
+    });
+  });
+});
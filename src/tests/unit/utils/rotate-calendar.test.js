@@ -3,51 +3,7 @@
  * Validates that past events are correctly separated from future events.
  */
 
-import { jest } from '@jest/globals';
-
-// We can't directly import rotateCalendar since it depends on fs,
-// but we can test the parsing logic by importing and testing the module structure.
-// For now, test the core logic inline.
-
-/**
- * Parse calendar content into date sections (copied from rotate-calendar.js for testing).
- */
-function parseCalendar(content) {
-  const lines = content.split('\n');
-  const header = [];
-  const sections = [];
-  let currentSection = null;
-
-  for (const line of lines) {
-    const dateMatch = line.match(/^## (\d{4}-\d{2}-\d{2})/);
-
-    if (dateMatch) {
-      if (currentSection) {
-        sections.push(currentSection);
-      }
-      currentSection = {
-        date: dateMatch[1],
-        content: [line],
-      };
-    } else if (currentSection) {
-      currentSection.content.push(line);
-    } else {
-      header.push(line);
-    }
-  }
-
-  if (currentSection) {
-    sections.push(currentSection);
-  }
-
-  return {
-    header: header.join('\n'),
-    sections: sections.map(s => ({
-      date: s.date,
-      content: s.content.join('\n'),
-    })),
-  };
-}
+import { parseCalendar, rotateCalendar } from '../../../worker/lib/calendar.js';
 
 describe('Calendar Rotation', () => {
   describe('parseCalendar', () => {
@@ -120,4 +76,65 @@ Some intro text.
       expect(result.sections[0].content).toContain('Lunch with team');
     });
   });
+
+  describe('rotateCalendar', () => {
+    const current = `# Upcoming Events
+
+Events for the next 2-3 weeks.
+
+## 2025-01-22 (Wednesday)
+- Today event
+
+## 2025-01-20 (Monday)
+- Past event
+
+## 2025-01-18 (Saturday)
+- Older event
+`;
+
+    it('should keep today and future days in the current calendar', () => {
+      const result = rotateCalendar(current, '', '2025-01-22');
+
+      expect(result.moved).toEqual(['2025-01-18', '2025-01-20']);
+      expect(result.current).toBe(`# Upcoming Events
+
+Events for the next 2-3 weeks.
+
+## 2025-01-22 (Wednesday)
+- Today event
+`);
+    });
+
+    it('should append archived days to the past calendar in date order', () => {
+      const past = '# Past Events\n\n---\n\n## 2025-01-10 (Friday)\n- Archived\n';
+      const result = rotateCalendar(current, past, '2025-01-22');
+
+      expect(result.past).toBe(`# Past Events
+
+---
+
+## 2025-01-10 (Friday)
+- Archived
+
+## 2025-01-18 (Saturday)
+- Older event
+
+## 2025-01-20 (Monday)
+- Past event
+`);
+    });
+
+    it('should create the past calendar header and drop the placeholder', () => {
+      const fresh = rotateCalendar(current, '', '2025-01-22');
+      expect(fresh.past).toContain('# Past Events');
+
+      const placeholder = rotateCalendar(current, '# Past Events\n\n---\n\n*No past events archived yet.*\n', '2025-01-22');
+      expect(placeholder.past).not.toContain('No past events archived yet');
+    });
+
+    it('should leave both files untouched when nothing is past', () => {
+      const result = rotateCalendar(current, 'past', '2025-01-01');
+      expect(result).toEqual({ current, past: 'past', moved: [] });
+    });
+  });
 });
@@ -1,13 +1,66 @@
 /**
- * Main Agent - Single-call inbox processor.
+ * Main Agent - Inbox processor.
  *
  * The Main Agent is the entry point for all messages in #sb-inbox.
- * It makes a single LLM call that returns tool calls (what to write)
- * and a Slack reply (what to say). The LLM determines processing depth.
+ * It asks the LLM for tool calls (what to write) and a Slack reply (what
+ * to say); the LLM determines processing depth. Tools are sent as real
+ * tool definitions, built from tool-validator.js, and come back as
+ * tool_use blocks; the reply is the `reply` tool. Usually one turn does
+ * it; when a turn stops before `reply`, the tool calls get tool_result
+ * blocks and the conversation continues, up to MAX_TOOL_TURNS.
+ *
+ * The prompt and the stable context pack sections (project index, learned
+ * context, identity) go in cached system blocks; the volatile sections
+ * and the message follow in the user turn.
  */
 
 import { createAgentResult } from './types.js';
 import { toolIntent, putIntent } from '../lib/write-intent.js';
+import { buildToolDefinitions } from '../lib/tool-validator.js';
+import { cachedSystem } from '../lib/claude-client.js';
+import { splitByStability } from '../lib/context-pack.js';
+
+/**
+ * Write tools offered to the inbox agent.
+ */
+const INBOX_TOOL_TYPES = [
+  'append_to_section',
+  'prepend_to_section',
+  'replace_section',
+  'mark_complete',
+  'remove_item',
+  'snooze_item',
+  'create_project',
+  'write_file',
+];
+
+/**
+ * The reply tool: what to say in Slack, and the agent's reasoning.
+ */
+const REPLY_TOOL = {
+  name: 'reply',
+  description: 'Send the Slack reply. Call exactly once, after any write tools.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      thinking: { type: 'string', description: 'Brief reasoning about what to do with this message and depth needed' },
+      slack_reply: { type: 'string', description: 'Value-adding reply text' },
+      needs_clarification: {
+        type: 'object',
+        description: 'Set when something must be clarified before acting',
+        properties: {
+          about: { type: 'string' },
+          question: { type: 'string' },
+          options: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['about', 'question'],
+      },
+    },
+    required: ['slack_reply'],
+  },
+};
+
+const INBOX_TOOLS = [...buildToolDefinitions(INBOX_TOOL_TYPES), REPLY_TOOL];
 
 /**
  * Inbox system prompt. Inlined for edge compatibility (no fs in Cloudflare Workers).
@@ -44,6 +97,7 @@ This is NOT a rigid pipeline. Your judgment determines depth. A dentist appointm
 **Key sections in current.md:**
 - **Pending Review** — Items awaiting clarification (inline)
 - **Open Loops** — Active tasks, waiting items, follow-ups (inline)
+- **Snoozed** — Deferred items and their wake dates (inline). Not current — don't prioritize or re-add them; they return to Open Loops on their date
 - **This Week's Plan** — Weekly commitments by role
 - **Upcoming Calendar** — Scheduled events
 - **Project Index** — Active projects
@@ -52,23 +106,7 @@ This is NOT a rigid pipeline. Your judgment determines depth. A dentist appointm
 
 ## Response Format
 
-You MUST respond with valid JSON only:
-
-\`\`\`json
-{
-  "thinking": "Brief reasoning about what to do with this message and depth needed",
-  "tool_calls": [
-    {
-      "tool": "append_to_section",
-      "path": "data/stream/{{DATE}}.md",
-      "heading": "## Captures",
-      "content": "- {{TIME}} | Message content"
-    }
-  ],
-  "slack_reply": "Value-adding reply text",
-  "needs_clarification": null
-}
-\`\`\`
+Respond only with tool calls: one call per write, then \`reply\` exactly once with \`thinking\`, \`slack_reply\` and, when needed, \`needs_clarification\`. Every response calls \`reply\`, even when nothing is written.
 
 ## Available Tool Calls
 
@@ -79,8 +117,9 @@ You MUST respond with valid JSON only:
 | \`append_to_section\` | path, heading, content | Append content under a section heading |
 | \`prepend_to_section\` | path, heading, content | Prepend at start of section |
 | \`replace_section\` | path, heading, content | Replace entire section content |
-| \`mark_complete\` | path, item | Change \`- [ ]\` to \`- [x]\` for matching item |
-| \`remove_item\` | path, item, heading (optional) | Delete specific line/item |
+| \`mark_complete\` | path, item | Change \`- [ ]\` to \`- [x]\` for the item (task \`^id\` or its text) |
+| \`remove_item\` | path, item, heading (optional) | Delete specific line/item (task \`^id\` or its text) |
+| \`snooze_item\` | path, item, until, heading (optional) | Move an Open Loops or Pending Review item to \`## Snoozed\` until a date (YYYY-MM-DD) |
 
 ### Direct Write Tools
 
@@ -93,9 +132,10 @@ You MUST respond with valid JSON only:
 
 - Stream: \`data/stream/{{DATE}}.md\` (heading: \`## Captures\`)
 - Current.md (inline sections): \`data/current.md\`
-  - \`## Open Loops\` — tasks, follow-ups
+  - \`## Open Loops\` — tasks, follow-ups. Each task ends with a stable ID (\`^k3f9a2\`); don't write IDs for new tasks, and don't re-add a task that's already listed. Optional metadata goes after the title: \`due:YYYY-MM-DD\` @context ~30m role:name
   - \`## Pending Review\` — uncertain items
 - Calendar: \`data/planning/calendar-current.md\` (heading: \`## {{DATE}} ({{DAY}}\`)
+- Recurring: \`data/planning/recurring.md\` (heading: \`## Recurring\`) — \`- every Thu 09:00-10:00 Therapy with Dana\` (event) or \`- every Mon task: PCP calls\` (task); days are a name, a list like \`Mon,Thu\`, \`weekday\`, \`weekend\` or \`day\`. Daily housekeeping adds them to the calendar and Open Loops
 - Weekly plan: \`data/planning/weekly/{{WEEK_ID}}.md\`
 - Learned context: \`data/system/learned.md\` (heading: \`## People\`, \`## Places\`, \`## Patterns Noticed\`)
 - Project spread: \`data/projects/{{slug}}/spread.md\`
@@ -103,14 +143,7 @@ You MUST respond with valid JSON only:
 ## Processing Rules
 
 ### Every message gets a stream entry
-\`\`\`json
-{
-  "tool": "append_to_section",
-  "path": "data/stream/{{DATE}}.md",
-  "heading": "## Captures",
-  "content": "- {{TIME}} | The message content"
-}
-\`\`\`
+\`append_to_section\` with path \`data/stream/{{DATE}}.md\`, heading \`## Captures\`, content \`- {{TIME}} | The message content\`, where {{TIME}} is the TIME given with the message
 
 ### Then determine what else:
 
@@ -122,6 +155,8 @@ You MUST respond with valid JSON only:
 | Person/place info | append_to_section on \`data/system/learned.md\` |
 | Brain dump | Multiple: Open Loops + calendar + projects + weekly plan as appropriate |
 | Marking complete | mark_complete on \`data/current.md\` |
+| Something that repeats ("therapy every Thursday 9-10") | append_to_section on \`data/planning/recurring.md\` heading \`## Recurring\` — not one calendar entry per week |
+| Deferring ("not until March", "remind me next week") | snooze_item on \`data/current.md\` with an absolute \`until\` date |
 | Question | No tool calls (reply only, read-only from context) |
 | Conversation | Stream entry + maybe nothing else |
 | Unclear/ambiguous | append_to_section on \`data/current.md\` heading \`## Pending Review\` + ask in reply |
@@ -134,17 +169,22 @@ Ask if:
 - You're unsure if something is a task vs. just a note
 - The message mentions a project that doesn't exist
 
-Use \`needs_clarification\`:
+Set \`needs_clarification\` on \`reply\`:
 \`\`\`json
 {
-  "needs_clarification": {
-    "about": "Eric identity",
-    "question": "Is this Eric Dissinger, or someone else?",
-    "options": ["Eric Dissinger - add as follow-up", "Different Eric - just note"]
-  }
+  "about": "Eric identity",
+  "question": "Is this Eric Dissinger, or someone else?",
+  "options": ["Eric Dissinger - add as follow-up", "Different Eric - just note"]
 }
 \`\`\`
-Also add to \`## Pending Review\` so it's not lost.
+Also add to \`## Pending Review\` so it's not lost. The system stamps each Pending Review line with the date and a link to this thread — don't write those yourself.
+
+### Resolving Pending Review
+
+When a thread reply answers something waiting in Pending Review, the user message lists those items under "Pending Review From This Thread". For each item the reply answers, in the same response:
+1. Write it where it belongs — Open Loops, the calendar, or \`data/system/learned.md\`
+2. \`remove_item\` on \`data/current.md\` with heading \`## Pending Review\` and the whole line exactly as listed
+Leave items the reply doesn't answer.
 
 ### Slack Reply Guidelines
 
@@ -158,10 +198,19 @@ Also add to \`## Pending Review\` so it's not lost.
 
 Extract date (convert relative: "tomorrow" → absolute date), time, and title.
 
+### Task Metadata
+
+Open Loops tasks can carry inline metadata after the title: \`- [ ] Write performance reviews due:2026-03-01 @work ~2h role:manager\`.
+- \`due:\` — when a deadline is mentioned ("by Friday", "before the 1st"), convert to an absolute date
+- \`@context\` — where/how it gets done (@phone, @errands, @computer); repeatable
+- \`~estimate\` — effort when stated or obvious (~15m, ~2h, ~1h30m)
+- \`role:\` — the role it serves, when clear
+All optional; don't invent deadlines. To set a due date on an existing task, append it again with the new metadata — it merges into the existing task.
+
 ### Marking Things Complete
 
 When Colin says "I did X" or "completed X":
-1. Use \`mark_complete\` with the matching item text
+1. Use \`mark_complete\` with the task's \`^id\` from Open Loops (or its text if it has none)
 2. Confirm what was completed
 
 ### Brain Dump Cognitive Processing
@@ -169,7 +218,7 @@ When Colin says "I did X" or "completed X":
 For complex input, run up to 5 passes:
 1. **Themes**: Identify themes and related projects
 2. **Task vs Project**: Single actions → Open Loops. Multi-step → create_project
-3. **Temporal**: What's time-sensitive? Schedule appropriately
+3. **Temporal**: What's time-sensitive? Schedule appropriately; give deadline tasks a \`due:\` date
 4. **Calendar**: Extract events with dates/times
 5. **The Plan**: Prioritize using Basket Sort. Drop/defer ambivalent items
 
@@ -177,89 +226,61 @@ Not every message needs all 5. Your judgment determines depth.
 
 ## Examples
 
+Each example lists the tool calls in order, with their input.
+
 ### Simple task
 User: "Need to pick up prescription from CVS"
 
-\`\`\`json
-{
-  "thinking": "Simple task, CVS is a known place. Stream + Open Loops.",
-  "tool_calls": [
-    {
-      "tool": "append_to_section",
-      "path": "data/stream/{{DATE}}.md",
-      "heading": "## Captures",
-      "content": "- {{TIME}} | Need to pick up prescription from CVS"
-    },
-    {
-      "tool": "append_to_section",
-      "path": "data/current.md",
-      "heading": "## Open Loops",
-      "content": "- [ ] Pick up prescription from CVS"
-    }
-  ],
-  "slack_reply": "Added to open loops: pick up prescription from CVS.",
-  "needs_clarification": null
-}
+\`\`\`
+append_to_section {"path": "data/stream/{{DATE}}.md", "heading": "## Captures", "content": "- {{TIME}} | Need to pick up prescription from CVS"}
+append_to_section {"path": "data/current.md", "heading": "## Open Loops", "content": "- [ ] Pick up prescription from CVS"}
+reply {"thinking": "Simple task, CVS is a known place. Stream + Open Loops.", "slack_reply": "Added to open loops: pick up prescription from CVS."}
 \`\`\`
 
 ### Calendar event
 User: "Dentist appointment Monday at 2pm"
 
-\`\`\`json
-{
-  "thinking": "Calendar event. Monday is 2026-02-02. Stream + calendar.",
-  "tool_calls": [
-    {
-      "tool": "append_to_section",
-      "path": "data/stream/{{DATE}}.md",
-      "heading": "## Captures",
-      "content": "- {{TIME}} | Dentist appointment Monday at 2pm"
-    },
-    {
-      "tool": "append_to_section",
-      "path": "data/planning/calendar-current.md",
-      "heading": "## 2026-02-02 (Monday)",
-      "content": "- 14:00 Dentist appointment"
-    }
-  ],
-  "slack_reply": "Added dentist appointment to Monday Feb 2 at 2pm.",
-  "needs_clarification": null
-}
+\`\`\`
+append_to_section {"path": "data/stream/{{DATE}}.md", "heading": "## Captures", "content": "- {{TIME}} | Dentist appointment Monday at 2pm"}
+append_to_section {"path": "data/planning/calendar-current.md", "heading": "## 2026-02-02 (Monday)", "content": "- 14:00 Dentist appointment"}
+reply {"thinking": "Calendar event. Monday is 2026-02-02. Stream + calendar.", "slack_reply": "Added dentist appointment to Monday Feb 2 at 2pm."}
 \`\`\`
 
 ### Question (read-only)
 User: "What's on my calendar this week?"
 
-\`\`\`json
-{
-  "thinking": "Question about calendar. Answer from context, no writes needed.",
-  "tool_calls": [
-    {
-      "tool": "append_to_section",
-      "path": "data/stream/{{DATE}}.md",
-      "heading": "## Captures",
-      "content": "- {{TIME}} | Asked about this week's calendar"
-    }
-  ],
-  "slack_reply": "Here's your calendar this week:\\n- Mon: Dentist 2pm\\n- Wed: Team standup 10am\\n- Fri: 1:1 with manager 3pm",
-  "needs_clarification": null
-}
+\`\`\`
+append_to_section {"path": "data/stream/{{DATE}}.md", "heading": "## Captures", "content": "- {{TIME}} | Asked about this week's calendar"}
+reply {"thinking": "Question about calendar. Answer from context, no writes needed.", "slack_reply": "Here's your calendar this week:\\n- Mon: Dentist 2pm\\n- Wed: Team standup 10am\\n- Fri: 1:1 with manager 3pm"}
 \`\`\``;
 
 /**
- * Build the system prompt with date/time context.
+ * LLM turns per message. The last one must call `reply`.
+ */
+const MAX_TOOL_TURNS = 4;
+
+/**
+ * tool_result for write tools. Writes are committed together after the
+ * reply, so there is nothing more to report back.
+ */
+const TOOL_RESULT = 'Queued; committed together with your reply.';
+
+/**
+ * Build the system prompt with date context.
+ * The time stays a placeholder (it arrives with the message) so the prompt
+ * is the same all day and its cache entry keeps getting hit.
  */
 function buildSystemPrompt(context) {
   // Replace template variables
   return INBOX_PROMPT
     .replace(/\{\{DATE\}\}/g, context.date)
-    .replace(/\{\{TIME\}\}/g, context.time)
+    .replace(/\{\{TIME\}\}/g, 'HH:MM')
     .replace(/\{\{WEEK_ID\}\}/g, context.weekId || '')
     .replace(/\{\{DAY\}\}/g, context.dayOfWeek || '');
 }
 
 /**
- * Main Agent - Process inbox messages with a single LLM call.
+ * Main Agent - Process inbox messages: tool calls and a reply, over as few LLM turns as it takes.
  *
  * @param {string} message - User message
  * @param {Object} context - Processing context
@@ -270,6 +291,8 @@ function buildSystemPrompt(context) {
  * @param {string} context.weekId - Current week ID (YYYY-WXX)
  * @param {string} [context.dayOfWeek] - Day of week name
  * @param {string} [context.threadContext] - Formatted thread history
+ * @param {string[]} [context.threadPendingReview] - Pending Review lines captured in this thread
+ * @param {string} [context.baseRefSha] - Commit the context was read at; write_file puts are pinned to it
  * @param {Object} deps - Dependencies
  * @param {Object} deps.claudeClient - Claude API client
  * @param {Object} deps.logger - Logger instance
@@ -278,7 +301,11 @@ function buildSystemPrompt(context) {
 export async function mainAgent(message, context, { claudeClient, logger }) {
   logger.info('Main agent processing', { messageLength: message.length });
 
-  const systemPrompt = buildSystemPrompt(context);
+  const pack = splitByStability(context.currentMd);
+  const system = cachedSystem([
+    buildSystemPrompt(context),
+    pack.stable && `## Context Pack (stable sections)\n${pack.stable}`,
+  ]);
 
   // Build the user message with context
   let userMessage = '';
@@ -288,68 +315,103 @@ export async function mainAgent(message, context, { claudeClient, logger }) {
     userMessage += `## Thread History\n${context.threadContext}\n\n---\n\n`;
   }
 
-  // Include context pack
-  userMessage += `## Context Pack\n${context.currentMd || 'No context loaded'}\n\n`;
+  // Items this reply may resolve
+  if (context.threadPendingReview?.length) {
+    userMessage += `## Pending Review From This Thread\n${context.threadPendingReview.join('\n')}\n\n---\n\n`;
+  }
+
+  // Include the volatile part of the context pack
+  userMessage += `## Context Pack\n${pack.volatile || 'No context loaded'}\n\n`;
   userMessage += `---\n\nTODAY: ${context.date} (${context.dayOfWeek || ''})\n`;
   userMessage += `TIME: ${context.time}\nWEEK: ${context.weekId || ''}\n\n`;
   userMessage += `## User Message\n${message}`;
 
-  // Single LLM call — Claude determines depth and returns tool calls
-  const result = await claudeClient.messageJson({
-    system: systemPrompt,
-    userMessage,
-  });
+  // Claude determines depth and returns tool calls, ending with `reply`.
+  // A turn without it gets its tool results back; the last turn must reply.
+  const messages = [{ role: 'user', content: userMessage }];
+  const toolUses = [];
+  let text = '';
+  for (let turn = 1; turn <= MAX_TOOL_TURNS; turn++) {
+    const response = await claudeClient.toolUse({
+      system,
+      messages,
+      tools: INBOX_TOOLS,
+      toolChoice: turn === MAX_TOOL_TURNS ? { type: 'tool', name: REPLY_TOOL.name } : { type: 'any' },
+    });
+    toolUses.push(...response.toolUses);
+    text = response.text || text;
+
+    if (response.toolUses.length === 0 || response.toolUses.some(use => use.name === REPLY_TOOL.name)) {
+      break;
+    }
+
+    logger.info('No reply yet, sending tool results back', { turn, toolCallCount: response.toolUses.length });
+    messages.push(
+      {
+        role: 'assistant',
+        content: [...(response.text ? [{ type: 'text', text: response.text }] : []), ...response.toolUses],
+      },
+      {
+        role: 'user',
+        content: response.toolUses.map(use => ({ type: 'tool_result', tool_use_id: use.id, content: TOOL_RESULT })),
+      }
+    );
+  }
+
+  const reply = toolUses.find(use => use.name === REPLY_TOOL.name)?.input || {};
+  const toolCalls = toolUses
+    .filter(use => use.name !== REPLY_TOOL.name)
+    .map(use => ({ tool: use.name, ...use.input }));
 
   logger.info('LLM response received', {
-    hasToolCalls: !!(result.tool_calls?.length),
-    toolCallCount: result.tool_calls?.length || 0,
-    hasReply: !!result.slack_reply,
+    hasToolCalls: toolCalls.length > 0,
+    toolCallCount: toolCalls.length,
+    hasReply: !!reply.slack_reply,
   });
 
-  // Convert tool_calls to write intents
+  // Convert tool calls to write intents
   const writeIntents = [];
   const specialActions = []; // create_project, etc.
 
-  if (result.tool_calls && Array.isArray(result.tool_calls)) {
-    for (const tc of result.tool_calls) {
-      if (tc.tool === 'create_project') {
-        specialActions.push({
-          type: 'create_project',
-          name: tc.name,
-          description: tc.description,
-          firstAction: tc.first_action,
-        });
-        continue;
-      }
+  for (const tc of toolCalls) {
+    if (tc.tool === 'create_project') {
+      specialActions.push({
+        type: 'create_project',
+        name: tc.name,
+        description: tc.description,
+        firstAction: tc.first_action,
+      });
+      continue;
+    }
 
-      if (tc.tool === 'write_file') {
-        writeIntents.push(putIntent(tc.path, tc.content));
-        continue;
-      }
+    if (tc.tool === 'write_file') {
+      writeIntents.push(putIntent(tc.path, tc.content, context.baseRefSha));
+      continue;
+    }
 
-      // Section editing tools → tool intents
-      const toolType = tc.tool;
-      const params = {};
-      if (tc.heading) params.heading = tc.heading;
-      if (tc.content) params.content = tc.content;
-      if (tc.item) params.item = tc.item;
+    // Section editing tools → tool intents
+    const toolType = tc.tool;
+    const params = {};
+    if (tc.heading) params.heading = tc.heading;
+    if (tc.content) params.content = tc.content;
+    if (tc.item) params.item = tc.item;
+    if (tc.until) params.until = tc.until;
 
-      if (tc.path) {
-        writeIntents.push(toolIntent(tc.path, toolType, params));
-      }
+    if (tc.path) {
+      writeIntents.push(toolIntent(tc.path, toolType, params));
     }
   }
 
-  const slackReply = result.slack_reply || result.slackReply || 'Processed.';
+  const slackReply = reply.slack_reply || text || 'Processed.';
 
   return createAgentResult({
     slackReply,
     writeIntents,
     specialActions,
-    needsClarification: result.needs_clarification || null,
+    needsClarification: reply.needs_clarification || null,
     metadata: {
-      thinking: result.thinking,
-      intent: result.thinking ? 'inbox_processed' : 'unknown',
+      thinking: reply.thinking,
+      intent: reply.thinking ? 'inbox_processed' : 'unknown',
     },
   });
 }
@@ -2,10 +2,31 @@
  * Project Agent - Handles messages in project channels.
  *
  * The Project Agent works with project-specific context (spread.md)
- * and routes to research mode when appropriate.
+ * and routes to research mode when appropriate. Spread updates and the
+ * research query come back as tool_use blocks.
  */
 
 import { createAgentResult, ACTION_TYPES } from './types.js';
+import { buildToolDefinitions } from '../lib/tool-validator.js';
+
+/**
+ * The reply tool for project channels.
+ */
+const REPLY_TOOL = {
+  name: 'reply',
+  description: 'Send the Slack reply. Call exactly once, after any update_spread calls.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      thinking: { type: 'string', description: 'Brief reasoning' },
+      slack_reply: { type: 'string', description: 'Your response to the user' },
+    },
+    required: ['slack_reply'],
+  },
+};
+
+const PROJECT_TOOLS = [...buildToolDefinitions(['update_spread']), REPLY_TOOL];
+const RESEARCH_TOOLS = buildToolDefinitions(['trigger_research']);
 
 /**
  * Process a project channel message.
@@ -49,33 +70,27 @@ It contains sections like: Summary, Status, Next Actions, Notes, Research, Log.
 TODAY: ${date}
 TIME: ${time}
 
-Respond with JSON:
-{
-  "thinking": "Brief reasoning",
-  "spread_updates": [
-    {
-      "section": "Section name",
-      "action": "append|prepend|replace",
-      "content": "Content to add/replace"
-    }
-  ],
-  "slack_reply": "Your response to the user"
-}`;
+Call update_spread once per section to change (section name without hashes), then reply exactly once.`;
 
   const userMessage = spread
     ? `## Current Project Spread\n${spread}\n\n---\n\nUser message:\n${message}`
     : `No spread loaded yet for "${projectSlug}".\n\nUser message:\n${message}`;
 
-  const result = await claudeClient.messageJson({
+  const { text, toolUses } = await claudeClient.toolUse({
     system,
-    userMessage,
+    messages: [{ role: 'user', content: userMessage }],
+    tools: PROJECT_TOOLS,
+    toolChoice: { type: 'any' },
   });
 
+  const reply = toolUses.find(use => use.name === REPLY_TOOL.name)?.input || {};
+  const spreadUpdates = toolUses.filter(use => use.name === 'update_spread').map(use => use.input);
+
   // Build file actions
   const actions = [];
 
-  if (result.spread_updates && result.spread_updates.length > 0) {
-    for (const update of result.spread_updates) {
+  if (spreadUpdates.length > 0) {
+    for (const update of spreadUpdates) {
       actions.push({
         type: update.action === 'replace' ? ACTION_TYPES.REPLACE_SECTION : ACTION_TYPES.APPEND_TO_SECTION,
         file: `projects/${projectSlug}/spread.md`,
@@ -95,12 +110,12 @@ Respond with JSON:
   }
 
   return createAgentResult({
-    slackReply: result.slack_reply || 'Updated.',
+    slackReply: reply.slack_reply || text || 'Updated.',
     actions,
     metadata: {
-      thinking: result.thinking,
+      thinking: reply.thinking,
       projectSlug,
-      updateCount: result.spread_updates?.length || 0,
+      updateCount: spreadUpdates.length,
     },
   });
 }
@@ -113,19 +128,20 @@ async function handleResearchRequest(message, context, { claudeClient, logger })
   logger.info('Triggering research mode', { projectSlug });
 
   // Extract the research query
-  const system = `Extract the research query from the user's message.
-
-Respond with JSON:
-{
-  "query": "The specific thing to research",
-  "scope": "Brief description of what they want to find"
-}`;
+  const system = 'Extract the research query from the user\'s message and call trigger_research with it.';
 
-  const result = await claudeClient.messageJson({
+  const { toolUses } = await claudeClient.toolUse({
     system,
-    userMessage: message,
+    messages: [{ role: 'user', content: message }],
+    tools: RESEARCH_TOOLS,
+    toolChoice: { type: 'tool', name: 'trigger_research' },
   });
 
+  const result = toolUses.find(use => use.name === 'trigger_research')?.input;
+  if (!result?.query) {
+    throw new Error('Research request returned no query');
+  }
+
   return createAgentResult({
     slackReply: `Starting research: "${result.query}"\n\n_This will open a research thread. Reply in that thread to guide the research. Say "finalize" when you're done._`,
     actions: [{
@@ -1,23 +1,97 @@
 /**
  * Research Agent - Unified research pipeline.
  *
- * Implements a 7-step research pipeline used by both slash commands
+ * Implements an 8-step research pipeline used by both slash commands
  * and project channel messages:
  *   1. PLAN - Parse request into search strategy
  *   2. SEARCH - Parallel Tavily queries
- *   3. EVALUATE - Check completeness against criteria
- *   4. FILL GAPS - Targeted follow-up searches
- *   5. SYNTHESIZE - Process through user + project context
- *   6. QUALITY CHECK - Evaluate artifact against original request
- *   7. DELIVER + PERSIST - Post to Slack, write to git
+ *   3. EXTRACT - Read the top result pages and pull the requested fields
+ *   4. EVALUATE - Check completeness against criteria
+ *   5. FILL GAPS - Targeted follow-up searches (extracted the same way)
+ *   6. SYNTHESIZE - Process through user + project context
+ *   7. QUALITY CHECK - Evaluate artifact against original request
+ *   8. DELIVER + PERSIST - Post to Slack, return write intents
+ *
+ * The pipeline never writes to GitHub itself. It returns write intents
+ * (research log, spread `## Research` append, source library, stream line)
+ * that BrainDO commits in one commit with the rebuilt project index.
+ *
+ * With a project, PLAN consults the project's source library first: saved
+ * sources that already answer the request are reused as findings, and
+ * searches only go out for what's missing.
+ *
+ * When the request lists fields to collect, PLAN declares them as columns
+ * and SYNTHESIZE fills a row per entity (see lib/research-table.js); the
+ * table goes to Slack and the spread, and a CSV copy to the project's logs/.
+ *
+ * Steps are resumable: a compact run state is checkpointed after each one
+ * (see RESEARCH_STEPS and compactRunState), and ProjectDO stores it so an
+ * interrupted run picks up after its last completed step.
  */
 
 import { formatSynthesisForSpread, formatSynthesisForSlack } from './synthesis-agent.js';
 import { formatResearchLog } from './research-coordinator.js';
+import { applySpreadUpdates } from './project-agent.js';
+import { putIntent, toolIntent } from '../lib/write-intent.js';
+import { cachedSystem } from '../lib/claude-client.js';
+import { splitByStability } from '../lib/context-pack.js';
+import {
+  sourcesPath,
+  parseSources,
+  formatSources,
+  mergeSources,
+  freshSources,
+  sourcesToFindings,
+} from '../lib/source-library.js';
+import { normalizeColumns, buildTable, countUnknown, formatTableCsv } from '../lib/research-table.js';
+
+/**
+ * Saved sources offered to the planner.
+ */
+const MAX_SAVED_SOURCES = 20;
+
+/**
+ * Per-run caps for the EXTRACT stage: pages fetched, text kept per page,
+ * and text sent to Claude across all extraction rounds.
+ */
+export const EXTRACT_LIMITS = {
+  maxPages: 5,
+  maxPageChars: 8000,
+  maxTotalChars: 30000,
+};
+
+/**
+ * Pipeline steps in order. A run records each step as it completes; a
+ * resumed run skips the completed ones.
+ */
+export const RESEARCH_STEPS = [
+  'plan',
+  'search',
+  'extract',
+  'evaluate',
+  'fill_gaps',
+  'synthesize',
+  'quality_check',
+  'deliver',
+];
+
+/**
+ * Finding text (snippets and extracted facts) kept across all findings in
+ * a checkpoint. Durable Object storage caps a value at 128 KiB; the rest
+ * of the run state is small.
+ */
+const CHECKPOINT_FINDING_CHARS = 40000;
 
 /**
  * Execute a full research pipeline.
  *
+ * After each step the run state (plan, findings, synthesis, ...) is handed
+ * to deps.checkpoint, compacted by compactRunState; passing that state
+ * back as context.resume continues the run after its last completed step.
+ * A step that was interrupted runs again from its start, so its Slack
+ * progress message may repeat. The write intents are built again on
+ * every run rather than stored.
+ *
  * @param {Object} request
  * @param {string} request.query - Research query
  * @param {Object} context
@@ -26,117 +100,193 @@ import { formatResearchLog } from './research-coordinator.js';
  * @param {string} context.channelId - Slack channel ID
  * @param {string} context.threadTs - Thread timestamp for replies
  * @param {string|null} context.contextPack - User's current.md context
+ * @param {string|null} [context.sources] - Project sources.md content
+ * @param {Object|null} [context.resume] - Run state from a checkpoint to continue
  * @param {Object} deps
  * @param {Object} deps.claudeClient - Claude API client
  * @param {Object} deps.tavilyClient - Tavily search client
  * @param {Object} deps.slackClient - Slack API client
- * @param {Object} deps.githubWriter - GitHub writer for persistence
+ * @param {Object} [deps.pageFetcher] - Page fetcher for EXTRACT (skipped without one)
+ * @param {Object} [deps.extractLimits] - Overrides for EXTRACT_LIMITS
+ * @param {Function} [deps.checkpoint] - async (runState) => void, called after each step
  * @param {Object} deps.logger - Logger instance
- * @returns {Promise<Object>} Research result with synthesis and metadata
+ * @returns {Promise<Object>} Research result with synthesis and metadata,
+ *   plus writeIntents to commit and the updated spread (null without a project)
  */
 export async function executeResearch(request, context, deps) {
   const { query } = request;
-  const { projectSlug, spread, channelId, threadTs, contextPack } = context;
-  const { claudeClient, tavilyClient, slackClient, githubWriter, logger } = deps;
-
-  logger.info('Research pipeline starting', { query, projectSlug });
-
-  // 1. PLAN
-  const plan = await planResearch(query, context, claudeClient, logger);
-  logger.info('Research planned', {
-    queryCount: plan.queries.length,
-    format: plan.format,
-  });
+  const { projectSlug, spread, channelId, threadTs, contextPack, sources = null, resume = null } = context;
+  const { claudeClient, tavilyClient, slackClient, pageFetcher, checkpoint, logger } = deps;
+
+  const run = resume ? { ...resume } : { query, completed: [], startedAt: Date.now() };
+  const done = step => run.completed.includes(step);
+  const complete = async (step, updates) => {
+    Object.assign(run, updates);
+    run.completed = [...run.completed, step];
+    if (checkpoint) await checkpoint(compactRunState(run));
+  };
 
-  // Post progress update
-  await slackClient.postMessage({
-    channel: channelId,
-    text: `Searching ${plan.queries.length} angles...`,
-    thread_ts: threadTs,
-  });
+  if (resume) {
+    logger.info('Research pipeline resuming', { query, projectSlug, completed: run.completed });
+  } else {
+    logger.info('Research pipeline starting', { query, projectSlug });
+  }
 
-  // 2. SEARCH - Parallel queries
-  const initialFindings = await parallelSearch(plan.queries, { tavilyClient, logger });
-  logger.info('Initial search complete', { findingCount: initialFindings.length });
-
-  // 3. EVALUATE completeness
-  const evaluation = await evaluateResults(
-    initialFindings,
-    plan.completeness_criteria,
-    claudeClient,
-    logger
-  );
+  // 1. PLAN, starting from the project's saved sources
+  if (!done('plan')) {
+    const today = new Date().toISOString().split('T')[0];
+    const savedSources = freshSources(parseSources(sources), today).slice(0, MAX_SAVED_SOURCES);
+    const plan = await planResearch(query, { ...context, savedSources }, claudeClient, logger);
+    logger.info('Research planned', {
+      queryCount: plan.queries.length,
+      savedSourceCount: plan.savedSources.length,
+      format: plan.format,
+      columnCount: plan.columns?.length || 0,
+    });
 
-  // 4. FILL GAPS (up to 2 rounds)
-  let allFindings = [...initialFindings];
-  if (!evaluation.complete && evaluation.gap_queries.length > 0) {
+    // Post progress update
     await slackClient.postMessage({
       channel: channelId,
-      text: `Filling gaps: ${evaluation.missing.join(', ')}`,
+      text: formatPlanProgress(plan),
       thread_ts: threadTs,
     });
 
-    const gapFindings = await parallelSearch(
-      evaluation.gap_queries.slice(0, 3),
-      { tavilyClient, logger }
-    );
-    allFindings = [...allFindings, ...gapFindings];
+    await complete('plan', { plan });
+  }
+  const { plan } = run;
 
-    // Second round if still incomplete
-    const eval2 = await evaluateResults(
-      allFindings,
+  // 2. SEARCH - Parallel queries
+  if (!done('search')) {
+    const savedFindings = sourcesToFindings(plan.savedSources);
+    const initialFindings = await parallelSearch(plan.queries, { tavilyClient, logger });
+    logger.info('Initial search complete', { findingCount: initialFindings.length });
+
+    await complete('search', { findings: [...savedFindings, ...initialFindings] });
+  }
+
+  // 3. EXTRACT from the top result pages
+  const extractRequest = { query, fields: plan.columns || plan.completeness_criteria };
+  const extractDeps = { claudeClient, pageFetcher, logger };
+  if (!done('extract')) {
+    const extractBudget = createExtractBudget(deps.extractLimits);
+    const findings = await extractFromPages(run.findings, extractRequest, extractDeps, extractBudget);
+
+    await complete('extract', { findings, extractBudget });
+  }
+
+  // 4. EVALUATE completeness
+  if (!done('evaluate')) {
+    const evaluation = await evaluateResults(
+      run.findings,
       plan.completeness_criteria,
       claudeClient,
       logger
     );
 
-    if (!eval2.complete && eval2.gap_queries.length > 0) {
-      const gapFindings2 = await parallelSearch(
-        eval2.gap_queries.slice(0, 2),
+    await complete('evaluate', { evaluation });
+  }
+
+  // 5. FILL GAPS (up to 2 rounds)
+  if (!done('fill_gaps')) {
+    const { evaluation, extractBudget } = run;
+    let allFindings = run.findings;
+
+    if (!evaluation.complete && evaluation.gap_queries.length > 0) {
+      await slackClient.postMessage({
+        channel: channelId,
+        text: `Filling gaps: ${evaluation.missing.join(', ')}`,
+        thread_ts: threadTs,
+      });
+
+      const gapFindings = await parallelSearch(
+        evaluation.gap_queries.slice(0, 3),
         { tavilyClient, logger }
       );
-      allFindings = [...allFindings, ...gapFindings2];
-    }
-  }
+      allFindings = await extractFromPages(
+        [...allFindings, ...gapFindings],
+        extractRequest,
+        extractDeps,
+        extractBudget
+      );
 
-  logger.info('Search phase complete', { totalFindings: allFindings.length });
+      // Second round if still incomplete
+      const eval2 = await evaluateResults(
+        allFindings,
+        plan.completeness_criteria,
+        claudeClient,
+        logger
+      );
 
-  // 5. SYNTHESIZE through user context
-  const synthesis = await synthesizeWithContext(
-    allFindings,
-    { query, format: plan.format, projectSlug, spread, contextPack },
-    claudeClient,
-    logger
-  );
+      if (!eval2.complete && eval2.gap_queries.length > 0) {
+        const gapFindings2 = await parallelSearch(
+          eval2.gap_queries.slice(0, 2),
+          { tavilyClient, logger }
+        );
+        allFindings = await extractFromPages(
+          [...allFindings, ...gapFindings2],
+          extractRequest,
+          extractDeps,
+          extractBudget
+        );
+      }
+    }
+
+    logger.info('Search phase complete', { totalFindings: allFindings.length });
 
-  // 6. QUALITY CHECK
-  const quality = await qualityCheck(synthesis, request, claudeClient, logger);
+    await complete('fill_gaps', { findings: allFindings });
+  }
+  const allFindings = run.findings;
 
-  let finalSynthesis = synthesis;
-  if (quality.score < 0.7 && quality.issues.length > 0) {
-    logger.info('Quality check failed, retrying synthesis', { score: quality.score });
-    finalSynthesis = await synthesizeWithContext(
+  // 6. SYNTHESIZE through user context
+  if (!done('synthesize')) {
+    const synthesis = await synthesizeWithContext(
       allFindings,
-      {
-        query,
-        format: plan.format,
-        projectSlug,
-        spread,
-        contextPack,
-        qualityFeedback: quality.issues,
-      },
+      { query, format: plan.format, columns: plan.columns, projectSlug, spread, contextPack },
       claudeClient,
       logger
     );
+
+    await complete('synthesize', { synthesis });
   }
 
-  // 7. DELIVER + PERSIST
-  const slackMessage = formatSynthesisForSlack(finalSynthesis);
-  await slackClient.postMessage({
-    channel: channelId,
-    text: slackMessage,
-    thread_ts: threadTs,
-  });
+  // 7. QUALITY CHECK
+  if (!done('quality_check')) {
+    const quality = await qualityCheck(run.synthesis, request, claudeClient, logger);
+
+    let finalSynthesis = run.synthesis;
+    if (quality.score < 0.7 && quality.issues.length > 0) {
+      logger.info('Quality check failed, retrying synthesis', { score: quality.score });
+      finalSynthesis = await synthesizeWithContext(
+        allFindings,
+        {
+          query,
+          format: plan.format,
+          columns: plan.columns,
+          projectSlug,
+          spread,
+          contextPack,
+          qualityFeedback: quality.issues,
+        },
+        claudeClient,
+        logger
+      );
+    }
+
+    await complete('quality_check', { quality, synthesis: finalSynthesis });
+  }
+  const { synthesis: finalSynthesis, quality } = run;
+
+  // 8. DELIVER + PERSIST
+  if (!done('deliver')) {
+    const slackMessage = formatSynthesisForSlack(finalSynthesis);
+    await slackClient.postMessage({
+      channel: channelId,
+      text: slackMessage,
+      thread_ts: threadTs,
+    });
+
+    await complete('deliver', {});
+  }
 
   // Build thread state for logging
   const threadState = {
@@ -144,15 +294,15 @@ export async function executeResearch(request, context, deps) {
     scope: plan.format,
     findings: allFindings,
     synthesis: finalSynthesis,
-    startedAt: Date.now(),
+    startedAt: run.startedAt,
     messages: [],
   };
 
-  await persistResearch(projectSlug, finalSynthesis, threadState, {
+  const persisted = buildResearchIntents(projectSlug, finalSynthesis, threadState, {
     query,
     allFindings,
-    githubWriter,
-    logger,
+    spread,
+    sources,
   });
 
   logger.info('Research pipeline complete', {
@@ -168,45 +318,108 @@ export async function executeResearch(request, context, deps) {
     plan,
     quality,
     projectSlug,
+    writeIntents: persisted.intents,
+    spread: persisted.spread,
   };
 }
 
+/**
+ * Reduce a run state to what a resumed run needs: the query, the completed
+ * steps, the plan and step results, and the findings with only the fields
+ * later steps read. Finding text is cut to share CHECKPOINT_FINDING_CHARS,
+ * extracted facts first, so the state fits in one storage value however
+ * many pages the run read.
+ * @param {Object} run - Run state
+ * @returns {Object} Compact run state
+ */
+export function compactRunState(run) {
+  if (!run.findings) return { ...run };
+
+  const maxChars = Math.floor(CHECKPOINT_FINDING_CHARS / Math.max(run.findings.length, 1));
+  const findings = run.findings.map((finding) => {
+    const { source, title, score, query, fetched, fromLibrary } = finding;
+    let room = maxChars;
+    const extracted = finding.extracted?.filter(fact => (room -= fact.length) >= 0);
+    return {
+      source,
+      title: title?.slice(0, 200),
+      content: finding.content?.slice(0, Math.max(room, 0)),
+      score,
+      query,
+      fetched,
+      fromLibrary,
+      ...(extracted ? { extracted } : {}),
+    };
+  });
+
+  return { ...run, findings };
+}
+
 /**
  * Plan research: extract queries, output format, and completeness criteria.
+ * When the project has saved sources, the planner picks the ones that
+ * already answer the request and only plans searches for what's missing;
+ * with saved sources picked, the query list may be empty.
  *
  * @param {string} query - User's research query
  * @param {Object} context - Research context
+ * @param {Array<Object>} [context.savedSources] - Source library entries to offer
  * @param {Object} claudeClient - Claude client
  * @param {Object} logger - Logger
- * @returns {Promise<Object>} Plan with queries, format, completeness_criteria
+ * @returns {Promise<Object>} Plan with queries, format, completeness_criteria,
+ *   savedSources (the library entries picked) and columns (null unless the
+ *   request lists fields to collect per entity)
  */
 export async function planResearch(query, context, claudeClient, logger) {
-  const { projectSlug, spread } = context;
+  const { projectSlug, spread, savedSources = [] } = context;
+
+  const librarySection = savedSources.length > 0
+    ? `Saved sources from earlier research for this project:
+${savedSources.map((s, i) => `[${i + 1}] ${s.title} (${s.url}, fetched ${s.fetched}): ${s.facts.join(' ').slice(0, 200)}`).join('\n')}
 
-  const system = `You are a research planner. Given a research request, create a search strategy.
+List the saved sources that answer part of this request in "saved_sources" (by number), e.g. "saved_sources": [1, 2]. Only plan queries for information the saved sources don't cover; if they cover everything, return an empty "queries" list.`
+    : '';
 
-${projectSlug ? `This research is for the "${projectSlug}" project.` : ''}
-${spread ? `Project context:\n${spread.slice(0, 1000)}` : ''}
+  const instructions = `You are a research planner. Given a research request, create a search strategy.
 
 Respond with JSON:
 {
   "queries": ["search query 1", "search query 2", "search query 3"],
   "format": "Brief description of desired output format",
-  "completeness_criteria": ["criterion 1", "criterion 2", "criterion 3"]
+  "completeness_criteria": ["criterion 1", "criterion 2", "criterion 3"],
+  "columns": ["Name", "Phone", "Address"] or null
 }
 
 Guidelines:
 - Generate 2-3 specific search queries that cover different angles
 - Make queries specific and targeted, not generic
 - Completeness criteria define what "done" looks like for this research
-- Format describes how results should be structured`;
+- Format describes how results should be structured
+- Set "columns" only when the request asks for specific fields about each of several entities (e.g. "name, phone, address, fees for each clinic"): one short column name per field, in the order asked, starting with the entity's name. Otherwise null`;
+
+  // The instructions are the same for every run and cached; the project
+  // and its saved sources follow uncached
+  const system = cachedSystem([instructions], [
+    projectSlug && `This research is for the "${projectSlug}" project.`,
+    spread && `Project context:\n${spread.slice(0, 1000)}`,
+    librarySection,
+  ].filter(Boolean).join('\n\n'));
 
   try {
     const plan = await claudeClient.messageJson({ system, userMessage: query });
+    const picked = (plan.saved_sources || [])
+      .map(n => savedSources[n - 1])
+      .filter(Boolean);
+    const queries = Array.isArray(plan.queries) && (plan.queries.length > 0 || picked.length > 0)
+      ? plan.queries
+      : [query];
+
     return {
-      queries: plan.queries || [query],
+      queries,
       format: plan.format || 'structured summary',
       completeness_criteria: plan.completeness_criteria || [],
+      savedSources: picked,
+      columns: normalizeColumns(plan.columns),
     };
   } catch (error) {
     logger.warn('Research planning failed, using defaults', { error: error.message });
@@ -214,10 +427,25 @@ Guidelines:
       queries: [query],
       format: 'structured summary',
       completeness_criteria: [],
+      savedSources: [],
+      columns: null,
     };
   }
 }
 
+/**
+ * Progress line posted after planning.
+ * @param {Object} plan - From planResearch
+ * @returns {string}
+ */
+function formatPlanProgress(plan) {
+  const saved = plan.savedSources.length;
+  const angles = plan.queries.length;
+  if (saved === 0) return `Searching ${angles} angles...`;
+  if (angles === 0) return `Using ${saved} saved sources, no new searches needed...`;
+  return `Using ${saved} saved sources, searching ${angles} angles...`;
+}
+
 /**
  * Run parallel Tavily searches with error isolation.
  *
@@ -258,6 +486,117 @@ async function parallelSearch(queries, { tavilyClient, logger }) {
   return results.flat();
 }
 
+/**
+ * Create the EXTRACT budget for one pipeline run. It is shared by every
+ * extraction round, so the caps hold across gap filling.
+ * @param {Object} [limits] - Overrides for EXTRACT_LIMITS
+ * @returns {{ pages: number, chars: number, maxPageChars: number, fetched: Set<string> }}
+ */
+export function createExtractBudget(limits = {}) {
+  const { maxPages, maxPageChars, maxTotalChars } = { ...EXTRACT_LIMITS, ...limits };
+  return { pages: maxPages, chars: maxTotalChars, maxPageChars, fetched: new Set() };
+}
+
+/**
+ * EXTRACT: fetch the top-scoring result pages not read yet, strip them to
+ * text, and have Claude pull the requested fields from the full content.
+ * Facts land on the findings as `extracted`; evaluation, synthesis and the
+ * source library prefer them over the search snippet. Fetch failures and
+ * extraction errors leave the findings as they were.
+ *
+ * @param {Object[]} findings - Findings so far
+ * @param {Object} request
+ * @param {string} request.query - Research query
+ * @param {string[]} request.fields - Fields to extract (columns or completeness criteria)
+ * @param {Object} deps
+ * @param {Object} deps.claudeClient - Claude client
+ * @param {Object} [deps.pageFetcher] - Page fetcher; nothing is extracted without one
+ * @param {Object} deps.logger - Logger
+ * @param {Object} budget - From createExtractBudget; spent in place
+ * @returns {Promise<Object[]>} Findings, with `extracted` facts on the pages read
+ */
+export async function extractFromPages(findings, { query, fields }, { claudeClient, pageFetcher, logger }, budget) {
+  if (!pageFetcher || budget.pages <= 0 || budget.chars <= 0) {
+    return findings;
+  }
+
+  const candidates = [];
+  for (const finding of [...findings].sort((a, b) => (b.score || 0) - (a.score || 0))) {
+    if (candidates.length >= budget.pages) break;
+    if (!finding.source || finding.fromLibrary || budget.fetched.has(finding.source)) continue;
+    budget.fetched.add(finding.source);
+    candidates.push(finding);
+  }
+  if (candidates.length === 0) {
+    return findings;
+  }
+  budget.pages -= candidates.length;
+
+  const fetched = await Promise.all(candidates.map(async (finding) => {
+    try {
+      return await pageFetcher.fetchPage(finding.source);
+    } catch (error) {
+      logger.warn('Page fetch failed', { url: finding.source, error: error.message });
+      return null;
+    }
+  }));
+
+  const pages = [];
+  for (const [i, page] of fetched.entries()) {
+    if (!page?.text || budget.chars <= 0) continue;
+    const text = page.text.slice(0, Math.min(budget.maxPageChars, budget.chars));
+    budget.chars -= text.length;
+    pages.push({ url: candidates[i].source, title: page.title || candidates[i].title || '', text });
+  }
+  if (pages.length === 0) {
+    return findings;
+  }
+
+  const wanted = fields?.length > 0 ? fields : ['Anything that answers the request'];
+  const system = `You extract facts from web pages for a research request.
+
+Fields to find:
+${wanted.map(f => `- ${f}`).join('\n')}
+
+For each page, list what it says about these fields as short, specific facts (names, phone numbers, addresses, prices, policies), one fact per entity and field. Only use what the page states; leave out pages with nothing relevant.
+
+Respond with JSON:
+{
+  "pages": [
+    { "page": 1, "facts": ["fact 1", "fact 2"] }
+  ]
+}`;
+
+  const pagesText = pages.map((p, i) =>
+    `[Page ${i + 1}] ${p.title}\nURL: ${p.url}\n${p.text}`
+  ).join('\n\n---\n\n');
+
+  try {
+    const result = await claudeClient.messageJson({
+      system,
+      userMessage: `Research request: ${query}\n\n${pagesText}`,
+    });
+
+    const factsByUrl = new Map();
+    for (const entry of result.pages || []) {
+      const page = pages[entry.page - 1];
+      const facts = (entry.facts || []).filter(f => typeof f === 'string' && f.trim());
+      if (page && facts.length > 0) factsByUrl.set(page.url, facts);
+    }
+
+    logger.info('Pages extracted', {
+      pageCount: pages.length,
+      chars: pages.reduce((n, p) => n + p.text.length, 0),
+      pagesWithFacts: factsByUrl.size,
+    });
+
+    return findings.map(f => (factsByUrl.has(f.source) ? { ...f, extracted: factsByUrl.get(f.source) } : f));
+  } catch (error) {
+    logger.warn('Page extraction failed, keeping snippets', { error: error.message });
+    return findings;
+  }
+}
+
 /**
  * Evaluate research completeness against criteria.
  *
@@ -281,10 +620,11 @@ Respond with JSON:
   "gap_queries": ["specific search query to fill gap"]
 }
 
-Be conservative - only flag truly missing information.`;
+Be conservative - only flag truly missing information.
+Findings marked "saved" come from the project's source library; they count as found, so don't plan gap queries for them.`;
 
   const findingsSummary = findings.slice(0, 15).map((f, i) =>
-    `[${i + 1}] ${f.title}: ${f.content?.slice(0, 200)}`
+    `[${i + 1}] ${f.title}${f.fromLibrary ? ` (saved ${f.fetched})` : ''}: ${(f.extracted ? f.extracted.join('; ') : f.content)?.slice(0, 200)}`
   ).join('\n');
 
   const userMessage = `Criteria:\n${criteria.map(c => `- ${c}`).join('\n')}\n\nFindings (${findings.length}):\n${findingsSummary}`;
@@ -309,16 +649,17 @@ Be conservative - only flag truly missing information.`;
  * @param {Object} context - Synthesis context
  * @param {string} context.query - Original query
  * @param {string} context.format - Desired output format
+ * @param {string[]|null} [context.columns] - Table columns; fills a row per entity when set
  * @param {string|null} context.projectSlug - Project slug
  * @param {string|null} context.spread - Project spread content
  * @param {string|null} context.contextPack - User's current.md
  * @param {string[]} [context.qualityFeedback] - Issues from quality check to address
  * @param {Object} claudeClient - Claude client
  * @param {Object} logger - Logger
- * @returns {Promise<Object>} Synthesis result
+ * @returns {Promise<Object>} Synthesis result, with a table when columns were given
  */
 async function synthesizeWithContext(findings, context, claudeClient, logger) {
-  const { query, format, projectSlug, spread, contextPack, qualityFeedback } = context;
+  const { query, format, columns = null, projectSlug, spread, contextPack, qualityFeedback } = context;
 
   logger.info('Synthesizing with context', {
     findingCount: findings.length,
@@ -337,9 +678,6 @@ async function synthesizeWithContext(findings, context, claudeClient, logger) {
   }
 
   const contextSection = [];
-  if (contextPack) {
-    contextSection.push(`## User Context\n${contextPack.slice(0, 2000)}`);
-  }
   if (spread) {
     contextSection.push(`## Project Context (${projectSlug})\n${spread.slice(0, 1500)}`);
   }
@@ -347,13 +685,20 @@ async function synthesizeWithContext(findings, context, claudeClient, logger) {
     contextSection.push(`## Quality Feedback (address these issues)\n${qualityFeedback.map(i => `- ${i}`).join('\n')}`);
   }
 
-  const system = `You are a research synthesizer working for a personal second brain system.
+  const tableGuidelines = columns
+    ? `
 
-${contextSection.join('\n\n')}
+Table: add a "table" key to the JSON with one row per entity (e.g. each clinic), with exactly these keys: ${columns.join(', ')}.
+"table": [
+  { ${columns.map(c => `"${c}": { "value": "...", "source": 1 }`).join(', ')} }
+]
+- "value" is what the findings say, kept short; "source" is the number of the finding it came from
+- If the findings don't answer a field for an entity, use { "value": "unknown", "source": null }. Never guess`
+    : '';
 
-Create a clear, actionable summary from research findings. Tailor your response to the user's context and the specific project if one is provided.
+  const instructions = `You are a research synthesizer working for a personal second brain system.
 
-Desired format: ${format}
+Create a clear, actionable summary from research findings. Tailor your response to the user's context and the specific project if one is provided.
 
 Structure your response as JSON:
 {
@@ -367,25 +712,40 @@ Focus on:
 - Extracting actionable insights relevant to the user
 - Identifying patterns across sources
 - Connecting findings to the user's existing projects and goals
-- Being concise but comprehensive`;
+- Being concise but comprehensive
+
+Findings marked "saved" were found in earlier research for this project; cite them like any other source.`;
+
+  // The instructions and the stable part of the user's context are cached
+  // (a quality retry re-synthesizes with the same prefix); the project,
+  // feedback and format follow uncached
+  const userContext = splitByStability(contextPack).stable;
+  const system = cachedSystem([
+    instructions,
+    userContext && `## User Context\n${userContext.slice(0, 2000)}`,
+  ], [...contextSection, `Desired format: ${format}${tableGuidelines}`].join('\n\n'));
 
   const findingsText = findings.map((f, i) => {
     const source = f.source || 'Unknown';
     const title = f.title || 'Untitled';
     const content = f.content || '';
-    return `[${i + 1}] ${title}\nSource: ${source}\n${content}`;
+    const saved = f.fromLibrary ? ` (saved ${f.fetched})` : '';
+    const extracted = f.extracted ? `\nFrom the page:\n${f.extracted.map(fact => `- ${fact}`).join('\n')}` : '';
+    return `[${i + 1}] ${title}\nSource: ${source}${saved}\n${content}${extracted}`;
   }).join('\n\n---\n\n');
 
   const userMessage = `Research Query: ${query}\n\nFindings (${findings.length} sources):\n\n${findingsText}`;
 
   try {
     const result = await claudeClient.messageJson({ system, userMessage });
+    const table = buildTable(result.table, columns, findings);
 
     return {
       summary: result.summary || 'Summary not available.',
       keyPoints: result.key_points || [],
       recommendations: result.recommendations || [],
       sources: result.sources_to_cite || [],
+      ...(table && { table }),
     };
   } catch (error) {
     logger.error('Synthesis failed', { error: error.message });
@@ -425,7 +785,10 @@ Respond with JSON:
   "issues": ["issue 1 if any", "issue 2 if any"]
 }`;
 
-  const userMessage = `Original request: ${request.query}\n\nSynthesis:\n${synthesis.summary}\n\nKey points: ${synthesis.keyPoints.join('; ')}`;
+  const tableLine = synthesis.table
+    ? `\n\nTable: ${synthesis.table.rows.length} rows (${synthesis.table.columns.join(', ')}), ${countUnknown(synthesis.table)} unknown cells`
+    : '';
+  const userMessage = `Original request: ${request.query}\n\nSynthesis:\n${synthesis.summary}\n\nKey points: ${synthesis.keyPoints.join('; ')}${tableLine}`;
 
   try {
     const result = await claudeClient.messageJson({ system, userMessage });
@@ -440,81 +803,82 @@ Respond with JSON:
 }
 
 /**
- * Persist research results to git.
- *
- * Writes spread update + research log atomically via batchWrite,
- * then appends stream entry separately.
+ * Build the write intents that persist a research run: the research log
+ * (with a CSV copy of the table, if any), the synthesis appended to the
+ * spread's `## Research` section, the new findings merged into the source
+ * library, and a stream line. Nothing is
+ * written here; the caller hands the intents to BrainDO, which commits
+ * them together with the rebuilt project index.
  *
- * @param {string|null} projectSlug - Project to persist to
- * @param {Object} synthesis - Synthesis result
- * @param {Object} threadState - Thread state for log
+ * @param {string|null} projectSlug - Associated project (if any)
+ * @param {Object} synthesis - Final synthesis
+ * @param {Object} threadState - Research state for the log
  * @param {Object} opts
  * @param {string} opts.query - Research query
- * @param {Object[]} opts.allFindings - All findings
- * @param {Object} opts.githubWriter - GitHub writer
- * @param {Object} opts.logger - Logger
+ * @param {Array} opts.allFindings - All findings
+ * @param {string|null} [opts.spread] - Current spread content; no spread intent without it
+ * @param {string} [opts.spreadContent] - Research section entry (defaults to the formatted synthesis)
+ * @param {string|null} [opts.sources] - Current sources.md content (null when there is none yet)
+ * @returns {{ intents: Array<Object>, spread: string|null }} Intents and the updated spread
  */
-export async function persistResearch(projectSlug, synthesis, threadState, opts) {
-  const { query, allFindings, githubWriter, logger } = opts;
+export function buildResearchIntents(projectSlug, synthesis, threadState, opts) {
+  const { query, allFindings, spread = null, sources = null } = opts;
 
   const now = new Date();
   const date = now.toISOString().split('T')[0];
   const time = now.toTimeString().slice(0, 5);
   const timestamp = Date.now();
 
-  // Build files for atomic batch write
-  const batchFiles = [];
+  const intents = [];
+  let updatedSpread = null;
 
   if (projectSlug) {
-    // Spread update
-    const spreadContent = formatSynthesisForSpread(synthesis, query, date);
-    // We write the spread section content as a research log entry
-    // The actual spread replacement is done by the caller since it needs current spread content
-
     // Research log
     const logContent = formatResearchLog({
       ...threadState,
       findings: allFindings,
       synthesis,
     });
+    intents.push(putIntent(`data/projects/${projectSlug}/logs/${timestamp}-research.md`, logContent));
 
-    batchFiles.push({
-      path: `data/projects/${projectSlug}/logs/${timestamp}-research.md`,
-      content: logContent,
-    });
+    // Table as CSV
+    const csvPath = synthesis.table ? `logs/${timestamp}-research.csv` : null;
+    if (csvPath) {
+      intents.push(putIntent(`data/projects/${projectSlug}/${csvPath}`, formatTableCsv(synthesis.table)));
+    }
+
+    // Spread summary, appended at commit time so overlapping runs both land
+    if (spread) {
+      const spreadContent = opts.spreadContent || formatSynthesisForSpread(synthesis, query, date, { csvPath });
+      updatedSpread = applySpreadUpdates(spread, [{
+        section: 'Research',
+        action: 'append',
+        content: spreadContent,
+      }]);
+      intents.push(toolIntent(`data/projects/${projectSlug}/spread.md`, 'append_to_section', {
+        heading: '## Research',
+        content: spreadContent,
+      }));
+    }
+
+    // Source library: only this run's entries, merged into the file at commit time
+    const library = mergeSources(parseSources(sources), allFindings, date);
+    if (library.changed.length > 0) {
+      intents.push(toolIntent(sourcesPath(projectSlug), 'merge_sources', { content: formatSources(library.changed) }));
+    }
   }
 
   // Stream entry
-  const streamSummary = synthesis.keyPoints.slice(0, 2).join('; ').slice(0, 100);
+  const streamSummary = (synthesis.keyPoints || []).slice(0, 2).join('; ').slice(0, 100);
   const streamLine = projectSlug
     ? `- ${time} | [research] ${query} -> proj-${projectSlug}`
     : `- ${time} | [research] ${query}${streamSummary ? ' | ' + streamSummary : ''}`;
+  intents.push(toolIntent(`data/stream/${date}.md`, 'append_to_section', {
+    heading: '## Captures',
+    content: streamLine,
+  }));
 
-  // Persist research log via batch (if there are files)
-  if (batchFiles.length > 0) {
-    try {
-      await githubWriter.batchWrite(
-        batchFiles,
-        `Research: ${query.slice(0, 50)}${projectSlug ? ` (${projectSlug})` : ''}`
-      );
-      logger.info('Research log persisted', { fileCount: batchFiles.length });
-    } catch (error) {
-      logger.error('Failed to persist research log', { error: error.message });
-    }
-  }
-
-  // Stream entry (separate commit since it appends)
-  try {
-    await githubWriter.appendToSection(
-      `data/stream/${date}.md`,
-      '## Captures',
-      streamLine,
-      `Log research: ${query.slice(0, 30)}`
-    );
-    logger.info('Stream entry written');
-  } catch (error) {
-    logger.error('Failed to write stream entry', { error: error.message });
-  }
+  return { intents, spread: updatedSpread };
 }
 
 /**
@@ -9,6 +9,7 @@
 
 import { tavilySearch, researchTopic } from './tavily-agent.js';
 import { synthesizeFindings, formatSynthesisForSpread, formatSynthesisForSlack } from './synthesis-agent.js';
+import { formatTableMarkdown } from '../lib/research-table.js';
 
 /**
  * Research intent types.
@@ -335,6 +336,11 @@ export function formatResearchLog(threadState) {
     parts.push('## Synthesis');
     parts.push('');
     parts.push(threadState.synthesis.summary);
+
+    if (threadState.synthesis.table) {
+      parts.push('');
+      parts.push(formatTableMarkdown(threadState.synthesis.table));
+    }
   }
 
   return parts.join('\n');
@@ -7,6 +7,8 @@
  * 3. PLAN - User refines or commits the plan
  */
 
+import { cachedSystem } from '../lib/claude-client.js';
+
 /**
  * Ritual phases in order.
  */
@@ -125,6 +127,8 @@ export async function ritualCoordinator(message, sessionState, { claudeClient, l
  *
  * Each phase has a specific system prompt that guides Claude to do
  * structured processing rather than open-ended therapeutic questioning.
+ * The phase prompt and identity context are a cached system block; the
+ * conversation so far follows uncached, since it grows every turn.
  * Phase advancement is deterministic: REFLECT→SORT, SORT→PLAN, PLAN stays.
  */
 async function processPhaseMessage(message, sessionState, { claudeClient, logger }) {
@@ -137,7 +141,7 @@ async function processPhaseMessage(message, sessionState, { claudeClient, logger
     .join('\n\n');
 
   // Phase-specific system prompts
-  let system;
+  let phasePrompt;
 
   const identityBlock = `Identity context:
 - Roles: ${context.roles.join(', ') || 'Not specified'}
@@ -149,11 +153,10 @@ async function processPhaseMessage(message, sessionState, { claudeClient, logger
     : '';
 
   if (phase === RITUAL_PHASES.REFLECT) {
-    system = `You are a structured life review coach helping with a ${ritualType} review.
+    phasePrompt = `You are a structured life review coach helping with a ${ritualType} review.
 
 ${identityBlock}
 
-${historyBlock}
 The user just reflected on their past ${periodLabel}. YOUR JOB IS TO PROCESS WHAT THEY SHARED, NOT ASK MORE QUESTIONS.
 
 Do ALL of the following in your response:
@@ -169,11 +172,10 @@ You may optionally respond with JSON (useful for structured extraction):
 {"response": "your text", "captured": {"insights": [], "commitments": [], "focus_areas": [], "kept_loops": [], "theme": null}, "ready_to_advance": true}
 Or just respond with plain text — either works.`;
   } else if (phase === RITUAL_PHASES.SORT) {
-    system = `You are a structured life review coach generating a plan.
+    phasePrompt = `You are a structured life review coach generating a plan.
 
 ${identityBlock}
 
-${historyBlock}
 Based on EVERYTHING discussed so far in this conversation, generate a ${periodLabel} plan. The user may have already shared their priorities and focus areas during reflection — use them. Do not ask for priorities the user already gave you.
 
 Output a plan in this exact markdown format:
@@ -199,11 +201,10 @@ You may optionally respond with JSON:
 {"response": "your text", "captured": {"insights": [], "commitments": [], "focus_areas": [], "kept_loops": [], "theme": null}, "ready_to_advance": true}
 Or just respond with plain text.`;
   } else if (phase === RITUAL_PHASES.PLAN) {
-    system = `You are a structured life review coach revising a plan.
+    phasePrompt = `You are a structured life review coach revising a plan.
 
 ${identityBlock}
 
-${historyBlock}
 The user wants to change the plan. Apply their correction and output the COMPLETE REVISED PLAN in this markdown format:
 
 ## Theme
@@ -225,6 +226,8 @@ You may optionally respond with JSON:
 Or just respond with plain text.`;
   }
 
+  const system = cachedSystem([phasePrompt], historyBlock);
+
   let responseText;
   let captured = null;
 
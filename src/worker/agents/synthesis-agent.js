@@ -5,6 +5,8 @@
  * suitable for adding to project documentation.
  */
 
+import { formatTableMarkdown, formatTableSlack } from '../lib/research-table.js';
+
 /**
  * Synthesize research findings into a summary.
  *
@@ -121,15 +123,26 @@ ${findingsText}`;
  * @param {Object} synthesis - Synthesis result
  * @param {string} query - Research query
  * @param {string} date - Current date (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {string} [options.csvPath] - Project-relative path of the table's CSV
  * @returns {string} Markdown formatted for spread
  */
-export function formatSynthesisForSpread(synthesis, query, date) {
+export function formatSynthesisForSpread(synthesis, query, date, { csvPath } = {}) {
   const parts = [];
 
   parts.push(`### ${query} (${date})`);
   parts.push('');
   parts.push(synthesis.summary);
 
+  if (synthesis.table) {
+    parts.push('');
+    parts.push(formatTableMarkdown(synthesis.table));
+    if (csvPath) {
+      parts.push('');
+      parts.push(`CSV: ${csvPath}`);
+    }
+  }
+
   if (synthesis.keyPoints.length > 0) {
     parts.push('');
     parts.push('**Key Findings:**');
@@ -170,6 +183,11 @@ export function formatSynthesisForSlack(synthesis) {
   parts.push('');
   parts.push(synthesis.summary);
 
+  if (synthesis.table) {
+    parts.push('');
+    parts.push(formatTableSlack(synthesis.table));
+  }
+
   if (synthesis.keyPoints.length > 0) {
     parts.push('');
     parts.push('Key findings:');
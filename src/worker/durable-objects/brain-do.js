@@ -10,19 +10,30 @@ import { createGitHubReader } from '../lib/github-reader.js';
 import { createGitHubWriter } from '../lib/github-writer.js';
 import { createSlackClient } from '../lib/slack-client.js';
 import { createClaudeClient } from '../lib/claude-client.js';
-import { createTavilyClient } from '../lib/tavily-client.js';
+import { createMetrics, recordClaudeUsage } from '../lib/metrics.js';
 import { createStubClaudeClient } from '../lib/stub-claude-client.js';
 import { createStubSlackClient } from '../lib/stub-slack-client.js';
-import { createStubTavilyClient } from '../lib/stub-tavily-client.js';
-import { getLocalDate, getLocalTime, getWeekId, getDayOfWeek } from '../lib/timezone.js';
+import { createCalendarFetcher } from '../lib/calendar-fetcher.js';
+import { createStubCalendarFetcher } from '../lib/stub-calendar-fetcher.js';
+import { getLocalDate, getLocalTime, getWeekId, getMonthId, getDayOfWeek, getTimezone } from '../lib/timezone.js';
+import { getDueJobs, getReminderRitualType, SCHEDULED_JOBS } from '../lib/scheduler.js';
 import { buildThreadContext, formatThreadForLLM } from '../lib/thread-context.js';
-import { applyToolCall } from '../lib/tool-applicator.js';
+import { rotateCalendar, normalizeCalendar, ensureDayHeading, mergeEvents, CALENDAR_PATH } from '../lib/calendar.js';
+import { buildIcs, parseIcs, icsToCalendarEvents } from '../lib/ics.js';
+import { parseRecurring, materializeRecurring, RECURRING_PATH } from '../lib/recurring.js';
+import { getSourcePaths, rebuildContextPack, hasSourcedEdits, CONTEXT_PACK_PATH } from '../lib/context-pack.js';
+import { getPackDates, reconcileContext, formatDriftNote } from '../lib/reconcile.js';
+import { applyToolCall, normalizeOpenLoops, findSection, wakeSnoozed, OPEN_LOOPS_HEADING, PENDING_REVIEW_HEADING, SNOOZED_HEADING } from '../lib/tool-applicator.js';
+import { parseTaskLine, formatTaskText, formatDue, findTasksById, findSimilarTasks, stripTaskId } from '../lib/tasks.js';
+import { parsePendingReview, stampPendingReview, findThreadItems, fallbackPermalink, formatPendingAge, formatPendingReviewForSlack } from '../lib/pending-review.js';
+import { buildOpenLoopBlocks, parseOpenLoopAction, resolveOpenLoopBlock, textToSections } from '../lib/open-loop-blocks.js';
 import { putIntent, toolIntent, validateIntents, resolveIntent } from '../lib/write-intent.js';
 import { pruneContext } from '../lib/context-pruner.js';
 import { parseSpreadForIndex, buildIndexContent } from '../lib/project-index.js';
 import { generateBootstrapContext, generateBootstrapFiles } from '../lib/bootstrap.js';
 import { mainAgent } from '../agents/main-agent.js';
-import { executeResearch, inferProject } from '../agents/research-agent.js';
+import { inferProject } from '../agents/research-agent.js';
+import { RESEARCH_DO_NAME } from './project-do.js';
 
 /**
  * Simple hash function for version stamps in edge runtime.
@@ -38,6 +49,61 @@ function simpleHash(str) {
   return (hash >>> 0).toString(16).padStart(8, '0');
 }
 
+/**
+ * DO storage key for the last failed housekeeping run.
+ * Cleared on the next successful run; read by the daily digest.
+ */
+const HOUSEKEEPING_FAILURE_KEY = 'housekeeping:failure';
+
+/**
+ * DO storage key for the last nightly reconciliation report.
+ * Replaced on every run; read by the daily digest.
+ */
+const RECONCILIATION_REPORT_KEY = 'reconciliation:last';
+
+/**
+ * DO storage key for how far each recurring.md entry has been materialized
+ * (entry text → YYYY-MM-DD). Saved after the housekeeping commit lands.
+ */
+const RECURRING_THROUGH_KEY = 'recurring:through';
+
+/**
+ * DO storage key for what calendar imports wrote per ICS event (uid →
+ * { date, time, title }), so a re-import updates events changed at the
+ * source. Saved after the import commit lands; past events are pruned.
+ */
+const CALENDAR_IMPORTS_KEY = 'calendar-import:events';
+
+/**
+ * Times an import is merged and committed when the calendar keeps
+ * changing underneath it.
+ */
+const CALENDAR_IMPORT_ATTEMPTS = 2;
+
+/**
+ * DO storage key for spread and research updates waiting for the
+ * coalesced commit (see queueSpreadUpdate).
+ */
+const SPREAD_UPDATES_KEY = 'spread-updates:pending';
+
+/**
+ * How long spread updates coalesce before BrainDO commits them.
+ */
+const SPREAD_UPDATE_COALESCE_MS = 5000;
+
+/**
+ * Find the first iCalendar file in a Slack file share.
+ * @param {Array<Object>} [files] - Files from the message event
+ * @returns {Object|null} File, or null if none is an .ics
+ */
+function findIcsFile(files) {
+  return (files || []).find(file =>
+    file.filetype === 'ics'
+    || file.mimetype === 'text/calendar'
+    || /\.ics$/i.test(file.name || '')
+  ) || null;
+}
+
 /**
  * Channel types for routing.
  */
@@ -49,6 +115,149 @@ export const CHANNEL_TYPES = {
   UNKNOWN: 'unknown',
 };
 
+/**
+ * Summarize a calendar import for Slack.
+ * @param {Object} result - From BrainDO.importCalendar
+ * @param {string} source - File name or URL
+ * @returns {string} Reply text
+ */
+function formatImportSummary(result, source) {
+  const { added, updated = [], duplicates, unsupportedRecurrences } = result;
+
+  if (added.length === 0 && updated.length === 0 && duplicates.length === 0) {
+    return `No upcoming events found in ${source}.`;
+  }
+
+  const lines = [`📅 Imported ${added.length} event${added.length === 1 ? '' : 's'} from ${source}.`];
+  if (updated.length > 0) {
+    lines.push(`Updated ${updated.length} changed at the source.`);
+  }
+  if (duplicates.length > 0) {
+    lines.push(`Skipped ${duplicates.length} already on the calendar.`);
+  }
+  if (unsupportedRecurrences > 0) {
+    lines.push(`${unsupportedRecurrences} recurring event${unsupportedRecurrences === 1 ? ' uses' : 's use'} a repeat rule I can't expand — only its first date was imported.`);
+  }
+  for (const event of added.slice(0, 10)) {
+    lines.push(`• ${event.date} ${event.time ? `${event.time} ` : ''}${event.title}`);
+  }
+  if (added.length > 10) {
+    lines.push(`…and ${added.length - 10} more`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Check whether a GitHub error means the branch moved under a commit: the
+ * branch ref update was rejected as not a fast forward (422), or GitHub
+ * reported a conflict (409). Other 422s, e.g. from blob or tree creation,
+ * are not retried.
+ * @param {Error} error - From the GitHub writer
+ * @returns {boolean}
+ */
+function isRefConflict(error) {
+  if (error.status === 409) return true;
+  return error.status === 422
+    && error.method === 'PATCH'
+    && /\/git\/refs\/heads\//.test(error.endpoint || '');
+}
+
+/**
+ * Describe a write intent for Slack, e.g. "append_to_section ## Captures in data/stream/2026-02-01.md".
+ * @param {Object} intent - Write intent
+ * @returns {string}
+ */
+function describeIntent(intent) {
+  const target = intent.heading ? `${intent.heading} in ${intent.path}` : intent.path;
+  return intent.op === 'tool' ? `${intent.type} ${target}` : `write ${target}`;
+}
+
+/**
+ * Read the top-level tasks in the context pack's Open Loops section.
+ * @param {string} pack - current.md content
+ * @returns {Array<Object>} Parsed tasks (see parseTaskLine), in section order
+ */
+function readOpenLoops(pack) {
+  const section = pack ? findSection(pack, OPEN_LOOPS_HEADING) : null;
+  if (!section) {
+    return [];
+  }
+  return pack.slice(section.headingEnd, section.end).split('\n')
+    .map(parseTaskLine)
+    .filter(task => task && !task.indent);
+}
+
+/**
+ * Read the items in the context pack's Pending Review section.
+ * @param {string} pack - current.md content
+ * @returns {Array<Object>} Parsed items (see parsePendingReviewLine)
+ */
+function readPendingReview(pack) {
+  const section = pack ? findSection(pack, PENDING_REVIEW_HEADING) : null;
+  return section ? parsePendingReview(pack.slice(section.headingEnd, section.end)) : [];
+}
+
+/**
+ * Check whether a write intent appends to the context pack's Pending Review.
+ * @param {Object} intent - Write intent
+ * @returns {boolean}
+ */
+function isPendingReviewAppend(intent) {
+  return intent.op === 'tool'
+    && intent.type === 'append_to_section'
+    && intent.path === CONTEXT_PACK_PATH
+    && intent.heading?.replace(/^#+\s*/, '').trim().toLowerCase() === 'pending review';
+}
+
+/**
+ * Find the open task a /todo argument refers to: a number from
+ * `/todo list`, a `^id`, or a description matching one task.
+ * @param {Array<Object>} tasks - Open tasks from readOpenLoops
+ * @param {string} ref - User's reference
+ * @returns {{ task: Object|null, error: string|null }}
+ */
+function resolveTodo(tasks, ref) {
+  if (/^\d+$/.test(ref)) {
+    const task = tasks[Number(ref) - 1];
+    return task ? { task, error: null } : { task: null, error: `There's no open loop #${ref}. Try \`/todo list\`.` };
+  }
+
+  const lines = tasks.map(task => `- [ ] ${task.text}${task.id ? ` ^${task.id}` : ''}`);
+  const byId = findTasksById(lines, ref);
+  const { indices, error } = byId.length ? { indices: byId, error: null } : findSimilarTasks(lines, ref);
+  if (error) {
+    return { task: null, error };
+  }
+  return indices.length
+    ? { task: tasks[indices[0]], error: null }
+    : { task: null, error: `No open loop matches "${ref}".` };
+}
+
+/**
+ * Parse a snooze length from /todo: a date, "tomorrow", or a number of days ("3d").
+ * @param {string} text - User input
+ * @param {Date} now - Reference time
+ * @returns {string|null} Wake date (YYYY-MM-DD), or null if unreadable
+ */
+function parseSnoozeUntil(text, now) {
+  const value = text.trim().toLowerCase();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const days = value === 'tomorrow' ? 1 : Number(value.match(/^(\d+)d$/)?.[1]);
+  return days > 0 ? getLocalDate(new Date(now.getTime() + days * 86400000)) : null;
+}
+
+/**
+ * Drop the Snoozed section from a context pack, so deferred items don't
+ * compete in prioritization.
+ * @param {string} pack - current.md content
+ * @returns {string}
+ */
+function hideSnoozed(pack) {
+  const section = pack ? findSection(pack, SNOOZED_HEADING) : null;
+  return section ? pack.slice(0, section.start) + pack.slice(section.end) : pack;
+}
+
 /**
  * BrainDO Durable Object class.
  */
@@ -69,6 +278,12 @@ export class BrainDO {
     this._stubClaudeResponses = new Map();
     this._stubTavilyResponses = new Map();
 
+    // Stub pages for the research EXTRACT stage (keyed by URL)
+    this._stubPages = new Map();
+
+    // Stub .ics files for /calendar import (keyed by URL)
+    this._stubCalendars = new Map();
+
     // Clients initialized lazily
     this._githubReader = null;
     this._slackClient = null;
@@ -143,12 +358,24 @@ export class BrainDO {
         this._claudeClient = createClaudeClient({
           apiKey: this.env.ANTHROPIC_API_KEY,
           logger: this.getLogger(),
+          onUsage: (usage, { model }) => recordClaudeUsage(this.getMetrics(), usage, { do: 'brain', model }),
         });
       }
     }
     return this._claudeClient;
   }
 
+  /**
+   * Get or create the metrics collector (kept in DO storage).
+   * @returns {Object} Metrics instance
+   */
+  getMetrics() {
+    if (!this._metrics) {
+      this._metrics = createMetrics({ storage: this.state.storage, logger: this.getLogger() });
+    }
+    return this._metrics;
+  }
+
   /**
    * Get or create GitHub writer.
    * @returns {Object} GitHub writer instance
@@ -165,25 +392,22 @@ export class BrainDO {
   }
 
   /**
-   * Get or create Tavily client.
-   * Uses stub client when SEARCH_MODE=stub (system tests).
-   * @returns {Object} Tavily client instance
+   * Get or create the calendar fetcher for /calendar import.
+   * Uses stub fetcher when SEARCH_MODE=stub (system tests).
+   * @returns {Object} Calendar fetcher
    */
-  getTavilyClient() {
-    if (!this._tavilyClient) {
+  getCalendarFetcher() {
+    if (!this._calendarFetcher) {
       if (this.env.SEARCH_MODE === 'stub') {
-        this._tavilyClient = createStubTavilyClient({
-          stubResponses: this._stubTavilyResponses,
+        this._calendarFetcher = createStubCalendarFetcher({
+          stubCalendars: this._stubCalendars,
           logger: this.getLogger(),
         });
       } else {
-        this._tavilyClient = createTavilyClient({
-          apiKey: this.env.TAVILY_API_KEY,
-          logger: this.getLogger(),
-        });
+        this._calendarFetcher = createCalendarFetcher({ logger: this.getLogger() });
       }
     }
-    return this._tavilyClient;
+    return this._calendarFetcher;
   }
 
   /**
@@ -331,6 +555,11 @@ export class BrainDO {
       }
 
 
+      // ICS feed (token is checked by the Worker)
+      if (url.pathname === '/calendar.ics' && request.method === 'GET') {
+        return this.handleCalendarIcs(logger);
+      }
+
       // Test stub registration endpoint (system tests only)
       if (url.pathname === '/test/stubs' && request.method === 'POST') {
         return this.handleRegisterStubs(request, logger);
@@ -358,6 +587,29 @@ export class BrainDO {
         return this.handleCommand(payload, logger);
       }
 
+      // Block Kit interactions (Open Loops checkboxes and menus)
+      if (url.pathname === '/interactive' && request.method === 'POST') {
+        const payload = await request.json();
+        return this.handleInteractive(payload, logger);
+      }
+
+      // Asynchronous spread updates from ProjectDO (research results)
+      if (url.pathname === '/notify_spread_updated' && request.method === 'POST') {
+        const payload = await request.json();
+        return this.handleSpreadUpdated(payload, logger);
+      }
+
+      // Cron Trigger handling
+      if (url.pathname === '/scheduled' && request.method === 'POST') {
+        const payload = await request.json();
+        return this.handleScheduled(payload, logger);
+      }
+
+      // Run a scheduled job at a fixed time (system tests only)
+      if (url.pathname === '/test/scheduled' && request.method === 'POST') {
+        return this.handleTestScheduled(request, logger);
+      }
+
       return new Response(JSON.stringify({ error: 'Not found' }), {
         status: 404,
         headers: { 'Content-Type': 'application/json' },
@@ -371,6 +623,15 @@ export class BrainDO {
     }
   }
 
+  /**
+   * DO alarm: commit spread updates queued by queueSpreadUpdate.
+   * Throwing makes the runtime retry the alarm, so a failed commit is retried.
+   */
+  async alarm() {
+    const logger = this.getLogger(generateRequestId());
+    await this.flushSpreadUpdates(logger);
+  }
+
   /**
    * Handle health check.
    * @returns {Response}
@@ -405,6 +666,31 @@ export class BrainDO {
     );
   }
 
+  /**
+   * Render calendar-current.md and calendar-past.md as an iCalendar feed.
+   * Read fresh from GitHub so subscribers see committed state.
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<Response>}
+   */
+  async handleCalendarIcs(logger) {
+    const reader = this.getGitHubReader();
+    const [current, past] = await Promise.all([
+      reader.getContent(CALENDAR_PATH),
+      reader.getContent('data/planning/calendar-past.md'),
+    ]);
+
+    const ics = buildIcs({ current: current || '', past: past || '' });
+    logger.info('Calendar feed served', { bytes: ics.length });
+
+    return new Response(ics, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Cache-Control': 'private, max-age=300',
+      },
+    });
+  }
+
   /**
    * Check and store dedup key. Returns true if this is a duplicate.
    * @param {string} key - Dedup composite key
@@ -476,6 +762,9 @@ export class BrainDO {
     // Route by channel type
     switch (channelType) {
       case CHANNEL_TYPES.INBOX:
+        if (findIcsFile(payload.files)) {
+          return this.handleCalendarFileShare(payload, logger);
+        }
         return this.handleInboxMessage(payload, logger);
 
       case CHANNEL_TYPES.PROJECT:
@@ -695,7 +984,21 @@ export class BrainDO {
         }
       }
 
+      // A reply in a capture thread may answer what was left in Pending Review
+      const threadPending = payload.thread_ts
+        ? findThreadItems(readPendingReview(this.contextPack), payload.channel_id, payload.thread_ts)
+        : [];
+      if (threadPending.length > 0) {
+        logger.info('Thread has Pending Review items', { count: threadPending.length });
+      }
+
       // Process with Main Agent (single LLM call)
+      // Whole-file writes are pinned to the HEAD the message was handled at
+      const baseRefSha = await this.getGitHubReader().getHeadSha().catch((error) => {
+        logger.warn('Could not read HEAD, write_file puts are unpinned', { error: error.message });
+        return null;
+      });
+
       const result = await mainAgent(
         payload.text,
         {
@@ -706,6 +1009,8 @@ export class BrainDO {
           weekId,
           dayOfWeek,
           threadContext,
+          threadPendingReview: threadPending.map(item => item.line),
+          baseRefSha,
         },
         { claudeClient, logger }
       );
@@ -718,10 +1023,16 @@ export class BrainDO {
         intents = this.buildWriteIntents(result.actions, logger);
       }
 
+      if (intents.some(isPendingReviewAppend)) {
+        intents = await this.stampPendingReviewIntents(intents, payload, date, logger);
+      }
+
       if (intents.length > 0) {
         const traceId = payload.trace_id || '';
         const commitMsg = `Inbox capture${traceId ? ` (trace: ${traceId})` : ''}`;
-        await this.commitWriteSet(intents, commitMsg, logger);
+        await this.commitWriteSet(intents, commitMsg, logger, {
+          notify: { channel: payload.channel_id, thread_ts: payload.thread_ts || payload.message_ts },
+        });
       }
 
       // Handle special actions (create_project, etc.)
@@ -780,6 +1091,76 @@ export class BrainDO {
     }
   }
 
+  /**
+   * Stamp new Pending Review items with today's date and a permalink to
+   * the thread they were captured in, so the digest can show their age
+   * and a reply in that thread can resolve them.
+   * @param {Object[]} intents - Write intents from the main agent
+   * @param {Object} payload - Message payload
+   * @param {string} date - Local date (YYYY-MM-DD)
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<Object[]>} Intents with Pending Review appends stamped
+   */
+  async stampPendingReviewIntents(intents, payload, date, logger) {
+    const channel = payload.channel_id;
+    const threadTs = payload.thread_ts || payload.message_ts;
+
+    let permalink;
+    try {
+      permalink = await this.getSlackClient().getPermalink({ channel, message_ts: threadTs });
+    } catch (error) {
+      logger.warn('Could not get thread permalink', { error: error.message });
+    }
+    permalink = permalink || fallbackPermalink(channel, threadTs);
+
+    return intents.map(intent => (isPendingReviewAppend(intent) && intent.content
+      ? { ...intent, content: stampPendingReview(intent.content, { created: date, permalink }) }
+      : intent));
+  }
+
+  /**
+   * Stub configuration to forward to ProjectDO, so it answers from the
+   * same stubs as BrainDO in system tests.
+   * @returns {Object} Stub fields for a ProjectDO request payload
+   */
+  getForwardedStubs() {
+    const stubs = {};
+    if (this.env.LLM_MODE === 'stub') {
+      stubs._stubClaudeResponses = Object.fromEntries(this._stubClaudeResponses);
+    }
+    if (this.env.SEARCH_MODE === 'stub') {
+      stubs._stubTavilyResponses = Object.fromEntries(this._stubTavilyResponses);
+      stubs._stubPages = Object.fromEntries(this._stubPages);
+    }
+    if (this.env.SLACK_MODE === 'stub') {
+      stubs._slackMode = 'stub';
+    }
+    return stubs;
+  }
+
+  /**
+   * Re-record Slack calls made by ProjectDO through BrainDO's stub client,
+   * so system tests see them in BrainDO's recording set.
+   * @param {Array<Object>} [recordings] - `_stubRecordings` from ProjectDO
+   */
+  async replayStubRecordings(recordings) {
+    if (!recordings?.length || this.env.SLACK_MODE !== 'stub') {
+      return;
+    }
+    const slackClient = this.getSlackClient();
+    for (const rec of recordings) {
+      if (rec.method === 'chat.postMessage') {
+        await slackClient.postMessage(rec.args);
+      } else if (rec.method === 'reactions.add') {
+        await slackClient.addReaction(rec.args);
+      } else if (rec.method === 'conversations.create') {
+        await slackClient.createChannel(rec.args);
+      } else if (rec.method === 'conversations.invite') {
+        await slackClient.inviteToChannel(rec.args);
+      }
+    }
+  }
+
   /**
    * Handle message in #proj-* channel.
    * Routes to ProjectDO for the specific project.
@@ -808,16 +1189,8 @@ export class BrainDO {
       ...payload,
       projectSlug,
       contextPack: this.contextPack,
+      ...this.getForwardedStubs(),
     };
-    if (this.env.LLM_MODE === 'stub') {
-      forwardPayload._stubClaudeResponses = Object.fromEntries(this._stubClaudeResponses);
-    }
-    if (this.env.SEARCH_MODE === 'stub') {
-      forwardPayload._stubTavilyResponses = Object.fromEntries(this._stubTavilyResponses);
-    }
-    if (this.env.SLACK_MODE === 'stub') {
-      forwardPayload._slackMode = 'stub';
-    }
 
     const projectResponse = await projectDO.fetch(
       new Request('http://internal/message', {
@@ -833,26 +1206,14 @@ export class BrainDO {
         const result = await projectResponse.json();
 
         // Merge stub recordings from ProjectDO into BrainDO's recording set
-        if (result._stubRecordings?.length > 0 && this.env.SLACK_MODE === 'stub') {
-          const slackClient = this.getSlackClient();
-          for (const rec of result._stubRecordings) {
-            // Re-record each call through BrainDO's stub client
-            if (rec.method === 'chat.postMessage') {
-              await slackClient.postMessage(rec.args);
-            } else if (rec.method === 'reactions.add') {
-              await slackClient.addReaction(rec.args);
-            } else if (rec.method === 'conversations.create') {
-              await slackClient.createChannel(rec.args);
-            } else if (rec.method === 'conversations.invite') {
-              await slackClient.inviteToChannel(rec.args);
-            }
-          }
-        }
+        await this.replayStubRecordings(result._stubRecordings);
 
         if (result.writeIntents && result.writeIntents.length > 0) {
           const traceId = payload.trace_id || '';
           const commitMsg = `Update ${projectSlug}${traceId ? ` (trace: ${traceId})` : ''}`;
-          await this.commitWriteSet(result.writeIntents, commitMsg, logger);
+          await this.commitWriteSet(result.writeIntents, commitMsg, logger, {
+            notify: { channel: payload.channel_id, thread_ts: payload.thread_ts || payload.message_ts },
+          });
         }
         // Return a fresh response since we consumed the original
         return new Response(
@@ -934,7 +1295,9 @@ export class BrainDO {
 
           const traceId = payload.trace_id || '';
           const commitMsg = `${ritualType} ritual commit${traceId ? ` (trace: ${traceId})` : ''}`;
-          await this.commitWriteSet(result.writeIntents, commitMsg, logger);
+          await this.commitWriteSet(result.writeIntents, commitMsg, logger, {
+            notify: { channel: payload.channel_id, thread_ts: payload.thread_ts || payload.message_ts },
+          });
         }
         return new Response(
           JSON.stringify({ status: 'ok', action: result.action, ritualType }),
@@ -974,23 +1337,11 @@ export class BrainDO {
     const sectionHeader = ritualType === 'weekly'
       ? "## This Week's Plan"
       : '## Monthly Plan';
-    const planSection = `${sectionHeader}\n\n${planIntent.content}`;
-
-    // Update or append to context pack
-    let updatedPack = this.contextPack || '';
-    const sectionRegex = new RegExp(
-      `${sectionHeader.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\n[\\s\\S]*?(?=\\n## |$)`
-    );
-
-    if (sectionRegex.test(updatedPack)) {
-      updatedPack = updatedPack.replace(sectionRegex, planSection);
-    } else {
-      updatedPack = updatedPack.trimEnd() + '\n\n' + planSection + '\n';
-    }
-
-    this.contextPack = updatedPack;
-    writeIntents.push(putIntent('data/current.md', updatedPack));
-    logger.info('Context pack updated with plan content', { ritualType });
+    // A section edit rather than a whole-pack put, so it applies to
+    // whatever current.md is at HEAD when the commit lands
+    const type = findSection(this.contextPack || '', sectionHeader) ? 'replace_section' : 'append_to_section';
+    writeIntents.push(toolIntent(CONTEXT_PACK_PATH, type, { heading: sectionHeader, content: planIntent.content }));
+    logger.info('Context pack updated with plan content', { ritualType, type });
   }
 
   /**
@@ -1003,17 +1354,198 @@ export class BrainDO {
     await this.state.storage.delete('contextVersion');
   }
 
+  /**
+   * Rebuild current.md for a write set about to be committed.
+   * Source files come from the write set, falling back to GitHub at the
+   * commit the write set is based on; inline sections come from the pack.
+   * Returns null — leaving current.md to the decompose/rebuild Actions —
+   * when nothing in the write set feeds the pack, when current.md has
+   * edits to sourced sections (those must be decomposed), or when the
+   * rebuild itself fails.
+   * @param {Map<string, string>} fileContents - Resolved write set (path → content)
+   * @param {string|null} packBefore - current.md before this write set
+   * @param {Function} getBaseRefSha - async () => commit the write set is based on
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<string|null>} New current.md (direction: build) or null
+   */
+  async rebuildContextForCommit(fileContents, packBefore, getBaseRefSha, logger) {
+    const now = new Date();
+    const dates = { today: getLocalDate(now), weekId: getWeekId(now), monthId: getMonthId(now) };
+    const sourcePaths = getSourcePaths(dates);
+    const editedPack = fileContents.get(CONTEXT_PACK_PATH);
+
+    if (editedPack === undefined && !sourcePaths.some(path => fileContents.has(path))) {
+      return null;
+    }
+
+    if (editedPack !== undefined && hasSourcedEdits(packBefore || '', editedPack)) {
+      logger.info('current.md has sourced-section edits, leaving them for decompose');
+      return null;
+    }
+
+    try {
+      const reader = this.getGitHubReader();
+      const baseRefSha = await getBaseRefSha();
+      const existing = editedPack ?? packBefore ?? await reader.getContent(CONTEXT_PACK_PATH, baseRefSha);
+      if (!existing) {
+        logger.warn('No current.md to carry inline sections from, skipping in-Worker rebuild');
+        return null;
+      }
+
+      const files = {};
+      await Promise.all(sourcePaths.map(async (path) => {
+        files[path] = fileContents.has(path)
+          ? fileContents.get(path)
+          : await reader.getContent(path, baseRefSha) || '';
+      }));
+
+      const rebuilt = rebuildContextPack(files, {
+        ...dates,
+        existing,
+        timestamp: now.toISOString().replace('T', ' ').slice(0, 16),
+        sourceRef: baseRefSha.slice(0, 12),
+        hash: simpleHash,
+      });
+
+      logger.info('Context pack rebuilt for commit', { baseRefSha, sources: sourcePaths.filter(p => fileContents.has(p)) });
+      return rebuilt;
+    } catch (error) {
+      logger.warn('In-Worker rebuild failed, leaving current.md to rebuild-on-push', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Resolve write intents to final file contents.
+   * Tool intents on the same file are applied in order to the same content.
+   * On the first pass current.md starts from the in-memory pack and any
+   * failing tool intent aborts the commit. On a restart (after HEAD moved)
+   * every file is re-read at the new base, and intents that no longer apply
+   * — a section that is gone, or a put whose file changed since its
+   * base_ref_sha — are dropped instead.
+   * @param {Array} intents - Validated write intents
+   * @param {Object} options
+   * @param {Function} options.getBaseRefSha - async () => commit to read files at
+   * @param {boolean} [options.restart] - Re-resolving after a ref conflict
+   * @param {Object} options.logger - Logger instance
+   * @returns {Promise<{ fileContents: Map<string, string>|null, packBefore: string|null, dropped: Array<{ intent: Object, error: string }> }>}
+   *   fileContents is null when the commit must be aborted; dropped then holds the failing intent
+   */
+  async assembleWriteSet(intents, { getBaseRefSha, restart = false, logger }) {
+    const reader = this.getGitHubReader();
+    const fileContents = new Map(); // path -> content
+    const dropped = [];
+
+    const readAtBase = async (path) => {
+      const ref = await getBaseRefSha();
+      try {
+        return await reader.getContent(path, ref) || '';
+      } catch {
+        return '';
+      }
+    };
+
+    // The in-memory pack may be behind a HEAD that moved; re-read it on restart
+    let packBefore = this.contextPack;
+    if (restart && intents.some(intent => intent.path === CONTEXT_PACK_PATH)) {
+      packBefore = await readAtBase(CONTEXT_PACK_PATH) || null;
+    }
+
+    for (const intent of intents) {
+      if (intent.op === 'put') {
+        if (restart && intent.base_ref_sha) {
+          const ref = await getBaseRefSha();
+          if (intent.base_ref_sha !== ref
+            && await reader.getContent(intent.path, intent.base_ref_sha) !== await reader.getContent(intent.path, ref)) {
+            logger.warn('Dropping stale put intent', { path: intent.path, baseRefSha: intent.base_ref_sha });
+            dropped.push({ intent, error: `changed since ${intent.base_ref_sha.slice(0, 7)}` });
+            continue;
+          }
+        }
+        fileContents.set(intent.path, intent.content);
+        continue;
+      }
+
+      let currentContent = fileContents.get(intent.path);
+      if (currentContent === undefined) {
+        currentContent = intent.path === CONTEXT_PACK_PATH
+          ? packBefore || ''
+          : await readAtBase(intent.path);
+      }
+
+      // Calendar tool calls target day headings that may not exist yet
+      if (intent.path === CALENDAR_PATH) {
+        currentContent = ensureDayHeading(currentContent, intent.heading);
+      }
+
+      const result = resolveIntent(intent, currentContent, applyToolCall);
+      if (result.error) {
+        if (!restart) {
+          logger.error('Tool intent failed', { error: result.error, type: intent.type, path: intent.path });
+          return { fileContents: null, packBefore, dropped: [{ intent, error: result.error }] };
+        }
+        logger.warn('Dropping tool intent that no longer applies', { error: result.error, type: intent.type, path: intent.path });
+        dropped.push({ intent, error: result.error });
+        continue;
+      }
+
+      fileContents.set(intent.path, result.content);
+    }
+
+    // Keep the calendar sorted and free of duplicate events
+    if (fileContents.has(CALENDAR_PATH)) {
+      fileContents.set(CALENDAR_PATH, normalizeCalendar(fileContents.get(CALENDAR_PATH)));
+    }
+
+    // Fold duplicate Open Loops and give every task an ID
+    if (fileContents.has(CONTEXT_PACK_PATH)) {
+      fileContents.set(CONTEXT_PACK_PATH, normalizeOpenLoops(fileContents.get(CONTEXT_PACK_PATH)));
+    }
+
+    return { fileContents, packBefore, dropped };
+  }
+
+  /**
+   * Tell the user which intents of a write set didn't persist.
+   * Posts to the thread the write set came from, or the inbox channel.
+   * @param {Object} [notify] - { channel, thread_ts }
+   * @param {string} text - Message text
+   * @param {Object} logger - Logger instance
+   */
+  async notifyUnpersisted(notify, text, logger) {
+    const channel = notify?.channel || this.env.SLACK_INBOX_CHANNEL_ID;
+    if (!channel) {
+      return;
+    }
+    try {
+      await this.getSlackClient().postMessage({ channel, text, thread_ts: notify?.thread_ts });
+    } catch (error) {
+      logger.warn('Failed to report unpersisted writes', { error: error.message });
+    }
+  }
+
   /**
    * Commit a set of write intents atomically via Git Data API.
    * This is the coordinator's commit path — all writes for a single
    * user message go through here.
    *
+   * The commit is built on the HEAD its files were read at, so it fails
+   * if anything else pushed in between. On that conflict the write set is
+   * re-resolved once against the new HEAD; whatever no longer applies, or
+   * everything if the retry conflicts too, is reported to Slack.
+   *
    * @param {Array} intents - Write intents to commit
    * @param {string} message - Commit message
    * @param {Object} logger - Logger instance
+   * @param {Object} [options]
+   * @param {Object} [options.notify] - { channel, thread_ts } for reporting writes that didn't persist
+   * @param {boolean} [options.atomic] - Write nothing unless every intent
+   *   applies, also after a restart, for writes that only make sense
+   *   together; the caller handles the null result instead of Slack being
+   *   notified
    * @returns {Promise<{ commitSha: string, files: string[] } | null>}
    */
-  async commitWriteSet(intents, message, logger) {
+  async commitWriteSet(intents, message, logger, { notify, atomic = false } = {}) {
     if (!intents || intents.length === 0) {
       logger.debug('No write intents to commit');
       return null;
@@ -1035,120 +1567,114 @@ export class BrainDO {
       return null;
     }
 
-    // Resolve all intents to final file content.
-    // Group tool intents by path so multiple tool calls on the same file
-    // are applied sequentially to the same content.
-    const fileContents = new Map(); // path -> content
+    // HEAD is read lazily — write sets that read nothing from GitHub
+    // (puts outside the pack) don't need one
     const reader = this.getGitHubReader();
+    const writer = this.getGitHubWriter();
+    let baseRefSha = null;
+    const getBaseRefSha = async () => (baseRefSha ??= await reader.getHeadSha());
+
+    // Intents built against an older commit are re-resolved at HEAD up front
+    let restart = false;
+    if (valid.some(intent => intent.base_ref_sha)) {
+      const head = await getBaseRefSha();
+      restart = valid.some(intent => intent.base_ref_sha && intent.base_ref_sha !== head);
+    }
 
-    for (const intent of valid) {
-      if (intent.op === 'put') {
-        fileContents.set(intent.path, intent.content);
-      } else if (intent.op === 'tool') {
-        // Get current content for this file
-        let currentContent = fileContents.get(intent.path);
-
-        if (currentContent === undefined) {
-          if (intent.path === 'data/current.md') {
-            currentContent = this.contextPack || '';
-          } else {
-            // Fetch from GitHub
-            try {
-              currentContent = await reader.getContent(intent.path) || '';
-            } catch {
-              currentContent = '';
-            }
-          }
+    for (;;) {
+      const { fileContents, packBefore, dropped } = await this.assembleWriteSet(valid, { getBaseRefSha, restart, logger });
+      if (!fileContents) {
+        // Abort on any tool failure, e.g. an ambiguous mark_complete
+        const [{ intent, error }] = dropped;
+        if (atomic) {
+          logger.warn('Write set has a failing intent, aborting', { path: intent.path, error });
+        } else {
+          await this.notifyUnpersisted(notify, `_Sorry, I couldn't save that: ${describeIntent(intent)} — ${error}_`, logger);
         }
+        return null;
+      }
 
-        const result = resolveIntent(intent, currentContent, applyToolCall);
-        if (result.error) {
-          logger.error('Tool intent failed', { error: result.error, type: intent.type, path: intent.path });
-          return null; // Abort on any tool failure
-        }
-
-        fileContents.set(intent.path, result.content);
+      if (atomic && dropped.length > 0) {
+        logger.warn('Write set no longer applies as a whole, aborting', { dropped: dropped.map(({ intent }) => intent.path) });
+        return null;
+      }
 
-        // Keep in-memory contextPack in sync
-        if (intent.path === 'data/current.md') {
-          this.contextPack = result.content;
-        }
+      // Rebuild current.md in memory when its sources change, so the fresh
+      // pack lands in this commit instead of waiting for rebuild-on-push
+      const rebuiltPack = await this.rebuildContextForCommit(fileContents, packBefore, getBaseRefSha, logger);
+      if (rebuiltPack) {
+        fileContents.set(CONTEXT_PACK_PATH, rebuiltPack);
+      } else if (fileContents.has(CONTEXT_PACK_PATH)) {
+        // Inject version stamp with direction: decompose (DO-originated write)
+        const currentMdContent = fileContents.get(CONTEXT_PACK_PATH).replace(
+          /<!-- context_pack_version: \S+ source_ref: \S+ direction: \S+ -->\n?/g,
+          ''
+        );
+        const contentHash = simpleHash(currentMdContent).slice(0, 12);
+        const stamp = `<!-- context_pack_version: ${contentHash} source_ref: do direction: decompose -->`;
+        fileContents.set(CONTEXT_PACK_PATH, currentMdContent.replace(
+          '# Current Context\n',
+          `# Current Context\n${stamp}\n`
+        ));
       }
-    }
 
-    // Inject version stamp into current.md if it's being written
-    const hasCurrentMdChanges = fileContents.has('data/current.md');
-    if (hasCurrentMdChanges) {
-      let currentMdContent = fileContents.get('data/current.md');
-      // Remove any existing version stamp
-      currentMdContent = currentMdContent.replace(
-        /<!-- context_pack_version: \S+ source_ref: \S+ direction: \S+ -->\n?/,
-        ''
-      );
-      // Add version stamp with direction: decompose (DO-originated write)
-      const contentHash = simpleHash(currentMdContent).slice(0, 12);
-      const stamp = `<!-- context_pack_version: ${contentHash} source_ref: do direction: decompose -->`;
-      currentMdContent = currentMdContent.replace(
-        '# Current Context\n',
-        `# Current Context\n${stamp}\n`
+      const droppedList = dropped.map(({ intent, error }) => `• ${describeIntent(intent)} — ${error}`).join('\n');
+
+      // Build resolved file list
+      const resolvedFiles = Array.from(fileContents.entries()).map(
+        ([path, content]) => ({ path, content })
       );
-      fileContents.set('data/current.md', currentMdContent);
-      this.contextPack = currentMdContent;
-    }
 
-    // Build resolved file list
-    const resolvedFiles = Array.from(fileContents.entries()).map(
-      ([path, content]) => ({ path, content })
-    );
+      if (resolvedFiles.length === 0) {
+        logger.debug('No files to commit after resolution');
+        if (dropped.length > 0) {
+          await this.notifyUnpersisted(notify, `_Sorry, the repo changed while I was saving and none of these changes still apply:_\n${droppedList}`, logger);
+        }
+        return null;
+      }
 
-    if (resolvedFiles.length === 0) {
-      logger.debug('No files to commit after resolution');
-      return null;
-    }
+      // Use Git Data API for atomic multi-file commit
+      try {
+        const result = await writer.batchWrite(resolvedFiles, message, { baseSha: baseRefSha || undefined });
+        logger.info('Atomic commit successful', {
+          commitSha: result.commitSha,
+          fileCount: resolvedFiles.length,
+          files: resolvedFiles.map(f => f.path),
+          restarted: restart,
+        });
 
-    // Use Git Data API for atomic multi-file commit
-    const writer = this.getGitHubWriter();
-    try {
-      const result = await writer.batchWrite(resolvedFiles, message);
-      logger.info('Atomic commit successful', {
-        commitSha: result.commitSha,
-        fileCount: resolvedFiles.length,
-        files: resolvedFiles.map(f => f.path),
-      });
+        // Update context pack and version
+        if (fileContents.has(CONTEXT_PACK_PATH)) {
+          this.contextPack = fileContents.get(CONTEXT_PACK_PATH);
+          this.contextVersion = result.commitSha;
+          await this.state.storage.put('contextPack', this.contextPack);
+          await this.state.storage.put('contextVersion', this.contextVersion);
+        }
 
-      // Update context version
-      if (hasCurrentMdChanges) {
-        this.contextVersion = result.commitSha;
-        await this.state.storage.put('contextPack', this.contextPack);
-        await this.state.storage.put('contextVersion', this.contextVersion);
-      }
+        if (dropped.length > 0) {
+          await this.notifyUnpersisted(notify, `_The repo changed while I was saving, so these changes didn't persist:_\n${droppedList}`, logger);
+        }
 
-      return result;
-    } catch (error) {
-      if (error.message.includes('422') || error.message.includes('409')) {
-        // HEAD moved (e.g. GitHub Actions pushed) — retry with backoff
-        for (let attempt = 1; attempt <= 3; attempt++) {
-          const delay = attempt * 1000;
-          logger.warn('Ref conflict, retrying commit', { attempt, delay, error: error.message });
-          await new Promise(r => setTimeout(r, delay));
-          try {
-            const retryResult = await writer.batchWrite(resolvedFiles, message);
-            if (hasCurrentMdChanges) {
-              this.contextVersion = retryResult.commitSha;
-              await this.state.storage.put('contextPack', this.contextPack);
-              await this.state.storage.put('contextVersion', this.contextVersion);
-            }
-            return retryResult;
-          } catch (retryError) {
-            if (attempt === 3 || (!retryError.message.includes('422') && !retryError.message.includes('409'))) {
-              logger.error('Retry commit failed', { attempt, error: retryError.message });
-              throw retryError;
-            }
-            // Continue retrying on 422/409
+        return result;
+      } catch (error) {
+        if (!isRefConflict(error)) {
+          throw error;
+        }
+
+        if (restart) {
+          logger.error('Ref conflict after restart, aborting commit', { error: error.message });
+          if (!atomic) {
+            const lost = valid.map(intent => `• ${describeIntent(intent)}`).join('\n');
+            await this.notifyUnpersisted(notify, `_Sorry, the repo kept changing while I was saving, so these changes didn't persist:_\n${lost}`, logger);
           }
+          return null;
         }
+
+        // HEAD moved (e.g. GitHub Actions pushed) — re-resolve against it once
+        logger.warn('Ref conflict, re-resolving write set at new HEAD', { baseRefSha, error: error.message });
+        baseRefSha = null;
+        restart = true;
       }
-      throw error;
     }
   }
 
@@ -1160,7 +1686,7 @@ export class BrainDO {
    */
   async handleRegisterStubs(request, logger) {
     const payload = await request.json();
-    const { test_id, claude, tavily } = payload;
+    const { test_id, claude, tavily, pages, calendars } = payload;
 
     if (!test_id) {
       return new Response(
@@ -1177,10 +1703,23 @@ export class BrainDO {
 
     if (tavily) {
       this._stubTavilyResponses.set(test_id, tavily);
-      this._tavilyClient = null;
     }
 
-    logger.info('Stubs registered', { test_id, hasClaude: !!claude, hasTavily: !!tavily });
+    // Pages are keyed by URL, not test_id
+    if (pages) {
+      for (const [url, html] of Object.entries(pages)) {
+        this._stubPages.set(url, html);
+      }
+    }
+
+    // Calendars too
+    if (calendars) {
+      for (const [url, ics] of Object.entries(calendars)) {
+        this._stubCalendars.set(url, ics);
+      }
+    }
+
+    logger.info('Stubs registered', { test_id, hasClaude: !!claude, hasTavily: !!tavily, pageCount: Object.keys(pages || {}).length });
 
     return new Response(
       JSON.stringify({ status: 'ok', test_id }),
@@ -1218,6 +1757,97 @@ export class BrainDO {
     );
   }
 
+  /**
+   * Handle a Cron Trigger firing forwarded by the Worker.
+   * Runs every job due in this slot. Jobs are isolated from each other —
+   * one failing does not stop the rest (the digest is never gated on
+   * housekeeping).
+   * @param {Object} payload - { cron, scheduled_time }
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<Response>}
+   */
+  async handleScheduled(payload, logger) {
+    const now = new Date(payload.scheduled_time || Date.now());
+    const jobs = getDueJobs(now);
+
+    // A failed housekeeping run is retried on every firing until it succeeds
+    if (!jobs.includes(SCHEDULED_JOBS.HOUSEKEEPING) && await this.state.storage.get(HOUSEKEEPING_FAILURE_KEY)) {
+      jobs.unshift(SCHEDULED_JOBS.HOUSEKEEPING);
+    }
+
+    logger.info('Scheduled trigger', { cron: payload.cron, scheduledTime: now.toISOString(), jobs });
+
+    const results = {};
+    for (const job of jobs) {
+      try {
+        await this.runScheduledJob(job, { now }, logger);
+        results[job] = 'ok';
+      } catch (error) {
+        logger.error('Scheduled job failed', { job, error: error.message, stack: error.stack });
+        results[job] = 'error';
+      }
+    }
+
+    return new Response(
+      JSON.stringify({ status: 'ok', jobs: results }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    );
+  }
+
+  /**
+   * Run a single scheduled job.
+   * @param {string} job - Job identifier (SCHEDULED_JOBS)
+   * @param {Object} options - { now, args }
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<Object>} Job result
+   */
+  async runScheduledJob(job, options, logger) {
+    switch (job) {
+      case SCHEDULED_JOBS.HOUSEKEEPING:
+        return this.runHousekeeping({ ...options, logger });
+
+      case SCHEDULED_JOBS.DAILY_DIGEST:
+        return this.runDailyDigest({ ...options, logger });
+
+      case SCHEDULED_JOBS.RITUAL_REMINDER:
+        return this.runRitualReminder({ ...options, logger });
+
+      case SCHEDULED_JOBS.RECONCILIATION:
+        return this.runReconciliation({ ...options, logger });
+
+      default:
+        throw new Error(`Unknown scheduled job: ${job}`);
+    }
+  }
+
+  /**
+   * Run a scheduled job at a fixed timestamp (system tests only).
+   * Only available when SLACK_MODE=stub so production never exposes it.
+   * @param {Request} request - Request with { job, now, args }
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<Response>}
+   */
+  async handleTestScheduled(request, logger) {
+    if (this.env.SLACK_MODE !== 'stub') {
+      return new Response(JSON.stringify({ error: 'Not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    const { job, now, args } = await request.json();
+    const result = await this.runScheduledJob(
+      job,
+      { now: now ? new Date(now) : new Date(), args },
+      logger
+    );
+
+    return new Response(
+      JSON.stringify({ status: 'ok', job, result }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    );
+  }
+
   /**
    * Handle slash command.
    * @param {Object} payload - Command payload
@@ -1262,7 +1892,7 @@ export class BrainDO {
           }
 
           // Start research with threading (non-blocking from response_url)
-          this.startResearch(query, channel_id, channel_name, logger).catch(error => {
+          this.startResearch(query, channel_id, channel_name, logger, trace_id).catch(error => {
             logger.error('Background research failed', { error: error.message });
           });
 
@@ -1276,11 +1906,12 @@ export class BrainDO {
 
     try {
       let responseText;
+      let responseBlocks;
       let responseType = 'in_channel';
 
       switch (command) {
         case '/what-matters':
-          responseText = await this.handleWhatMatters(args, logger);
+          ({ text: responseText, blocks: responseBlocks } = await this.handleWhatMatters(args, logger));
           break;
 
         case '/capture':
@@ -1295,6 +1926,14 @@ export class BrainDO {
           responseText = await this.handleProjectCommand(args, channel_id, logger);
           break;
 
+        case '/calendar':
+          responseText = await this.handleCalendarCommand(args, logger);
+          break;
+
+        case '/todo':
+          responseText = await this.handleTodoCommand(args, channel_id, logger);
+          break;
+
         default:
           responseText = `Unknown command: ${command}`;
           responseType = 'ephemeral';
@@ -1308,11 +1947,12 @@ export class BrainDO {
           body: JSON.stringify({
             response_type: responseType,
             text: responseText,
+            ...(responseBlocks && { blocks: responseBlocks }),
           }),
         });
       } else if (channel_id) {
         const slack = this.getSlackClient();
-        await slack.postMessage({ channel: channel_id, text: responseText });
+        await slack.postMessage({ channel: channel_id, text: responseText, ...(responseBlocks && { blocks: responseBlocks }) });
       }
 
       return new Response(
@@ -1347,20 +1987,350 @@ export class BrainDO {
    * Handle /what-matters command.
    * Fetches fresh calendar and stream data, then prioritizes.
    * @param {Object} logger - Logger instance
-   * @returns {Promise<string>} Response text
+   * @returns {Promise<{ text: string, blocks?: Object[] }>} Response text, with Open Loops blocks when there are any
    */
   async handleWhatMatters(args, logger) {
     logger.info('Processing /what-matters');
 
-    const claudeClient = this.getClaudeClient();
+    const data = await this.gatherWhatMattersData(new Date(), logger);
+    const text = await this.composeWhatMatters(data, args);
+    return { text, blocks: this.buildMessageBlocks(text, data.todayISO) };
+  }
+
+  /**
+   * Lay out a message as Block Kit: the text, then the open tasks with
+   * checkboxes and menus (see open-loop-blocks.js).
+   * @param {string} text - mrkdwn message text
+   * @param {string} today - Local date (YYYY-MM-DD)
+   * @returns {Object[]|undefined} Blocks, or undefined when no task can be shown
+   */
+  buildMessageBlocks(text, today) {
+    const loopBlocks = buildOpenLoopBlocks(readOpenLoops(this.contextPack), today);
+    return loopBlocks.length ? [...textToSections(text), ...loopBlocks] : undefined;
+  }
+
+  /**
+   * Run morning housekeeping in one `[housekeeping]` commit:
+   * - move past `## YYYY-MM-DD` blocks from calendar-current.md to calendar-past.md
+   * - move Snoozed items whose wake date has come back to Open Loops, with a stream note
+   * - materialize recurring.md: events for the coming week into the
+   *   calendar, tasks due today into Open Loops
+   * Failures are recorded in DO storage (for the digest's system health
+   * note and the retry on the next firing) and rethrown.
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Reference time (defaults to now)
+   * @param {Object} [options.logger] - Logger instance
+   * @returns {Promise<{ moved: string[], woken?: string[], recurring?: { events: Object[], tasks: string[] }, commitSha?: string }>}
+   */
+  async runHousekeeping({ now = new Date(), logger = this.getLogger() } = {}) {
+    const today = getLocalDate(now);
+    logger.info('Running housekeeping', { today });
+
+    try {
+      // Read everything at one commit, which the calendar puts are pinned to
+      const reader = this.getGitHubReader();
+      const ref = await reader.getHeadSha();
+      const [currentContent, pastContent, packContent, recurringContent] = await Promise.all([
+        reader.getContent(CALENDAR_PATH, ref),
+        reader.getContent('data/planning/calendar-past.md', ref),
+        reader.getContent(CONTEXT_PACK_PATH, ref),
+        reader.getContent(RECURRING_PATH, ref),
+      ]);
+
+      const intents = [];
+      const changes = [];
+      let moved = [];
+      let calendar = currentContent;
+
+      if (currentContent) {
+        const rotation = rotateCalendar(currentContent, pastContent || '', today);
+        moved = rotation.moved;
+
+        if (moved.length > 0) {
+          calendar = rotation.current;
+          intents.push(putIntent('data/planning/calendar-past.md', rotation.past, ref));
+          changes.push(`Archive ${moved.length} past calendar day(s)`);
+        }
+      }
+
+      const { entries, invalid } = parseRecurring(recurringContent);
+      if (invalid.length > 0) {
+        logger.warn('Skipping unreadable recurring entries', { invalid });
+      }
+      const recurring = materializeRecurring(entries, {
+        today,
+        through: await this.state.storage.get(RECURRING_THROUGH_KEY) || {},
+      });
+
+      // Events already on the calendar (typed by hand, or from an earlier run) are skipped
+      const { content: withEvents, added: addedEvents } = recurring.events.length > 0
+        ? mergeEvents(calendar, recurring.events)
+        : { content: calendar, added: [] };
+      if (addedEvents.length > 0) {
+        calendar = withEvents;
+        changes.push(`Add ${addedEvents.length} recurring event(s)`);
+      }
+      if (calendar !== currentContent) {
+        intents.push(putIntent(CALENDAR_PATH, calendar, ref));
+      }
+
+      const addedTasks = packContent ? recurring.tasks : [];
+      let { woken } = packContent ? wakeSnoozed(packContent, today) : { woken: [] };
+      if (woken.length > 0 || addedTasks.length > 0) {
+        // Both apply to the DO's pack, so load it before listing items
+        await this.ensureContext(logger);
+        ({ woken } = wakeSnoozed(this.contextPack, today));
+      }
+      if (woken.length > 0) {
+        const time = getLocalTime(now);
+        intents.push(
+          toolIntent(CONTEXT_PACK_PATH, 'wake_snoozed', { until: today }),
+          toolIntent(`data/stream/${today}.md`, 'append_to_section', {
+            heading: '## Captures',
+            content: woken.map(line => `- ${time} | [housekeeping] Back from snooze: ${stripTaskId(line.replace(/^[-*]\s+(\[[ xX]\]\s+)?/, ''))}`).join('\n'),
+          }),
+        );
+        changes.push(`Wake ${woken.length} snoozed item(s)`);
+      }
+
+      // Open copies of the same task merge in Open Loops, taking the new due date
+      if (addedTasks.length > 0) {
+        intents.push(toolIntent(CONTEXT_PACK_PATH, 'append_to_section', {
+          heading: OPEN_LOOPS_HEADING,
+          content: addedTasks.join('\n'),
+        }));
+        changes.push(`Add ${addedTasks.length} recurring task(s)`);
+      }
+
+      let result = {
+        moved,
+        ...(woken.length > 0 && { woken }),
+        ...((addedEvents.length > 0 || addedTasks.length > 0) && { recurring: { events: addedEvents, tasks: addedTasks } }),
+      };
+
+      if (intents.length > 0) {
+        // A rotation half-applied would leave days in both calendar files, so
+        // if either changed since `ref` nothing is written and the next firing retries
+        const commit = await this.commitWriteSet(intents, `[housekeeping] ${changes.join('; ')}`, logger, { atomic: true });
+        if (!commit) {
+          throw new Error('Housekeeping commit was not written');
+        }
+        result = { ...result, commitSha: commit.commitSha };
+      }
+
+      if (entries.length > 0) {
+        await this.state.storage.put(RECURRING_THROUGH_KEY, recurring.through);
+      }
+      await this.state.storage.delete(HOUSEKEEPING_FAILURE_KEY);
+      logger.info('Housekeeping complete', { today, moved: result.moved, woken: woken.length });
+
+      return result;
+    } catch (error) {
+      await this.state.storage.put(HOUSEKEEPING_FAILURE_KEY, {
+        date: today,
+        error: error.message,
+        failedAt: new Date().toISOString(),
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Run the nightly reconciliation: rebuild current.md's sourced sections
+   * in memory from the files on GitHub and compare them with the committed
+   * pack. The per-section report is stored for the next daily digest.
+   * Every file is read at one commit, so a commit landing mid-run can't
+   * show up as drift. Read-only — detects drift, never repairs it.
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Reference time (defaults to now)
+   * @param {Object} [options.logger] - Logger instance
+   * @returns {Promise<Object>} Report { checkedAt, dates, checked, drifted } or { skipped }
+   */
+  async runReconciliation({ now = new Date(), logger = this.getLogger() } = {}) {
     const reader = this.getGitHubReader();
+    const ref = await reader.getHeadSha();
+    const current = await reader.getContent('data/current.md', ref);
+    if (!current) {
+      logger.info('Reconciliation skipped: no current.md');
+      return { skipped: 'no_context' };
+    }
 
-    // Get current date context
-    const now = new Date();
-    const dayOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][now.getDay()];
-    const dateStr = now.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
-    const todayISO = now.toISOString().split('T')[0];
-    const tomorrowISO = new Date(now.getTime() + 86400000).toISOString().split('T')[0];
+    const dates = getPackDates(current, {
+      today: getLocalDate(now),
+      weekId: getWeekId(now),
+      monthId: getMonthId(now),
+    });
+    const paths = getSourcePaths(dates);
+    const contents = await Promise.all(paths.map(path => reader.getContent(path, ref)));
+    const files = Object.fromEntries(paths.map((path, i) => [path, contents[i] || '']));
+
+    const report = {
+      checkedAt: now.toISOString(),
+      ref,
+      dates,
+      ...reconcileContext(current, files, dates),
+    };
+    await this.state.storage.put(RECONCILIATION_REPORT_KEY, report);
+
+    if (report.drifted.length > 0) {
+      logger.warn('Context drift detected', {
+        sections: report.drifted.map(d => d.section),
+        drifted: report.drifted,
+      });
+    } else {
+      logger.info('Reconciliation clean', { checked: report.checked.length });
+    }
+
+    return report;
+  }
+
+  /**
+   * Run the daily digest: the /what-matters output, posted to #sb-inbox.
+   * Read-only — no file writes. Takes the reference time as a parameter
+   * so system tests can run it at a fixed timestamp.
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Reference time (defaults to now)
+   * @param {string} [options.args] - Additional context for the prompt
+   * @param {Object} [options.logger] - Logger instance
+   * @returns {Promise<{ channel: string, ts: string, text: string }>}
+   */
+  async runDailyDigest({ now = new Date(), args = '', logger = this.getLogger() } = {}) {
+    logger.info('Running daily digest', { now: now.toISOString() });
+
+    const channel = this.env.SLACK_INBOX_CHANNEL_ID;
+    if (!channel) {
+      throw new Error('SLACK_INBOX_CHANNEL_ID is not configured');
+    }
+
+    await this.ensureContext(logger);
+
+    const data = await this.gatherWhatMattersData(now, logger);
+    let text = await this.composeWhatMatters(data, args);
+
+    // Not gated on housekeeping — just flag that the calendar may be stale
+    const housekeepingFailure = await this.state.storage.get(HOUSEKEEPING_FAILURE_KEY);
+    if (housekeepingFailure) {
+      text += "\n\n_Note: calendar cleanup didn't run this morning — past events may still appear._";
+    }
+
+    const driftNote = formatDriftNote(await this.state.storage.get(RECONCILIATION_REPORT_KEY));
+    if (driftNote) {
+      text += `\n\n${driftNote}`;
+    }
+
+    const blocks = this.buildMessageBlocks(text, data.todayISO);
+    const slackClient = this.getSlackClient();
+    const posted = await slackClient.postMessage({ channel, text, ...(blocks && { blocks }) });
+
+    logger.info('Daily digest posted', {
+      channel,
+      date: data.todayISO,
+      housekeepingFailed: !!housekeepingFailure,
+      driftDetected: !!driftNote,
+    });
+
+    return { channel, ts: posted?.ts, text };
+  }
+
+  /**
+   * Run the Sunday ritual reminder.
+   * First Sunday of the month nudges #sb-monthly; other Sundays nudge
+   * #sb-weekly. Skipped if RitualDO already has a session for the period,
+   * and recorded in DO storage so a duplicate cron firing can't double-post.
+   * Read-only — no file writes.
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Reference time (defaults to now)
+   * @param {Object} [options.logger] - Logger instance
+   * @returns {Promise<Object>} { ritualType, periodId, channel, ts } or { skipped }
+   */
+  async runRitualReminder({ now = new Date(), logger = this.getLogger() } = {}) {
+    const ritualType = getReminderRitualType(now);
+    if (!ritualType) {
+      logger.info('Ritual reminder skipped: not Sunday', { now: now.toISOString() });
+      return { skipped: 'not_sunday' };
+    }
+
+    const periodId = ritualType === 'weekly' ? getWeekId(now) : getMonthId(now);
+    const firedKey = `reminder:${ritualType}:${periodId}`;
+
+    const channel = ritualType === 'weekly'
+      ? this.env.SLACK_WEEKLY_CHANNEL_ID
+      : this.env.SLACK_MONTHLY_CHANNEL_ID;
+    if (!channel) {
+      throw new Error(`No channel configured for ${ritualType} reminder`);
+    }
+
+    // Check and claim the firing before awaiting RitualDO or Slack, so an
+    // overlapping cron or alarm invocation sees the claim and skips. This
+    // relies on DO storage ordering: no other event interleaves between the
+    // get and the put. The claim is released if nothing is sent
+    if (await this.state.storage.get(firedKey)) {
+      logger.info('Ritual reminder skipped: already sent', { ritualType, periodId });
+      return { ritualType, periodId, skipped: 'already_sent' };
+    }
+    await this.state.storage.put(firedKey, { channel, firedAt: now.toISOString(), pending: true });
+
+    let posted;
+    try {
+      // Don't nudge if the user already started (or finished) this period's ritual
+      const ritualDO = this.env.RITUAL_DO.get(this.env.RITUAL_DO.idFromName(`ritual-${ritualType}`));
+      const statusResponse = await ritualDO.fetch(
+        new Request('http://internal/status', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ritualType, periodId }),
+        })
+      );
+      const status = await statusResponse.json();
+
+      if (status.sessions?.length > 0) {
+        logger.info('Ritual reminder skipped: session exists', {
+          ritualType,
+          periodId,
+          sessionCount: status.sessions.length,
+        });
+        await this.state.storage.delete(firedKey);
+        return { ritualType, periodId, skipped: 'session_exists' };
+      }
+
+      const text = ritualType === 'monthly'
+        ? "Good morning. It's the first Sunday of the month — ready for your monthly review? Reply here whenever you're ready and we'll look back at the month and set up the next one."
+        : "Good morning. Ready for your weekly review? Reply here whenever you're ready and we'll look at how the week went and plan the next one.";
+
+      posted = await this.getSlackClient().postMessage({ channel, text });
+    } catch (error) {
+      await this.state.storage.delete(firedKey);
+      throw error;
+    }
+
+    await this.state.storage.put(firedKey, {
+      channel,
+      ts: posted?.ts,
+      firedAt: now.toISOString(),
+    });
+
+    logger.info('Ritual reminder posted', { ritualType, periodId, channel });
+
+    return { ritualType, periodId, channel, ts: posted?.ts };
+  }
+
+  /**
+   * Assemble the data /what-matters and the daily digest reason over.
+   * Calendar, today's stream and this week's plan are read fresh from
+   * GitHub; Pending Review items and their ages come from the context pack.
+   * @param {Date} now - Reference time
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<Object>} Date labels and source content
+   */
+  async gatherWhatMattersData(now, logger) {
+    const reader = this.getGitHubReader();
+
+    const dayOfWeek = getDayOfWeek(now);
+    const dateStr = now.toLocaleDateString('en-US', {
+      month: 'long', day: 'numeric', year: 'numeric', timeZone: getTimezone(),
+    });
+    const todayISO = getLocalDate(now);
+    const tomorrowISO = getLocalDate(new Date(now.getTime() + 86400000));
 
     // Fetch fresh data in parallel
     const [calendar, todayStream, weeklyPlan] = await Promise.all([
@@ -1375,6 +2345,28 @@ export class BrainDO {
       hasWeekly: !!weeklyPlan,
     });
 
+    // Pending Review comes from the context pack, with how long each has waited
+    const pendingItems = readPendingReview(this.contextPack);
+    const pendingReview = pendingItems.map((item) => {
+      const age = formatPendingAge(item, todayISO);
+      return `- ${item.text}${age ? ` (${age})` : ''}`;
+    }).join('\n');
+
+    return { dayOfWeek, dateStr, todayISO, tomorrowISO, calendar, todayStream, weeklyPlan, pendingReview, pendingItems };
+  }
+
+  /**
+   * Prioritize the assembled data with Claude and format the reply.
+   * Pending Review items follow the priorities verbatim, with their age
+   * and a link to the thread they came from.
+   * @param {Object} data - Output of gatherWhatMattersData
+   * @param {string} [args] - Additional context from the user
+   * @returns {Promise<string>} Formatted Slack text
+   */
+  async composeWhatMatters(data, args) {
+    const { dayOfWeek, dateStr, todayISO, tomorrowISO, calendar, todayStream, weeklyPlan, pendingReview, pendingItems = [] } = data;
+    const claudeClient = this.getClaudeClient();
+
     const systemPrompt = `You are a personal assistant helping Colin determine what matters most TODAY.
 
 TODAY: ${dayOfWeek}, ${dateStr}
@@ -1384,7 +2376,7 @@ Any appointments or events scheduled for TODAY should be highlighted prominently
 
 Your job:
 1. First, list any calendar events for TODAY - these are non-negotiable time commitments
-2. Surface any Pending Review items that are blocking other work
+2. Mention a Pending Review item only if it blocks a priority — the full list is appended after your reply
 3. Then identify 2-3 other important priorities from open loops, weekly goals, or patterns
 4. Be CONCISE - just a focused list, not paragraphs of explanation
 5. Don't lecture - just help focus
@@ -1397,10 +2389,6 @@ Format:
 1. Priority with brief why
 2. Priority with brief why`;
 
-    // Extract Pending Review from context pack
-    const pendingReviewMatch = this.contextPack?.match(/## Pending Review\n([\s\S]*?)(?=\n## |$)/);
-    const pendingReview = pendingReviewMatch?.[1]?.trim() || '';
-
     const freshContext = `## Calendar (IMPORTANT - check for today ${todayISO} and tomorrow ${tomorrowISO})
 ${calendar || 'No calendar data'}
 
@@ -1414,14 +2402,15 @@ ${weeklyPlan || 'No weekly plan'}
 ${pendingReview || 'No pending items'}
 
 ## Background Context
-${this.contextPack?.slice(0, 3000) || 'No context loaded'}${args ? `\n\n## Additional Context\n${args}` : ''}`;
+${hideSnoozed(this.contextPack)?.slice(0, 3000) || 'No context loaded'}${args ? `\n\n## Additional Context\n${args}` : ''}`;
 
     const response = await claudeClient.message({
       system: systemPrompt,
       userMessage: freshContext,
     });
 
-    return `*What Matters Today* (${dayOfWeek}, ${dateStr})\n\n${response}`;
+    const pendingBlock = formatPendingReviewForSlack(pendingItems, todayISO);
+    return `*What Matters Today* (${dayOfWeek}, ${dateStr})\n\n${response}${pendingBlock ? `\n\n${pendingBlock}` : ''}`;
   }
 
   /**
@@ -1517,6 +2506,376 @@ ${this.contextPack?.slice(0, 3000) || 'No context loaded'}${args ? `\n\n## Addit
     return result.message || `Starting ${ritualType} ritual...`;
   }
 
+  /**
+   * Handle /calendar command.
+   * Subcommands: import <url>
+   * @param {string} args - Command arguments
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<string>} Response text
+   */
+  async handleCalendarCommand(args, logger) {
+    const [subcommand, ...rest] = (args || '').trim().split(/\s+/);
+    const usage = 'Usage: `/calendar import <url>` — import events from an .ics file';
+
+    if (subcommand?.toLowerCase() !== 'import') {
+      return usage;
+    }
+
+    // Slack wraps links in <...> (and <url|label>)
+    const url = rest.join(' ').replace(/^<|>$/g, '').split('|')[0].replace(/^webcal:/i, 'https:');
+    if (!/^https?:\/\//i.test(url)) {
+      return usage;
+    }
+
+    let ics;
+    try {
+      ics = await this.getCalendarFetcher().fetchCalendar(url);
+    } catch (error) {
+      logger.warn('Calendar import fetch failed', { url, error: error.message });
+      return `Couldn't fetch ${url} (${error.message}).`;
+    }
+
+    const result = await this.importCalendar(ics, { source: url, logger });
+    return formatImportSummary(result, url);
+  }
+
+  /**
+   * Handle a Block Kit interaction forwarded by the Worker's /interactive route.
+   * Checking an Open Loops box marks the task complete; the overflow menu
+   * drops it or snoozes it to the Snoozed section. The change is
+   * committed, then the message is updated in place so the row shows what
+   * happened.
+   * @param {Object} payload - Slack `block_actions` payload
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<Response>}
+   */
+  async handleInteractive(payload, logger) {
+    const ok = () => new Response(JSON.stringify({ status: 'ok' }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+
+    const request = payload.type === 'block_actions' ? parseOpenLoopAction(payload.actions?.[0]) : null;
+    if (!request) {
+      logger.debug('Ignoring interaction', { type: payload.type, actionId: payload.actions?.[0]?.action_id });
+      return ok();
+    }
+
+    await this.ensureContext(logger);
+
+    const channel = payload.channel?.id;
+    const message = payload.message;
+    const task = readOpenLoops(this.contextPack).find(t => t.id === request.id && !t.checked);
+    let note;
+
+    if (!task) {
+      note = '_Already done or removed._';
+    } else {
+      const item = `^${task.id}`;
+      let intent;
+      let summary;
+
+      if (request.op === 'done') {
+        intent = toolIntent(CONTEXT_PACK_PATH, 'mark_complete', { item });
+        summary = `done: ${task.title}`;
+        note = `~${task.title}~ — done`;
+      } else if (request.op === 'drop') {
+        intent = toolIntent(CONTEXT_PACK_PATH, 'remove_item', { item, heading: OPEN_LOOPS_HEADING });
+        summary = `drop: ${task.title}`;
+        note = `~${task.title}~ — dropped`;
+      } else {
+        const until = getLocalDate(new Date(Date.now() + request.days * 86400000));
+        intent = toolIntent(CONTEXT_PACK_PATH, 'snooze_item', { item, until, heading: OPEN_LOOPS_HEADING });
+        summary = `snoozed until ${until}: ${task.title}`;
+        note = `${task.title} — snoozed until ${until}`;
+      }
+
+      const saved = await this.commitOpenLoopChange([intent], summary, channel, logger);
+      if (!saved) {
+        return ok();
+      }
+    }
+
+    if (channel && message?.ts) {
+      try {
+        await this.getSlackClient().updateMessage({
+          channel,
+          ts: message.ts,
+          text: message.text || '',
+          blocks: resolveOpenLoopBlock(message.blocks, request.id, note),
+        });
+      } catch (error) {
+        logger.warn('Could not update message after Open Loops action', { error: error.message });
+      }
+    }
+
+    logger.info('Open Loops action handled', { op: request.op, id: request.id, found: Boolean(task) });
+    return ok();
+  }
+
+  /**
+   * Handle /todo command.
+   * Edits Open Loops directly, without a Claude call. Tasks are referenced
+   * by their number in `/todo list`, their `^id`, or a description.
+   * Subcommands: list, add <text>, done <ref>, drop <ref>, snooze <ref> <when>, clear, move <ref> to <project>
+   * @param {string} args - Command arguments
+   * @param {string} channelId - Channel ID
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<string>} Response text
+   */
+  async handleTodoCommand(args, channelId, logger) {
+    const trimmed = (args || '').trim();
+    const subcommand = trimmed.split(/\s+/)[0]?.toLowerCase() || 'list';
+    const rest = trimmed.slice(subcommand.length).trim();
+    const tasks = readOpenLoops(this.contextPack);
+    const openTasks = tasks.filter(task => !task.checked);
+    const usage = 'Usage:\n• `/todo list`\n• `/todo add <text>`\n• `/todo done <n|id>`\n• `/todo drop <n|id>`\n• `/todo snooze <n|id> <YYYY-MM-DD|tomorrow|3d>`\n• `/todo clear` - remove completed items\n• `/todo move <n|id> to <project-slug>`';
+
+    logger.info('Processing /todo', { subcommand });
+
+    switch (subcommand) {
+      case 'list': {
+        if (!openTasks.length) {
+          return 'No open loops.';
+        }
+        const today = getLocalDate();
+        const lines = openTasks.map((task, i) => {
+          const due = formatDue(task, today);
+          return `${i + 1}. ${task.title}${due ? ` (${due})` : ''}${task.id ? ` \`^${task.id}\`` : ''}`;
+        });
+        return `*Open Loops*\n${lines.join('\n')}`;
+      }
+
+      case 'add': {
+        if (!rest) {
+          return 'Usage: `/todo add <text>`';
+        }
+        const saved = await this.commitOpenLoopChange([
+          toolIntent(CONTEXT_PACK_PATH, 'append_to_section', { heading: OPEN_LOOPS_HEADING, content: `- [ ] ${rest}` }),
+        ], `added: ${rest}`, channelId, logger);
+        return saved ? `Added to Open Loops: "${rest}"` : 'Open Loops unchanged.';
+      }
+
+      case 'done':
+      case 'drop': {
+        if (!rest) {
+          return `Usage: \`/todo ${subcommand} <n|id>\``;
+        }
+        const { task, error } = resolveTodo(openTasks, rest);
+        if (error) {
+          return error;
+        }
+        const item = task.id ? `^${task.id}` : task.text;
+        const intent = subcommand === 'done'
+          ? toolIntent(CONTEXT_PACK_PATH, 'mark_complete', { item })
+          : toolIntent(CONTEXT_PACK_PATH, 'remove_item', { item, heading: OPEN_LOOPS_HEADING });
+        const saved = await this.commitOpenLoopChange([intent], `${subcommand}: ${task.title}`, channelId, logger);
+        if (!saved) {
+          return 'Open Loops unchanged.';
+        }
+        return subcommand === 'done' ? `✅ Done: "${task.title}"` : `Dropped: "${task.title}"`;
+      }
+
+      case 'snooze': {
+        const match = rest.match(/^(.+?)\s+(?:until\s+)?(\S+)$/i);
+        const until = match && parseSnoozeUntil(match[2], new Date());
+        if (!until) {
+          return 'Usage: `/todo snooze <n|id> <YYYY-MM-DD|tomorrow|3d>`';
+        }
+        const { task, error } = resolveTodo(openTasks, match[1]);
+        if (error) {
+          return error;
+        }
+        const saved = await this.commitOpenLoopChange([
+          toolIntent(CONTEXT_PACK_PATH, 'snooze_item', {
+            item: task.id ? `^${task.id}` : task.text,
+            until,
+            heading: OPEN_LOOPS_HEADING,
+          }),
+        ], `snoozed until ${until}: ${task.title}`, channelId, logger);
+        return saved ? `💤 Snoozed "${task.title}" until ${until}.` : 'Open Loops unchanged.';
+      }
+
+      case 'clear': {
+        const completed = tasks.filter(task => task.checked);
+        if (!completed.length) {
+          return 'No completed items to clear.';
+        }
+        const intents = completed.map(task => toolIntent(CONTEXT_PACK_PATH, 'remove_item', {
+          item: task.id ? `^${task.id}` : task.text,
+          heading: OPEN_LOOPS_HEADING,
+        }));
+        const count = `${completed.length} completed item${completed.length === 1 ? '' : 's'}`;
+        const saved = await this.commitOpenLoopChange(intents, `cleared ${count}`, channelId, logger);
+        return saved ? `Cleared ${count}.` : 'Open Loops unchanged.';
+      }
+
+      case 'move': {
+        const match = rest.match(/^(.+?)\s+to\s+(\S+)$/i);
+        if (!match) {
+          return 'Usage: `/todo move <n|id> to <project-slug>`';
+        }
+        const { task, error } = resolveTodo(openTasks, match[1]);
+        if (error) {
+          return error;
+        }
+
+        const slug = match[2].replace(/^#?proj-/, '').toLowerCase();
+        const spreadPath = `data/projects/${slug}/spread.md`;
+        const spread = await this.getGitHubReader().getContent(spreadPath).catch(() => null);
+        if (!spread) {
+          return `Project "${slug}" not found.`;
+        }
+
+        const { title, due, contexts, estimate, role } = task;
+        const saved = await this.commitOpenLoopChange([
+          toolIntent(CONTEXT_PACK_PATH, 'remove_item', { item: task.id ? `^${task.id}` : task.text, heading: OPEN_LOOPS_HEADING }),
+          toolIntent(spreadPath, 'append_to_section', {
+            heading: '## Next Actions',
+            content: `- [ ] ${formatTaskText({ title, due, contexts, estimate, role })}`,
+          }),
+        ], `moved to ${slug}: ${task.title}`, channelId, logger);
+        return saved ? `Moved "${task.title}" to *${slug}* next actions.` : 'Open Loops unchanged.';
+      }
+
+      default:
+        return usage;
+    }
+  }
+
+  /**
+   * Commit an Open Loops change from /todo or a Block Kit action,
+   * together with its stream log entry.
+   * @param {Array} intents - Open Loops (and project) write intents
+   * @param {string} summary - What changed, e.g. "done: Call PCP"
+   * @param {string} channelId - Channel to report a failed commit in
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<Object|null>} Commit result, or null if nothing was saved
+   */
+  async commitOpenLoopChange(intents, summary, channelId, logger) {
+    const entry = `- ${getLocalTime()} | [todo] ${summary}`;
+    const result = await this.commitWriteSet([
+      ...intents,
+      toolIntent(`data/stream/${getLocalDate()}.md`, 'append_to_section', { heading: '## Captures', content: entry }),
+    ], `Todo ${summary.slice(0, 60)}`, logger, { notify: channelId ? { channel: channelId } : undefined });
+
+    logger.info('Open Loops change committed', { summary, saved: Boolean(result) });
+    return result;
+  }
+
+  /**
+   * Import an .ics file shared in #sb-inbox and reply in its thread.
+   * @param {Object} payload - Message payload (with files)
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<Response>}
+   */
+  async handleCalendarFileShare(payload, logger) {
+    const file = findIcsFile(payload.files);
+    const slackClient = this.getSlackClient();
+    logger.info('Calendar file shared', { fileId: file.id, name: file.name });
+
+    let text;
+    try {
+      const ics = await slackClient.downloadFile(file.url_private_download);
+      const result = await this.importCalendar(ics, { source: file.name, logger });
+      text = formatImportSummary(result, file.name);
+    } catch (error) {
+      logger.error('Calendar file import failed', { fileId: file.id, error: error.message });
+      text = `Sorry, I couldn't import ${file.name}: ${error.message}`;
+    }
+
+    await slackClient.postMessage({
+      channel: payload.channel_id,
+      thread_ts: payload.thread_ts || payload.message_ts,
+      text,
+    });
+
+    return new Response(
+      JSON.stringify({ status: 'ok', action: 'calendar_import', trace_id: payload.trace_id }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    );
+  }
+
+  /**
+   * Import iCalendar events into calendar-current.md.
+   * Events before today are dropped, simple recurrences are expanded over
+   * the import window, and events already on the calendar are skipped.
+   * Events imported before whose title or time changed at the source
+   * replace their old line (see mergeEvents). All changes land in one commit,
+   * merged again at the new HEAD if the calendar changed in the meantime.
+   * @param {string} ics - iCalendar text
+   * @param {Object} options
+   * @param {string} options.source - Where the file came from (for the commit message)
+   * @param {Date} [options.now] - Reference time (defaults to now)
+   * @param {Object} options.logger - Logger instance
+   * @returns {Promise<Object>} { added, updated, duplicates, unsupportedRecurrences, commitSha }
+   */
+  async importCalendar(ics, { source, now = new Date(), logger }) {
+    const today = getLocalDate(now);
+    const vevents = parseIcs(ics);
+    const { events, unsupportedRecurrences } = icsToCalendarEvents(vevents, { today });
+
+    const imported = (await this.state.storage.get(CALENDAR_IMPORTS_KEY)) || {};
+    const reader = this.getGitHubReader();
+
+    // If the calendar changes while we commit, merge again on top of the change
+    let merged;
+    let commitSha = null;
+    for (let attempt = 1; ; attempt++) {
+      const ref = await reader.getHeadSha();
+      const current = await reader.getContent(CALENDAR_PATH, ref);
+      merged = mergeEvents(current || '', events, { imported });
+      const { content, added, updated } = merged;
+
+      logger.info('Calendar import parsed', {
+        source,
+        ref,
+        vevents: vevents.length,
+        events: events.length,
+        added: added.length,
+        updated: updated.length,
+        duplicates: merged.duplicates.length,
+        unsupportedRecurrences,
+      });
+
+      if (added.length === 0 && updated.length === 0) {
+        break;
+      }
+
+      const changes = updated.length > 0
+        ? `${added.length} event(s), ${updated.length} update(s)`
+        : `${added.length} event(s)`;
+      const commit = await this.commitWriteSet(
+        [putIntent(CALENDAR_PATH, content, ref)],
+        `Import calendar: ${changes} from ${source}`.slice(0, 120),
+        logger,
+        { atomic: true }
+      );
+      if (commit) {
+        commitSha = commit.commitSha;
+        break;
+      }
+      if (attempt === CALENDAR_IMPORT_ATTEMPTS) {
+        throw new Error('Calendar import commit was not written');
+      }
+    }
+    const { added, updated, duplicates } = merged;
+
+    // Remember what each ICS event looks like on the calendar now
+    const remembered = Object.fromEntries(
+      Object.entries(imported).filter(([, event]) => event.date >= today)
+    );
+    for (const { uid, date, time, title } of [...added, ...updated]) {
+      if (uid) remembered[uid] = { date, time, title };
+    }
+    for (const { uid, date, matched } of duplicates) {
+      if (uid) remembered[uid] = { date, time: matched.time, title: matched.title };
+    }
+    await this.state.storage.put(CALENDAR_IMPORTS_KEY, remembered);
+
+    return { added, updated, duplicates, unsupportedRecurrences, commitSha };
+  }
+
   /**
    * Handle /project command.
    * Project management commands.
@@ -1615,12 +2974,13 @@ _Add project description here_
 
     try {
       // Step 1: Create files + rebuild index atomically
-      const updatedIndex = await this.rebuildProjectIndex(logger, { [slug]: spreadContent });
+      const ref = await this.getGitHubReader().getHeadSha();
+      const updatedIndex = await this.rebuildProjectIndex(logger, { [slug]: spreadContent }, ref);
 
       const intents = [
-        putIntent(`data/projects/${slug}/spread.md`, spreadContent),
+        putIntent(`data/projects/${slug}/spread.md`, spreadContent, ref),
         putIntent(`data/projects/${slug}/logs/.gitkeep`, ''),
-        putIntent('data/projects/index.md', updatedIndex),
+        putIntent('data/projects/index.md', updatedIndex, ref),
       ];
       await this.commitWriteSet(intents, `Create project: ${name}`, logger);
 
@@ -1706,10 +3066,12 @@ _Add project description here_
     const reader = this.getGitHubReader();
     const spreadPath = `data/projects/${slug}/spread.md`;
 
-    // Read current spread
+    // Read current spread, at the commit the puts are pinned to
+    let ref;
     let spread;
     try {
-      spread = await reader.getContent(spreadPath);
+      ref = await reader.getHeadSha();
+      spread = await reader.getContent(spreadPath, ref);
     } catch {
       return `Project "${slug}" not found.`;
     }
@@ -1725,11 +3087,11 @@ _Add project description here_
     );
 
     // Rebuild index with updated spread
-    const updatedIndex = await this.rebuildProjectIndex(logger, { [slug]: updatedSpread });
+    const updatedIndex = await this.rebuildProjectIndex(logger, { [slug]: updatedSpread }, ref);
 
     const intents = [
-      putIntent(spreadPath, updatedSpread),
-      putIntent('data/projects/index.md', updatedIndex),
+      putIntent(spreadPath, updatedSpread, ref),
+      putIntent('data/projects/index.md', updatedIndex, ref),
     ];
     await this.commitWriteSet(intents, `Archive project: ${slug}`, logger);
 
@@ -1755,15 +3117,155 @@ _Add project description here_
     return `Archived project: *${slug}*`;
   }
 
+  /**
+   * Handle notify_spread_updated from a ProjectDO.
+   * @param {Object} payload - { slug (null for research without a project),
+   *   intents, message, trace_id, notify }
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<Response>}
+   */
+  async handleSpreadUpdated(payload, logger) {
+    if (!Array.isArray(payload.intents) || payload.intents.length === 0) {
+      return new Response(
+        JSON.stringify({ error: 'intents are required' }),
+        { status: 400, headers: { 'Content-Type': 'application/json' } }
+      );
+    }
+
+    await this.queueSpreadUpdate(payload, logger);
+
+    return new Response(
+      JSON.stringify({ status: 'ok', action: 'spread_update_queued', slug: payload.slug ?? null }),
+      { status: 202, headers: { 'Content-Type': 'application/json' } }
+    );
+  }
+
+  /**
+   * Queue write intents that update a spread (research log, `## Research`,
+   * stream line) for one coalesced commit. Updates arriving within
+   * SPREAD_UPDATE_COALESCE_MS of the first share a commit and a single
+   * project index rebuild. The queue lives in DO storage so an eviction
+   * doesn't lose it; the alarm commits it.
+   * @param {Object} update
+   * @param {string|null} update.slug - Project slug (null for research without a project)
+   * @param {Array<Object>} update.intents - Write intents
+   * @param {string} update.message - Commit message
+   * @param {string} [update.trace_id] - Trace ID of the originating message
+   * @param {Object} [update.notify] - { channel, thread_ts } for reporting writes that didn't persist
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<void>}
+   */
+  async queueSpreadUpdate({ slug, intents, message, trace_id, notify }, logger) {
+    const pending = await this.state.storage.get(SPREAD_UPDATES_KEY) || [];
+    pending.push({ slug: slug || null, intents, message, traceId: trace_id || null, notify: notify || null });
+    await this.state.storage.put(SPREAD_UPDATES_KEY, pending);
+
+    if (!await this.state.storage.getAlarm()) {
+      await this.state.storage.setAlarm(Date.now() + SPREAD_UPDATE_COALESCE_MS);
+    }
+
+    logger.info('Spread update queued', { slug, intentCount: intents.length, pending: pending.length });
+  }
+
+  /**
+   * Commit all queued spread updates with the rebuilt project index.
+   * A later put to the same file supersedes an earlier one; tool intents
+   * (e.g. appending to ## Research) all apply. If several updates can't
+   * commit together (an intent fails or no longer applies), each is
+   * committed on its own, so one bad run doesn't sink the others and
+   * each reports to its own thread. If a commit throws, the updates not
+   * yet committed go back on the queue and the error propagates.
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<{ commitSha: string, files: string[] } | null>}
+   */
+  async flushSpreadUpdates(logger) {
+    const pending = await this.state.storage.get(SPREAD_UPDATES_KEY) || [];
+    if (pending.length === 0) {
+      return null;
+    }
+    await this.state.storage.delete(SPREAD_UPDATES_KEY);
+
+    let remaining = pending;
+    try {
+      let result = await this.commitSpreadUpdates(pending, logger, { atomic: pending.length > 1 });
+      if (result === null && pending.length > 1) {
+        logger.warn('Spread updates did not commit together, committing one by one', { updates: pending.length });
+        for (const update of pending) {
+          result = await this.commitSpreadUpdates([update], logger) || result;
+          remaining = remaining.slice(1);
+        }
+      }
+      return result;
+    } catch (error) {
+      const queued = await this.state.storage.get(SPREAD_UPDATES_KEY) || [];
+      await this.state.storage.put(SPREAD_UPDATES_KEY, [...remaining, ...queued]);
+      logger.error('Spread update commit failed, requeued', { error: error.message, updates: remaining.length });
+      throw error;
+    }
+  }
+
+  /**
+   * Commit queued spread updates in one commit, with the project index
+   * rebuilt from the spreads as the commit leaves them.
+   * @param {Array<Object>} updates - Queued updates (see queueSpreadUpdate)
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options]
+   * @param {boolean} [options.atomic] - Passed to commitWriteSet; without it,
+   *   writes that didn't persist are reported to the update's thread
+   * @returns {Promise<{ commitSha: string, files: string[] } | null>}
+   */
+  async commitSpreadUpdates(updates, logger, { atomic = false } = {}) {
+    const all = updates.flatMap(update => update.intents);
+    const intents = all.filter((intent, i) =>
+      intent.op !== 'put' || !all.slice(i + 1).some(later => later.op === 'put' && later.path === intent.path)
+    );
+
+    const slugs = [...new Set(updates.map(update => update.slug).filter(Boolean))];
+    const traceId = updates.length === 1 ? updates[0].traceId : null;
+    const message = updates.length === 1
+      ? `${updates[0].message}${traceId ? ` (trace: ${traceId})` : ''}`
+      : `Update ${slugs.join(', ') || 'research'} (${updates.length} updates)`;
+
+    // The index is rebuilt from the spreads as this commit leaves them,
+    // read at the HEAD the index put is pinned to
+    const reader = this.getGitHubReader();
+    const ref = await reader.getHeadSha();
+    const spreads = {};
+    for (const intent of intents) {
+      const match = intent.path.match(/^data\/projects\/([^/]+)\/spread\.md$/);
+      if (!match) continue;
+      const slug = match[1];
+      if (spreads[slug] === undefined && intent.op === 'tool') {
+        spreads[slug] = await reader.getContent(intent.path, ref) || '';
+      }
+      const { content, error } = resolveIntent(intent, spreads[slug], applyToolCall);
+      if (!error) spreads[slug] = content;
+    }
+
+    if (Object.keys(spreads).length > 0) {
+      intents.push(putIntent('data/projects/index.md', await this.rebuildProjectIndex(logger, spreads, ref), ref));
+    }
+
+    const result = await this.commitWriteSet(intents, message, logger, {
+      notify: updates.length === 1 ? updates[0].notify : undefined,
+      atomic,
+    });
+    if (result) {
+      logger.info('Spread updates committed', { updates: updates.length, slugs, commitSha: result.commitSha });
+    }
+    return result;
+  }
+
   /**
    * Rebuild the project index from all spread.md files.
    * Optionally accepts overrides for spreads being modified in the same commit.
    *
    * @param {Object} logger - Logger instance
    * @param {Object} [overrides] - Map of slug → spread content for files being changed
+   * @param {string} [ref] - Commit to read the other spreads at (defaults to the branch)
    * @returns {Promise<string>} Index file content
    */
-  async rebuildProjectIndex(logger, overrides = {}) {
+  async rebuildProjectIndex(logger, overrides = {}, ref) {
     const reader = this.getGitHubReader();
 
     // List all project directories
@@ -1789,7 +3291,7 @@ _Add project description here_
 
       // Read spread.md
       try {
-        const content = await reader.getContent(`data/projects/${dirSlug}/spread.md`);
+        const content = await reader.getContent(`data/projects/${dirSlug}/spread.md`, ref);
         if (content) {
           projects.push(parseSpreadForIndex(dirSlug, content));
         }
@@ -1811,105 +3313,65 @@ _Add project description here_
   /**
    * Start a threaded research session.
    *
-   * Posts an initial message to create a thread, then runs the full
-   * research pipeline with progress updates in that thread.
+   * Works out the project (from the channel name, or inferred from the
+   * query), then hands the run to ProjectDO: the project's instance, or
+   * the RESEARCH_DO_NAME instance without a project. ProjectDO posts the
+   * kickoff and progress in a thread, checkpoints each step, and resumes
+   * the run by alarm if it is interrupted.
    *
    * @param {string} query - Research query
    * @param {string} channelId - Channel to post in
    * @param {string} [channelName] - Channel name (for project detection)
    * @param {Object} logger - Logger instance
-   * @returns {Promise<Object>} Research result
+   * @param {string} [traceId] - Trace ID for the write commit
+   * @returns {Promise<Object>} ProjectDO result ({ threadTs, findingCount, ... })
    */
-  async startResearch(query, channelId, channelName, logger) {
+  async startResearch(query, channelId, channelName, logger, traceId) {
     logger.info('Starting threaded research', { query, channelName });
 
-    const slackClient = this.getSlackClient();
-    const claudeClient = this.getClaudeClient();
-    const tavilyClient = this.getTavilyClient();
-    const githubWriter = this.getGitHubWriter();
-
     // Detect project from channel name
     let projectSlug = null;
-    let spread = null;
 
     if (channelName?.startsWith('proj-')) {
       projectSlug = channelName.slice(5);
-      // Load spread for project context
-      try {
-        const reader = this.getGitHubReader();
-        spread = await reader.getContent(`data/projects/${projectSlug}/spread.md`);
-      } catch (error) {
-        logger.warn('Could not load project spread', { projectSlug, error: error.message });
-      }
     } else {
       // Try to infer project from query
-      const inference = await inferProject(query, this.contextPack, claudeClient, logger);
+      const inference = await inferProject(query, this.contextPack, this.getClaudeClient(), logger);
       if (inference.projectSlug && inference.confidence >= 0.7) {
         projectSlug = inference.projectSlug;
         logger.info('Project inferred', { projectSlug, confidence: inference.confidence });
-        try {
-          const reader = this.getGitHubReader();
-          spread = await reader.getContent(`data/projects/${projectSlug}/spread.md`);
-        } catch (error) {
-          logger.warn('Could not load inferred project spread', { projectSlug, error: error.message });
-        }
       }
     }
 
-    // Post initial message to create thread
-    const initialMsg = await slackClient.postMessage({
-      channel: channelId,
-      text: `**Research: ${query}**${projectSlug ? `\n_Associated with proj-${projectSlug}_` : ''}\n\n_Starting research pipeline..._`,
-    });
-
-    const threadTs = initialMsg.ts;
+    const projectDOId = this.env.PROJECT_DO.idFromName(
+      projectSlug ? `project-${projectSlug}` : RESEARCH_DO_NAME
+    );
+    const projectDO = this.env.PROJECT_DO.get(projectDOId);
 
-    try {
-      // Run the full research pipeline
-      const result = await executeResearch(
-        { query },
-        {
+    const response = await projectDO.fetch(
+      new Request('http://internal/research', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
           projectSlug,
-          spread,
-          channelId,
-          threadTs,
+          query,
+          channel_id: channelId,
+          trace_id: traceId,
           contextPack: this.contextPack,
-        },
-        { claudeClient, tavilyClient, slackClient, githubWriter, logger }
-      );
-
-      // If project associated, update spread with research section
-      if (projectSlug && spread && result.synthesis) {
-        const { applySpreadUpdates } = await import('../agents/project-agent.js');
-        const { formatSynthesisForSpread } = await import('../agents/synthesis-agent.js');
-        const date = new Date().toISOString().split('T')[0];
-        const spreadContent = formatSynthesisForSpread(result.synthesis, query, date);
-
-        const updatedSpread = applySpreadUpdates(spread, [{
-          section: 'Research',
-          action: 'append',
-          content: spreadContent,
-        }]);
-
-        const intents = [
-          putIntent(`data/projects/${projectSlug}/spread.md`, updatedSpread),
-        ];
-        await this.commitWriteSet(intents, `Update ${projectSlug} research: ${query.slice(0, 40)}`, logger);
-        logger.info('Spread updated with research', { projectSlug });
-      }
-
-      return result;
-    } catch (error) {
-      logger.error('Research pipeline failed', { query, error: error.message });
+          ...this.getForwardedStubs(),
+        }),
+      })
+    );
 
-      await slackClient.postMessage({
-        channel: channelId,
-        text: `_Research failed: ${error.message}_`,
-        thread_ts: threadTs,
-      });
+    const result = await response.json();
+    await this.replayStubRecordings(result._stubRecordings);
 
-      throw error;
+    // ProjectDO has already posted the failure (or the pending retry) in the thread
+    if (!response.ok) {
+      throw new Error(result.error || `Research failed with status ${response.status}`);
     }
+
+    return result;
   }
 }
 
@@ -5,22 +5,58 @@
  * - spread.md content in memory
  * - Project index reference
  * - Research thread state
+ * - Research run checkpoints (resumed by alarm after an interruption)
+ *
+ * Slash-command research runs here too, so it is checkpointed the same
+ * way: on the project's DO, or on the RESEARCH_DO_NAME instance (no
+ * project slug) for research without a project.
  */
 
 import { createLogger, generateRequestId } from '../lib/logger.js';
 import { createGitHubReader } from '../lib/github-reader.js';
-import { createGitHubWriter } from '../lib/github-writer.js';
 import { createSlackClient } from '../lib/slack-client.js';
 import { createClaudeClient } from '../lib/claude-client.js';
+import { createMetrics, recordClaudeUsage } from '../lib/metrics.js';
 import { createTavilyClient } from '../lib/tavily-client.js';
 import { createStubClaudeClient } from '../lib/stub-claude-client.js';
 import { createStubSlackClient } from '../lib/stub-slack-client.js';
 import { createStubTavilyClient } from '../lib/stub-tavily-client.js';
-import { putIntent } from '../lib/write-intent.js';
+import { createPageFetcher } from '../lib/page-fetcher.js';
+import { createStubPageFetcher } from '../lib/stub-page-fetcher.js';
+import { toolIntent } from '../lib/write-intent.js';
+import { findSection } from '../lib/tool-applicator.js';
 import { projectAgent, applySpreadUpdates } from '../agents/project-agent.js';
 import { researchCoordinator, formatResearchLog } from '../agents/research-coordinator.js';
-import { executeResearch, persistResearch } from '../agents/research-agent.js';
-import { formatSynthesisForSpread } from '../agents/synthesis-agent.js';
+import { executeResearch, buildResearchIntents } from '../agents/research-agent.js';
+import { sourcesPath } from '../lib/source-library.js';
+import { CONTEXT_PACK_PATH } from '../lib/context-pack.js';
+
+/**
+ * ProjectDO instance name for research runs without a project. Project
+ * instances are named `project-{slug}`, so this can't clash with one.
+ */
+export const RESEARCH_DO_NAME = 'research';
+
+/**
+ * Storage key prefix for research run records (keyed by thread).
+ */
+const RESEARCH_RUN_PREFIX = 'research-run:';
+
+/**
+ * A run that hasn't checkpointed for this long is treated as interrupted
+ * (the DO was evicted mid-step) and resumed by the alarm.
+ */
+const RESEARCH_RESUME_AFTER_MS = 2 * 60 * 1000;
+
+/**
+ * Delay before retrying a run whose step failed.
+ */
+const RESEARCH_RETRY_AFTER_MS = 30 * 1000;
+
+/**
+ * Runs of a research request (first run included) before giving up.
+ */
+const MAX_RESEARCH_ATTEMPTS = 3;
 
 /**
  * ProjectDO Durable Object class.
@@ -42,9 +78,13 @@ export class ProjectDO {
     // Research thread tracking (thread_ts -> state)
     this.researchThreads = new Map();
 
+    // Research runs executing in this instance (thread_ts)
+    this.activeResearchRuns = new Set();
+
     // Stub response maps (populated from BrainDO in stub mode)
     this._stubClaudeResponses = new Map();
     this._stubTavilyResponses = new Map();
+    this._stubPages = new Map();
     this._useStubSlack = false;
 
     // Clients
@@ -52,6 +92,7 @@ export class ProjectDO {
     this._slackClient = null;
     this._claudeClient = null;
     this._tavilyClient = null;
+    this._pageFetcher = null;
     this._logger = null;
   }
 
@@ -123,12 +164,24 @@ export class ProjectDO {
         this._claudeClient = createClaudeClient({
           apiKey: this.env.ANTHROPIC_API_KEY,
           logger: this.getLogger(),
+          onUsage: (usage, { model }) => recordClaudeUsage(this.getMetrics(), usage, { do: 'project', model }),
         });
       }
     }
     return this._claudeClient;
   }
 
+  /**
+   * Get or create the metrics collector (kept in DO storage).
+   * @returns {Object} Metrics instance
+   */
+  getMetrics() {
+    if (!this._metrics) {
+      this._metrics = createMetrics({ storage: this.state.storage, logger: this.getLogger() });
+    }
+    return this._metrics;
+  }
+
   /**
    * Get or create Tavily client.
    * Uses stub client when stub responses are available (forwarded from BrainDO).
@@ -152,18 +205,49 @@ export class ProjectDO {
   }
 
   /**
-   * Get or create GitHub writer.
-   * @returns {Object} GitHub writer instance
+   * Get or create the page fetcher for research extraction.
+   * @returns {Object} Page fetcher
    */
-  getGitHubWriter() {
-    if (!this._githubWriter) {
-      this._githubWriter = createGitHubWriter({
-        token: this.env.GITHUB_TOKEN,
-        repo: this.env.GITHUB_REPO,
-        logger: this.getLogger(),
-      });
+  getPageFetcher() {
+    if (!this._pageFetcher) {
+      if (this._stubPages.size > 0 || this.env.SEARCH_MODE === 'stub') {
+        this._pageFetcher = createStubPageFetcher({
+          stubPages: this._stubPages,
+          logger: this.getLogger(),
+        });
+      } else {
+        this._pageFetcher = createPageFetcher({ logger: this.getLogger() });
+      }
+    }
+    return this._pageFetcher;
+  }
+
+  /**
+   * Hand write intents to BrainDO for its coalesced commit
+   * (notify_spread_updated). ProjectDO never commits to GitHub itself.
+   * @param {Object} update
+   * @param {Array<Object>} update.intents - Write intents (log, spread, stream line)
+   * @param {string} update.message - Commit message
+   * @param {string} [update.traceId] - Trace ID of the originating message
+   * @param {Object} [update.notify] - { channel, thread_ts } for reporting writes that didn't persist
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<void>}
+   */
+  async notifySpreadUpdated({ intents, message, traceId, notify }, logger) {
+    const brainDO = this.env.BRAIN_DO.get(this.env.BRAIN_DO.idFromName('brain'));
+    const response = await brainDO.fetch(
+      new Request('http://internal/notify_spread_updated', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ slug: this.projectSlug, intents, message, trace_id: traceId, notify }),
+      })
+    );
+
+    if (!response.ok) {
+      throw new Error(`BrainDO rejected spread update: ${response.status}`);
     }
-    return this._githubWriter;
+
+    logger.info('Spread update sent to BrainDO', { intentCount: intents.length });
   }
 
   /**
@@ -198,6 +282,12 @@ export class ProjectDO {
         return this.handleMessage(payload, logger);
       }
 
+      // Research started by a slash command in BrainDO
+      if (url.pathname === '/research' && request.method === 'POST') {
+        const payload = await request.json();
+        return this.handleResearchCommand(payload, logger);
+      }
+
       return new Response(JSON.stringify({ error: 'Not found' }), {
         status: 404,
         headers: { 'Content-Type': 'application/json' },
@@ -256,6 +346,37 @@ export class ProjectDO {
     }
   }
 
+  /**
+   * Load the project's source library from GitHub.
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<string|null>} sources.md content, or null if there is none
+   */
+  async loadSources(logger) {
+    if (!this.projectSlug) {
+      return null;
+    }
+    try {
+      return await this.getGitHubReader().getContent(sourcesPath(this.projectSlug));
+    } catch (error) {
+      logger.warn('Could not load source library', { projectSlug: this.projectSlug, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Load the user's context pack from GitHub.
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<string|null>} current.md content, or null if it can't be read
+   */
+  async loadContextPack(logger) {
+    try {
+      return await this.getGitHubReader().getContent(CONTEXT_PACK_PATH);
+    } catch (error) {
+      logger.warn('Could not load context pack', { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Reload spread from GitHub.
    * @param {Object} logger - Logger instance
@@ -318,19 +439,10 @@ Status: active
   }
 
   /**
-   * Handle incoming message.
-   * @param {Object} payload - Message payload
-   * @param {Object} logger - Logger instance
-   * @returns {Promise<Response>}
+   * Accept stub configuration forwarded from BrainDO.
+   * @param {Object} payload - Request payload
    */
-  async handleMessage(payload, logger) {
-    const { projectSlug, channel_id, text, message_ts, thread_ts, contextPack,
-            _stubClaudeResponses, _stubTavilyResponses, _slackMode } = payload;
-
-    // Store project slug
-    this.projectSlug = projectSlug;
-
-    // Accept stub configuration forwarded from BrainDO
+  acceptForwardedStubs({ _stubClaudeResponses, _stubTavilyResponses, _stubPages, _slackMode }) {
     if (_stubClaudeResponses) {
       this._stubClaudeResponses = new Map(Object.entries(_stubClaudeResponses));
       this._claudeClient = null; // Reset to pick up stubs
@@ -339,10 +451,57 @@ Status: active
       this._stubTavilyResponses = new Map(Object.entries(_stubTavilyResponses));
       this._tavilyClient = null; // Reset to pick up stubs
     }
+    if (_stubPages) {
+      this._stubPages = new Map(Object.entries(_stubPages));
+      this._pageFetcher = null; // Reset to pick up stubs
+    }
     if (_slackMode === 'stub') {
       this._useStubSlack = true;
       this._slackClient = null; // Reset to pick up stub mode
     }
+  }
+
+  /**
+   * Handle research started by `/project research` in BrainDO. The run is
+   * recorded and checkpointed like research asked for in the channel.
+   * @param {Object} payload - { projectSlug (null without a project), query,
+   *   channel_id, trace_id, contextPack, ...forwarded stubs }
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<Response>}
+   */
+  async handleResearchCommand(payload, logger) {
+    const { projectSlug = null, query } = payload;
+    if (!query) {
+      return new Response(
+        JSON.stringify({ error: 'query is required' }),
+        { status: 400, headers: { 'Content-Type': 'application/json' } }
+      );
+    }
+
+    this.projectSlug = projectSlug;
+    this.acceptForwardedStubs(payload);
+
+    if (projectSlug) {
+      await this.ensureSpread(logger);
+    }
+
+    return this.startResearchSession(payload, { query }, logger);
+  }
+
+  /**
+   * Handle incoming message.
+   * @param {Object} payload - Message payload
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<Response>}
+   */
+  async handleMessage(payload, logger) {
+    const { projectSlug, channel_id, text, message_ts, thread_ts, contextPack } = payload;
+
+    // Store project slug
+    this.projectSlug = projectSlug;
+
+    // Accept stub configuration forwarded from BrainDO
+    this.acceptForwardedStubs(payload);
 
     logger.info('Processing project message', { projectSlug, hasThread: !!thread_ts });
 
@@ -398,6 +557,7 @@ Status: active
 
       if (spreadUpdates.length > 0) {
         // Apply updates to spread in memory
+        const spreadBefore = this.spread || '';
         this.spread = applySpreadUpdates(this.spread, spreadUpdates.map(a => ({
           section: a.section.replace('## ', ''),
           action: a.type === 'replace_section' ? 'replace' : 'append',
@@ -407,11 +567,17 @@ Status: active
         // Persist updated spread to DO storage
         await this.state.storage.put('spread', this.spread);
 
-        // Return write intent for BrainDO to commit atomically
-        writeIntents.push(putIntent(
-          `data/projects/${projectSlug}/spread.md`,
-          this.spread
-        ));
+        // Return section edits for BrainDO to commit atomically, so they
+        // apply to the spread at HEAD rather than overwrite it
+        for (const update of spreadUpdates) {
+          const type = update.type === 'replace_section' && findSection(spreadBefore, update.section)
+            ? 'replace_section'
+            : 'append_to_section';
+          writeIntents.push(toolIntent(`data/projects/${projectSlug}/spread.md`, type, {
+            heading: update.section,
+            content: update.content,
+          }));
+        }
 
         logger.info('Spread updated, returning write intent', { updateCount: spreadUpdates.length });
       }
@@ -457,6 +623,9 @@ Status: active
 
   /**
    * Start a new research session using the unified pipeline.
+   * The run is recorded in storage before it starts and checkpointed after
+   * each step, so an interrupted run can be resumed by alarm(). The record
+   * leaves out the context pack, which a resumed run reads from the repo.
    * @param {Object} payload - Original message payload
    * @param {Object} action - Research action with query
    * @param {Object} logger - Logger instance
@@ -469,53 +638,29 @@ Status: active
     logger.info('Starting research session', { query, projectSlug: this.projectSlug });
 
     const slackClient = this.getSlackClient();
-    const claudeClient = this.getClaudeClient();
-    const tavilyClient = this.getTavilyClient();
-    const githubWriter = this.getGitHubWriter();
 
     // Post research kickoff message to create thread
     const response = await slackClient.postMessage({
       channel: channel_id,
-      text: `**Research: ${query}**\n_Associated with proj-${this.projectSlug}_\n\n_Starting research pipeline..._`,
+      text: `**Research: ${query}**${this.projectSlug ? `\n_Associated with proj-${this.projectSlug}_` : ''}\n\n_Starting research pipeline..._`,
       thread_ts: thread_ts || message_ts,
     });
 
     const threadTs = thread_ts || response.ts;
 
-    try {
-      // Run the full research pipeline
-      const result = await executeResearch(
-        { query },
-        {
-          projectSlug: this.projectSlug,
-          spread: this.spread,
-          channelId: channel_id,
-          threadTs,
-          contextPack,
-        },
-        { claudeClient, tavilyClient, slackClient, githubWriter, logger }
-      );
-
-      // Update spread with research section (replace, not append)
-      if (result.synthesis) {
-        const date = new Date().toISOString().split('T')[0];
-        const spreadContent = formatSynthesisForSpread(result.synthesis, query, date);
-
-        this.spread = applySpreadUpdates(this.spread, [{
-          section: 'Research',
-          action: 'append',
-          content: spreadContent,
-        }]);
+    const record = {
+      projectSlug: this.projectSlug,
+      query,
+      channelId: channel_id,
+      threadTs,
+      traceId: payload.trace_id,
+      attempts: 1,
+      state: null,
+    };
+    await this.saveResearchRun(record, RESEARCH_RESUME_AFTER_MS);
 
-        await this.state.storage.put('spread', this.spread);
-
-        await githubWriter.writeFile(
-          `data/projects/${this.projectSlug}/spread.md`,
-          this.spread,
-          `Update ${this.projectSlug} research: ${query.slice(0, 40)}`
-        );
-        logger.info('Spread updated with research', { projectSlug: this.projectSlug });
-      }
+    try {
+      const result = await this.runResearch(record, logger, contextPack);
 
       // Include stub recordings if in stub mode
       const stubRecordings = this._useStubSlack ? (slackClient.getRecordings?.() || []) : [];
@@ -532,14 +677,6 @@ Status: active
         { status: 200, headers: { 'Content-Type': 'application/json' } }
       );
     } catch (error) {
-      logger.error('Research pipeline failed', { query, error: error.message });
-
-      await slackClient.postMessage({
-        channel: channel_id,
-        text: `_Research failed: ${error.message}_`,
-        thread_ts: threadTs,
-      });
-
       // Include stub recordings even on error so test can see what happened
       const stubRecordings = this._useStubSlack ? (slackClient.getRecordings?.() || []) : [];
 
@@ -550,6 +687,171 @@ Status: active
     }
   }
 
+  /**
+   * Run (or continue) a recorded research run: execute the pipeline from
+   * the record's checkpoint, keep the new spread, hand the write intents to
+   * BrainDO, and drop the record. On failure the record stays for a retry
+   * by alarm(), until MAX_RESEARCH_ATTEMPTS runs have failed.
+   * @param {Object} record - Research run record (see startResearchSession)
+   * @param {Object} logger - Logger instance
+   * @param {string|null} [contextPack] - User's current.md; read from the
+   *   repo when not given (a resumed run)
+   * @returns {Promise<Object>} Pipeline result
+   */
+  async runResearch(record, logger, contextPack) {
+    const { query, channelId, threadTs } = record;
+    const key = `${RESEARCH_RUN_PREFIX}${threadTs}`;
+    const slackClient = this.getSlackClient();
+
+    this.activeResearchRuns.add(threadTs);
+    try {
+      // Run the full research pipeline, checkpointing after each step
+      const sources = await this.loadSources(logger);
+      if (contextPack === undefined) {
+        contextPack = await this.loadContextPack(logger);
+      }
+      const result = await executeResearch(
+        { query },
+        {
+          projectSlug: this.projectSlug,
+          spread: this.spread,
+          channelId,
+          threadTs,
+          contextPack,
+          sources,
+          resume: record.state,
+        },
+        {
+          claudeClient: this.getClaudeClient(),
+          tavilyClient: this.getTavilyClient(),
+          slackClient,
+          pageFetcher: this.getPageFetcher(),
+          checkpoint: async (state) => {
+            record.state = state;
+            await this.saveResearchRun(record, RESEARCH_RESUME_AFTER_MS);
+          },
+          logger,
+        }
+      );
+
+      // Keep the spread with its new research section, and hand the log,
+      // spread and stream line to BrainDO to commit
+      if (result.spread) {
+        this.spread = result.spread;
+        await this.state.storage.put('spread', this.spread);
+      }
+
+      await this.notifySpreadUpdated({
+        intents: result.writeIntents,
+        message: `Research: ${query.slice(0, 50)}${this.projectSlug ? ` (${this.projectSlug})` : ''}`,
+        traceId: record.traceId,
+        notify: { channel: channelId, thread_ts: threadTs },
+      }, logger);
+
+      await this.state.storage.delete(key);
+      return result;
+    } catch (error) {
+      logger.error('Research pipeline failed', {
+        query,
+        error: error.message,
+        attempts: record.attempts,
+        completed: record.state?.completed || [],
+      });
+
+      if (record.attempts < MAX_RESEARCH_ATTEMPTS) {
+        await this.saveResearchRun(record, RESEARCH_RETRY_AFTER_MS);
+        await slackClient.postMessage({
+          channel: channelId,
+          text: `_Research interrupted: ${error.message}. Retrying shortly._`,
+          thread_ts: threadTs,
+        });
+      } else {
+        await this.state.storage.delete(key);
+        await slackClient.postMessage({
+          channel: channelId,
+          text: `_Research failed: ${error.message}_`,
+          thread_ts: threadTs,
+        });
+      }
+
+      throw error;
+    } finally {
+      this.activeResearchRuns.delete(threadTs);
+    }
+  }
+
+  /**
+   * Store a research run record, due for resumption after delayMs, and
+   * make sure an alarm fires by then.
+   * @param {Object} record - Research run record
+   * @param {number} delayMs - Time until alarm() may resume it
+   */
+  async saveResearchRun(record, delayMs) {
+    record.dueAt = Date.now() + delayMs;
+    await this.state.storage.put(`${RESEARCH_RUN_PREFIX}${record.threadTs}`, record);
+
+    const alarm = await this.state.storage.getAlarm();
+    if (!alarm || alarm > record.dueAt) {
+      await this.state.storage.setAlarm(record.dueAt);
+    }
+  }
+
+  /**
+   * Alarm handler: resume research runs that stopped checkpointing (the DO
+   * was evicted mid-run) or failed and are due for a retry. Each resumed run
+   * continues after its last completed step. Runs still going in this
+   * instance are left alone. The alarm is then set for the next due run.
+   */
+  async alarm() {
+    const logger = this.getLogger();
+    const now = Date.now();
+    const stored = await this.state.storage.list({ prefix: RESEARCH_RUN_PREFIX });
+
+    for (const [key, record] of stored) {
+      if (!key.startsWith(RESEARCH_RUN_PREFIX) || !record) continue;
+      if (record.dueAt > now || this.activeResearchRuns.has(record.threadTs)) continue;
+
+      record.attempts += 1;
+      this.projectSlug = record.projectSlug;
+      logger.info('Resuming research', {
+        query: record.query,
+        threadTs: record.threadTs,
+        attempts: record.attempts,
+        completed: record.state?.completed || [],
+      });
+
+      try {
+        if (this.projectSlug) {
+          await this.ensureSpread(logger);
+        }
+
+        await this.getSlackClient().postMessage({
+          channel: record.channelId,
+          text: '_Research resumed after interruption_',
+          thread_ts: record.threadTs,
+        });
+
+        await this.runResearch(record, logger);
+      } catch (error) {
+        // runResearch has already scheduled a retry or reported the failure
+        logger.warn('Resumed research did not complete', { threadTs: record.threadTs, error: error.message });
+      }
+    }
+
+    // Schedule the next due run, if any remain
+    let next = null;
+    for (const [key, record] of await this.state.storage.list({ prefix: RESEARCH_RUN_PREFIX })) {
+      if (!key.startsWith(RESEARCH_RUN_PREFIX) || !record) continue;
+      const dueAt = this.activeResearchRuns.has(record.threadTs)
+        ? Math.max(record.dueAt, now + RESEARCH_RESUME_AFTER_MS)
+        : record.dueAt;
+      next = next === null ? dueAt : Math.min(next, dueAt);
+    }
+    if (next !== null) {
+      await this.state.storage.setAlarm(Math.max(next, Date.now()));
+    }
+  }
+
   /**
    * Handle a message in an active research thread.
    * @param {Object} payload - Message payload
@@ -643,46 +945,33 @@ Status: active
     logger.info('Finalizing research', { query: threadState.query });
 
     const slackClient = this.getSlackClient();
-    const githubWriter = this.getGitHubWriter();
 
     // Use coordinator result if available, otherwise use what's in state
     const synthesis = coordinatorResult?.synthesis || threadState.synthesis || threadState.lastSynthesis;
     const spreadContent = coordinatorResult?.spreadContent || threadState.spreadContent;
     const slackReply = coordinatorResult?.slackReply || 'Research complete. Summary added to project spread.';
 
-    // Update spread with research summary (replace section, not append)
-    if (spreadContent) {
-      this.spread = applySpreadUpdates(this.spread, [{
-        section: 'Research',
-        action: 'append',
-        content: spreadContent,
-      }]);
-
-      await this.state.storage.put('spread', this.spread);
-    }
-
-    // Use shared persist logic for log + spread + stream
-    await persistResearch(this.projectSlug, synthesis || { summary: slackReply, keyPoints: [], recommendations: [], sources: [] }, threadState, {
+    // Shared persist logic for log + spread + source library + stream
+    const persisted = buildResearchIntents(this.projectSlug, synthesis || { summary: slackReply, keyPoints: [], recommendations: [], sources: [] }, threadState, {
       query: threadState.query,
       allFindings: threadState.findings || [],
-      githubWriter,
-      logger,
+      spread: spreadContent ? this.spread : null,
+      spreadContent,
+      sources: await this.loadSources(logger),
     });
 
-    // Write updated spread to git
-    if (spreadContent) {
-      try {
-        await githubWriter.writeFile(
-          `data/projects/${this.projectSlug}/spread.md`,
-          this.spread,
-          `Update ${this.projectSlug} research`
-        );
-        logger.info('Spread updated with research', { projectSlug: this.projectSlug });
-      } catch (error) {
-        logger.error('Failed to write spread', { error: error.message });
-      }
+    if (persisted.spread) {
+      this.spread = persisted.spread;
+      await this.state.storage.put('spread', this.spread);
     }
 
+    await this.notifySpreadUpdated({
+      intents: persisted.intents,
+      message: `Research: ${threadState.query.slice(0, 50)} (${this.projectSlug})`,
+      traceId: payload.trace_id,
+      notify: { channel: channel_id, thread_ts },
+    }, logger);
+
     // Clean up thread state
     await this.state.storage.delete(`research-${thread_ts}`);
     this.researchThreads.delete(thread_ts);
@@ -12,6 +12,7 @@ import { createGitHubReader } from '../lib/github-reader.js';
 import { createGitHubWriter } from '../lib/github-writer.js';
 import { createSlackClient } from '../lib/slack-client.js';
 import { createClaudeClient } from '../lib/claude-client.js';
+import { createMetrics, recordClaudeUsage } from '../lib/metrics.js';
 import { createStubClaudeClient } from '../lib/stub-claude-client.js';
 import { createStubSlackClient } from '../lib/stub-slack-client.js';
 import { putIntent } from '../lib/write-intent.js';
@@ -116,12 +117,24 @@ export class RitualDO {
         this._claudeClient = createClaudeClient({
           apiKey: this.env.ANTHROPIC_API_KEY,
           logger: this.getLogger(),
+          onUsage: (usage, { model }) => recordClaudeUsage(this.getMetrics(), usage, { do: 'ritual', model }),
         });
       }
     }
     return this._claudeClient;
   }
 
+  /**
+   * Get or create the metrics collector (kept in DO storage).
+   * @returns {Object} Metrics instance
+   */
+  getMetrics() {
+    if (!this._metrics) {
+      this._metrics = createMetrics({ storage: this.state.storage, logger: this.getLogger() });
+    }
+    return this._metrics;
+  }
+
   /**
    * Get or create GitHub writer.
    * @returns {Object} GitHub writer instance
@@ -162,6 +175,12 @@ export class RitualDO {
         );
       }
 
+      // Session status for a period (used by BrainDO's Sunday reminder)
+      if (url.pathname === '/status' && request.method === 'POST') {
+        const payload = await request.json();
+        return this.handleStatus(payload, logger);
+      }
+
       // Start ritual via slash command
       if (url.pathname === '/start' && request.method === 'POST') {
         const payload = await request.json();
@@ -239,6 +258,43 @@ export class RitualDO {
     }
   }
 
+  /**
+   * Handle /status route — report ritual sessions started in a period.
+   * The period is derived from each session's startedAt using the same
+   * week/month IDs the ritual commits under.
+   * @param {Object} payload - Status payload
+   * @param {string} payload.ritualType - 'weekly' or 'monthly'
+   * @param {string} payload.periodId - Week ID (YYYY-Www) or month ID (YYYY-MM)
+   * @param {Object} logger - Logger instance
+   * @returns {Promise<Response>}
+   */
+  async handleStatus(payload, logger) {
+    const { ritualType, periodId } = payload;
+    const stored = await this.state.storage.list({ prefix: 'ritual-' });
+
+    const sessions = [];
+    for (const [key, session] of stored) {
+      if (!key.startsWith('ritual-') || session?.ritualType !== ritualType || !session.startedAt) continue;
+
+      const startedAt = new Date(session.startedAt);
+      const sessionPeriod = ritualType === 'weekly' ? getWeekId(startedAt) : getMonthId(startedAt);
+      if (sessionPeriod !== periodId) continue;
+
+      sessions.push({
+        threadTs: key.slice('ritual-'.length),
+        phase: session.phase,
+        status: session.status || 'active',
+      });
+    }
+
+    logger.info('Ritual status checked', { ritualType, periodId, sessionCount: sessions.length });
+
+    return new Response(
+      JSON.stringify({ status: 'ok', ritualType, periodId, sessions }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    );
+  }
+
   /**
    * Handle /start route — initiates a ritual session from a slash command.
    * Loads identity context, posts kickoff message, and saves session state.
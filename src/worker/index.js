@@ -18,6 +18,7 @@ export { BrainDO, ProjectDO, RitualDO } from './durable-objects/index.js';
 // - SLACK_WEEKLY_CHANNEL_ID
 // - SLACK_MONTHLY_CHANNEL_ID
 // - SLACK_BOT_USER_ID
+// - CALENDAR_ICS_TOKEN (optional; enables GET /calendar.ics?token=...)
 
 export default {
   async fetch(request, env, ctx) {
@@ -31,6 +32,17 @@ export default {
       });
     }
 
+    // Calendar subscription feed (read-only, token-protected)
+    if (url.pathname === '/calendar.ics' && request.method === 'GET') {
+      if (!env.CALENDAR_ICS_TOKEN) {
+        return new Response('Not found', { status: 404 });
+      }
+      if (!timingSafeEqual(url.searchParams.get('token') || '', env.CALENDAR_ICS_TOKEN)) {
+        return new Response('Unauthorized', { status: 401 });
+      }
+      return routeToBrainDO(env, '/calendar.ics');
+    }
+
     // Test endpoint to check BrainDO context (debugging)
     if (url.pathname === '/test/context') {
       return routeToBrainDO(env, '/context');
@@ -47,6 +59,11 @@ export default {
       return routeToBrainDO(env, '/test/recordings');
     }
 
+    if (url.pathname === '/test/scheduled' && request.method === 'POST') {
+      const body = await request.json();
+      return routeToBrainDO(env, '/test/scheduled', body);
+    }
+
     if (url.pathname === '/test/recordings' && request.method === 'DELETE') {
       const brainDOId = env.BRAIN_DO.idFromName('brain');
       const brainDO = env.BRAIN_DO.get(brainDOId);
@@ -106,6 +123,27 @@ export default {
       console.error('Worker error:', JSON.stringify({ error: error.message, stack: error.stack }));
       return new Response('Internal error', { status: 500 });
     }
+  },
+
+  /**
+   * Cron Trigger entry point.
+   * BrainDO decides which jobs are due for this firing.
+   */
+  async scheduled(event, env, ctx) {
+    console.log(JSON.stringify({ type: 'scheduled', cron: event.cron, scheduledTime: event.scheduledTime }));
+
+    ctx.waitUntil(
+      routeToBrainDO(env, '/scheduled', {
+        cron: event.cron,
+        scheduled_time: event.scheduledTime,
+      }).catch(error => {
+        console.error(JSON.stringify({
+          type: 'scheduled_error',
+          cron: event.cron,
+          error: error.message,
+        }));
+      })
+    );
   }
 };
 
@@ -141,6 +179,23 @@ async function verifySlackSignature(body, timestamp, signature, secret) {
   return signature === expectedSignature;
 }
 
+/**
+ * Compare two strings in constant time (for shared-secret tokens).
+ * @param {string} a - Provided value
+ * @param {string} b - Expected value
+ * @returns {boolean}
+ */
+function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const bytesA = encoder.encode(a);
+  const bytesB = encoder.encode(b);
+  let diff = bytesA.length ^ bytesB.length;
+  for (let i = 0; i < bytesB.length; i++) {
+    diff |= (bytesA[i] ?? 0) ^ bytesB[i];
+  }
+  return diff === 0;
+}
+
 /**
  * Route a request to BrainDO.
  * @param {Object} env - Environment bindings
@@ -248,6 +303,13 @@ async function handleEvent(payload, env, ctx) {
           channel_name: channelName,
           user_id: event.user,
           text: event.text || '',
+          files: (event.files || []).map(file => ({
+            id: file.id,
+            name: file.name,
+            filetype: file.filetype,
+            mimetype: file.mimetype,
+            url_private_download: file.url_private_download || file.url_private,
+          })),
           thread_ts: event.thread_ts,
           message_ts: event.ts,
           is_thread_reply: !!event.thread_ts,
@@ -329,23 +391,38 @@ async function handleSlashCommand(payload, env, ctx) {
 
 /**
  * Handle Interactive Components.
+ * Block Kit actions (Open Loops checkboxes and menus) go to BrainDO,
+ * which commits the change and updates the message in place.
  */
 async function handleInteractive(payload, env, ctx) {
-  ctx.waitUntil(triggerGitHubAction(env, 'interactive.yml', {
-    type: payload.type,
-    action: payload.actions?.[0]?.action_id,
-    user_id: payload.user?.id,
-    channel_id: payload.channel?.id,
-    response_url: payload.response_url,
+  console.log(JSON.stringify({
+    type: 'interactive',
+    payloadType: payload.type,
+    actionId: payload.actions?.[0]?.action_id,
+    channelId: payload.channel?.id,
   }));
 
+  if (payload.type === 'block_actions') {
+    ctx.waitUntil(
+      routeToBrainDO(env, '/interactive', {
+        type: payload.type,
+        user: payload.user,
+        channel: payload.channel,
+        message: payload.message,
+        actions: payload.actions,
+      }).catch(error => {
+        console.error(JSON.stringify({
+          type: 'interactive_error',
+          error: error.message,
+        }));
+      })
+    );
+  }
+
+  // Acknowledge within Slack's 3 second window
   return new Response('OK', { status: 200 });
 }
 
-/**
- * Trigger a GitHub Action via workflow_dispatch.
- * Used as fallback for features not yet migrated to DOs.
- */
 /**
  * Simple string hash for trace ID generation.
  * @param {string} str - String to hash
@@ -360,46 +437,3 @@ function hashString(str) {
   }
   return Math.abs(hash).toString(36);
 }
-
-async function triggerGitHubAction(env, workflow, inputs) {
-  const [owner, repo] = (env.GITHUB_REPO || '').split('/');
-
-  if (!owner || !repo) {
-    console.error(JSON.stringify({ type: 'error', message: 'Invalid GITHUB_REPO' }));
-    return;
-  }
-
-  try {
-    const url = `https://api.github.com/repos/${owner}/${repo}/actions/workflows/${workflow}/dispatches`;
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Accept': 'application/vnd.github.v3+json',
-        'Authorization': `Bearer ${env.GITHUB_TOKEN}`,
-        'User-Agent': 'SecondBrain-Worker',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        ref: 'main',
-        inputs: {
-          payload: JSON.stringify(inputs),
-        },
-      }),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(JSON.stringify({
-        type: 'github_action_error',
-        status: response.status,
-        error: errorText,
-      }));
-    }
-  } catch (error) {
-    console.error(JSON.stringify({
-      type: 'github_action_error',
-      error: error.message,
-    }));
-  }
-}
@@ -33,6 +33,10 @@ Last rebuilt: ${timestamp}
 <!-- Managed inline - preserved during rebuild -->
 *No open loops*
 
+## Snoozed
+<!-- Managed inline - preserved during rebuild -->
+*Nothing snoozed*
+
 ## This Week's Plan
 <!-- Source: planning/weekly/${weekId}.md -->
 *No weekly plan yet*
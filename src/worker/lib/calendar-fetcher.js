@@ -0,0 +1,64 @@
+/**
+ * Calendar Fetcher - Fetches .ics files for `/calendar import <url>`.
+ *
+ * The stub (stub-calendar-fetcher.js) has the same interface for tests,
+ * so stub mode never reaches the network.
+ */
+
+const DEFAULT_TIMEOUT = 15000; // 15 seconds
+
+/**
+ * Raw .ics text read per file.
+ */
+const MAX_ICS_LENGTH = 2000000;
+
+/**
+ * Create a calendar fetcher.
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger instance
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @returns {Object} Calendar fetcher with fetchCalendar(url)
+ */
+export function createCalendarFetcher({ logger, timeout = DEFAULT_TIMEOUT } = {}) {
+  const log = logger || { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+  return {
+    /**
+     * Fetch an .ics file.
+     * @param {string} url - File URL (http or https)
+     * @returns {Promise<string>} File content; throws on network or HTTP
+     *   errors, with a message fit to show the user ("HTTP 404", "timed out")
+     */
+    async fetchCalendar(url) {
+      if (!/^https?:\/\//i.test(url)) {
+        throw new Error(`Unsupported URL: ${url}`);
+      }
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+      try {
+        const response = await fetch(url, {
+          headers: { Accept: 'text/calendar, text/plain;q=0.9, */*;q=0.5' },
+          redirect: 'follow',
+          signal: controller.signal,
+        });
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        const ics = (await response.text()).slice(0, MAX_ICS_LENGTH);
+        log.debug('Calendar fetched', { url, length: ics.length });
+        return ics;
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw new Error('timed out');
+        }
+        throw error;
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    },
+  };
+}
@@ -0,0 +1,441 @@
+/**
+ * Calendar - Pure helpers for planning/calendar-current.md and calendar-past.md.
+ *
+ * The calendar is a markdown file of `## YYYY-MM-DD (Day)` blocks under a
+ * free-form header, each holding `- HH:MM Title` event lines. These helpers
+ * work on file content only; callers (BrainDO commitWriteSet and
+ * housekeeping, src/scripts/rotate-calendar.js) handle I/O.
+ */
+
+/**
+ * Path of the live calendar in the repo.
+ */
+export const CALENDAR_PATH = 'data/planning/calendar-current.md';
+
+/**
+ * Header used when calendar-current.md does not exist yet.
+ */
+export const CURRENT_CALENDAR_HEADER = `# Upcoming Events
+
+Events for the next 2-3 weeks. Past events are archived to \`calendar-past.md\`.
+`;
+
+/**
+ * Header used when calendar-past.md does not exist yet.
+ */
+export const PAST_CALENDAR_HEADER = `# Past Events
+
+Archived calendar events for reference. Automatically rotated from \`calendar-current.md\`.
+
+---
+`;
+
+/**
+ * Placeholder line in a freshly created calendar-past.md.
+ * Dropped the first time real events are archived.
+ */
+const PAST_PLACEHOLDER = '*No past events archived yet.*';
+
+/**
+ * Parse calendar content into date sections.
+ * @param {string} content - Calendar file content
+ * @returns {Object} { header: string, sections: Array<{ date: string, content: string }> }
+ */
+export function parseCalendar(content) {
+  const lines = content.split('\n');
+  const header = [];
+  const sections = [];
+  let currentSection = null;
+
+  for (const line of lines) {
+    const dateMatch = line.match(/^## (\d{4}-\d{2}-\d{2})/);
+
+    if (dateMatch) {
+      if (currentSection) {
+        sections.push(currentSection);
+      }
+      currentSection = {
+        date: dateMatch[1],
+        content: [line],
+      };
+    } else if (currentSection) {
+      currentSection.content.push(line);
+    } else {
+      header.push(line);
+    }
+  }
+
+  if (currentSection) {
+    sections.push(currentSection);
+  }
+
+  return {
+    header: header.join('\n'),
+    sections: sections.map(s => ({
+      date: s.date,
+      content: s.content.join('\n'),
+    })),
+  };
+}
+
+/**
+ * Move date sections before `today` from the current calendar to the past one.
+ * Today's block stays in calendar-current.md. Archived blocks are appended
+ * to calendar-past.md in date order.
+ * @param {string} currentContent - calendar-current.md content
+ * @param {string} pastContent - calendar-past.md content ('' if missing)
+ * @param {string} today - Local date (YYYY-MM-DD)
+ * @returns {Object} { current: string, past: string, moved: string[] } — moved dates; contents unchanged if none
+ */
+export function rotateCalendar(currentContent, pastContent, today) {
+  const { header, sections } = parseCalendar(currentContent);
+
+  const pastSections = sections.filter(s => s.date < today);
+  const futureSections = sections.filter(s => s.date >= today);
+
+  if (pastSections.length === 0) {
+    return { current: currentContent, past: pastContent, moved: [] };
+  }
+
+  pastSections.sort((a, b) => a.date.localeCompare(b.date));
+
+  const archiveBase = (pastContent || PAST_CALENDAR_HEADER)
+    .replace(PAST_PLACEHOLDER, '')
+    .trimEnd();
+  const archiveAddition = pastSections.map(s => s.content.trimEnd()).join('\n\n');
+  const past = archiveBase + '\n\n' + archiveAddition + '\n';
+
+  const futureBody = futureSections.map(s => s.content.trimEnd()).join('\n\n');
+  const current = futureBody
+    ? header.trimEnd() + '\n\n' + futureBody + '\n'
+    : header.trimEnd() + '\n';
+
+  return { current, past, moved: pastSections.map(s => s.date) };
+}
+
+/**
+ * Words ignored when comparing event titles.
+ */
+const TITLE_STOPWORDS = new Set(['a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'the', 'to', 'with']);
+
+/**
+ * Minimum token overlap (Jaccard) for two titles to count as similar in
+ * lookups.
+ */
+const TITLE_SIMILARITY_THRESHOLD = 0.6;
+
+/**
+ * Words a shorter title needs before it can merge into a longer title
+ * at the same time ("Therapy with Dana" into "Therapy with Dana Jaffe").
+ */
+const MIN_SUBSET_TOKENS = 2;
+
+/**
+ * Get the weekday name for a calendar date.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} e.g. "Thursday"
+ */
+export function getDayName(date) {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+}
+
+/**
+ * Parse an event line: `- HH:MM Title` or `- HH:MM-HH:MM Title`.
+ * @param {string} line - Event line
+ * @returns {{ time: string, title: string } | null} Null if not a bullet
+ */
+export function parseEventLine(line) {
+  const match = line.match(/^[-*]\s+(?:\[[ x]\]\s+)?(?:(\d{1,2}:\d{2}(?:\s*-\s*\d{1,2}:\d{2})?)\s+)?(.*)$/);
+  if (!match) return null;
+  return {
+    time: (match[1] || '').replace(/\s+/g, ''),
+    title: match[2].trim(),
+  };
+}
+
+/**
+ * Tokenize an event title for fuzzy comparison.
+ * @param {string} title - Event title
+ * @returns {Set<string>} Lowercased words, punctuation and stopwords removed
+ */
+function titleTokens(title) {
+  return new Set(
+    title.toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word && !TITLE_STOPWORDS.has(word))
+  );
+}
+
+/**
+ * Check whether two titles are similar enough to be what a lookup meant.
+ * Similar when one title's words contain the other's, or the word
+ * overlap reaches TITLE_SIMILARITY_THRESHOLD. Too loose for merging:
+ * "Call Bob re taxes" is similar to "Call Bob re rent".
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {boolean}
+ */
+export function isSimilarTitle(a, b) {
+  const tokensA = titleTokens(a);
+  const tokensB = titleTokens(b);
+  if (tokensA.size === 0 || tokensB.size === 0) {
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+  }
+
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  if (shared === Math.min(tokensA.size, tokensB.size)) return true;
+
+  const union = new Set([...tokensA, ...tokensB]).size;
+  return shared / union >= TITLE_SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Check whether two titles are the same once punctuation, case and
+ * filler words are ignored.
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {boolean}
+ */
+export function isSameTitle(a, b) {
+  const tokensA = titleTokens(a);
+  const tokensB = titleTokens(b);
+  if (tokensA.size === 0 || tokensB.size === 0) {
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+  }
+  return tokensA.size === tokensB.size && [...tokensA].every(token => tokensB.has(token));
+}
+
+/**
+ * Check whether the shorter title's words, at least MIN_SUBSET_TOKENS of
+ * them, all appear in the longer one.
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {boolean}
+ */
+function isTitleSubset(a, b) {
+  const [shorter, longer] = [titleTokens(a), titleTokens(b)].sort((x, y) => x.size - y.size);
+  return shorter.size >= MIN_SUBSET_TOKENS && [...shorter].every(token => longer.has(token));
+}
+
+/**
+ * Get the start time of an event time string, zero-padded.
+ * @param {string} time - "9:00", "09:00-10:00" or ''
+ * @returns {string} "09:00", or '' for all-day
+ */
+function startTime(time) {
+  const start = time.split('-')[0];
+  return start ? start.padStart(5, '0') : '';
+}
+
+/**
+ * Check whether two parsed event lines are the same event: same start
+ * time and the same title, or for timed events a title whose words
+ * (at least MIN_SUBSET_TOKENS) all appear in the other.
+ * @param {{ time: string, title: string }} a - Parsed event
+ * @param {{ time: string, title: string }} b - Parsed event
+ * @returns {boolean}
+ */
+export function isSameEvent(a, b) {
+  const start = startTime(a.time);
+  if (start !== startTime(b.time)) return false;
+  return isSameTitle(a.title, b.title) || (start !== '' && isTitleSubset(a.title, b.title));
+}
+
+/**
+ * Split a day section body into entries: a bullet line plus its indented
+ * continuation lines. Blank lines are dropped.
+ * @param {string[]} lines - Body lines (heading excluded)
+ * @returns {Array<{ line: string, children: string[] }>}
+ */
+export function parseDayEntries(lines) {
+  const entries = [];
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    if (/^\s/.test(line) && entries.length > 0) {
+      entries[entries.length - 1].children.push(line.trimEnd());
+    } else {
+      entries.push({ line: line.trimEnd(), children: [] });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Merge duplicate events within one day (see isSameEvent); the first occurrence
+ * keeps its place, takes the most detailed title, and collects children.
+ * @param {Array<{ line: string, children: string[] }>} entries - Day entries
+ * @returns {Array<{ line: string, children: string[] }>} Deduplicated entries
+ */
+function mergeDuplicateEntries(entries) {
+  const kept = [];
+  for (const entry of entries) {
+    const event = parseEventLine(entry.line);
+    const duplicate = event && kept.find(other => {
+      const otherEvent = parseEventLine(other.line);
+      return otherEvent && isSameEvent(otherEvent, event);
+    });
+
+    if (!duplicate) {
+      kept.push({ line: entry.line, children: [...entry.children] });
+      continue;
+    }
+
+    if (event.title.length > parseEventLine(duplicate.line).title.length) {
+      duplicate.line = entry.line;
+    }
+    for (const child of entry.children) {
+      if (!duplicate.children.includes(child)) {
+        duplicate.children.push(child);
+      }
+    }
+  }
+  return kept;
+}
+
+/**
+ * Normalize calendar content.
+ * - Day sections are sorted chronologically
+ * - Sections for the same date are merged under one `## YYYY-MM-DD (Day)` heading
+ * - Duplicate events (same date and start time, same title; see isSameEvent) become one line
+ * The header before the first day is kept as-is. Idempotent.
+ * @param {string} content - Calendar file content
+ * @returns {string} Normalized content
+ */
+export function normalizeCalendar(content) {
+  const { header, sections } = parseCalendar(content);
+  if (sections.length === 0) {
+    return content;
+  }
+
+  const days = new Map(); // date -> body lines
+  for (const section of sections) {
+    const bodyLines = section.content.split('\n').slice(1);
+    days.set(section.date, [...(days.get(section.date) || []), ...bodyLines]);
+  }
+
+  const body = [...days.keys()].sort().map(date => {
+    const entries = mergeDuplicateEntries(parseDayEntries(days.get(date)));
+    const lines = entries.flatMap(entry => [entry.line, ...entry.children]);
+    const heading = `## ${date} (${getDayName(date)})`;
+    return lines.length > 0 ? `${heading}\n\n${lines.join('\n')}` : heading;
+  }).join('\n\n');
+
+  const prefix = header.trim() ? header.trimEnd() + '\n\n' : '';
+  return prefix + body + '\n';
+}
+
+/**
+ * Make sure a day heading exists before a tool call targets it.
+ * If no section has exactly this heading, an empty one is inserted in
+ * date order, so append/prepend/replace land in the right place instead
+ * of failing or being tacked onto the end of the file.
+ * Non-day headings are left alone.
+ * @param {string} content - Calendar file content
+ * @param {string} heading - Target heading, e.g. "## 2026-02-05 (Thursday)"
+ * @returns {string} Content containing the heading
+ */
+export function ensureDayHeading(content, heading) {
+  const date = heading?.match(/^## (\d{4}-\d{2}-\d{2})/)?.[1];
+  if (!date) {
+    return content;
+  }
+
+  const lines = content.split('\n');
+  if (lines.some(line => line.trimEnd() === heading.trimEnd())) {
+    return content;
+  }
+
+  const { header, sections } = parseCalendar(content);
+  const insertAt = sections.findIndex(s => s.date > date);
+  const newSection = { date, content: heading.trimEnd() };
+  if (insertAt === -1) {
+    sections.push(newSection);
+  } else {
+    sections.splice(insertAt, 0, newSection);
+  }
+
+  const prefix = header.trim() ? header.trimEnd() + '\n\n' : '';
+  return prefix + sections.map(s => s.content.trimEnd()).join('\n\n') + '\n';
+}
+
+/**
+ * Merge events into calendar content, skipping ones already present.
+ * An event is already present when its day has a line for the same
+ * event (see isSameEvent).
+ *
+ * An event with a `uid` found in `imported` (what earlier imports wrote
+ * for that uid) updates the line written then, if it's still on the
+ * calendar unchanged, so a title or time edited at the source doesn't
+ * leave the old line behind. On the same day the line is replaced in
+ * place and keeps its sub-bullets. Each duplicate carries the line it
+ * `matched`, and each update the `previous` line it replaced.
+ * @param {string} content - calendar-current.md content ('' if missing)
+ * @param {Array<{ date: string, time: string, title: string, uid?: string }>} events - Events to add
+ * @param {Object} [options]
+ * @param {Object<string, { date: string, time: string, title: string }>} [options.imported] - Earlier imports by uid
+ * @returns {{ content: string, added: Array<Object>, updated: Array<Object>, duplicates: Array<Object> }} Normalized content
+ */
+export function mergeEvents(content, events, { imported = {} } = {}) {
+  const { header, sections } = parseCalendar(content || CURRENT_CALENDAR_HEADER);
+
+  const days = new Map(); // date -> body lines
+  for (const section of sections) {
+    days.set(section.date, [...(days.get(section.date) || []), ...section.content.split('\n').slice(1)]);
+  }
+
+  const added = [];
+  const updated = [];
+  const duplicates = [];
+  for (const event of events) {
+    const lines = days.get(event.date) || [];
+    const line = `- ${event.time ? `${event.time} ` : ''}${event.title}`;
+
+    const previous = event.uid && imported[event.uid];
+    const changed = previous && (previous.date !== event.date || previous.time !== event.time || previous.title !== event.title);
+    const oldLines = changed ? days.get(previous.date) || [] : [];
+    const oldIndex = oldLines.findIndex(l => {
+      const parsed = parseEventLine(l);
+      return parsed && parsed.time === previous.time && parsed.title === previous.title;
+    });
+
+    if (oldIndex !== -1) {
+      if (previous.date === event.date) {
+        lines[oldIndex] = line;
+      } else {
+        // Drop the old line with its sub-bullets
+        let end = oldIndex + 1;
+        while (end < oldLines.length && /^\s+\S/.test(oldLines[end])) end++;
+        oldLines.splice(oldIndex, end - oldIndex);
+        if (!oldLines.some(l => l.trim())) {
+          // The moved event was the day's last; drop the empty heading too
+          days.delete(previous.date);
+        }
+        lines.push(line);
+      }
+      days.set(event.date, lines);
+      updated.push({ ...event, previous });
+      continue;
+    }
+
+    const matched = lines.map(parseEventLine).filter(Boolean).find(other => isSameEvent(other, event));
+    if (matched) {
+      duplicates.push({ ...event, matched });
+      continue;
+    }
+
+    lines.push(line);
+    days.set(event.date, lines);
+    added.push(event);
+  }
+
+  const body = [...days.entries()]
+    .map(([date, lines]) => [`## ${date}`, ...lines].join('\n'))
+    .join('\n\n');
+
+  return {
+    content: normalizeCalendar(header.trimEnd() + '\n\n' + body + '\n'),
+    added,
+    updated,
+    duplicates,
+  };
+}
@@ -7,6 +7,29 @@ const ANTHROPIC_API_BASE = 'https://api.anthropic.com/v1';
 const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
 const DEFAULT_MAX_TOKENS = 4000;
 const DEFAULT_TIMEOUT_MS = 25000; // 25s to leave buffer before Worker timeout
+const MAX_CACHE_BREAKPOINTS = 4;
+
+/**
+ * Build a system prompt as text blocks with the stable parts cached.
+ * Each stable part ends in a cache breakpoint, so a change to a later part
+ * still reuses the cached prefix before it. The volatile part comes last,
+ * uncached. Anthropic allows four breakpoints per request.
+ * @param {string[]} stable - Parts that rarely change, most stable first
+ * @param {string} [volatile] - Part that changes from request to request
+ * @returns {Array<{ type: 'text', text: string, cache_control?: Object }>} System blocks
+ */
+export function cachedSystem(stable, volatile) {
+  const parts = stable.filter(Boolean);
+  if (parts.length > MAX_CACHE_BREAKPOINTS) {
+    throw new Error(`At most ${MAX_CACHE_BREAKPOINTS} cached system parts are allowed`);
+  }
+
+  const blocks = parts.map(text => ({ type: 'text', text, cache_control: { type: 'ephemeral' } }));
+  if (volatile) {
+    blocks.push({ type: 'text', text: volatile });
+  }
+  return blocks;
+}
 
 /**
  * Create a Claude client for the worker.
@@ -16,6 +39,8 @@ const DEFAULT_TIMEOUT_MS = 25000; // 25s to leave buffer before Worker timeout
  * @param {number} [options.maxTokens] - Default max tokens
  * @param {number} [options.timeoutMs] - Request timeout in milliseconds
  * @param {Object} [options.logger] - Logger instance
+ * @param {Function} [options.onUsage] - Called with each response's token usage
+ *   (input, output and cache read/write counts) and { model }
  * @returns {Object} Claude client instance
  */
 export function createClaudeClient(options = {}) {
@@ -25,6 +50,7 @@ export function createClaudeClient(options = {}) {
     maxTokens = DEFAULT_MAX_TOKENS,
     timeoutMs = DEFAULT_TIMEOUT_MS,
     logger,
+    onUsage,
   } = options;
 
   if (!apiKey) {
@@ -63,7 +89,9 @@ export function createClaudeClient(options = {}) {
         throw error;
       }
 
-      return response.json();
+      const data = await response.json();
+      await reportUsage(data.usage, body.model);
+      return data;
     } catch (error) {
       if (error.name === 'AbortError') {
         const timeoutError = new Error(`Claude API timeout after ${timeout}ms`);
@@ -76,6 +104,20 @@ export function createClaudeClient(options = {}) {
     }
   }
 
+  /**
+   * Pass token usage to onUsage. Failing to record usage never fails the request.
+   * @param {Object} [usage] - Response usage
+   * @param {string} requestModel - Model the request used
+   */
+  async function reportUsage(usage, requestModel) {
+    if (!onUsage || !usage) return;
+    try {
+      await onUsage(usage, { model: requestModel });
+    } catch (error) {
+      logger?.warn('Failed to record Claude usage', { error: error.message });
+    }
+  }
+
   /**
    * Extract text content from Claude response.
    * @param {Object} response - API response
@@ -128,7 +170,7 @@ export function createClaudeClient(options = {}) {
     /**
      * Send a message and get text response.
      * @param {Object} options
-     * @param {string} options.system - System prompt
+     * @param {string|Array<Object>} options.system - System prompt, or blocks from cachedSystem()
      * @param {string} options.userMessage - User message
      * @param {string} [options.model] - Model override
      * @param {number} [options.maxTokens] - Max tokens override
@@ -164,7 +206,7 @@ export function createClaudeClient(options = {}) {
     /**
      * Send a multi-turn conversation.
      * @param {Object} options
-     * @param {string} options.system - System prompt
+     * @param {string|Array<Object>} options.system - System prompt, or blocks from cachedSystem()
      * @param {Array<{role: string, content: string}>} options.messages - Conversation history
      * @param {string} [options.model] - Model override
      * @param {number} [options.maxTokens] - Max tokens override
@@ -187,6 +229,48 @@ export function createClaudeClient(options = {}) {
       return extractText(response);
     },
 
+    /**
+     * Send a conversation with tool definitions and return the tool calls.
+     * @param {Object} options
+     * @param {string|Array<Object>} options.system - System prompt, or blocks from cachedSystem()
+     * @param {Array<{role: string, content: string|Array}>} options.messages - Conversation history
+     * @param {Array<Object>} options.tools - Tool definitions ({ name, description, input_schema })
+     * @param {Object} [options.toolChoice] - tool_choice, e.g. { type: 'any' }
+     * @param {string} [options.model] - Model override
+     * @param {number} [options.maxTokens] - Max tokens override
+     * @param {number} [options.timeout] - Timeout override
+     * @returns {Promise<{ text: string, toolUses: Array<{ type: 'tool_use', id: string, name: string, input: Object }>, stopReason: string }>}
+     *   Text blocks joined, and tool_use blocks in the order Claude emitted them
+     */
+    async toolUse({ system, messages, tools, toolChoice, model: modelOverride, maxTokens: tokensOverride, timeout }) {
+      logger?.debug('Claude tool use', { messageCount: messages.length, tools: tools.length });
+
+      const response = await makeRequest(
+        {
+          model: modelOverride || model,
+          max_tokens: tokensOverride || maxTokens,
+          system,
+          messages,
+          tools,
+          ...(toolChoice && { tool_choice: toolChoice }),
+        },
+        timeout
+      );
+
+      if (!response.content) {
+        throw new Error('Claude API returned empty response');
+      }
+      if (response.stop_reason === 'max_tokens') {
+        logger?.warn('Claude tool use hit max_tokens; tool input may be incomplete');
+      }
+
+      return {
+        text: response.content.filter(block => block.type === 'text').map(block => block.text).join('\n'),
+        toolUses: response.content.filter(block => block.type === 'tool_use'),
+        stopReason: response.stop_reason,
+      };
+    },
+
     /**
      * Classify intent from a message.
      * @param {Object} options
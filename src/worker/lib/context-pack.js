@@ -0,0 +1,265 @@
+/**
+ * Context Pack - Pure rebuild of data/current.md.
+ *
+ * Defines the sections of current.md, where each one is sourced from, and
+ * how source file contents become section bodies. Works on an in-memory
+ * map of repo paths to contents so it can run in the Worker (BrainDO
+ * commitWriteSet, nightly reconciliation) as well as in
+ * src/scripts/rebuild-context.js, which handles the file I/O.
+ */
+
+/**
+ * Path of the context pack in the repo.
+ */
+export const CONTEXT_PACK_PATH = 'data/current.md';
+
+/**
+ * Identity files combined (in this order) into the Identity section.
+ */
+export const IDENTITY_FILES = ['bio.md', 'mission.md', 'values.md', 'roles.md', 'goals.md'];
+
+/**
+ * Comment marking a section that lives only in current.md.
+ */
+export const INLINE_COMMENT = '<!-- Managed inline - preserved during rebuild -->';
+
+/**
+ * Sections of current.md, most volatile at top → most stable at bottom.
+ * `source` returns the path (relative to data/) named in the section's
+ * source comment; inline sections have none. `stable` sections change
+ * rarely enough to send as a cached prompt block.
+ */
+export const CONTEXT_SECTIONS = [
+  { name: 'Pending Review', inline: true, placeholder: '*No items pending review*' },
+  { name: "Today's Stream", source: ({ today }) => `stream/${today}.md`, placeholder: '*No captures yet today*' },
+  { name: 'Open Loops', inline: true, placeholder: '*No open loops*' },
+  { name: 'Snoozed', inline: true, placeholder: '*Nothing snoozed*' },
+  { name: "This Week's Plan", source: ({ weekId }) => `planning/weekly/${weekId}.md`, placeholder: '*No weekly plan yet*' },
+  { name: 'Upcoming Calendar', source: () => 'planning/calendar-current.md', placeholder: '*No upcoming events*' },
+  { name: 'Project Index', source: () => 'projects/index.md', placeholder: '*No projects*', stable: true },
+  { name: "This Month's Plan", source: ({ monthId }) => `planning/monthly/${monthId}.md`, placeholder: '*No monthly plan yet*', stable: true },
+  { name: 'Learned Context', source: () => 'system/learned.md', placeholder: '*No learned context yet*', stable: true },
+  { name: 'Identity', source: () => 'identity/*.md (combined)', placeholder: '*Identity not yet defined*', stable: true },
+];
+
+/**
+ * List the repo paths a rebuild reads for the given dates.
+ * @param {Object} dates - { today, weekId, monthId }
+ * @returns {string[]} Paths under data/
+ */
+export function getSourcePaths(dates) {
+  return CONTEXT_SECTIONS.flatMap(section => {
+    if (section.inline) return [];
+    if (section.name === 'Identity') return IDENTITY_FILES.map(file => `data/identity/${file}`);
+    return [`data/${section.source(dates)}`];
+  });
+}
+
+/**
+ * Filter project index rows to active-only for context pack embedding.
+ * The full index.md contains all projects (active + archived),
+ * but current.md should only show active ones.
+ *
+ * @param {string} content - Full index.md content
+ * @returns {string} Filtered content with only active project rows
+ */
+export function filterActiveProjectRows(content) {
+  if (!content) return '';
+
+  const lines = content.split('\n');
+  const filtered = [];
+
+  for (const line of lines) {
+    // Keep headers, separator, and non-table lines
+    if (!line.startsWith('|') || line.startsWith('| Project') || line.startsWith('|---')) {
+      filtered.push(line);
+      continue;
+    }
+    // Keep rows where status column contains "active"
+    const cells = line.split('|').map(c => c.trim());
+    // Table format: | Project | Status | Description |
+    // cells[0] is empty (before first |), cells[1] = Project, cells[2] = Status, cells[3] = Description
+    if (cells[2] && cells[2].toLowerCase() === 'active') {
+      filtered.push(line);
+    }
+  }
+
+  return filtered.join('\n');
+}
+
+/**
+ * Build the body of a sourced section from file contents.
+ * @param {Object} section - Entry of CONTEXT_SECTIONS
+ * @param {Object<string, string>} files - Contents by repo path (missing = empty)
+ * @param {Object} dates - { today, weekId, monthId }
+ * @returns {string} Section body
+ */
+function sourcedContent(section, files, dates) {
+  if (section.name === 'Identity') {
+    return IDENTITY_FILES
+      .map(file => files[`data/identity/${file}`])
+      .filter(Boolean)
+      .join('\n\n---\n\n');
+  }
+
+  const content = files[`data/${section.source(dates)}`] || '';
+  return section.name === 'Project Index' ? filterActiveProjectRows(content) : content;
+}
+
+/**
+ * Assemble every section of current.md from source file contents.
+ * @param {Object<string, string>} files - Contents by repo path, e.g. 'data/system/learned.md'
+ * @param {Object} options
+ * @param {string} options.today - Local date (YYYY-MM-DD)
+ * @param {string} options.weekId - ISO week (YYYY-WXX)
+ * @param {string} options.monthId - Month (YYYY-MM)
+ * @param {Object<string, string>} [options.inline] - Inline section bodies by name
+ * @returns {Array<{ name: string, comment: string, content: string }>} Sections in pack order
+ */
+export function assembleSections(files, { today, weekId, monthId, inline = {} }) {
+  const dates = { today, weekId, monthId };
+
+  return CONTEXT_SECTIONS.map(section => {
+    if (section.inline) {
+      return {
+        name: section.name,
+        comment: INLINE_COMMENT,
+        content: inline[section.name] || section.placeholder,
+      };
+    }
+
+    return {
+      name: section.name,
+      comment: `<!-- Source: ${section.source(dates)} -->`,
+      content: sourcedContent(section, files, dates) || section.placeholder,
+    };
+  });
+}
+
+/**
+ * Render assembled sections as the body of current.md.
+ * @param {Array<{ name: string, comment: string, content: string }>} sections - Output of assembleSections
+ * @returns {string} Markdown, one `## Name` block per section
+ */
+export function renderSections(sections) {
+  return sections
+    .map(section => `## ${section.name}\n${section.comment}\n${section.content}\n`)
+    .join('\n');
+}
+
+/**
+ * Split current.md into its top-level sections.
+ * This is the structured view rebuild and decompose share: every Source
+ * comment, inline marker and stray version stamp is taken out of the
+ * content, however many copies a damaged pack has, so rendering the
+ * result emits each exactly once. Only known section names end a section, so embedded `## ` headings
+ * (calendar days, stream captures) stay inside their section; a repeated
+ * section keeps its first copy.
+ * @param {string} content - current.md content
+ * @returns {Map<string, { comment: string|null, source: string|null, content: string }>}
+ *   By section name. comment is the first marker line, source the path in
+ *   the Source comment; content excludes all marker lines
+ */
+export function splitSections(content) {
+  const names = new Set(CONTEXT_SECTIONS.map(section => section.name));
+  const sections = new Map();
+  let current = null;
+
+  for (const line of content.split('\n')) {
+    const heading = line.match(/^## (.+?)\s*$/);
+    if (heading && names.has(heading[1])) {
+      current = { comment: null, source: null, lines: [] };
+      if (!sections.has(heading[1])) sections.set(heading[1], current);
+    } else if (current) {
+      const trimmed = line.trim();
+      const source = trimmed.match(/^<!-- Source: (.+?) -->$/);
+      if (trimmed.startsWith('<!-- context_pack_version:')) {
+        // Stray version stamp; the pack's own stamp lives above the sections
+      } else if (source || trimmed.startsWith('<!-- Managed inline')) {
+        current.comment = current.comment || trimmed;
+        current.source = current.source || source?.[1] || null;
+      } else {
+        current.lines.push(line);
+      }
+    }
+  }
+
+  return new Map([...sections].map(([name, section]) => [
+    name,
+    { comment: section.comment, source: section.source, content: section.lines.join('\n').trim() },
+  ]));
+}
+
+/**
+ * Split current.md into its stable sections and everything else, for
+ * prompt caching. Lines are kept verbatim and in order; the header and
+ * version stamp go with the volatile part, so a rebuild that only bumps
+ * the stamp doesn't invalidate the cached sections.
+ * @param {string} content - current.md content
+ * @returns {{ stable: string, volatile: string }}
+ */
+export function splitByStability(content) {
+  const stableNames = new Set(CONTEXT_SECTIONS.filter(section => section.stable).map(section => section.name));
+  const names = new Set(CONTEXT_SECTIONS.map(section => section.name));
+  const stable = [];
+  const volatile = [];
+  let inStable = false;
+
+  for (const line of (content || '').split('\n')) {
+    const heading = line.match(/^## (.+?)\s*$/);
+    if (heading && names.has(heading[1])) {
+      inStable = stableNames.has(heading[1]);
+    }
+    (inStable ? stable : volatile).push(line);
+  }
+
+  return { stable: stable.join('\n').trim(), volatile: volatile.join('\n').trim() };
+}
+
+/**
+ * Check whether two packs differ in any sourced (non-inline) section.
+ * Such edits exist only in current.md and must be decomposed, not rebuilt over.
+ * @param {string} before - current.md content before the edit
+ * @param {string} after - current.md content after the edit
+ * @returns {boolean}
+ */
+export function hasSourcedEdits(before, after) {
+  const beforeSections = splitSections(before);
+  const afterSections = splitSections(after);
+
+  return CONTEXT_SECTIONS
+    .filter(section => !section.inline)
+    .some(section => beforeSections.get(section.name)?.content !== afterSections.get(section.name)?.content);
+}
+
+/**
+ * Rebuild current.md from source file contents.
+ * Inline sections (Pending Review, Open Loops, Snoozed) are carried over from the
+ * existing pack; everything else comes from `files`.
+ * @param {Object<string, string>} files - Contents by repo path (see getSourcePaths); missing = empty
+ * @param {Object} options
+ * @param {string} options.today - Local date (YYYY-MM-DD)
+ * @param {string} options.weekId - ISO week (YYYY-WXX)
+ * @param {string} options.monthId - Month (YYYY-MM)
+ * @param {string} options.timestamp - "Last rebuilt" value
+ * @param {Function} options.hash - (content) => version hash
+ * @param {string} [options.existing] - Current current.md, for inline sections
+ * @param {string} [options.sourceRef] - Commit the sources were read at
+ * @returns {string} New current.md, stamped direction: build
+ */
+export function rebuildContextPack(files, { today, weekId, monthId, timestamp, hash, existing = '', sourceRef = 'unknown' }) {
+  const existingSections = splitSections(existing);
+  const inline = Object.fromEntries(
+    CONTEXT_SECTIONS
+      .filter(section => section.inline)
+      .map(section => [section.name, existingSections.get(section.name)?.content || ''])
+  );
+
+  const assembled = `# Current Context
+Last rebuilt: ${timestamp}
+
+${renderSections(assembleSections(files, { today, weekId, monthId, inline }))}`;
+
+  const stamp = `<!-- context_pack_version: ${hash(assembled)} source_ref: ${sourceRef} direction: build -->`;
+  return assembled.replace('# Current Context\n', `# Current Context\n${stamp}\n`);
+}
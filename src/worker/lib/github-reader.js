@@ -68,14 +68,24 @@ export function createGitHubReader({ token, repo, branch = 'main', logger }) {
       }
     },
 
+    /**
+     * Get the commit SHA the branch currently points at.
+     * @returns {Promise<string>} Commit SHA
+     */
+    async getHeadSha() {
+      const data = await get(`/git/ref/heads/${branch}`);
+      return data.object.sha;
+    },
+
     /**
      * Get the content of a file.
      * @param {string} path - File path in repository
+     * @param {string} [ref] - Commit SHA or branch to read at (default: the branch)
      * @returns {Promise<string|null>} File content (decoded) or null if not found
      */
-    async getContent(path) {
+    async getContent(path, ref = branch) {
       try {
-        const data = await get(`/contents/${path}?ref=${branch}`);
+        const data = await get(`/contents/${path}?ref=${ref}`);
 
         if (data.type !== 'file') {
           throw new Error(`Path is not a file: ${path}`);
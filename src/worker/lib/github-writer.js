@@ -54,7 +54,9 @@ export function createGitHubWriter({ token, repo, branch = 'main', logger, timeo
   const log = logger || { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
 
   /**
-   * Make an authenticated request to GitHub API.
+   * Make an authenticated request to GitHub API. A failed request throws
+   * an Error carrying the response `status` and the `method` and
+   * `endpoint` that failed.
    */
   async function makeRequest(method, endpoint, body = null) {
     const controller = new AbortController();
@@ -80,7 +82,11 @@ export function createGitHubWriter({ token, repo, branch = 'main', logger, timeo
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`GitHub API error: ${response.status} - ${errorText}`);
+        const error = new Error(`GitHub API error: ${response.status} - ${errorText}`);
+        error.status = response.status;
+        error.method = method;
+        error.endpoint = endpoint;
+        throw error;
       }
 
       return response.json();
@@ -311,16 +317,20 @@ export function createGitHubWriter({ token, repo, branch = 'main', logger, timeo
     /**
      * Batch write multiple files in a single commit.
      * Uses the Git Data API for atomic commits.
+     * With `baseSha`, the commit is built on that commit instead of the
+     * current HEAD, so the ref update fails (422) if HEAD has moved since.
      * @param {Array<{path: string, content: string}>} files - Files to write
      * @param {string} message - Commit message
+     * @param {Object} [options]
+     * @param {string} [options.baseSha] - Parent commit the files were assembled on
      * @returns {Promise<Object>} Commit result
      */
-    async batchWrite(files, message) {
-      log.info('Batch writing files', { fileCount: files.length });
+    async batchWrite(files, message, { baseSha } = {}) {
+      log.info('Batch writing files', { fileCount: files.length, baseSha });
 
       // Get current commit SHA
-      const refResponse = await makeRequest('GET', `/repos/${repo}/git/ref/heads/${branch}`);
-      const latestCommitSha = refResponse.object.sha;
+      const latestCommitSha = baseSha
+        || (await makeRequest('GET', `/repos/${repo}/git/ref/heads/${branch}`)).object.sha;
 
       // Get the tree SHA
       const commitResponse = await makeRequest('GET', `/repos/${repo}/git/commits/${latestCommitSha}`);
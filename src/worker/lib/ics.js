@@ -0,0 +1,722 @@
+/**
+ * ICS - Convert between the markdown calendar and RFC 5545 iCalendar.
+ *
+ * Event lines in calendar-current.md / calendar-past.md look like
+ * `- HH:MM Title` or `- HH:MM-HH:MM Title` under `## YYYY-MM-DD (Day)`
+ * headings. Times are local (America/New_York) and exported with a TZID;
+ * lines without a time are all-day events.
+ *
+ * Import goes the other way: VEVENTs are converted to local time and
+ * simple RRULEs are expanded over the next few weeks.
+ */
+
+import { parseCalendar, parseDayEntries, parseEventLine } from './calendar.js';
+import { getTimezone } from './timezone.js';
+
+/**
+ * Length of an event with a start time but no end time.
+ */
+const DEFAULT_EVENT_MINUTES = 60;
+
+/**
+ * Max octets per content line before folding (RFC 5545 §3.1).
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * VTIMEZONE for America/New_York (US DST rules since 2007).
+ */
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  'TZID:America/New_York',
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'TZNAME:EST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+/**
+ * djb2 hash, used for stable event UIDs.
+ * @param {string} str - Input string
+ * @returns {string} Hex hash string
+ */
+function hash(str) {
+  let h = 5381;
+  for (let i = 0; i < str.length; i++) {
+    h = ((h << 5) + h + str.charCodeAt(i)) & 0xffffffff;
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Escape a TEXT property value.
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeText(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets per physical line.
+ * Continuation lines start with a single space.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (CRLF-separated)
+ */
+export function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = encoder.encode(char).length;
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Parse an event time: `HH:MM` or `HH:MM-HH:MM`.
+ * @param {string} time - Time string from parseEventLine ('' for all-day)
+ * @returns {{ start: number, end: number } | null} Minutes since midnight, or null for all-day
+ */
+export function parseEventTime(time) {
+  const match = time.match(/^(\d{1,2}):(\d{2})(?:-(\d{1,2}):(\d{2}))?$/);
+  if (!match) return null;
+
+  const start = Number(match[1]) * 60 + Number(match[2]);
+  const end = match[3] !== undefined
+    ? Number(match[3]) * 60 + Number(match[4])
+    : start + DEFAULT_EVENT_MINUTES;
+
+  return { start, end };
+}
+
+/**
+ * Add days to a YYYY-MM-DD date.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Format a local date and minute offset as an iCalendar local DATE-TIME.
+ * Minutes past midnight roll over into the following day(s).
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes since local midnight
+ * @returns {string} e.g. "20260201T080000"
+ */
+function formatLocalDateTime(date, minutes) {
+  const day = addDays(date, Math.floor(minutes / 1440));
+  const minuteOfDay = minutes % 1440;
+  const hh = String(Math.floor(minuteOfDay / 60)).padStart(2, '0');
+  const mm = String(minuteOfDay % 60).padStart(2, '0');
+  return `${day.replace(/-/g, '')}T${hh}${mm}00`;
+}
+
+/**
+ * Format a Date as a UTC DATE-TIME (for DTSTAMP).
+ * @param {Date} date - Timestamp
+ * @returns {string} e.g. "20260201T123000Z"
+ */
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Extract events from calendar markdown.
+ * @param {string} content - calendar-current.md or calendar-past.md content
+ * @returns {Array<{ date: string, time: string, title: string, notes: string[] }>}
+ */
+export function extractEvents(content) {
+  if (!content) return [];
+
+  const { sections } = parseCalendar(content);
+  const events = [];
+
+  for (const section of sections) {
+    const entries = parseDayEntries(section.content.split('\n').slice(1));
+    for (const entry of entries) {
+      const event = parseEventLine(entry.line);
+      if (!event || !event.title) continue;
+      events.push({
+        date: section.date,
+        time: event.time,
+        title: event.title,
+        notes: entry.children.map(child => child.trim().replace(/^[-*]\s+/, '')),
+      });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Render one event as VEVENT content lines.
+ * @param {Object} event - Event from extractEvents
+ * @param {string} dtstamp - DTSTAMP value
+ * @returns {string[]} Unfolded content lines
+ */
+function renderEvent(event, dtstamp) {
+  const tzid = getTimezone();
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.date}-${hash(`${event.date}|${event.time}|${event.title}`)}@second-brain`,
+    `DTSTAMP:${dtstamp}`,
+  ];
+
+  const time = parseEventTime(event.time);
+  if (time) {
+    // An end before the start means the event runs past midnight
+    const end = time.end > time.start ? time.end : time.end + 1440;
+    lines.push(`DTSTART;TZID=${tzid}:${formatLocalDateTime(event.date, time.start)}`);
+    lines.push(`DTEND;TZID=${tzid}:${formatLocalDateTime(event.date, end)}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${event.date.replace(/-/g, '')}`);
+    lines.push(`DTEND;VALUE=DATE:${addDays(event.date, 1).replace(/-/g, '')}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  if (event.notes.length > 0) {
+    lines.push(`DESCRIPTION:${escapeText(event.notes.join('\n'))}`);
+  }
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Build an iCalendar feed from the calendar files.
+ * @param {Object} sources
+ * @param {string} [sources.current] - calendar-current.md content
+ * @param {string} [sources.past] - calendar-past.md content
+ * @param {Date} [sources.now] - DTSTAMP time (defaults to now)
+ * @returns {string} VCALENDAR text with CRLF line endings
+ */
+export function buildIcs({ current = '', past = '', now = new Date() } = {}) {
+  const dtstamp = formatUtcDateTime(now);
+  const events = [...extractEvents(past), ...extractEvents(current)];
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Second Brain//Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Second Brain',
+    `X-WR-TIMEZONE:${getTimezone()}`,
+    ...VTIMEZONE,
+    ...events.flatMap(event => renderEvent(event, dtstamp)),
+    'END:VCALENDAR',
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Days ahead that recurring events are expanded on import.
+ */
+export const IMPORT_WINDOW_DAYS = 28;
+
+/**
+ * Upper bound on RRULE iterations per event (guards runaway rules). Rules
+ * without COUNT start counting near the import window, not at DTSTART.
+ */
+const MAX_RECURRENCE_STEPS = 10000;
+
+/**
+ * RRULE parts the importer understands. Rules using anything else are
+ * imported as their first occurrence only.
+ */
+const SUPPORTED_RRULE_PARTS = new Set(['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST']);
+
+/**
+ * RRULE BYDAY codes by JS weekday index.
+ */
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Unfold content lines (RFC 5545 §3.1) and drop blanks.
+ * @param {string} text - Raw ICS text
+ * @returns {string[]} Logical content lines
+ */
+function unfoldLines(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim());
+}
+
+/**
+ * Parse a content line into name, params and value.
+ * @param {string} line - Unfolded content line
+ * @returns {{ name: string, params: Object, value: string }}
+ */
+function parseProperty(line) {
+  // The value starts at the first colon outside a quoted param value
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+
+  const head = colon === -1 ? line : line.slice(0, colon);
+  const value = colon === -1 ? '' : line.slice(colon + 1);
+  const [name, ...paramParts] = head.split(';');
+
+  const params = {};
+  for (const part of paramParts) {
+    const eq = part.indexOf('=');
+    if (eq !== -1) {
+      params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+  }
+
+  return { name: name.toUpperCase(), params, value };
+}
+
+/**
+ * Unescape a TEXT property value.
+ * @param {string} text - Escaped text
+ * @returns {string} Raw text
+ */
+export function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+/**
+ * Parse VEVENT components out of an iCalendar document.
+ * Nested components (VALARM) are skipped.
+ * @param {string} text - ICS text
+ * @returns {Array<Object>} { uid, summary, status, dtstart, dtend, duration, rrule, exdates, recurrenceId }
+ */
+export function parseIcs(text) {
+  const events = [];
+  let current = null;
+  let nested = 0;
+
+  for (const line of unfoldLines(text || '')) {
+    const { name, params, value } = parseProperty(line);
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      current = { exdates: [] };
+      nested = 0;
+      continue;
+    }
+    if (!current) continue;
+
+    if (name === 'BEGIN') {
+      nested++;
+    } else if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+      events.push(current);
+      current = null;
+    } else if (name === 'END') {
+      nested--;
+    } else if (nested === 0) {
+      switch (name) {
+        case 'UID': current.uid = value; break;
+        case 'SUMMARY': current.summary = unescapeText(value).trim(); break;
+        case 'STATUS': current.status = value.toUpperCase(); break;
+        case 'DTSTART': current.dtstart = { value, params }; break;
+        case 'DTEND': current.dtend = { value, params }; break;
+        case 'DURATION': current.duration = value; break;
+        case 'RRULE': current.rrule = value; break;
+        case 'RECURRENCE-ID': current.recurrenceId = { value, params }; break;
+        case 'EXDATE':
+          for (const v of value.split(',')) {
+            current.exdates.push({ value: v, params });
+          }
+          break;
+      }
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Get a time zone's UTC offset at an instant.
+ * @param {number} utcMs - Instant (ms since epoch)
+ * @param {string} timeZone - IANA zone
+ * @returns {number} Offset in minutes (local - UTC)
+ */
+function zoneOffsetMinutes(utcMs, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit',
+  }).formatToParts(new Date(utcMs));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+  return Math.round((asUtc - Math.floor(utcMs / 60000) * 60000) / 60000);
+}
+
+/**
+ * Convert a wall-clock time in a zone to an instant.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes since midnight
+ * @param {string} timeZone - IANA zone
+ * @returns {number} ms since epoch
+ */
+function zonedToUtc(date, minutes, timeZone) {
+  const [y, m, d] = date.split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d) + minutes * 60000;
+  let utc = wall - zoneOffsetMinutes(wall, timeZone) * 60000;
+  // Second pass settles instants near a DST transition
+  utc = wall - zoneOffsetMinutes(utc, timeZone) * 60000;
+  return utc;
+}
+
+/**
+ * Convert an instant to calendar-local date and minutes.
+ * @param {number} utcMs - ms since epoch
+ * @returns {{ date: string, minutes: number }}
+ */
+function utcToLocal(utcMs) {
+  const offset = zoneOffsetMinutes(utcMs, getTimezone());
+  const local = new Date(utcMs + offset * 60000);
+  return {
+    date: local.toISOString().slice(0, 10),
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes(),
+  };
+}
+
+/**
+ * Check whether a zone name is usable with Intl.
+ * @param {string} timeZone - Zone name
+ * @returns {boolean}
+ */
+function isKnownZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse a DATE or DATE-TIME property value.
+ * The zone is 'UTC' for `Z` values, the TZID if it is a known IANA zone,
+ * or the calendar's own zone for floating times and unknown TZIDs.
+ * @param {{ value: string, params: Object }} prop - Property
+ * @returns {{ date: string, minutes: number|null, zone: string } | null} minutes is null for all-day
+ */
+export function parseDateValue(prop) {
+  const match = prop?.value?.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  if (match[4] === undefined || prop.params.VALUE === 'DATE') {
+    return { date, minutes: null, zone: getTimezone() };
+  }
+
+  const minutes = Number(match[4]) * 60 + Number(match[5]);
+  let zone = getTimezone();
+  if (match[7]) {
+    zone = 'UTC';
+  } else if (prop.params.TZID && isKnownZone(prop.params.TZID)) {
+    zone = prop.params.TZID;
+  }
+
+  return { date, minutes, zone };
+}
+
+/**
+ * Parse an RFC 5545 DURATION into minutes.
+ * @param {string} value - e.g. "PT1H30M", "P1D"
+ * @returns {number|null} Minutes, or null if unparseable
+ */
+function parseDuration(value) {
+  const match = value?.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, sign, w, d, h, m] = match;
+  const total = (Number(w || 0) * 7 + Number(d || 0)) * 1440 + Number(h || 0) * 60 + Number(m || 0);
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Parse an RRULE value into its parts.
+ * @param {string} value - e.g. "FREQ=WEEKLY;BYDAY=MO,WE"
+ * @returns {Object} Upper-cased part names to values
+ */
+function parseRrule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, val] = part.split('=');
+    if (key && val) rule[key.toUpperCase()] = val.toUpperCase();
+  }
+  return rule;
+}
+
+/**
+ * Check whether an RRULE is within the supported subset.
+ * @param {Object} rule - Parsed RRULE
+ * @returns {boolean}
+ */
+function isSupportedRrule(rule) {
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)) return false;
+  if (Object.keys(rule).some(key => !SUPPORTED_RRULE_PARTS.has(key))) return false;
+  // Plain weekday codes only, and only for weekly rules
+  if (rule.BYDAY) {
+    return rule.FREQ === 'WEEKLY' && rule.BYDAY.split(',').every(code => WEEKDAY_CODES.includes(code));
+  }
+  return true;
+}
+
+/**
+ * Add months to a YYYY-MM-DD date, or null if the day doesn't exist.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} months - Months to add
+ * @returns {string|null}
+ */
+function addMonths(date, months) {
+  const [y, m, d] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(y, m - 1 + months, d));
+  return target.getUTCDate() === d ? target.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Longest span of one step per frequency, in days, so skipping
+ * floor(days / span) steps never passes the date skipped to.
+ */
+const MAX_STEP_DAYS = { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 };
+
+/**
+ * Generate recurrence dates (in the event's own zone) for a supported RRULE.
+ * Yields dates in order, starting with DTSTART's date, or near `from`:
+ * whole steps before it are skipped, so a rule that started years ago
+ * doesn't spend its iterations on the past. Dates before `from` may
+ * still be yielded.
+ * @param {string} startDate - DTSTART date (YYYY-MM-DD)
+ * @param {Object} rule - Parsed RRULE
+ * @param {string} [from] - Date to skip ahead to (YYYY-MM-DD)
+ * @returns {Generator<string>}
+ */
+function* recurrenceDates(startDate, rule, from = startDate) {
+  const interval = Math.max(1, Number(rule.INTERVAL || 1));
+  const daysAhead = Math.max(0, Math.floor((Date.parse(from) - Date.parse(startDate)) / 86400000));
+  const firstStep = Math.floor(daysAhead / (MAX_STEP_DAYS[rule.FREQ] * interval));
+
+  if (rule.FREQ === 'WEEKLY' && rule.BYDAY) {
+    const days = rule.BYDAY.split(',').map(code => WEEKDAY_CODES.indexOf(code));
+    const startDow = new Date(`${startDate}T12:00:00Z`).getUTCDay();
+    // Weeks start on Monday (WKST default)
+    const weekStart = addDays(startDate, -((startDow + 6) % 7));
+    const offsets = days.map(dow => (dow + 6) % 7).sort((a, b) => a - b);
+
+    for (let week = firstStep * interval; ; week += interval) {
+      for (const offset of offsets) {
+        const date = addDays(weekStart, week * 7 + offset);
+        if (date >= startDate) yield date;
+      }
+    }
+  }
+
+  for (let step = firstStep; ; step++) {
+    switch (rule.FREQ) {
+      case 'DAILY': yield addDays(startDate, step * interval); break;
+      case 'WEEKLY': yield addDays(startDate, step * interval * 7); break;
+      case 'MONTHLY': {
+        const date = addMonths(startDate, step * interval);
+        if (date) yield date;
+        break;
+      }
+      case 'YEARLY': {
+        const date = addMonths(startDate, step * interval * 12);
+        if (date) yield date;
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Key identifying an occurrence by its calendar-local start.
+ * @param {{ date: string, minutes: number|null }} local - Local start
+ * @returns {string}
+ */
+function occurrenceKey(local) {
+  return `${local.date} ${local.minutes ?? 'all-day'}`;
+}
+
+/**
+ * Resolve a parsed DATE/DATE-TIME to the calendar's local date and minutes.
+ * @param {{ date: string, minutes: number|null, zone: string }} value - From parseDateValue
+ * @returns {{ date: string, minutes: number|null }}
+ */
+function toLocal(value) {
+  if (value.minutes === null) {
+    return { date: value.date, minutes: null };
+  }
+  return utcToLocal(zonedToUtc(value.date, value.minutes, value.zone));
+}
+
+/**
+ * Format minutes since midnight as HH:MM.
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+  const m = ((minutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Convert parsed VEVENTs to calendar events in local time.
+ * Past occurrences are dropped (multi-day all-day events keep the days
+ * still to come); recurring events are expanded up to `windowDays` after
+ * today. Cancelled events are skipped, and a RECURRENCE-ID override
+ * replaces the occurrence it moves.
+ *
+ * Events from a VEVENT with a UID carry `uid`: the UID plus the
+ * occurrence (its RECURRENCE-ID for an override), so a re-import can
+ * recognise an event whose title or time changed at the source.
+ * @param {Array<Object>} vevents - From parseIcs
+ * @param {Object} options
+ * @param {string} options.today - Local date (YYYY-MM-DD)
+ * @param {number} [options.windowDays] - Recurrence window (defaults to IMPORT_WINDOW_DAYS)
+ * @returns {{ events: Array<{ date: string, time: string, title: string, uid?: string }>, unsupportedRecurrences: number }}
+ */
+export function icsToCalendarEvents(vevents, { today, windowDays = IMPORT_WINDOW_DAYS }) {
+  const windowEnd = addDays(today, windowDays);
+  const events = [];
+  let unsupportedRecurrences = 0;
+
+  // Occurrences moved or cancelled by a RECURRENCE-ID override, per UID
+  const overridden = new Map();
+  for (const vevent of vevents) {
+    const recurrenceId = vevent.recurrenceId && parseDateValue(vevent.recurrenceId);
+    if (vevent.uid && recurrenceId) {
+      const keys = overridden.get(vevent.uid) || new Set();
+      keys.add(occurrenceKey(toLocal(recurrenceId)));
+      overridden.set(vevent.uid, keys);
+    }
+  }
+
+  for (const vevent of vevents) {
+    if (vevent.status === 'CANCELLED' || !vevent.summary) continue;
+
+    const start = parseDateValue(vevent.dtstart);
+    if (!start) continue;
+
+    const end = parseDateValue(vevent.dtend);
+    let durationMinutes = parseDuration(vevent.duration);
+    if (durationMinutes === null && end) {
+      durationMinutes = end.minutes === null || start.minutes === null
+        ? Math.round((Date.parse(end.date) - Date.parse(start.date)) / 60000)
+        : Math.round((zonedToUtc(end.date, end.minutes, end.zone) - zonedToUtc(start.date, start.minutes, start.zone)) / 60000);
+    }
+
+    // Extra days an all-day event spans after its first
+    const extraDays = start.minutes === null ? Math.max(0, Math.round((durationMinutes ?? 1440) / 1440) - 1) : 0;
+
+    // Dates (in the event's zone) this event occurs on
+    let dates = [start.date];
+    if (vevent.rrule && !vevent.recurrenceId) {
+      const rule = parseRrule(vevent.rrule);
+      if (isSupportedRrule(rule)) {
+        dates = [];
+        const count = rule.COUNT ? Number(rule.COUNT) : Infinity;
+        const until = rule.UNTIL ? parseDateValue({ value: rule.UNTIL, params: {} }) : null;
+        let untilMs = null;
+        if (until) {
+          untilMs = until.minutes === null
+            ? Date.parse(addDays(until.date, 1))
+            : zonedToUtc(until.date, until.minutes, until.zone) + 1;
+        }
+        // Occurrences long past only count toward COUNT; a day of slack
+        // covers zones whose date differs from the calendar's, and
+        // multi-day occurrences that started earlier may still be running
+        const keepFrom = addDays(today, -1 - extraDays);
+
+        // COUNT needs every occurrence from DTSTART; other rules skip ahead
+        let seen = 0;
+        for (const date of recurrenceDates(start.date, rule, rule.COUNT ? start.date : keepFrom)) {
+          if (seen >= count || seen >= MAX_RECURRENCE_STEPS || date > windowEnd) break;
+          if (untilMs !== null && zonedToUtc(date, start.minutes ?? 0, start.zone) >= untilMs) break;
+          seen++;
+          if (date >= keepFrom) dates.push(date);
+        }
+      } else {
+        unsupportedRecurrences++;
+      }
+    }
+
+    const excluded = new Set(vevent.exdates
+      .map(parseDateValue)
+      .filter(Boolean)
+      .map(value => occurrenceKey(toLocal(value))));
+    const moved = (!vevent.recurrenceId && overridden.get(vevent.uid)) || new Set();
+    const recurrenceId = vevent.recurrenceId && parseDateValue(vevent.recurrenceId);
+
+    for (const date of dates) {
+      const local = toLocal({ ...start, date });
+      const key = occurrenceKey(local);
+      if (excluded.has(key) || moved.has(key)) continue;
+
+      const uid = vevent.uid && `${vevent.uid}|${recurrenceId ? occurrenceKey(toLocal(recurrenceId)) : key}`;
+
+      if (local.minutes === null) {
+        // Multi-day all-day events appear on each day still to come (within the window)
+        for (let i = 0; i <= extraDays; i++) {
+          const day = addDays(local.date, i);
+          if (i > 0 && day > windowEnd) break;
+          if (day < today) continue;
+          events.push({ date: day, time: '', title: vevent.summary, ...(uid && { uid: i > 0 ? `${uid}+${i}` : uid }) });
+        }
+        continue;
+      }
+
+      if (local.date < today) continue;
+
+      let time = formatMinutes(local.minutes);
+      if (durationMinutes > 0 && durationMinutes < 1440) {
+        time += `-${formatMinutes(local.minutes + durationMinutes)}`;
+      }
+      events.push({ date: local.date, time, title: vevent.summary, ...(uid && { uid }) });
+    }
+  }
+
+  events.sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+  return { events, unsupportedRecurrences };
+}
@@ -58,6 +58,24 @@ export function createMetrics({ storage, logger, retentionMs = DEFAULT_RETENTION
       log.debug('Counter incremented', { name, value, total: metrics.counters[key] });
     },
 
+    /**
+     * Increment several counters with one storage write.
+     * @param {Object<string, number>} values - Counter name → value to add
+     * @param {Object} [tags] - Optional tags, applied to every counter
+     * @returns {Promise<void>}
+     */
+    async incrementAll(values, tags = {}) {
+      const metrics = await getMetrics();
+
+      for (const [name, value] of Object.entries(values)) {
+        const key = formatKey(name, tags);
+        metrics.counters[key] = (metrics.counters[key] || 0) + value;
+      }
+      await saveMetrics(metrics);
+
+      log.debug('Counters incremented', { names: Object.keys(values) });
+    },
+
     /**
      * Record a timing value.
      * @param {string} name - Timing name
@@ -251,6 +269,32 @@ function formatKey(name, tags) {
   return `${name}{${tagStr}}`;
 }
 
+/**
+ * Record token usage from a Claude response, including prompt cache hits.
+ * A request that read anything from the cache counts as a hit; one that
+ * wrote to the cache without reading counts as a miss. Requests that
+ * don't use caching count as neither.
+ * @param {Object} metrics - Metrics instance
+ * @param {Object} usage - Response usage (input_tokens, output_tokens,
+ *   cache_read_input_tokens, cache_creation_input_tokens)
+ * @param {Object} [tags] - Optional tags (e.g. { do: 'brain', model })
+ * @returns {Promise<void>}
+ */
+export async function recordClaudeUsage(metrics, usage, tags = {}) {
+  const cacheRead = usage.cache_read_input_tokens || 0;
+  const cacheWrite = usage.cache_creation_input_tokens || 0;
+
+  await metrics.incrementAll({
+    'claude.requests': 1,
+    'claude.input_tokens': usage.input_tokens || 0,
+    'claude.output_tokens': usage.output_tokens || 0,
+    'claude.cache_read_tokens': cacheRead,
+    'claude.cache_write_tokens': cacheWrite,
+    'claude.cache_hits': cacheRead > 0 ? 1 : 0,
+    'claude.cache_misses': cacheRead === 0 && cacheWrite > 0 ? 1 : 0,
+  }, tags);
+}
+
 /**
  * Create a request metrics middleware.
  * @param {Object} metrics - Metrics instance
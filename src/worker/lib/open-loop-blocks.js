@@ -0,0 +1,153 @@
+/**
+ * Open Loop Blocks - Block Kit rendering for Open Loops in Slack messages.
+ *
+ * The daily digest and /what-matters append one actions block per open
+ * task: a checkbox that marks it complete and an overflow menu to drop or
+ * snooze it. Clicks come back to BrainDO as `block_actions` via the
+ * Worker's /interactive route. Each block is keyed by the task's `^id`, so
+ * the message can be updated in place once the change is committed.
+ */
+
+import { formatDue } from './tasks.js';
+
+/**
+ * Action IDs on the rendered elements.
+ */
+export const DONE_ACTION_ID = 'open_loop_done';
+export const MENU_ACTION_ID = 'open_loop_menu';
+
+/**
+ * Block ID prefix; the task ID follows.
+ */
+const BLOCK_PREFIX = 'open_loop:';
+
+/**
+ * Slack allows 50 blocks per message and 3000 characters per section text.
+ */
+const MAX_TASK_BLOCKS = 20;
+const MAX_SECTION_CHARS = 3000;
+
+/**
+ * Snooze choices in the overflow menu, in days.
+ */
+const SNOOZE_DAYS = [1, 7];
+
+/**
+ * Split mrkdwn text into section blocks that fit Slack's per-section limit.
+ * Splits on line breaks where possible.
+ * @param {string} text - Message text
+ * @returns {Object[]} Section blocks
+ */
+export function textToSections(text) {
+  const sections = [];
+  let chunk = '';
+
+  for (const line of text.split('\n')) {
+    const next = chunk ? `${chunk}\n${line}` : line;
+    if (next.length <= MAX_SECTION_CHARS) {
+      chunk = next;
+      continue;
+    }
+    if (chunk) sections.push(chunk);
+    chunk = line;
+    while (chunk.length > MAX_SECTION_CHARS) {
+      sections.push(chunk.slice(0, MAX_SECTION_CHARS));
+      chunk = chunk.slice(MAX_SECTION_CHARS);
+    }
+  }
+  if (chunk.trim()) sections.push(chunk);
+
+  return sections.map(part => ({ type: 'section', text: { type: 'mrkdwn', text: part } }));
+}
+
+/**
+ * Render open tasks as Block Kit rows: a checkbox plus an overflow menu.
+ * Tasks without an ID can't be addressed and are skipped.
+ * @param {Array<Object>} tasks - Parsed open tasks (see parseTaskLine)
+ * @param {string} today - Local date (YYYY-MM-DD), for due labels
+ * @returns {Object[]} Blocks; empty when there is nothing to show
+ */
+export function buildOpenLoopBlocks(tasks, today) {
+  const addressable = tasks.filter(task => task.id && !task.checked);
+  if (!addressable.length) {
+    return [];
+  }
+
+  const blocks = [
+    { type: 'divider' },
+    { type: 'section', text: { type: 'mrkdwn', text: '*Open Loops*' } },
+  ];
+
+  for (const task of addressable.slice(0, MAX_TASK_BLOCKS)) {
+    const due = formatDue(task, today);
+    blocks.push({
+      type: 'actions',
+      block_id: `${BLOCK_PREFIX}${task.id}`,
+      elements: [
+        {
+          type: 'checkboxes',
+          action_id: DONE_ACTION_ID,
+          options: [{
+            text: { type: 'mrkdwn', text: due ? `${task.title} _(${due})_` : task.title },
+            value: task.id,
+          }],
+        },
+        {
+          type: 'overflow',
+          action_id: MENU_ACTION_ID,
+          options: [
+            { text: { type: 'plain_text', text: 'Drop' }, value: `drop:${task.id}` },
+            ...SNOOZE_DAYS.map(days => ({
+              text: { type: 'plain_text', text: days === 1 ? 'Snooze until tomorrow' : `Snooze ${days} days` },
+              value: `snooze:${task.id}:${days}`,
+            })),
+          ],
+        },
+      ],
+    });
+  }
+
+  if (addressable.length > MAX_TASK_BLOCKS) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `…and ${addressable.length - MAX_TASK_BLOCKS} more — \`/todo list\`` }],
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Read what a `block_actions` action asks for.
+ * @param {Object} action - One entry of payload.actions
+ * @returns {{ op: 'done'|'drop'|'snooze', id: string, days?: number } | null}
+ *   Null for unchecking a box or actions that aren't ours
+ */
+export function parseOpenLoopAction(action) {
+  if (action?.action_id === DONE_ACTION_ID) {
+    const id = action.selected_options?.[0]?.value;
+    return id ? { op: 'done', id } : null;
+  }
+
+  if (action?.action_id === MENU_ACTION_ID) {
+    const [op, id, days] = (action.selected_option?.value || '').split(':');
+    if (op === 'drop' && id) return { op, id };
+    if (op === 'snooze' && id && Number(days) > 0) return { op, id, days: Number(days) };
+  }
+
+  return null;
+}
+
+/**
+ * Replace a task's row with a one-line note, e.g. "~Call PCP~ — done".
+ * Other blocks are returned unchanged.
+ * @param {Object[]} blocks - Blocks of the original message
+ * @param {string} id - Task ID
+ * @param {string} note - mrkdwn replacement text
+ * @returns {Object[]} New blocks
+ */
+export function resolveOpenLoopBlock(blocks, id, note) {
+  return (blocks || []).map(block => (block.block_id === `${BLOCK_PREFIX}${id}`
+    ? { type: 'context', block_id: block.block_id, elements: [{ type: 'mrkdwn', text: note }] }
+    : block));
+}
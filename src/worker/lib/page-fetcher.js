@@ -0,0 +1,126 @@
+/**
+ * Page Fetcher - Fetches result pages and strips them to readable text.
+ *
+ * Used by the research pipeline's EXTRACT stage, which reads the top
+ * search results in full instead of relying on Tavily snippets. The stub
+ * (stub-page-fetcher.js) has the same interface for tests.
+ */
+
+const DEFAULT_TIMEOUT = 10000; // 10 seconds per page
+
+/**
+ * Raw HTML read per page before stripping.
+ */
+const MAX_HTML_LENGTH = 500000;
+
+/**
+ * Elements whose content is never readable text.
+ */
+const DROPPED_ELEMENTS = ['script', 'style', 'noscript', 'svg', 'template', 'iframe', 'head', 'title'];
+
+/**
+ * Elements that start a new line of text.
+ */
+const BLOCK_ELEMENTS = 'p|div|br|li|tr|h[1-6]|section|article|header|footer|table|ul|ol|dd|dt|blockquote|address';
+
+/**
+ * Named entities decoded in page text.
+ */
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…' };
+
+/**
+ * Decode HTML entities.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Strip an HTML page to readable text: drops scripts, styles and markup,
+ * keeps one line per block element, and collapses whitespace.
+ * @param {string} html - Page HTML
+ * @returns {{ title: string, text: string }}
+ */
+export function htmlToText(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '';
+
+  let body = html.replace(/<!--[\s\S]*?-->/g, ' ');
+  for (const tag of DROPPED_ELEMENTS) {
+    body = body.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+  }
+
+  const text = decodeEntities(
+    body
+      .replace(new RegExp(`<\\/?(?:${BLOCK_ELEMENTS})\\b[^>]*>`, 'gi'), '\n')
+      .replace(/<[^>]+>/g, ' ')
+  )
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+
+  return { title, text };
+}
+
+/**
+ * Create a page fetcher.
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger instance
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @returns {Object} Page fetcher with fetchPage(url)
+ */
+export function createPageFetcher({ logger, timeout = DEFAULT_TIMEOUT } = {}) {
+  const log = logger || { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+  return {
+    /**
+     * Fetch a page as readable text.
+     * @param {string} url - Page URL (http or https)
+     * @returns {Promise<{ url: string, title: string, text: string }|null>}
+     *   Null for non-text pages; throws on network or HTTP errors
+     */
+    async fetchPage(url) {
+      if (!/^https?:\/\//i.test(url)) {
+        throw new Error(`Unsupported URL: ${url}`);
+      }
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+      try {
+        const response = await fetch(url, {
+          headers: { Accept: 'text/html,text/plain;q=0.9' },
+          redirect: 'follow',
+          signal: controller.signal,
+        });
+
+        if (!response.ok) {
+          throw new Error(`Page fetch failed: ${response.status}`);
+        }
+
+        const type = response.headers.get('content-type') || '';
+        if (!/text\/(html|plain)|application\/xhtml/i.test(type)) {
+          log.debug('Skipping non-text page', { url, type });
+          return null;
+        }
+
+        const raw = (await response.text()).slice(0, MAX_HTML_LENGTH);
+        if (/text\/plain/i.test(type)) {
+          return { url, title: '', text: raw.trim() };
+        }
+        return { url, ...htmlToText(raw) };
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    },
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * Pending Review - Items awaiting clarification in current.md.
+ *
+ * A Pending Review line records when it was added and the Slack thread it
+ * came from: `- Is "Dana" the therapist? — added 2026-02-28 [thread](<permalink>)`.
+ * The date drives the age shown in the digest; the permalink ties the item
+ * to its capture thread, so a reply there can resolve it.
+ */
+
+/**
+ * Trailing stamp: em dash, added date, optional thread link.
+ */
+const STAMP_PATTERN = /^(.*?)\s+— added (\d{4}-\d{2}-\d{2})(?: \[thread\]\((\S+)\))?$/;
+
+/**
+ * Channel and message timestamp in a Slack permalink
+ * (`.../archives/C0123/p1700000000000100`).
+ */
+const PERMALINK_PATTERN = /\/archives\/([^/]+)\/p(\d{10})(\d{6})/;
+
+/**
+ * Placeholder lines the context pack writes into an empty section.
+ */
+const PLACEHOLDER_PATTERN = /^\*.*\*$/;
+
+/**
+ * Build a Slack permalink without the API, for when chat.getPermalink fails.
+ * Slack redirects `slack.com/archives/...` to the user's workspace.
+ * @param {string} channel - Channel ID
+ * @param {string} ts - Message timestamp ("1700000000.000100")
+ * @returns {string} Permalink
+ */
+export function fallbackPermalink(channel, ts) {
+  return `https://slack.com/archives/${channel}/p${ts.replace('.', '')}`;
+}
+
+/**
+ * Read the channel and thread timestamp out of a Slack permalink.
+ * @param {string} permalink - Slack message URL
+ * @returns {{ channel: string, ts: string }|null}
+ */
+export function parsePermalink(permalink) {
+  const match = permalink?.match(PERMALINK_PATTERN);
+  return match ? { channel: match[1], ts: `${match[2]}.${match[3]}` } : null;
+}
+
+/**
+ * Parse a Pending Review bullet.
+ * Lines written before items were stamped parse with null created/permalink.
+ * @param {string} line - Markdown line
+ * @returns {{ line: string, text: string, created: string|null, permalink: string|null }|null}
+ *   Null for blank lines, placeholders and checked-off items
+ */
+export function parsePendingReviewLine(line) {
+  const match = line.match(/^[-*]\s+(?!\[[xX]\])(?:\[ \]\s+)?(.+)$/);
+  if (!match || PLACEHOLDER_PATTERN.test(line.trim())) {
+    return null;
+  }
+
+  const stamp = match[1].trim().match(STAMP_PATTERN);
+  return {
+    line,
+    text: stamp ? stamp[1] : match[1].trim(),
+    created: stamp?.[2] || null,
+    permalink: stamp?.[3] || null,
+  };
+}
+
+/**
+ * Parse the body of a Pending Review section. Indented sub-bullets are skipped.
+ * @param {string} body - Section content (without the heading)
+ * @returns {Array<Object>} Items (see parsePendingReviewLine)
+ */
+export function parsePendingReview(body) {
+  return (body || '').split('\n').map(parsePendingReviewLine).filter(Boolean);
+}
+
+/**
+ * Stamp new Pending Review bullets with their date and capture thread.
+ * Lines that already carry a stamp, and anything that isn't a top-level
+ * bullet, are left alone.
+ * @param {string} content - Content being appended to Pending Review
+ * @param {Object} stamp
+ * @param {string} stamp.created - Local date (YYYY-MM-DD)
+ * @param {string} [stamp.permalink] - Capture thread permalink
+ * @returns {string} Stamped content
+ */
+export function stampPendingReview(content, { created, permalink }) {
+  return content.split('\n').map((line) => {
+    const item = parsePendingReviewLine(line);
+    if (!item || item.created) {
+      return line;
+    }
+    return `${line.trimEnd()} — added ${created}${permalink ? ` [thread](${permalink})` : ''}`;
+  }).join('\n');
+}
+
+/**
+ * Pending Review items captured in a given Slack thread.
+ * @param {Array<Object>} items - Parsed items
+ * @param {string} channel - Channel ID
+ * @param {string} threadTs - Thread parent timestamp
+ * @returns {Array<Object>} Matching items
+ */
+export function findThreadItems(items, channel, threadTs) {
+  return items.filter((item) => {
+    const ref = parsePermalink(item.permalink);
+    return ref?.channel === channel && ref.ts === threadTs;
+  });
+}
+
+/**
+ * Whole days an item has been waiting.
+ * @param {Object} item - Parsed item
+ * @param {string} today - Local date (YYYY-MM-DD)
+ * @returns {number|null} Days, or null when the item has no date
+ */
+export function pendingAge(item, today) {
+  if (!item.created) return null;
+  return Math.max(0, Math.round((Date.parse(`${today}T00:00:00Z`) - Date.parse(`${item.created}T00:00:00Z`)) / 86400000));
+}
+
+/**
+ * Human label for an item's age: "added today", "waiting 1 day", "waiting 5 days".
+ * @param {Object} item - Parsed item
+ * @param {string} today - Local date (YYYY-MM-DD)
+ * @returns {string|null} Label, or null when the item has no date
+ */
+export function formatPendingAge(item, today) {
+  const days = pendingAge(item, today);
+  if (days === null) return null;
+  if (days === 0) return 'added today';
+  return `waiting ${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Oldest first; undated items (written before stamping) go first, since
+ * they are at least as old as anything stamped.
+ * @param {Array<Object>} items - Parsed items
+ * @returns {Array<Object>} New sorted array
+ */
+export function sortByAge(items) {
+  return [...items].sort((a, b) => (a.created || '').localeCompare(b.created || ''));
+}
+
+/**
+ * Render Pending Review items as a Slack mrkdwn block with ages and thread links.
+ * @param {Array<Object>} items - Parsed items
+ * @param {string} today - Local date (YYYY-MM-DD)
+ * @returns {string} mrkdwn text, or '' when there is nothing waiting
+ */
+export function formatPendingReviewForSlack(items, today) {
+  if (!items.length) {
+    return '';
+  }
+
+  const lines = sortByAge(items).map((item) => {
+    const age = formatPendingAge(item, today);
+    const link = item.permalink ? ` <${item.permalink}|thread>` : '';
+    return `• ${item.text}${age ? ` _(${age})_` : ''}${link}`;
+  });
+
+  return `*Pending Review*\n${lines.join('\n')}`;
+}
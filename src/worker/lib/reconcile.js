@@ -0,0 +1,96 @@
+/**
+ * Reconcile - Nightly drift detector for the context pack.
+ *
+ * Verifies rebuild(source_files) == current.md, section by section,
+ * ignoring inline sections (Pending Review, Open Loops, Snoozed), the header
+ * timestamp/version stamp, blank lines and trailing whitespace.
+ * Detects drift only — repair is manual.
+ */
+
+import { CONTEXT_SECTIONS, assembleSections, splitSections } from './context-pack.js';
+
+/**
+ * Maximum differing lines kept per side in a section report.
+ */
+const MAX_DIFF_LINES = 10;
+
+/**
+ * Read the dates a context pack was built for from its source comments.
+ * A pack that hasn't been rebuilt since midnight still points at
+ * yesterday's stream, and should be checked against that file.
+ * @param {string} content - current.md content
+ * @param {Object} fallback - { today, weekId, monthId } for missing comments
+ * @returns {{ today: string, weekId: string, monthId: string }}
+ */
+export function getPackDates(content, fallback) {
+  return {
+    today: content.match(/<!-- Source: stream\/(\d{4}-\d{2}-\d{2})\.md -->/)?.[1] || fallback.today,
+    weekId: content.match(/<!-- Source: planning\/weekly\/(\d{4}-W\d{2})\.md -->/)?.[1] || fallback.weekId,
+    monthId: content.match(/<!-- Source: planning\/monthly\/(\d{4}-\d{2})\.md -->/)?.[1] || fallback.monthId,
+  };
+}
+
+/**
+ * Non-blank, right-trimmed lines of a section body.
+ */
+function contentLines(content) {
+  return content.split('\n').map(line => line.trimEnd()).filter(Boolean);
+}
+
+/**
+ * Lines of `a` not matched by a line of `b` (multiset difference).
+ */
+function missingLines(a, b) {
+  const remaining = [...b];
+  return a.filter(line => {
+    const index = remaining.indexOf(line);
+    if (index === -1) return true;
+    remaining.splice(index, 1);
+    return false;
+  });
+}
+
+/**
+ * Compare current.md with a rebuild of its source files.
+ * @param {string} current - current.md content
+ * @param {Object<string, string>} files - Source contents by repo path (see getSourcePaths)
+ * @param {Object} dates - { today, weekId, monthId } the pack was built for
+ * @returns {{ checked: string[], drifted: Array<{ section: string, source: string, onlyInPack: string[], onlyInSources: string[] }> }}
+ */
+export function reconcileContext(current, files, dates) {
+  const packSections = splitSections(current);
+  const expected = assembleSections(files, dates);
+
+  const checked = [];
+  const drifted = [];
+
+  for (const section of expected) {
+    if (CONTEXT_SECTIONS.find(s => s.name === section.name).inline) continue;
+    checked.push(section.name);
+
+    const actualLines = contentLines(packSections.get(section.name)?.content ?? '');
+    const rebuiltLines = contentLines(section.content);
+    if (actualLines.join('\n') === rebuiltLines.join('\n')) continue;
+
+    drifted.push({
+      section: section.name,
+      source: section.comment.replace(/^<!-- Source: (.+) -->$/, '$1'),
+      onlyInPack: missingLines(actualLines, rebuiltLines).slice(0, MAX_DIFF_LINES),
+      onlyInSources: missingLines(rebuiltLines, actualLines).slice(0, MAX_DIFF_LINES),
+    });
+  }
+
+  return { checked, drifted };
+}
+
+/**
+ * Format the digest note for a reconciliation report.
+ * @param {Object|null} report - Stored report ({ drifted })
+ * @returns {string|null} Note text, or null when there is no drift
+ */
+export function formatDriftNote(report) {
+  if (!report?.drifted?.length) {
+    return null;
+  }
+  return `_Note: context drift detected in: ${report.drifted.map(d => d.section).join(', ')}_`;
+}
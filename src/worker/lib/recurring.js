@@ -0,0 +1,172 @@
+/**
+ * Recurring - Repeating calendar events and tasks.
+ *
+ * `data/planning/recurring.md` holds one entry per line:
+ * - `- every Thu 09:00-10:00 Therapy with Dana` — a calendar event
+ * - `- every Mon task: PCP calls @phone ~1h` — an Open Loops task
+ * Days are `day`, `weekday`, `weekend`, a day name (`Thu`, `Thursday`) or a
+ * comma list (`Mon,Thu`); the time is optional (all-day event).
+ *
+ * Daily housekeeping materializes entries into calendar-current.md for the
+ * coming week and adds tasks to Open Loops on their day. Each entry keeps
+ * a "materialized through" date in BrainDO storage, so repeated runs add
+ * nothing twice and an occurrence the user deleted doesn't come back.
+ */
+
+/**
+ * Path of the recurrence store in the repo.
+ */
+export const RECURRING_PATH = 'data/planning/recurring.md';
+
+/**
+ * Days of calendar events materialized ahead, today included.
+ */
+export const RECURRING_WINDOW_DAYS = 7;
+
+/**
+ * Day indexes (0 = Sunday) by lowercase name and abbreviation.
+ */
+const DAY_INDEX = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6,
+};
+
+/**
+ * Day groups.
+ */
+const DAY_GROUPS = {
+  day: [0, 1, 2, 3, 4, 5, 6],
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  weekday: [1, 2, 3, 4, 5],
+  weekdays: [1, 2, 3, 4, 5],
+  weekend: [0, 6],
+  weekends: [0, 6],
+};
+
+/**
+ * `- every <days> <rest>`; days may be a comma list.
+ */
+const ENTRY_PATTERN = /^[-*]\s+every\s+([a-z]+(?:\s*,\s*[a-z]+)*)\s+(.+)$/i;
+const TASK_PATTERN = /^task:\s*(.+)$/i;
+const EVENT_PATTERN = /^(?:(\d{1,2}:\d{2}(?:-\d{1,2}:\d{2})?)\s+)?(.+)$/;
+
+/**
+ * Add days to a YYYY-MM-DD date.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a day spec such as "Thu", "weekday" or "Mon,Thu".
+ * @param {string} spec - Day spec
+ * @returns {number[]|null} Day indexes, or null if any part is unknown
+ */
+function parseDays(spec) {
+  const days = new Set();
+  for (const part of spec.toLowerCase().split(/\s*,\s*/)) {
+    const group = DAY_GROUPS[part] || (part in DAY_INDEX ? [DAY_INDEX[part]] : null);
+    if (!group) return null;
+    group.forEach(day => days.add(day));
+  }
+  return [...days];
+}
+
+/**
+ * Parse recurring.md into entries.
+ * Lines that start with `- every` but can't be read are returned as invalid;
+ * everything else (headings, notes) is ignored.
+ * @param {string} content - recurring.md content
+ * @returns {{ entries: Array<Object>, invalid: string[] }} Entries are
+ *   { key, days, kind: 'event'|'task', time, title }; key is the entry text
+ */
+export function parseRecurring(content) {
+  const entries = [];
+  const invalid = [];
+
+  for (const line of (content || '').split('\n')) {
+    if (!/^[-*]\s+every\b/i.test(line.trim())) continue;
+
+    const match = line.trim().match(ENTRY_PATTERN);
+    const days = match ? parseDays(match[1]) : null;
+    if (!days) {
+      invalid.push(line.trim());
+      continue;
+    }
+
+    const key = line.trim().replace(/^[-*]\s+/, '');
+    const task = match[2].match(TASK_PATTERN);
+    if (task) {
+      entries.push({ key, days, kind: 'task', time: '', title: task[1].trim() });
+    } else {
+      const [, time = '', title] = match[2].match(EVENT_PATTERN);
+      entries.push({ key, days, kind: 'event', time, title: title.trim() });
+    }
+  }
+
+  return { entries, invalid };
+}
+
+/**
+ * Dates an entry falls on, from `from` through `to` inclusive.
+ * @param {Object} entry - Parsed entry
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {string[]} Dates in order
+ */
+export function occurrences(entry, from, to) {
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (entry.days.includes(new Date(`${date}T12:00:00Z`).getUTCDay())) {
+      dates.push(date);
+    }
+  }
+  return dates;
+}
+
+/**
+ * Work out what recurring entries add since they were last materialized.
+ * Events cover today through the end of the window; tasks come due on
+ * their day, and only the latest missed occurrence of a task is added
+ * (an open copy of the same task merges in Open Loops anyway).
+ * @param {Array<Object>} entries - From parseRecurring
+ * @param {Object} options
+ * @param {string} options.today - Local date (YYYY-MM-DD)
+ * @param {Object<string, string>} [options.through] - Entry key → last date materialized
+ * @param {number} [options.windowDays] - Days of events to materialize
+ * @returns {{ events: Array<{ date: string, time: string, title: string }>, tasks: string[], through: Object<string, string> }}
+ *   Events for mergeEvents, task lines for Open Loops, and the new
+ *   through-dates (entries no longer in the file are dropped)
+ */
+export function materializeRecurring(entries, { today, through = {}, windowDays = RECURRING_WINDOW_DAYS }) {
+  const events = [];
+  const tasks = [];
+  const next = {};
+
+  for (const entry of entries) {
+    const last = through[entry.key];
+    const from = last && (entry.kind === 'task' || last >= today) ? addDays(last, 1) : today;
+    const to = entry.kind === 'event' ? addDays(today, windowDays - 1) : today;
+    const dates = from <= to ? occurrences(entry, from, to) : [];
+
+    if (entry.kind === 'event') {
+      events.push(...dates.map(date => ({ date, time: entry.time, title: entry.title })));
+    } else if (dates.length > 0) {
+      tasks.push(`- [ ] ${entry.title} due:${dates[dates.length - 1]}`);
+    }
+
+    next[entry.key] = last && last > to ? last : to;
+  }
+
+  return { events, tasks, through: next };
+}
@@ -0,0 +1,190 @@
+/**
+ * Research Table - Row-per-entity research output.
+ *
+ * When a research request lists fields to collect ("name, phone, address,
+ * fees..."), planning declares them as columns and synthesis fills one row
+ * per entity. Each cell carries its value and the URL it came from; a
+ * field the findings don't answer is marked "unknown" rather than guessed.
+ *
+ * The table renders as markdown (spread, research log) and as an aligned
+ * code block for Slack, whose mrkdwn has no tables; both have numbered
+ * citations under them. It also renders as CSV for the project's logs/.
+ */
+
+/**
+ * Marker for a cell the findings don't answer.
+ */
+export const UNKNOWN = 'unknown';
+
+/**
+ * Normalize the planner's column list.
+ * @param {*} columns - Columns from the plan
+ * @returns {string[]|null} Column names, or null when no table was asked for
+ */
+export function normalizeColumns(columns) {
+  if (!Array.isArray(columns)) return null;
+  const names = [...new Set(columns.map(c => String(c || '').trim()).filter(Boolean))];
+  return names.length > 0 ? names : null;
+}
+
+/**
+ * Normalize one cell. Claude returns `{ value, source }` where source is
+ * the 1-based finding number (or a URL); a bare string has no source.
+ * @param {*} raw - Cell from Claude
+ * @param {Array<Object>} findings - Findings the numbers refer to
+ * @returns {{ value: string, source: string|null }}
+ */
+function normalizeCell(raw, findings) {
+  const cell = raw && typeof raw === 'object' ? raw : { value: raw };
+  const value = cell.value == null ? '' : String(cell.value).trim();
+  if (!value || value.toLowerCase() === UNKNOWN) {
+    return { value: UNKNOWN, source: null };
+  }
+
+  let source = null;
+  if (typeof cell.source === 'number') {
+    source = findings[cell.source - 1]?.source || null;
+  } else if (typeof cell.source === 'string' && /^https?:\/\//.test(cell.source)) {
+    source = cell.source;
+  }
+  return { value, source };
+}
+
+/**
+ * Build a table from Claude's rows. Rows are objects keyed by column name;
+ * rows with no known cell are dropped.
+ * @param {Array<Object>} rows - Rows from Claude
+ * @param {string[]} columns - Declared columns
+ * @param {Array<Object>} findings - Findings the source numbers refer to
+ * @returns {{ columns: string[], rows: Array<Array<{ value: string, source: string|null }>> }|null}
+ */
+export function buildTable(rows, columns, findings) {
+  if (!columns || !Array.isArray(rows)) return null;
+
+  const cells = rows
+    .filter(row => row && typeof row === 'object')
+    .map(row => columns.map(column => normalizeCell(row[column], findings)))
+    .filter(row => row.some(cell => cell.value !== UNKNOWN));
+
+  return cells.length > 0 ? { columns, rows: cells } : null;
+}
+
+/**
+ * Count the unknown cells in a table.
+ * @param {Object} table - From buildTable
+ * @returns {number}
+ */
+export function countUnknown(table) {
+  return table.rows.flat().filter(cell => cell.value === UNKNOWN).length;
+}
+
+/**
+ * Escape a value for a markdown table cell.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeMarkdownCell(value) {
+  return value.replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+}
+
+/**
+ * Render a table as markdown. Cells cite their source as `[n]`, with the
+ * numbered URLs listed under the table.
+ * @param {Object} table - From buildTable
+ * @returns {string}
+ */
+export function formatTableMarkdown(table) {
+  const { rows, citations } = citeCells(table, escapeMarkdownCell);
+
+  const lines = [
+    `| ${table.columns.map(escapeMarkdownCell).join(' | ')} |`,
+    `| ${table.columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.join(' | ')} |`),
+  ];
+
+  return lines.join('\n') + formatCitations(citations);
+}
+
+/**
+ * Render a table for Slack: mrkdwn shows pipe tables as raw text, so the
+ * columns are padded to line up inside a code block. The citations stay
+ * outside it so Slack links the URLs.
+ * @param {Object} table - From buildTable
+ * @returns {string}
+ */
+export function formatTableSlack(table) {
+  const flatten = value => value.replace(/\s*\n\s*/g, ' ').replace(/`{3,}/g, "'''");
+  const { rows, citations } = citeCells(table, flatten);
+  const header = table.columns.map(flatten);
+  const widths = header.map((column, i) => Math.max(column.length, ...rows.map(row => row[i].length)));
+  const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join(' | ').trimEnd();
+
+  const lines = [
+    '```',
+    line(header),
+    widths.map(width => '-'.repeat(width)).join('-+-'),
+    ...rows.map(line),
+    '```',
+  ];
+
+  return lines.join('\n') + formatCitations(citations);
+}
+
+/**
+ * Render each cell's value with its `[n]` citation, numbering sources in
+ * the order they first appear.
+ * @param {Object} table - From buildTable
+ * @param {Function} escape - Renders a value for the target format
+ * @returns {{ rows: string[][], citations: string[] }}
+ */
+function citeCells(table, escape) {
+  const citations = [];
+  const cite = (source) => {
+    if (!citations.includes(source)) citations.push(source);
+    return citations.indexOf(source) + 1;
+  };
+
+  const rows = table.rows.map(row => row.map(cell => {
+    const value = escape(cell.value);
+    return cell.source ? `${value} [${cite(cell.source)}]` : value;
+  }));
+
+  return { rows, citations };
+}
+
+/**
+ * List numbered citations under a table.
+ * @param {string[]} citations - Source URLs, in citation order
+ * @returns {string} Empty when there are none
+ */
+function formatCitations(citations) {
+  if (citations.length === 0) return '';
+  return '\n\n' + citations.map((source, i) => `[${i + 1}] ${source}`).join('\n');
+}
+
+/**
+ * Quote a CSV field when it needs it. A field that starts like a formula
+ * (=, +, -, @, tab or carriage return) gets a leading ' so spreadsheets
+ * show it as text instead of evaluating what a web page put there.
+ * @param {string} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a table as CSV. Each column is followed by a "<column> source"
+ * column holding the URL the value came from.
+ * @param {Object} table - From buildTable
+ * @returns {string}
+ */
+export function formatTableCsv(table) {
+  const header = table.columns.flatMap(column => [column, `${column} source`]);
+  const rows = table.rows.map(row => row.flatMap(cell => [cell.value, cell.source || '']));
+
+  return [header, ...rows]
+    .map(fields => fields.map(csvField).join(','))
+    .join('\n') + '\n';
+}
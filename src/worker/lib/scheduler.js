@@ -0,0 +1,68 @@
+/**
+ * Scheduler - Maps Cloudflare Cron Trigger firings to scheduled jobs.
+ *
+ * Cron Triggers fire in UTC, but every scheduled message in SYSTEM.md is
+ * defined in America/New_York local clock time (and must survive DST).
+ * The Worker fires on a fixed half-hourly cron; each firing is translated
+ * to local time here and matched against the job table below.
+ */
+
+import { getLocalNow, getDayOfWeek } from './timezone.js';
+
+/**
+ * Scheduled job identifiers.
+ */
+export const SCHEDULED_JOBS = {
+  HOUSEKEEPING: 'housekeeping',
+  DAILY_DIGEST: 'daily_digest',
+  RITUAL_REMINDER: 'ritual_reminder',
+  RECONCILIATION: 'reconciliation',
+};
+
+/**
+ * Job table. Times are local (America/New_York), on a 30-minute grid
+ * to match the cron cadence in wrangler.toml.
+ */
+export const SCHEDULE = [
+  { job: SCHEDULED_JOBS.RECONCILIATION, hour: 3, minute: 0 },
+  { job: SCHEDULED_JOBS.HOUSEKEEPING, hour: 7, minute: 0 },
+  { job: SCHEDULED_JOBS.DAILY_DIGEST, hour: 7, minute: 30 },
+  { job: SCHEDULED_JOBS.RITUAL_REMINDER, hour: 9, minute: 0, days: ['Sunday'] },
+];
+
+/**
+ * Cron cadence in minutes. Each firing covers one slot of this size.
+ */
+const SLOT_MINUTES = 30;
+
+/**
+ * Get the jobs due for a cron firing.
+ * A job is due when its local time falls in the slot containing `now`.
+ * @param {Date} now - Scheduled time of the cron firing
+ * @param {Array} [schedule] - Job table (defaults to SCHEDULE)
+ * @returns {string[]} Job identifiers, in table order
+ */
+export function getDueJobs(now, schedule = SCHEDULE) {
+  const local = getLocalNow(now);
+  const slotMinute = Math.floor(local.minute / SLOT_MINUTES) * SLOT_MINUTES;
+  const dayOfWeek = getDayOfWeek(now);
+
+  return schedule
+    .filter(entry => entry.hour === local.hour && entry.minute === slotMinute)
+    .filter(entry => !entry.days || entry.days.includes(dayOfWeek))
+    .map(entry => entry.job);
+}
+
+/**
+ * Decide which ritual a Sunday reminder is for.
+ * The first Sunday of the month gets the monthly review (which covers
+ * weekly concerns); every other Sunday gets the weekly review.
+ * @param {Date} now - Reference time
+ * @returns {'weekly'|'monthly'|null} Ritual type, or null if not a Sunday
+ */
+export function getReminderRitualType(now) {
+  if (getDayOfWeek(now) !== 'Sunday') {
+    return null;
+  }
+  return getLocalNow(now).day <= 7 ? 'monthly' : 'weekly';
+}
@@ -213,6 +213,18 @@ export function createSlackClient({ token, logger }) {
       return response.messages || [];
     },
 
+    /**
+     * Get a permanent link to a message.
+     * @param {Object} options
+     * @param {string} options.channel - Channel ID
+     * @param {string} options.message_ts - Message timestamp
+     * @returns {Promise<string>} Permalink URL
+     */
+    async getPermalink({ channel, message_ts }) {
+      const response = await get('chat.getPermalink', { channel, message_ts });
+      return response.permalink;
+    },
+
     /**
      * Invite users to a channel.
      * @param {Object} options
@@ -239,6 +251,28 @@ export function createSlackClient({ token, logger }) {
         channel,
       });
     },
+    /**
+     * Download a file shared in Slack.
+     * @param {string} url - File's url_private_download (or url_private)
+     * @returns {Promise<string>} File content as text
+     */
+    async downloadFile(url) {
+      logger?.debug('Slack file download', { url });
+
+      const response = await fetch(url, {
+        headers: { Authorization: headers.Authorization },
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Slack file download failed: ${response.status}`);
+        error.status = response.status;
+        logger?.error('Slack file download failed', { status: response.status });
+        throw error;
+      }
+
+      return response.text();
+    },
+
     /**
      * Post a message, splitting into multiple messages if too long.
      * Splits on heading boundaries (lines starting with *) to keep
@@ -0,0 +1,222 @@
+/**
+ * Source Library - Per-project record of research sources.
+ *
+ * `data/projects/{slug}/sources.md` holds one entry per URL the research
+ * pipeline has found for the project:
+ *
+ *   ## Clinic A — Accepting new patients
+ *   URL: https://example.com/clinic-a
+ *   Fetched: 2026-02-28 | Query: primary care accepting patients
+ *
+ *   - Accepting new patients; takes Aetna
+ *
+ * The planner sees recent entries and picks the ones that already answer
+ * the request, so searches only go out for what's missing; picked entries
+ * become findings again and are cited like fresh ones. New findings are
+ * merged back after each run, against the file as it is at commit time.
+ */
+
+/**
+ * Entries older than this are not offered to the planner.
+ */
+export const SOURCE_MAX_AGE_DAYS = 30;
+
+/**
+ * Facts kept per source (newest first).
+ */
+export const MAX_FACTS_PER_SOURCE = 5;
+
+/**
+ * Entries kept in the file (most recently fetched first).
+ */
+export const MAX_SOURCES = 200;
+
+/**
+ * Length of a stored fact.
+ */
+const MAX_FACT_LENGTH = 300;
+
+/**
+ * Path of a project's source library.
+ * @param {string} slug - Project slug
+ * @returns {string}
+ */
+export function sourcesPath(slug) {
+  return `data/projects/${slug}/sources.md`;
+}
+
+/**
+ * Parse sources.md into entries. Sections without a URL line are ignored.
+ * @param {string|null} content - sources.md content
+ * @returns {Array<{ url: string, title: string, fetched: string, query: string, facts: string[] }>}
+ */
+export function parseSources(content) {
+  const entries = [];
+
+  for (const block of (content || '').split(/^## /m).slice(1)) {
+    const [heading, ...lines] = block.split('\n');
+    const entry = { url: '', title: heading.trim(), fetched: '', query: '', facts: [] };
+
+    for (const line of lines.map(l => l.trim())) {
+      const url = line.match(/^URL:\s*(\S+)/);
+      const meta = line.match(/^Fetched:\s*(\d{4}-\d{2}-\d{2})(?:\s*\|\s*Query:\s*(.*))?$/);
+      if (url) {
+        entry.url = url[1];
+      } else if (meta) {
+        entry.fetched = meta[1];
+        entry.query = (meta[2] || '').trim();
+      } else if (/^[-*]\s+/.test(line)) {
+        entry.facts.push(line.replace(/^[-*]\s+/, ''));
+      }
+    }
+
+    if (entry.url) entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Format entries as sources.md.
+ * @param {Array<Object>} entries - Parsed entries
+ * @returns {string}
+ */
+export function formatSources(entries) {
+  const blocks = entries.map(entry => {
+    const meta = `Fetched: ${entry.fetched}${entry.query ? ` | Query: ${entry.query}` : ''}`;
+    const facts = entry.facts.map(fact => `- ${fact}`).join('\n');
+    return `## ${entry.title || entry.url}\nURL: ${entry.url}\n${meta}${facts ? `\n\n${facts}` : ''}`;
+  });
+
+  return `# Sources\n\n${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Turn a search result snippet or an extracted fact into one line.
+ * @param {string|undefined} content - Snippet or fact
+ * @returns {string}
+ */
+function toFact(content) {
+  const fact = (content || '').replace(/\s+/g, ' ').trim();
+  return fact.length > MAX_FACT_LENGTH ? `${fact.slice(0, MAX_FACT_LENGTH - 1)}…` : fact;
+}
+
+/**
+ * Merge search findings into the library. A URL already present gets the
+ * new fetched date, query and any new fact; saved findings (fromLibrary)
+ * are skipped since they came from the library in the first place.
+ * Facts extracted from the full page are used instead of the snippet.
+ * @param {Array<Object>} entries - Parsed entries
+ * @param {Array<Object>} findings - Findings ({ source, title, content, query })
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{ entries: Array<Object>, changed: Array<Object>, added: number, updated: number }}
+ *   changed holds just the added and updated entries
+ */
+export function mergeSources(entries, findings, today) {
+  const byUrl = new Map(entries.map(entry => [entry.url, { ...entry, facts: [...entry.facts] }]));
+  const changed = new Set();
+  let added = 0;
+  let updated = 0;
+
+  for (const finding of findings) {
+    if (!finding.source || finding.fromLibrary) continue;
+
+    const facts = (finding.extracted?.length > 0 ? finding.extracted : [finding.content])
+      .map(toFact)
+      .filter(Boolean);
+    const existing = byUrl.get(finding.source);
+    if (existing) {
+      existing.fetched = today;
+      existing.query = finding.query || existing.query;
+      if (finding.title) existing.title = finding.title;
+      const fresh = facts.filter(fact => !existing.facts.includes(fact));
+      existing.facts = [...fresh, ...existing.facts].slice(0, MAX_FACTS_PER_SOURCE);
+      changed.add(existing);
+      updated++;
+    } else {
+      const entry = {
+        url: finding.source,
+        title: finding.title || finding.source,
+        fetched: today,
+        query: finding.query || '',
+        facts: facts.slice(0, MAX_FACTS_PER_SOURCE),
+      };
+      byUrl.set(finding.source, entry);
+      changed.add(entry);
+      added++;
+    }
+  }
+
+  return { entries: newestFirst([...byUrl.values()]), changed: [...changed], added, updated };
+}
+
+/**
+ * Merge library entries into the library by URL. Of two entries for the
+ * same URL the more recently fetched one keeps its title and query, and
+ * its facts go first. Applied at commit time (the `merge_sources` write
+ * intent), so research runs that overlap don't overwrite each other.
+ * @param {Array<Object>} entries - Parsed entries
+ * @param {Array<Object>} incoming - Parsed entries to merge in
+ * @returns {Array<Object>} Merged entries
+ */
+export function mergeSourceEntries(entries, incoming) {
+  const byUrl = new Map(entries.map(entry => [entry.url, entry]));
+
+  for (const entry of incoming) {
+    const existing = byUrl.get(entry.url);
+    if (!existing) {
+      byUrl.set(entry.url, entry);
+      continue;
+    }
+    const [newer, older] = entry.fetched >= existing.fetched ? [entry, existing] : [existing, entry];
+    byUrl.set(entry.url, {
+      ...newer,
+      facts: [...new Set([...newer.facts, ...older.facts])].slice(0, MAX_FACTS_PER_SOURCE),
+    });
+  }
+
+  return newestFirst([...byUrl.values()]);
+}
+
+/**
+ * Sort entries most recently fetched first and cap them at MAX_SOURCES.
+ * @param {Array<Object>} entries - Parsed entries
+ * @returns {Array<Object>}
+ */
+function newestFirst(entries) {
+  return entries
+    .sort((a, b) => b.fetched.localeCompare(a.fetched))
+    .slice(0, MAX_SOURCES);
+}
+
+/**
+ * Entries fetched within SOURCE_MAX_AGE_DAYS of today, newest first.
+ * @param {Array<Object>} entries - Parsed entries
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Array<Object>}
+ */
+export function freshSources(entries, today) {
+  const cutoff = new Date(`${today}T12:00:00Z`);
+  cutoff.setUTCDate(cutoff.getUTCDate() - SOURCE_MAX_AGE_DAYS);
+  const since = cutoff.toISOString().slice(0, 10);
+
+  return entries
+    .filter(entry => entry.fetched >= since)
+    .sort((a, b) => b.fetched.localeCompare(a.fetched));
+}
+
+/**
+ * Turn library entries back into pipeline findings.
+ * @param {Array<Object>} entries - Parsed entries
+ * @returns {Array<Object>} Findings marked fromLibrary, with their fetched date
+ */
+export function sourcesToFindings(entries) {
+  return entries.map(entry => ({
+    source: entry.url,
+    title: entry.title,
+    content: entry.facts.join(' '),
+    query: entry.query,
+    fetched: entry.fetched,
+    fromLibrary: true,
+  }));
+}
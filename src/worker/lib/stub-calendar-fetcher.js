@@ -0,0 +1,30 @@
+/**
+ * Stub Calendar Fetcher for System Tests.
+ *
+ * Returns canned .ics files keyed by URL. Unregistered URLs fail like a
+ * missing file, so stub mode never reaches the network.
+ */
+
+/**
+ * Create a stub calendar fetcher that returns canned files.
+ * @param {Object} options
+ * @param {Map} options.stubCalendars - Map of URL → .ics content
+ * @param {Object} [options.logger] - Logger instance
+ * @returns {Object} Stub calendar fetcher with same interface as real fetcher
+ */
+export function createStubCalendarFetcher({ stubCalendars, logger } = {}) {
+  const log = logger || { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+  const calendars = stubCalendars || new Map();
+
+  return {
+    async fetchCalendar(url) {
+      if (!calendars.has(url)) {
+        log.debug('StubCalendarFetcher has no calendar', { url });
+        throw new Error('HTTP 404');
+      }
+
+      log.debug('StubCalendarFetcher returning canned calendar', { url });
+      return calendars.get(url);
+    },
+  };
+}
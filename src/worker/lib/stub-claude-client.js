@@ -23,6 +23,36 @@ export function extractTestId(text) {
   return inner ? inner[1] : null;
 }
 
+/**
+ * Convert a legacy JSON response into tool_use blocks, so stubs written for
+ * messageJson keep working with toolUse.
+ * - `tool_calls: [{ tool, ...input }]` become blocks named by `tool`
+ * - `spread_updates: [{ section, action, content }]` become `update_spread` blocks
+ * - Remaining keys become one block for the first offered tool whose
+ *   required fields they all cover (e.g. `reply` for slack_reply)
+ * @param {Object} json - Legacy JSON response
+ * @param {Array<Object>} tools - Tool definitions offered with the request
+ * @returns {Array<{ type: 'tool_use', id: string, name: string, input: Object }>}
+ */
+export function jsonToToolUses(json, tools) {
+  const { tool_calls: toolCalls, spread_updates: spreadUpdates, ...rest } = json || {};
+  const uses = [
+    ...(toolCalls || []).map(({ tool, ...input }) => ({ name: tool, input })),
+    ...(spreadUpdates || []).map(input => ({ name: 'update_spread', input })),
+  ];
+
+  const present = Object.keys(rest).filter(key => rest[key] !== undefined && rest[key] !== null);
+  const tool = tools.find((t) => {
+    const required = t.input_schema.required || [];
+    return required.length > 0 && required.every(key => present.includes(key));
+  });
+  if (tool) {
+    uses.push({ name: tool.name, input: rest });
+  }
+
+  return uses.map((use, index) => ({ type: 'tool_use', id: `toolu_stub_${index}`, ...use }));
+}
+
 /**
  * Create a stub Claude client that returns canned responses.
  *
@@ -41,7 +71,9 @@ export function createStubClaudeClient({ stubResponses, logger }) {
   // Track sequence position per test_id for array responses
   const sequenceCounters = new Map();
 
-  function findResponse(text) {
+  function findResponse(input) {
+    // System prompts may be cached blocks rather than a string
+    const text = Array.isArray(input) ? input.map(block => block.text).join('\n') : input;
     const testId = extractTestId(text);
     if (!testId) {
       throw new Error('StubClaudeClient: No [test:<id>] token found in message. System tests must include a test_id.');
@@ -92,6 +124,16 @@ export function createStubClaudeClient({ stubResponses, logger }) {
       return JSON.stringify(response.json || response);
     },
 
+    async toolUse({ system, messages, tools, toolChoice, model, maxTokens, timeout }) {
+      // Later turns of a tool loop carry only tool_result blocks
+      const lastUserMessage = messages.filter(m => m.role === 'user' && typeof m.content === 'string').pop();
+      const response = findResponse(lastUserMessage?.content || system);
+      if (response.tool_uses) {
+        return { text: response.text || '', toolUses: response.tool_uses, stopReason: 'tool_use' };
+      }
+      return { text: '', toolUses: jsonToToolUses(response.json || response, tools), stopReason: 'tool_use' };
+    },
+
     async classify({ message, intents, context }) {
       const response = findResponse(message);
       if (response.json) return response.json;
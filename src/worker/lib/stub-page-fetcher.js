@@ -0,0 +1,32 @@
+/**
+ * Stub Page Fetcher for System Tests.
+ *
+ * Returns canned pages keyed by URL. Unregistered URLs return null, so
+ * the EXTRACT stage has nothing to read unless a test registers pages.
+ */
+
+import { htmlToText } from './page-fetcher.js';
+
+/**
+ * Create a stub page fetcher that returns canned pages.
+ * @param {Object} options
+ * @param {Map} options.stubPages - Map of URL → page HTML
+ * @param {Object} [options.logger] - Logger instance
+ * @returns {Object} Stub page fetcher with same interface as real fetcher
+ */
+export function createStubPageFetcher({ stubPages, logger } = {}) {
+  const log = logger || { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+  const pages = stubPages || new Map();
+
+  return {
+    async fetchPage(url) {
+      if (!pages.has(url)) {
+        log.debug('StubPageFetcher has no page', { url });
+        return null;
+      }
+
+      log.debug('StubPageFetcher returning canned page', { url });
+      return { url, ...htmlToText(pages.get(url)) };
+    },
+  };
+}
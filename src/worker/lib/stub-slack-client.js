@@ -131,5 +131,15 @@ export function createStubSlackClient({ logger } = {}) {
       record('conversations.replies', { channel, ts });
       return [];
     },
+
+    async getPermalink({ channel, message_ts }) {
+      record('chat.getPermalink', { channel, message_ts });
+      return `https://stub.slack.com/archives/${channel}/p${message_ts.replace('.', '')}`;
+    },
+
+    async downloadFile(url) {
+      record('files.download', { url });
+      return '';
+    },
   };
 }
@@ -0,0 +1,307 @@
+/**
+ * Tasks - Structured model for checkbox task lines.
+ *
+ * A task line is `- [ ] Title [metadata] ^id`:
+ * - Optional inline metadata tokens anywhere after the title:
+ *   `due:2026-03-01` (due date), `@phone` (context, repeatable),
+ *   `~30m` / `~1h30m` (effort estimate), `role:work` (role)
+ * - Every Open Loops item carries a stable short ID as a trailing `^id`
+ *   (`- [ ] Call PCP ^k3f9a2`). The ID is derived from the task title when
+ *   the item is first written and kept through later edits, so a task can
+ *   be addressed without repeating its exact wording.
+ */
+
+import { isSimilarTitle, isSameTitle } from './calendar.js';
+
+/**
+ * Trailing task ID: whitespace, caret, six base-36 characters.
+ */
+const TASK_ID_PATTERN = /\s+\^([a-z0-9]{6})$/;
+
+/**
+ * Metadata tokens. Anything else is part of the title.
+ */
+const DUE_PATTERN = /^due:(\d{4}-\d{2}-\d{2})$/;
+const CONTEXT_PATTERN = /^@([\w-]+)$/;
+const ESTIMATE_PATTERN = /^~(?:(\d+)h)?(?:(\d+)m)?$/;
+const ROLE_PATTERN = /^role:([\w-]+)$/;
+
+/**
+ * Check that a YYYY-MM-DD string is a real calendar date.
+ */
+function isValidDate(date) {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+}
+
+/**
+ * Parse task text (without checkbox or ID) into title and metadata.
+ * Malformed tokens such as `due:friday` stay in the title.
+ * @param {string} text - e.g. "Call PCP due:2026-03-01 @phone ~30m role:health"
+ * @returns {{ title: string, due: string|null, contexts: string[], estimate: number|null, role: string|null }}
+ *   estimate is in minutes
+ */
+export function parseTaskText(text) {
+  const task = { title: '', due: null, contexts: [], estimate: null, role: null };
+  const titleWords = [];
+
+  for (const word of text.trim().split(/\s+/).filter(Boolean)) {
+    const due = word.match(DUE_PATTERN);
+    const context = word.match(CONTEXT_PATTERN);
+    const estimate = word.match(ESTIMATE_PATTERN);
+    const role = word.match(ROLE_PATTERN);
+
+    if (due && isValidDate(due[1])) {
+      task.due = due[1];
+    } else if (context) {
+      if (!task.contexts.includes(context[1])) task.contexts.push(context[1]);
+    } else if (estimate && (estimate[1] || estimate[2])) {
+      task.estimate = Number(estimate[1] || 0) * 60 + Number(estimate[2] || 0);
+    } else if (role) {
+      task.role = role[1];
+    } else {
+      titleWords.push(word);
+    }
+  }
+
+  task.title = titleWords.join(' ');
+  return task;
+}
+
+/**
+ * Format an effort estimate in minutes as `30m`, `2h` or `1h30m`.
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatEstimate(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `${hours ? `${hours}h` : ''}${rest || !hours ? `${rest}m` : ''}`;
+}
+
+/**
+ * Render a title and metadata back to task text, metadata in canonical order.
+ * @param {{ title: string, due?: string|null, contexts?: string[], estimate?: number|null, role?: string|null }} task
+ * @returns {string}
+ */
+export function formatTaskText(task) {
+  return [
+    task.title,
+    task.due && `due:${task.due}`,
+    ...(task.contexts || []).map(context => `@${context}`),
+    task.estimate && `~${formatEstimate(task.estimate)}`,
+    task.role && `role:${task.role}`,
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Parse a checkbox task line: `- [ ] Text ^id`.
+ * `text` is the raw text between checkbox and ID; the title and metadata
+ * parsed from it are spread alongside.
+ * @param {string} line - Markdown line
+ * @returns {{ indent: string, checked: boolean, text: string, id: string|null, title: string, due: string|null, contexts: string[], estimate: number|null, role: string|null } | null}
+ *   Null if not a task
+ */
+export function parseTaskLine(line) {
+  const match = line.trimEnd().match(/^(\s*)[-*]\s+\[([ xX])\]\s+(.*)$/);
+  if (!match) return null;
+
+  const idMatch = match[3].match(TASK_ID_PATTERN);
+  const text = (idMatch ? match[3].slice(0, idMatch.index) : match[3]).trim();
+  return {
+    indent: match[1],
+    checked: match[2] !== ' ',
+    text,
+    id: idMatch ? idMatch[1] : null,
+    ...parseTaskText(text),
+  };
+}
+
+/**
+ * Render a parsed task back to a line.
+ * @param {{ indent?: string, checked: boolean, text: string, id?: string|null }} task
+ * @returns {string}
+ */
+export function formatTaskLine(task) {
+  return `${task.indent || ''}- [${task.checked ? 'x' : ' '}] ${task.text}${task.id ? ` ^${task.id}` : ''}`;
+}
+
+/**
+ * Remove a trailing `^id` from task text.
+ * @param {string} text - Task text or line
+ * @returns {string}
+ */
+export function stripTaskId(text) {
+  return text.replace(TASK_ID_PATTERN, '');
+}
+
+/**
+ * djb2 hash of a string as six base-36 characters.
+ */
+function hashId(str) {
+  let hash = 5381;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) + hash + str.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36).padStart(6, '0').slice(-6);
+}
+
+/**
+ * Create an ID for a new task from its title.
+ * @param {string} text - Task title
+ * @param {Set<string>} [taken] - IDs already in use
+ * @returns {string} Six base-36 characters not in `taken`
+ */
+export function createTaskId(text, taken = new Set()) {
+  const base = text.trim().toLowerCase().replace(/\s+/g, ' ');
+  for (let n = 0; ; n++) {
+    const id = hashId(n === 0 ? base : `${base}#${n}`);
+    if (!taken.has(id)) return id;
+  }
+}
+
+/**
+ * Check whether two tasks carry the same ID.
+ * @param {Object} a - Parsed task
+ * @param {Object} b - Parsed task
+ * @returns {boolean}
+ */
+function isSameTask(a, b) {
+  return !!a.id && a.id === b.id;
+}
+
+/**
+ * Merge task lines into a list, dropping duplicate open tasks and giving
+ * every top-level task an ID.
+ * Only the same task is a duplicate: the same ID, or the same title once
+ * case, punctuation and filler words are ignored. Similar titles ("Call Bob
+ * re taxes" / "Call Bob re rent") are different tasks, so fuzzy matching is
+ * left to lookups (findSimilarTasks).
+ * A duplicate keeps the first occurrence's place and ID, takes the later
+ * title when matched by ID (an edit), and picks up the later line's
+ * metadata (a due date set in a follow-up wins). Completed tasks are never
+ * merged — the same chore can come back after it was done. Non-task lines
+ * pass through.
+ * @param {string[]} lines - Existing lines
+ * @param {string[]} [incoming] - Lines being added after them
+ * @returns {{ lines: string[], merged: number }} Merged lines and how many duplicates were folded in
+ */
+export function mergeTaskLines(lines, incoming = []) {
+  const all = [...lines, ...incoming];
+  const taken = new Set(all.map(parseTaskLine).filter(task => task?.id).map(task => task.id));
+  const entries = [];
+  let merged = 0;
+
+  for (const line of all) {
+    const task = parseTaskLine(line);
+    if (!task || task.indent) {
+      entries.push({ line });
+      continue;
+    }
+
+    const twin = !task.checked && entries.find(entry =>
+      entry.task && !entry.task.checked && (isSameTask(entry.task, task) || isSameTitle(entry.task.title, task.title))
+    );
+    if (twin) {
+      const combined = {
+        title: isSameTask(twin.task, task) ? task.title : twin.task.title,
+        due: task.due || twin.task.due,
+        contexts: [...new Set([...twin.task.contexts, ...task.contexts])],
+        estimate: task.estimate || twin.task.estimate,
+        role: task.role || twin.task.role,
+      };
+      Object.assign(twin.task, combined, { text: formatTaskText(combined), id: twin.task.id || task.id });
+      merged++;
+      continue;
+    }
+
+    entries.push({ task });
+  }
+
+  for (const { task } of entries) {
+    if (task && !task.id) {
+      task.id = createTaskId(task.title, taken);
+      taken.add(task.id);
+    }
+  }
+
+  return {
+    lines: entries.map(entry => (entry.task ? formatTaskLine(entry.task) : entry.line)),
+    merged,
+  };
+}
+
+/**
+ * Find task lines by ID (`^k3f9a2` or `k3f9a2`).
+ * @param {string[]} lines - Markdown lines
+ * @param {string} item - ID reference
+ * @returns {number[]} Matching line indices
+ */
+export function findTasksById(lines, item) {
+  const id = item.trim().replace(/^\^/, '');
+  if (!/^[a-z0-9]{6}$/.test(id)) return [];
+  return lines.flatMap((line, index) => (parseTaskLine(line)?.id === id ? [index] : []));
+}
+
+/**
+ * Find the task a loose description refers to.
+ * Lines with identical text count as one task; more than one distinct
+ * similar task is ambiguous and reported with their IDs.
+ * @param {string[]} lines - Markdown lines
+ * @param {string} item - Task description
+ * @param {Object} [options]
+ * @param {boolean} [options.openOnly] - Ignore completed tasks
+ * @returns {{ indices: number[], error: string|null }} No indices and no error when nothing matches
+ */
+export function findSimilarTasks(lines, item, { openOnly = false } = {}) {
+  const target = parseTaskText(stripTaskId(item.trim()).replace(/^[-*]\s+(\[[ xX]\]\s+)?/, '')).title;
+  const matches = lines
+    .map((line, index) => ({ index, task: parseTaskLine(line) }))
+    .filter(({ task }) => task && !(openOnly && task.checked) && isSimilarTitle(task.title, target));
+
+  const distinct = [...new Map(matches.map(({ task }) => [task.title, task])).values()];
+  if (distinct.length > 1) {
+    const options = distinct.map(task => `${task.id ? `^${task.id} ` : ''}"${task.title}"`).join(', ');
+    return { indices: [], error: `Ambiguous item "${item}": matches ${options}` };
+  }
+
+  return { indices: matches.map(({ index }) => index), error: null };
+}
+
+/**
+ * Days from `today` until a task is due.
+ * @param {{ due: string|null }} task - Parsed task
+ * @param {string} today - Local date (YYYY-MM-DD)
+ * @returns {number|null} Negative when overdue; null without a due date
+ */
+export function daysUntilDue(task, today) {
+  if (!task.due) return null;
+  return Math.round((Date.parse(`${task.due}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Sort tasks by due date, earliest first; undated tasks keep their order at the end.
+ * @param {Array<{ due: string|null }>} tasks - Parsed tasks
+ * @returns {Array} New sorted array
+ */
+export function sortByDue(tasks) {
+  return [...tasks].sort((a, b) => {
+    if (a.due && b.due) return a.due.localeCompare(b.due);
+    return (a.due ? 0 : 1) - (b.due ? 0 : 1);
+  });
+}
+
+/**
+ * Describe when a task is due, relative to today.
+ * @param {{ due: string|null }} task - Parsed task
+ * @param {string} today - Local date (YYYY-MM-DD)
+ * @returns {string|null} "overdue since 2026-02-27", "due today", "due tomorrow", "due 2026-03-06"; null without a due date
+ */
+export function formatDue(task, today) {
+  const days = daysUntilDue(task, today);
+  if (days === null) return null;
+  if (days < 0) return `overdue since ${task.due}`;
+  if (days === 0) return 'due today';
+  if (days === 1) return 'due tomorrow';
+  return `due ${task.due}`;
+}
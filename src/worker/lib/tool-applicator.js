@@ -8,8 +8,40 @@
  * - replace_section replaces content between heading and next same-or-higher-level heading
  * - mark_complete matches task text after trimming bullet/checkbox syntax
  * - remove_item matches by exact full-line equality after trimming trailing whitespace
+ * - Both also accept a task `^id`, or a loose description that fits exactly one task
+ * - Writes to ## Open Loops merge duplicate tasks and give each task an ID;
+ *   matching ignores task metadata (`due:`, `@context`, `~30m`, `role:`) and a
+ *   merge keeps the newer metadata (see tasks.js)
+ * - snooze_item moves an Open Loops or Pending Review line to ## Snoozed with a
+ *   wake date; wake_snoozed moves lines whose date has come back to Open Loops
+ * - merge_sources merges source library entries into sources.md by URL
+ *   (see source-library.js)
  */
 
+import { mergeTaskLines, findTasksById, findSimilarTasks, stripTaskId } from './tasks.js';
+import { parseSources, formatSources, mergeSourceEntries } from './source-library.js';
+
+/**
+ * Heading of the task list in current.md.
+ */
+export const OPEN_LOOPS_HEADING = '## Open Loops';
+
+/**
+ * Heading of items awaiting clarification in current.md.
+ */
+export const PENDING_REVIEW_HEADING = '## Pending Review';
+
+/**
+ * Heading of deferred items in current.md, and where snooze looks by default.
+ */
+export const SNOOZED_HEADING = '## Snoozed';
+const SNOOZE_SOURCE_HEADINGS = [OPEN_LOOPS_HEADING, PENDING_REVIEW_HEADING];
+
+/**
+ * A snoozed line: the original line plus its wake date.
+ */
+const SNOOZED_LINE_PATTERN = /^(.*?)\s+— snoozed until (\d{4}-\d{2}-\d{2})$/;
+
 /**
  * Find a section in markdown content by heading.
  * Returns { start, end, headingEnd } where:
@@ -133,63 +165,251 @@ export function replaceSection(content, heading, newContent) {
   return { content: result, error: null };
 }
 
+/**
+ * Find the lines a mark_complete/remove_item reference points at.
+ * Tries, in order: task ID, exact match, then a fuzzy match against task
+ * text. Exact duplicates are all returned — they are the same task.
+ * @param {string[]} lines - Markdown lines
+ * @param {string} item - ID, line, or task description
+ * @param {Function} isExact - (line) => boolean
+ * @param {Object} options - Passed to findSimilarTasks
+ * @returns {{ indices: number[], error: string|null }}
+ */
+function matchItemLines(lines, item, isExact, options) {
+  const byId = findTasksById(lines, item);
+  if (byId.length > 0) {
+    return { indices: byId, error: null };
+  }
+
+  const exact = lines.flatMap((line, index) => (isExact(line) ? [index] : []));
+  if (exact.length > 0) {
+    return { indices: exact, error: null };
+  }
+
+  return findSimilarTasks(lines, item, options);
+}
+
 /**
  * Apply a mark_complete tool call.
  * Changes `- [ ]` to `- [x]` for a matching item text.
- * Matches by exact text after trimming leading bullet/checkbox syntax and trailing whitespace.
+ * Matches by task ID, by exact text after trimming leading bullet/checkbox
+ * syntax and trailing whitespace, or by a fuzzy match to a single open task.
  * @param {string} content - Markdown content
- * @param {string} itemText - Task text to match (without bullet/checkbox prefix)
+ * @param {string} itemText - Task text (without bullet/checkbox prefix) or `^id`
  * @returns {{ content: string, error: string|null }}
  */
 export function markComplete(content, itemText) {
   const lines = content.split('\n');
-  const normalizedTarget = itemText.trim();
-  let found = false;
+  const normalizedTarget = stripTaskId(itemText.trim());
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const stripped = stripBullet(line.trimEnd());
-    if (stripped === normalizedTarget) {
-      // Replace - [ ] with - [x]
-      lines[i] = line.replace(/- \[ \]/, '- [x]');
-      found = true;
-      break;
-    }
+  const { indices, error } = matchItemLines(
+    lines,
+    itemText,
+    line => stripBullet(line.trimEnd()) === normalizedTarget,
+    { openOnly: true }
+  );
+  if (error) {
+    return { content, error };
   }
-
-  if (!found) {
+  if (indices.length === 0) {
     return { content, error: `Item not found: ${itemText}` };
   }
 
+  for (const index of indices) {
+    // Replace - [ ] with - [x]
+    lines[index] = lines[index].replace(/- \[ \]/, '- [x]');
+  }
+
   return { content: lines.join('\n'), error: null };
 }
 
 /**
  * Apply a remove_item tool call.
  * Deletes a specific line from the content.
- * Matches by exact full-line equality after trimming trailing whitespace.
+ * Matches by task ID, by exact full-line equality after trimming trailing
+ * whitespace, or by a fuzzy match to a single task. With a heading, only
+ * that section is searched.
  * @param {string} content - Markdown content
- * @param {string} lineText - Full line text to remove
+ * @param {string} lineText - Full line text, task description, or `^id`
+ * @param {string} [heading] - Section to search
  * @returns {{ content: string, error: string|null }}
  */
-export function removeItem(content, lineText) {
-  const lines = content.split('\n');
+export function removeItem(content, lineText, heading) {
+  const section = heading ? findSection(content, heading) : null;
+  const start = section ? section.headingEnd : 0;
+  const end = section ? section.end : content.length;
+  const lines = content.slice(start, end).split('\n');
   const normalizedTarget = lineText.trimEnd();
-  let foundIndex = -1;
 
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i].trimEnd() === normalizedTarget) {
-      foundIndex = i;
-      break;
+  const { indices, error } = matchItemLines(
+    lines,
+    lineText,
+    line => line.trimEnd() === normalizedTarget,
+    {}
+  );
+  if (error) {
+    return { content, error };
+  }
+  if (indices.length === 0) {
+    return { content, error: `Line not found: ${lineText}` };
+  }
+
+  const kept = lines.filter((_, index) => !indices.includes(index));
+  return { content: content.slice(0, start) + kept.join('\n') + content.slice(end), error: null };
+}
+
+/**
+ * Add or replace Open Loops tasks, merging duplicates and assigning IDs.
+ * @param {string} content - Markdown content
+ * @param {string} newContent - Task lines
+ * @param {'append'|'prepend'|'replace'} mode - Where the lines go
+ * @returns {{ content: string, error: string|null }}
+ */
+function writeOpenLoops(content, newContent, mode) {
+  const incoming = newContent.split('\n').filter(line => line.trim());
+  const section = findSection(content, OPEN_LOOPS_HEADING);
+
+  if (!section || mode === 'replace') {
+    const { lines } = mergeTaskLines(incoming);
+    return mode === 'replace'
+      ? replaceSection(content, OPEN_LOOPS_HEADING, lines.join('\n'))
+      : appendToSection(content, OPEN_LOOPS_HEADING, lines.join('\n'));
+  }
+
+  const body = content.slice(section.headingEnd, section.end);
+  const existing = body.trimEnd() ? body.trimEnd().split('\n') : [];
+  const trailing = body.slice(body.trimEnd().length) || '\n';
+  const { lines } = mode === 'prepend'
+    ? mergeTaskLines(incoming, existing)
+    : mergeTaskLines(existing, incoming);
+
+  return {
+    content: content.slice(0, section.headingEnd) + lines.join('\n') + trailing + content.slice(section.end),
+    error: null,
+  };
+}
+
+/**
+ * Merge duplicate Open Loops tasks and give every task an ID.
+ * @param {string} content - current.md content
+ * @returns {string} Content with a normalized Open Loops section (unchanged if absent)
+ */
+export function normalizeOpenLoops(content) {
+  const section = findSection(content, OPEN_LOOPS_HEADING);
+  if (!section) {
+    return content;
+  }
+  return writeOpenLoops(content, '', 'append').content;
+}
+
+/**
+ * Parse a line of the Snoozed section.
+ * @param {string} line - e.g. "- [ ] Call PCP ^k3f9a2 — snoozed until 2026-03-07"
+ * @returns {{ line: string, until: string } | null} Original line and wake date
+ */
+export function parseSnoozedLine(line) {
+  const match = line.trim().match(SNOOZED_LINE_PATTERN);
+  return match ? { line: match[1], until: match[2] } : null;
+}
+
+/**
+ * Apply a snooze_item tool call.
+ * Moves the matching line from Open Loops (or Pending Review) to
+ * ## Snoozed, creating the section if needed.
+ * @param {string} content - current.md content
+ * @param {string} item - Task `^id`, line, or description
+ * @param {string} until - Wake date (YYYY-MM-DD)
+ * @param {string} [heading] - Section to take the item from
+ * @returns {{ content: string, error: string|null }}
+ */
+export function snoozeItem(content, item, until, heading) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(until || '')) {
+    return { content, error: `Invalid snooze date: ${until}` };
+  }
+
+  const target = stripBullet(item.trim());
+  for (const sourceHeading of heading ? [heading] : SNOOZE_SOURCE_HEADINGS) {
+    const section = findSection(content, sourceHeading);
+    if (!section) continue;
+
+    const lines = content.slice(section.headingEnd, section.end).split('\n');
+    const { indices, error } = matchItemLines(
+      lines,
+      item,
+      line => line.trim().startsWith('-') && stripBullet(line.trimEnd()) === target,
+      { openOnly: true }
+    );
+    if (error) {
+      return { content, error };
     }
+    if (indices.length === 0) continue;
+
+    const kept = lines.filter((_, index) => !indices.includes(index));
+    const moved = content.slice(0, section.headingEnd) + kept.join('\n') + content.slice(section.end);
+    return writeSnoozed(moved, [`${lines[indices[0]].trim()} — snoozed until ${until}`], []);
   }
 
-  if (foundIndex === -1) {
-    return { content, error: `Line not found: ${lineText}` };
+  return { content, error: `Item not found: ${item}` };
+}
+
+/**
+ * Apply a wake_snoozed tool call.
+ * Moves every snoozed line due on or before `today` back to Open Loops,
+ * where it merges with any task that was re-added in the meantime.
+ * Snoozed Pending Review items come back as tasks.
+ * @param {string} content - current.md content
+ * @param {string} today - Local date (YYYY-MM-DD)
+ * @returns {{ content: string, error: string|null, woken: string[] }} woken holds the restored lines
+ */
+export function wakeSnoozed(content, today) {
+  const section = findSection(content, SNOOZED_HEADING);
+  if (!section) {
+    return { content, error: null, woken: [] };
   }
 
-  lines.splice(foundIndex, 1);
-  return { content: lines.join('\n'), error: null };
+  const lines = content.slice(section.headingEnd, section.end).split('\n');
+  const due = lines.filter(line => {
+    const snoozed = parseSnoozedLine(line);
+    return snoozed && snoozed.until <= today;
+  });
+  if (due.length === 0) {
+    return { content, error: null, woken: [] };
+  }
+
+  const woken = due.map(line => {
+    const original = parseSnoozedLine(line).line;
+    return /^[-*]\s+\[[ xX]\]/.test(original) ? original : `- [ ] ${stripBullet(original)}`;
+  });
+  const remaining = writeSnoozed(content, [], due);
+  const result = writeOpenLoops(remaining.content, woken.join('\n'), 'append');
+  return { ...result, woken };
+}
+
+/**
+ * Rewrite the Snoozed section: add lines and remove others. The rebuild
+ * placeholder is dropped once the section has content.
+ * @param {string} content - current.md content
+ * @param {string[]} added - Lines to append
+ * @param {string[]} removed - Lines to drop
+ * @returns {{ content: string, error: string|null }}
+ */
+function writeSnoozed(content, added, removed) {
+  const section = findSection(content, SNOOZED_HEADING);
+  if (!section) {
+    return appendToSection(content, SNOOZED_HEADING, added.join('\n'));
+  }
+
+  const body = content.slice(section.headingEnd, section.end);
+  const kept = body.trimEnd().split('\n')
+    .filter(line => line.trim() && !removed.includes(line) && !/^\*Nothing snoozed\*$/.test(line.trim()));
+  const lines = [...kept, ...added];
+  const after = content.slice(section.end);
+  return {
+    content: content.slice(0, section.headingEnd)
+      + (lines.length ? `${lines.join('\n')}\n` : '')
+      + (after ? `\n${after}` : ''),
+    error: null,
+  };
 }
 
 /**
@@ -198,38 +418,59 @@ export function removeItem(content, lineText) {
  * @returns {string} Stripped text
  */
 function stripBullet(line) {
-  return line
+  return stripTaskId(line
     .replace(/^[-*]\s*\[[ x]\]\s*/, '')
     .replace(/^[-*]\s*/, '')
-    .trim();
+    .trim());
 }
 
 /**
  * Apply a single tool call to content.
+ * Section writes to ## Open Loops go through task merging.
  * @param {string} content - Markdown content
  * @param {Object} toolCall - Tool call object
  * @param {string} toolCall.type - Tool call type
- * @param {string} [toolCall.heading] - Section heading (for section operations)
+ * @param {string} [toolCall.heading] - Section heading (for section operations; optional scope for remove_item)
  * @param {string} [toolCall.content] - Content to apply
- * @param {string} [toolCall.item] - Item text (for mark_complete/remove_item)
+ * @param {string} [toolCall.item] - Item text or task `^id` (for mark_complete/remove_item/snooze_item)
+ * @param {string} [toolCall.until] - Date (YYYY-MM-DD): wake date for snooze_item, today for wake_snoozed
  * @returns {{ content: string, error: string|null }}
  */
 export function applyToolCall(content, toolCall) {
+  const openLoops = toolCall.heading === OPEN_LOOPS_HEADING;
+
   switch (toolCall.type) {
     case 'append_to_section':
-      return appendToSection(content, toolCall.heading, toolCall.content);
+      return openLoops
+        ? writeOpenLoops(content, toolCall.content, 'append')
+        : appendToSection(content, toolCall.heading, toolCall.content);
 
     case 'prepend_to_section':
-      return prependToSection(content, toolCall.heading, toolCall.content);
+      return openLoops
+        ? writeOpenLoops(content, toolCall.content, 'prepend')
+        : prependToSection(content, toolCall.heading, toolCall.content);
 
     case 'replace_section':
-      return replaceSection(content, toolCall.heading, toolCall.content);
+      return openLoops
+        ? writeOpenLoops(content, toolCall.content, 'replace')
+        : replaceSection(content, toolCall.heading, toolCall.content);
 
     case 'mark_complete':
       return markComplete(content, toolCall.item || toolCall.content);
 
     case 'remove_item':
-      return removeItem(content, toolCall.item || toolCall.content);
+      return removeItem(content, toolCall.item || toolCall.content, toolCall.heading);
+
+    case 'snooze_item':
+      return snoozeItem(content, toolCall.item || toolCall.content, toolCall.until, toolCall.heading);
+
+    case 'wake_snoozed': {
+      const { content: woken, error } = wakeSnoozed(content, toolCall.until);
+      return { content: woken, error };
+    }
+
+    case 'merge_sources':
+      return { content: formatSources(mergeSourceEntries(parseSources(content), parseSources(toolCall.content))), error: null };
 
     default:
       return { content, error: `Unknown tool call type: ${toolCall.type}` };
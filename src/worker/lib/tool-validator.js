@@ -18,8 +18,15 @@ const SECTION_TOOL_TYPES = new Set([
   'replace_section',
   'mark_complete',
   'remove_item',
+  'snooze_item',
+  'wake_snoozed',
 ]);
 
+/**
+ * Section tool types that find their own section (heading optional).
+ */
+const ITEM_TOOL_TYPES = new Set(['mark_complete', 'remove_item', 'snooze_item', 'wake_snoozed']);
+
 /**
  * Canonical direct write tool call types.
  */
@@ -28,7 +35,9 @@ const DIRECT_TOOL_TYPES = new Set([
   'update_spread',
   'write_log',
   'create_file',
+  'write_file',
   'trigger_research',
+  'merge_sources',
 ]);
 
 /**
@@ -41,6 +50,129 @@ const ALL_ALLOWED_TYPES = new Set([...SECTION_TOOL_TYPES, ...DIRECT_TOOL_TYPES])
  */
 const MAX_CONTENT_SIZE = 10000;
 
+/**
+ * Input fields shared by the tool definitions.
+ */
+const FIELDS = {
+  path: { type: 'string', description: 'File path under data/, e.g. data/current.md' },
+  heading: { type: 'string', description: 'Section heading including the hashes, e.g. "## Open Loops"' },
+  content: { type: 'string', description: 'Markdown content', maxLength: MAX_CONTENT_SIZE },
+  item: { type: 'string', description: 'Task ^id, or the item text' },
+  until: { type: 'string', description: 'Date (YYYY-MM-DD)', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+};
+
+/**
+ * What each allowed type does and which fields it takes. Required fields
+ * mirror validateToolCall, plus path for tools that write a file.
+ */
+const TOOL_SPECS = {
+  append_to_section: {
+    description: 'Append content under a section heading',
+    properties: ['path', 'heading', 'content'],
+    required: ['path', 'heading', 'content'],
+  },
+  prepend_to_section: {
+    description: 'Prepend content at the start of a section',
+    properties: ['path', 'heading', 'content'],
+    required: ['path', 'heading', 'content'],
+  },
+  replace_section: {
+    description: 'Replace the entire content of a section',
+    properties: ['path', 'heading', 'content'],
+    required: ['path', 'heading', 'content'],
+  },
+  mark_complete: {
+    description: 'Change "- [ ]" to "- [x]" for an item (task ^id or its text)',
+    properties: ['path', 'item'],
+    required: ['path', 'item'],
+  },
+  remove_item: {
+    description: 'Delete a line or item (task ^id or the whole line), optionally within one section',
+    properties: ['path', 'item', 'heading'],
+    required: ['path', 'item'],
+  },
+  snooze_item: {
+    description: 'Move an Open Loops or Pending Review item to "## Snoozed" until a date',
+    properties: ['path', 'item', 'until', 'heading'],
+    required: ['path', 'item', 'until'],
+  },
+  wake_snoozed: {
+    description: 'Move snoozed items due by a date back to Open Loops',
+    properties: ['path', 'until'],
+    required: ['path', 'until'],
+  },
+  create_project: {
+    description: 'Create a project with its spread, channel and first next action',
+    properties: {
+      name: { type: 'string', description: 'Project name' },
+      description: { type: 'string', description: 'One-line description' },
+      first_action: { type: 'string', description: 'First next action' },
+    },
+    required: ['name', 'description', 'first_action'],
+  },
+  update_spread: {
+    description: 'Update a section of the project spread',
+    properties: {
+      section: { type: 'string', description: 'Section name without hashes, e.g. "Status"' },
+      action: { type: 'string', enum: ['append', 'prepend', 'replace'] },
+      content: FIELDS.content,
+    },
+    required: ['section', 'action', 'content'],
+  },
+  write_log: {
+    description: 'Write a log file',
+    properties: ['path', 'content'],
+    required: ['path', 'content'],
+  },
+  create_file: {
+    description: 'Create a new file',
+    properties: ['path', 'content'],
+    required: ['path', 'content'],
+  },
+  write_file: {
+    description: 'Create or overwrite a file',
+    properties: ['path', 'content'],
+    required: ['path', 'content'],
+  },
+  trigger_research: {
+    description: 'Start a research run',
+    properties: {
+      query: { type: 'string', description: 'The specific thing to research' },
+      scope: { type: 'string', description: 'Brief description of what the user wants to find' },
+    },
+    required: ['query'],
+  },
+  merge_sources: {
+    description: 'Merge source library entries into a sources.md file',
+    properties: ['path', 'content'],
+    required: ['path', 'content'],
+  },
+};
+
+/**
+ * Build Anthropic tool definitions for allowed tool call types.
+ * @param {string[]} types - Tool call types, in the order to offer them
+ * @returns {Array<{ name: string, description: string, input_schema: Object }>}
+ */
+export function buildToolDefinitions(types) {
+  return types.map((type) => {
+    const spec = TOOL_SPECS[type];
+    if (!ALL_ALLOWED_TYPES.has(type) || !spec) {
+      throw new Error(`Unknown tool call type: ${type}`);
+    }
+
+    const properties = Array.isArray(spec.properties)
+      ? Object.fromEntries(spec.properties.map(field => [field, FIELDS[field]]))
+      : spec.properties;
+
+    return {
+      name: type,
+      description: spec.description,
+      input_schema: { type: 'object', properties, required: spec.required },
+    };
+  });
+}
+
 /**
  * Validate a tool call.
  * @param {Object} toolCall - Tool call to validate
@@ -75,19 +207,30 @@ export function validateToolCall(toolCall) {
   }
 
   // Section tools need heading
-  if (SECTION_TOOL_TYPES.has(toolCall.type) && toolCall.type !== 'mark_complete' && toolCall.type !== 'remove_item') {
+  if (SECTION_TOOL_TYPES.has(toolCall.type) && !ITEM_TOOL_TYPES.has(toolCall.type)) {
     if (!toolCall.heading) {
       return { valid: false, error: `${toolCall.type} requires a heading field`, truncated: false };
     }
   }
 
-  // mark_complete and remove_item need item or content
-  if (toolCall.type === 'mark_complete' || toolCall.type === 'remove_item') {
+  // mark_complete, remove_item and snooze_item need item or content
+  if (ITEM_TOOL_TYPES.has(toolCall.type) && toolCall.type !== 'wake_snoozed') {
     if (!toolCall.item && !toolCall.content) {
       return { valid: false, error: `${toolCall.type} requires an item or content field`, truncated: false };
     }
   }
 
+  if (toolCall.type === 'merge_sources' && !toolCall.content) {
+    return { valid: false, error: 'merge_sources requires a content field', truncated: false };
+  }
+
+  // snooze_item and wake_snoozed need a date
+  if (toolCall.type === 'snooze_item' || toolCall.type === 'wake_snoozed') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(toolCall.until || '')) {
+      return { valid: false, error: `${toolCall.type} requires an until date (YYYY-MM-DD)`, truncated: false };
+    }
+  }
+
   return { valid: true, error: null, truncated };
 }
 
@@ -156,6 +299,7 @@ export function validateWriteIntent(intent) {
       heading: intent.heading,
       content: intent.content,
       item: intent.item,
+      until: intent.until,
     });
   }
 
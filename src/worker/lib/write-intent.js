@@ -90,6 +90,7 @@ export function resolveIntent(intent, currentContent, applyToolCall) {
       heading: intent.heading,
       content: intent.content,
       item: intent.item,
+      until: intent.until,
     });
   }
 